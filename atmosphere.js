@@ -0,0 +1,88 @@
+import { feetToMeters, metersToFeet } from './geo.js';
+
+/**
+ * International Standard Atmosphere air density (kg/m^3) at mean sea level.
+ * @type {number}
+ */
+const seaLevelAirDensity = 1.225;
+
+/**
+ * International Standard Atmosphere temperature (kelvin) at mean sea level.
+ * @type {number}
+ */
+const seaLevelTemperature = 288.15;
+
+/**
+ * Rate (kelvin per meter) at which temperature falls within the troposphere.
+ * @type {number}
+ */
+const temperatureLapseRate = 0.0065;
+
+/**
+ * Standard acceleration (m/s^2) due to gravity.
+ * @type {number}
+ */
+const standardGravity = 9.80665;
+
+/**
+ * Altitude (meters) of the tropopause, above which temperature remains constant.
+ * @type {number}
+ */
+const tropopauseAltitude = 11000;
+
+/**
+ * Exponent of the troposphere density ratio, g * M / (R * L) - 1.
+ * @type {number}
+ */
+const densityExponent = 4.2559;
+
+/**
+ * Calculate the air density of the International Standard Atmosphere at the provided altitude.
+ * Only valid up to roughly 65,000 ft where the stratosphere's lapse rate begins to change.
+ * @param   {number} altitude - Altitude above Mean Sea Level (in feet).
+ * @returns {number} Air density (kg/m^3) at the provided altitude.
+ */
+function getAirDensity(altitude) {
+    const altitudeMeters = feetToMeters(altitude);
+
+    if (altitudeMeters <= tropopauseAltitude) {
+        const temperatureRatio = 1.0 - ((temperatureLapseRate * altitudeMeters) / seaLevelTemperature);
+        return seaLevelAirDensity * Math.pow(temperatureRatio, densityExponent);
+    }
+
+    // Density falls exponentially within the isothermal layer above the tropopause
+    const tropopauseDensity = getAirDensity(metersToFeet(tropopauseAltitude));
+    return tropopauseDensity * Math.exp(-(altitudeMeters - tropopauseAltitude) / 6341.62);
+}
+
+/**
+ * Scale a descent rate measured at one altitude to the rate expected at another. A parachute's
+ * terminal velocity is inversely proportional to the square root of air density.
+ * @param   {number} descentRate - Descent rate (any unit) measured at the reference altitude.
+ * @param   {number} referenceAltitude - Altitude above Mean Sea Level (in feet) the descent rate was measured at.
+ * @param   {number} altitude - Altitude above Mean Sea Level (in feet) where the adjusted rate is needed.
+ * @returns {number} Descent rate (same unit) expected at the provided altitude.
+ */
+function adjustDescentRateForAltitude(descentRate, referenceAltitude, altitude) {
+    return descentRate * Math.sqrt(getAirDensity(referenceAltitude) / getAirDensity(altitude));
+}
+
+/**
+ * Calculate the velocity at which an object falling without a parachute stops accelerating.
+ * @param   {number} mass - Mass (in pounds) of the falling object.
+ * @param   {number} diameter - Diameter (in inches) of the object's reference area.
+ * @param   {number} dragCoefficient - Drag coefficient of the object based on its reference area.
+ * @param   {number} altitude - Altitude above Mean Sea Level (in feet).
+ * @returns {number} Terminal velocity (ft/s) at the provided altitude.
+ */
+function getTerminalVelocity(mass, diameter, dragCoefficient, altitude) {
+    // Convert into SI units before applying the drag equation
+    const massKilograms = mass * 0.45359237;
+    const radiusMeters = (diameter * 0.0254) / 2.0;
+    const referenceArea = Math.PI * radiusMeters * radiusMeters;
+
+    const terminalVelocity = Math.sqrt((2.0 * massKilograms * standardGravity) / (getAirDensity(altitude) * dragCoefficient * referenceArea));
+    return metersToFeet(terminalVelocity);
+}
+
+export { getAirDensity, adjustDescentRateForAltitude, getTerminalVelocity };
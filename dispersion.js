@@ -0,0 +1,501 @@
+import { GeoLocation, radiansToDegrees, distanceBetweenLocations, getLocalOffset } from './geo.js';
+import { LaunchSimulationData, LaunchLocationData } from './launch.js';
+import { RocketBase, RocketVariant } from './rocket.js';
+import { WindAtAltitude, WindForecastData } from './wind.js';
+import { DescentMethod, driftSimulation } from './drift_simulation.js';
+
+/* Stores the limits within which each dispersion run's inputs are randomly varied. */
+class DispersionTolerances {
+    /**
+     * Variation (percent) of the rocket's apogee.
+     * @private
+     * @type {number}
+     */
+    #apogee = 0;
+
+    /**
+     * Variation (percent) of the descent rate under drogue.
+     * @private
+     * @type {number}
+     */
+    #drogueDescentRate = 0;
+
+    /**
+     * Variation (percent) of the descent rate under main.
+     * @private
+     * @type {number}
+     */
+    #mainDescentRate = 0;
+
+    /**
+     * Variation (feet) of the main parachute's deployment altitude.
+     * @private
+     * @type {number}
+     */
+    #mainDeployAltitude = 0;
+
+    /**
+     * Variation (percent) of the wind speed within each wind band.
+     * @private
+     * @type {number}
+     */
+    #windSpeed = 0;
+
+    /**
+     * Variation (degrees) of the wind direction within each wind band.
+     * @private
+     * @type {number}
+     */
+    #windDirection = 0;
+
+    /**
+     * Initializes all tolerances to the provided values. Negative values are treated as positive.
+     * @param {number} apogee - Variation (percent) of the rocket's apogee.
+     * @param {number} drogueRate - Variation (percent) of the descent rate under drogue.
+     * @param {number} mainRate - Variation (percent) of the descent rate under main.
+     * @param {number} deployAltitude - Variation (feet) of the main parachute's deployment altitude.
+     * @param {number} windSpeed - Variation (percent) of the wind speed within each wind band.
+     * @param {number} windDirection - Variation (degrees) of the wind direction within each wind band.
+     * @throws {TypeError} Invalid tolerance.
+     */
+    constructor(apogee, drogueRate, mainRate, deployAltitude, windSpeed, windDirection) {
+        if (isNaN(apogee)) throw new TypeError(`Invalid apogee tolerance: ${apogee}`);
+        if (isNaN(drogueRate)) throw new TypeError(`Invalid drogue descent rate tolerance: ${drogueRate}`);
+        if (isNaN(mainRate)) throw new TypeError(`Invalid main descent rate tolerance: ${mainRate}`);
+        if (isNaN(deployAltitude)) throw new TypeError(`Invalid main deployment altitude tolerance: ${deployAltitude}`);
+        if (isNaN(windSpeed)) throw new TypeError(`Invalid wind speed tolerance: ${windSpeed}`);
+        if (isNaN(windDirection)) throw new TypeError(`Invalid wind direction tolerance: ${windDirection}`);
+
+        this.#apogee = Math.abs(apogee);
+        this.#drogueDescentRate = Math.abs(drogueRate);
+        this.#mainDescentRate = Math.abs(mainRate);
+        this.#mainDeployAltitude = Math.abs(deployAltitude);
+        this.#windSpeed = Math.abs(windSpeed);
+        this.#windDirection = Math.abs(windDirection);
+    }
+
+    /**
+     * Variation (percent) of the rocket's apogee.
+     * @type {number}
+     */
+    get apogee() { return this.#apogee; }
+
+    /**
+     * Variation (percent) of the descent rate under drogue.
+     * @type {number}
+     */
+    get drogueDescentRate() { return this.#drogueDescentRate; }
+
+    /**
+     * Variation (percent) of the descent rate under main.
+     * @type {number}
+     */
+    get mainDescentRate() { return this.#mainDescentRate; }
+
+    /**
+     * Variation (feet) of the main parachute's deployment altitude.
+     * @type {number}
+     */
+    get mainDeployAltitude() { return this.#mainDeployAltitude; }
+
+    /**
+     * Variation (percent) of the wind speed within each wind band.
+     * @type {number}
+     */
+    get windSpeed() { return this.#windSpeed; }
+
+    /**
+     * Variation (degrees) of the wind direction within each wind band.
+     * @type {number}
+     */
+    get windDirection() { return this.#windDirection; }
+}
+
+/* Contains the landing locations and statistics produced by a dispersion analysis. */
+class DispersionResult {
+    /**
+     * The unperturbed simulation these results are centered around.
+     * @private
+     * @type {LaunchSimulationData}
+     */
+    #nominal = null;
+
+    /**
+     * Landing coordinates of every perturbed simulation.
+     * @private
+     * @type {Array.<GeoLocation>}
+     */
+    #landingLocations = [];
+
+    /**
+     * Average coordinates of all landing locations.
+     * @private
+     * @type {GeoLocation}
+     */
+    #meanLandingLocation = null;
+
+    /**
+     * Variance (square meters) of landing locations along the East axis.
+     * @private
+     * @type {number}
+     */
+    #eastVariance = 0;
+
+    /**
+     * Variance (square meters) of landing locations along the North axis.
+     * @private
+     * @type {number}
+     */
+    #northVariance = 0;
+
+    /**
+     * Covariance (square meters) between the East and North axes.
+     * @private
+     * @type {number}
+     */
+    #covariance = 0;
+
+    /**
+     * Average distance (meters) from the launch site to each landing location.
+     * @private
+     * @type {number}
+     */
+    #meanDistance = 0;
+
+    /**
+     * Largest distance (meters) from the launch site to any landing location.
+     * @private
+     * @type {number}
+     */
+    #maxDistance = 0;
+
+    /**
+     * Calculates summary statistics for the provided landing locations.
+     * @param {LaunchSimulationData} nominal - The unperturbed simulation.
+     * @param {Array.<GeoLocation>} landingLocations - Landing coordinates of every perturbed simulation.
+     * @throws {TypeError} Missing nominal simulation or landing locations.
+     */
+    constructor(nominal, landingLocations) {
+        if (null == nominal) throw new TypeError(`Invalid nominal simulation: ${nominal}`);
+        if (null == landingLocations || 0 == landingLocations.length) throw new TypeError('Dispersion requires at least one landing location.');
+
+        this.#nominal = nominal;
+        this.#landingLocations = landingLocations;
+
+        // Average the coordinates. Dispersion clouds span a few miles at most, so this is accurate enough.
+        let latitudeSum = 0;
+        let longitudeSum = 0;
+        for (const landing of landingLocations) {
+            latitudeSum += landing.latitude;
+            longitudeSum += landing.longitude;
+        }
+        this.#meanLandingLocation = new GeoLocation(latitudeSum / landingLocations.length, longitudeSum / landingLocations.length);
+
+        const launchLocation = nominal.getLaunchLocation();
+
+        for (const landing of landingLocations) {
+            const offset = getLocalOffset(this.#meanLandingLocation, landing);
+            this.#eastVariance += offset.east * offset.east;
+            this.#northVariance += offset.north * offset.north;
+            this.#covariance += offset.east * offset.north;
+
+            if (null != launchLocation) {
+                const distance = distanceBetweenLocations(launchLocation, landing);
+                this.#meanDistance += distance;
+                this.#maxDistance = Math.max(this.#maxDistance, distance);
+            }
+        }
+
+        this.#eastVariance /= landingLocations.length;
+        this.#northVariance /= landingLocations.length;
+        this.#covariance /= landingLocations.length;
+        this.#meanDistance /= landingLocations.length;
+    }
+
+    /**
+     * The unperturbed simulation these results are centered around.
+     * @type {LaunchSimulationData}
+     */
+    get nominal() { return this.#nominal; }
+
+    /**
+     * Landing coordinates of every perturbed simulation.
+     * @type {Array.<GeoLocation>}
+     */
+    get landingLocations() { return this.#landingLocations; }
+
+    /**
+     * Number of perturbed simulations included in these results.
+     * @type {number}
+     */
+    get runCount() { return this.#landingLocations.length; }
+
+    /**
+     * Average coordinates of all landing locations.
+     * @type {GeoLocation}
+     */
+    get meanLandingLocation() { return this.#meanLandingLocation; }
+
+    /**
+     * Variance (square meters) of landing locations along the East axis.
+     * @type {number}
+     */
+    get eastVariance() { return this.#eastVariance; }
+
+    /**
+     * Variance (square meters) of landing locations along the North axis.
+     * @type {number}
+     */
+    get northVariance() { return this.#northVariance; }
+
+    /**
+     * Covariance (square meters) between the East and North axes.
+     * @type {number}
+     */
+    get covariance() { return this.#covariance; }
+
+    /**
+     * Average distance (meters) from the launch site to each landing location.
+     * @type {number}
+     */
+    get meanDistance() { return this.#meanDistance; }
+
+    /**
+     * Largest distance (meters) from the launch site to any landing location.
+     * @type {number}
+     */
+    get maxDistance() { return this.#maxDistance; }
+
+    /**
+     * Provides the standard deviation (meters) of the landing distance from the mean landing location.
+     * @returns {number} Combined East and North standard deviation (meters).
+     */
+    getRadialDeviation() {
+        return Math.sqrt(this.#eastVariance + this.#northVariance);
+    }
+
+    /**
+     * Calculates the ellipse enclosing landing locations within the given number of standard deviations.
+     * The ellipse axes are found from the eigenvalues and eigenvectors of the landing covariance matrix.
+     * @param {number} sigma - Number of standard deviations the ellipse extends from the mean landing location.
+     * @returns {ConfidenceEllipse} The ellipse centered on the mean landing location.
+     */
+    getConfidenceEllipse(sigma) {
+        const halfSum = (this.#eastVariance + this.#northVariance) / 2.0;
+        const halfDifference = (this.#eastVariance - this.#northVariance) / 2.0;
+        const root = Math.sqrt((halfDifference * halfDifference) + (this.#covariance * this.#covariance));
+
+        // Rounding can leave a tiny negative eigenvalue when all landings fall along a line
+        const majorVariance = halfSum + root;
+        const minorVariance = Math.max(0, halfSum - root);
+
+        // Angle of the major axis counterclockwise from East, converted into a bearing from North
+        const majorAngle = radiansToDegrees(0.5 * Math.atan2(2.0 * this.#covariance, this.#eastVariance - this.#northVariance));
+        let orientation = (90.0 - majorAngle) % 180.0;
+        if (orientation < 0.0) {
+            orientation += 180.0;
+        }
+
+        return new ConfidenceEllipse(this.#meanLandingLocation, sigma * Math.sqrt(majorVariance), sigma * Math.sqrt(minorVariance), orientation, sigma);
+    }
+}
+
+/* Describes an ellipse around a landing location enclosing a level of confidence. */
+class ConfidenceEllipse {
+    /**
+     * Coordinates of the ellipse's center.
+     * @private
+     * @type {GeoLocation}
+     */
+    #center;
+
+    /**
+     * Half the length (meters) of the ellipse's longest axis.
+     * @private
+     * @type {number}
+     */
+    #semiMajorAxis = 0;
+
+    /**
+     * Half the length (meters) of the ellipse's shortest axis.
+     * @private
+     * @type {number}
+     */
+    #semiMinorAxis = 0;
+
+    /**
+     * Bearing (degrees from North, 0 - 180) of the ellipse's major axis.
+     * @private
+     * @type {number}
+     */
+    #orientation = 0;
+
+    /**
+     * Number of standard deviations the ellipse extends from its center.
+     * @private
+     * @type {number}
+     */
+    #sigma = 1;
+
+    /**
+     * Initializes an ellipse using the provided dimensions.
+     * @param {GeoLocation} center - Coordinates of the ellipse's center.
+     * @param {number} semiMajor - Half the length (meters) of the ellipse's longest axis.
+     * @param {number} semiMinor - Half the length (meters) of the ellipse's shortest axis.
+     * @param {number} orientation - Bearing (degrees from North) of the ellipse's major axis.
+     * @param {number} sigma - Number of standard deviations the ellipse extends from its center.
+     * @throws {TypeError} Invalid center or dimensions.
+     */
+    constructor(center, semiMajor, semiMinor, orientation, sigma) {
+        if (null == center) throw new TypeError(`Invalid ellipse center: ${center}`);
+        if (isNaN(semiMajor)) throw new TypeError(`Invalid ellipse semi-major axis: ${semiMajor}`);
+        if (isNaN(semiMinor)) throw new TypeError(`Invalid ellipse semi-minor axis: ${semiMinor}`);
+        if (isNaN(orientation)) throw new TypeError(`Invalid ellipse orientation: ${orientation}`);
+
+        this.#center = center;
+        this.#semiMajorAxis = semiMajor;
+        this.#semiMinorAxis = semiMinor;
+        this.#orientation = orientation;
+        this.#sigma = sigma;
+    }
+
+    /**
+     * Coordinates of the ellipse's center.
+     * @type {GeoLocation}
+     */
+    get center() { return this.#center; }
+
+    /**
+     * Half the length (meters) of the ellipse's longest axis.
+     * @type {number}
+     */
+    get semiMajorAxis() { return this.#semiMajorAxis; }
+
+    /**
+     * Half the length (meters) of the ellipse's shortest axis.
+     * @type {number}
+     */
+    get semiMinorAxis() { return this.#semiMinorAxis; }
+
+    /**
+     * Bearing (degrees from North, 0 - 180) of the ellipse's major axis.
+     * @type {number}
+     */
+    get orientation() { return this.#orientation; }
+
+    /**
+     * Number of standard deviations the ellipse extends from its center.
+     * @type {number}
+     */
+    get sigma() { return this.#sigma; }
+}
+
+/**
+ * Generates a normally distributed random offset. The tolerance is treated as a 3 sigma limit,
+ * and the rare samples outside of it are clamped to the tolerance.
+ * @param {number} tolerance - Largest magnitude of the returned offset.
+ * @returns {number} Random value between -tolerance and +tolerance.
+ */
+function getRandomOffset(tolerance) {
+    if (0 == tolerance) {
+        return 0;
+    }
+
+    // Box-Muller transform. Avoid zero since the log of it is undefined.
+    const u = 1.0 - Math.random();
+    const v = Math.random();
+    const standardNormal = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+
+    return Math.max(-tolerance, Math.min(tolerance, standardNormal * tolerance / 3.0));
+}
+
+/**
+ * Creates a copy of the wind forecast with every wind band's speed and direction randomly varied.
+ * @param {WindForecastData} windForecast - The original wind forecast.
+ * @param {DispersionTolerances} tolerances - Limits for varying the wind.
+ * @returns {WindForecastData} The perturbed wind forecast.
+ */
+function perturbWindForecast(windForecast, tolerances) {
+    const windArray = windForecast.windData.map((wind) => {
+        const windSpeed = Math.max(0, wind.windSpeed * (1.0 + (getRandomOffset(tolerances.windSpeed) / 100.0)));
+
+        let windDirection = (wind.windDirection + getRandomOffset(tolerances.windDirection)) % 360.0;
+        if (windDirection < 0.0) {
+            windDirection += 360.0;
+        }
+        return new WindAtAltitude(wind.altitude, windSpeed, windDirection);
+    });
+    return windForecast.getModifiedCopy(windArray);
+}
+
+/**
+ * Creates a variant of the rocket with its apogee and recovery system randomly varied.
+ * @param {RocketBase} rocketDetails - The original rocket.
+ * @param {DispersionTolerances} tolerances - Limits for varying the rocket.
+ * @returns {RocketVariant} The perturbed rocket.
+ */
+function perturbRocket(rocketDetails, tolerances) {
+    const apogeeScale = Math.max(0.01, 1.0 + (getRandomOffset(tolerances.apogee) / 100.0));
+    const rocketVariant = new RocketVariant(rocketDetails, apogeeScale);
+
+    const mainDescentRate = rocketDetails.getMainDescentRate() * (1.0 + (getRandomOffset(tolerances.mainDescentRate) / 100.0));
+    if (rocketDetails.usingDualDeployment()) {
+        const drogueDescentRate = rocketDetails.getDrogueDescentRate() * (1.0 + (getRandomOffset(tolerances.drogueDescentRate) / 100.0));
+
+        // Keep the main deployment above ground so the variant remains a dual deployment rocket
+        const mainDeployAltitude = Math.max(1, rocketDetails.getMainDeploymentAltitude() + getRandomOffset(tolerances.mainDeployAltitude));
+        rocketVariant.setDualDeployment(drogueDescentRate, mainDeployAltitude, mainDescentRate);
+    } else {
+        rocketVariant.setSingleDeployment(mainDescentRate);
+    }
+    return rocketVariant;
+}
+
+/**
+ * Repeatedly simulates a launch with randomly varied rocket and wind values to estimate the spread
+ * of possible landing locations.
+ * @param   {LaunchLocationData} launchDetails - Provides all data related to the launch site.
+ * @param   {Date} launchTime - Date including the hour when this launch occurs.
+ * @param   {RocketBase} rocketDetails - Provides all data related to the rocket vehicle.
+ * @param   {WindForecastData} windForecast - List of wind values at ascending altitudes.
+ * @param   {DispersionTolerances} tolerances - Limits within which each run's values are varied.
+ * @param   {number} runCount - Number of perturbed simulations to perform.
+ * @param   {number} descentMethod - DescentMethod value selecting how each descent is integrated.
+ * @param   {number} timeStep - Duration (seconds) of each step when integrating with DescentMethod.TIME_STEPS.
+ * @returns {DispersionResult} Landing locations and statistics, or null if an error is encountered.
+ */
+function dispersionSimulation(launchDetails, launchTime, rocketDetails, windForecast, tolerances, runCount, descentMethod = DescentMethod.WIND_BANDS, timeStep = 0.5) {
+    const nominalSimulation = driftSimulation(launchDetails, launchTime, rocketDetails, windForecast, descentMethod, timeStep);
+    if (null == nominalSimulation) {
+        console.debug('Unable to perform a dispersion analysis without a nominal simulation.');
+        return null;
+    }
+
+    const landingLocations = [];
+    for (let run = 0; run < runCount; ++run) {
+        const launchSimulation = driftSimulation(launchDetails,
+                                                    launchTime,
+                                                    perturbRocket(rocketDetails, tolerances),
+                                                    perturbWindForecast(windForecast, tolerances),
+                                                    descentMethod,
+                                                    timeStep);
+        if (null == launchSimulation) {
+            continue;
+        }
+
+        const landingLocation = launchSimulation.getLandingLocation();
+        if (null != landingLocation) {
+            landingLocations.push(landingLocation.getCopy());
+        }
+    }
+
+    if (0 == landingLocations.length) {
+        console.debug(`None of the ${runCount} dispersion runs produced a landing location.`);
+        return null;
+    }
+
+    return new DispersionResult(nominalSimulation, landingLocations);
+}
+
+export { DispersionTolerances, DispersionResult, ConfidenceEllipse };
+export { dispersionSimulation };
@@ -0,0 +1,243 @@
+import { GeoLocation, feetToMeters, metersToFeet, distanceBetweenLocations, bearingBetweenLocations } from './geo.js';
+import { LaunchSimulationData, LaunchLocationData, LaunchScenario } from './launch.js';
+import { DispersionResult } from './dispersion.js';
+import { getHourColor } from './map_colors.js';
+import { HazardType, HazardFeature } from './hazard.js';
+
+/**
+ * Converts coordinates into a GeoJSON position. GeoJSON lists longitude before latitude.
+ * @param {GeoLocation} location - Coordinates to convert.
+ * @param {number} altitude - Optional height (meters) above Mean Sea Level.
+ * @returns {Array.<number>} Position formatted for GeoJSON.
+ */
+function getGeoJsonPosition(location, altitude = null) {
+    if (null == altitude) {
+        return [location.longitude, location.latitude];
+    }
+    return [location.longitude, location.latitude, Number(altitude.toFixed(2))];
+}
+
+/**
+ * Converts a closed outline into a GeoJSON polygon ring.
+ * @param {Array.<GeoLocation>} outline - Coordinates around the polygon's edge. The first and last must be identical.
+ * @returns {Array.<Array.<number>>} Positions around the ring, wound counterclockwise.
+ */
+function getGeoJsonRing(outline) {
+    const ring = outline.map((location) => getGeoJsonPosition(location));
+
+    // GeoJSON polygons wind counterclockwise, which gives them a positive area
+    let doubleArea = 0;
+    for (let index = 1; index < ring.length; ++index) {
+        doubleArea += (ring[index - 1][0] * ring[index][1]) - (ring[index][0] * ring[index - 1][1]);
+    }
+    if (doubleArea < 0) {
+        ring.reverse();
+    }
+    return ring;
+}
+
+/**
+ * Finds the dispersion analysis performed for a nominal simulation.
+ * @param {LaunchSimulationData} launchSimulation - Simulation which may have been dispersed.
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results from the same forecast.
+ * @returns {DispersionResult} The matching dispersion result, or null if there is none.
+ */
+function findDispersionResult(launchSimulation, dispersionList) {
+    return dispersionList.find((result) => result.nominal === launchSimulation) ?? null;
+}
+
+/**
+ * Summarizes the values shown for a simulation within our drift result table.
+ * @param {LaunchSimulationData} launchSimulation - Simulation to summarize.
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results from the same forecast.
+ * @returns {Object} Distances (feet) and bearings (degrees) describing the simulation.
+ */
+function getSimulationSummary(launchSimulation, dispersionList) {
+    const launchPosition = launchSimulation.getLaunchLocation();
+    const apogeePosition = launchSimulation.getApogeeLocation();
+    const landingPosition = launchSimulation.getLandingLocation();
+
+    let weathercockDistance = 0;
+    if (null != launchPosition && null != apogeePosition) {
+        weathercockDistance = Math.round(metersToFeet(distanceBetweenLocations(launchPosition, apogeePosition)));
+    }
+
+    let driftDistance = 0;
+    let driftBearing = NaN;
+    if (null != launchPosition && null != landingPosition) {
+        driftDistance = Math.round(metersToFeet(distanceBetweenLocations(launchPosition, landingPosition)));
+        driftBearing = Math.round(bearingBetweenLocations(launchPosition, landingPosition));
+    }
+
+    let spreadDistance = null;
+    const dispersionResult = findDispersionResult(launchSimulation, dispersionList);
+    if (null != dispersionResult) {
+        spreadDistance = Math.round(metersToFeet(2.0 * dispersionResult.getRadialDeviation()));
+    }
+
+    const launchDecision = launchSimulation.launchDecision;
+
+    return {
+        groundWindSpeed: Math.round(Math.abs(launchSimulation.groundWindSpeed)),
+        groundWindDirection: Math.round(launchSimulation.groundWindDirection),
+        apogee: launchSimulation.getApogee(),
+        weathercockDistance: weathercockDistance,
+        driftDistance: driftDistance,
+        driftBearing: driftBearing,
+        spreadDistance: spreadDistance,
+        decision: (null == launchDecision) ? null : launchDecision.getStatusText(),
+        reasons: (null == launchDecision) ? [] : launchDecision.reasons
+    };
+}
+
+/**
+ * Formats the launch site, landing locations, and flight paths as a GeoJSON feature collection.
+ * Each simulation contributes a landing point and a flight path line using altitudes (meters)
+ * above Mean Sea Level.
+ * @param {LaunchLocationData} launchDetails - Location, elevation, waiver, and hazards of the launch site.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results used to report landing spread.
+ * @returns {Blob} The GeoJSON document, or undefined if there is nothing to write.
+ */
+function createGeoJsonBlob(launchDetails, launchSimulationList, dispersionList = []) {
+    if (null == launchDetails) {
+        console.debug('Cannot create a GeoJSON blob without a launch location.');
+        return;
+    }
+    if (null == launchSimulationList || 0 == launchSimulationList.length) {
+        console.debug('Cannot create a GeoJSON blob without launch simulation data.');
+        return;
+    }
+
+    const features = [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: getGeoJsonPosition(launchDetails.location) },
+        properties: {
+            feature: 'launch',
+            name: ('' == launchDetails.name) ? 'Launch Site' : launchDetails.name,
+            elevation: launchDetails.altitude
+        }
+    }];
+
+    for (const launchSimulation of launchSimulationList) {
+        const landingLocation = launchSimulation.getLandingLocation();
+        if (null == landingLocation) {
+            continue;
+        }
+
+        const summary = getSimulationSummary(launchSimulation, dispersionList);
+        const properties = {
+            day: launchSimulation.getLaunchDay(),
+            time: launchSimulation.getLaunchTime(),
+            hour: launchSimulation.time,
+            minute: launchSimulation.minute,
+            model: launchSimulation.getWindModelName(),
+            scenario: launchSimulation.getScenarioName(),
+            color: getHourColor(launchSimulation.time).webHexadecimal
+        };
+
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: getGeoJsonPosition(landingLocation) },
+            properties: { feature: 'landing', ...properties, ...summary }
+        });
+
+        // Path altitudes are relative to the launch site, so raise them to Mean Sea Level
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: launchSimulation.launchPath.map((pathPoint) =>
+                    getGeoJsonPosition(pathPoint.location, feetToMeters(launchDetails.altitude + pathPoint.altitude)))
+            },
+            properties: { feature: 'flight_path', ...properties }
+        });
+    }
+
+    const waiverArea = launchDetails.waiverArea;
+    for (const outline of waiverArea?.outlines ?? []) {
+        const properties = waiverArea.isCircle ? { feature: 'waiver', radius: waiverArea.radius } : { feature: 'waiver' };
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [getGeoJsonRing(outline)] },
+            properties: properties
+        });
+    }
+
+    for (const hazard of launchDetails.hazards) {
+        let geometry;
+        if (HazardType.POINT == hazard.type) {
+            geometry = { type: 'Point', coordinates: getGeoJsonPosition(hazard.coordinates[0]) };
+        } else if (HazardType.LINE == hazard.type) {
+            geometry = { type: 'LineString', coordinates: hazard.coordinates.map((location) => getGeoJsonPosition(location)) };
+        } else {
+            geometry = { type: 'Polygon', coordinates: [getGeoJsonRing(hazard.coordinates)] };
+        }
+        features.push({
+            type: 'Feature',
+            geometry: geometry,
+            properties: { feature: 'hazard', name: hazard.name, type: hazard.type }
+        });
+    }
+
+    return new Blob([JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2)]);
+}
+
+/**
+ * Quotes a CSV field when it contains separators or quotes.
+ * @param {*} value - Value to place within a CSV row.
+ * @returns {string} The value formatted for CSV.
+ */
+function formatCsvField(value) {
+    const text = (null == value || (typeof value === 'number' && isNaN(value))) ? '' : `${value}`;
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replaceAll('"', '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Formats our drift results as comma separated values with one row per simulation, matching
+ * the columns of our drift result table along with landing coordinates.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results used to report landing spread.
+ * @returns {Blob} The CSV document, or undefined if there is nothing to write.
+ */
+function createDriftResultCsvBlob(launchSimulationList, dispersionList = []) {
+    if (null == launchSimulationList || 0 == launchSimulationList.length) {
+        console.debug('Cannot create a CSV blob without launch simulation data.');
+        return;
+    }
+
+    const rowArray = [[
+        'Day', 'Time', 'Model', 'Scenario', 'Surface Wind Speed (MPH)', 'Surface Wind Direction (deg)', 'Apogee (ft)',
+        'Weathercock (ft)', 'Landing Latitude', 'Landing Longitude', 'Landing (ft)', 'Bearing (deg)', 'Spread 2 sigma (ft)',
+        'Go/No-Go', 'Reasons'
+    ]];
+
+    for (const launchSimulation of launchSimulationList) {
+        const landingLocation = launchSimulation.getLandingLocation();
+        const summary = getSimulationSummary(launchSimulation, dispersionList);
+        rowArray.push([
+            launchSimulation.getLaunchDay(),
+            launchSimulation.getLaunchTime(),
+            launchSimulation.getWindModelName(),
+            launchSimulation.getScenarioName(),
+            summary.groundWindSpeed,
+            summary.groundWindDirection,
+            summary.apogee,
+            summary.weathercockDistance,
+            (null == landingLocation) ? null : landingLocation.latitude,
+            (null == landingLocation) ? null : landingLocation.longitude,
+            summary.driftDistance,
+            summary.driftBearing,
+            summary.spreadDistance,
+            summary.decision,
+            summary.reasons.join('; ')
+        ]);
+    }
+
+    return new Blob(rowArray.map((row) => `${row.map(formatCsvField).join(',')}\r\n`));
+}
+
+export { createGeoJsonBlob, createDriftResultCsvBlob };
@@ -0,0 +1,863 @@
+import { GeoLocation, metersToFeet } from './geo.js';
+import { LaunchTimeData, LaunchSimulationData, LaunchLocationData, LaunchScenario, isValidTimeZone, getLaunchTimeText } from './launch.js';
+import { WindAtAltitude, WindForecastData, WeathercockWindData, getAverageWindReading } from './wind.js';
+import { WindProviderBase, getWindProvider } from './wind_providers.js';
+import { WeathercockExtrapolation, RocketBase, RocketApogee, RocketWeathercocking, RocketThrustCurve } from './rocket.js';
+import { MotorData } from './motor.js';
+import { WaiverArea, checkWaiverContainment } from './waiver.js';
+import { LaunchRuleSet, evaluateLaunchRules } from './launch_rules.js';
+import { HazardType, HazardFeature } from './hazard.js';
+import { DescentMethod, driftSimulation } from './drift_simulation.js';
+import { DispersionTolerances, DispersionResult, dispersionSimulation } from './dispersion.js';
+import { LandingProbabilityGrid, landingProbabilityAnalysis } from './landing_probability.js';
+
+/* Describes a problem with one of the values provided for a drift forecast. */
+class ForecastValidationError {
+    /**
+     * Path of the request value this problem refers to (e.g. "rocket.apogee").
+     * @private
+     * @type {string}
+     */
+    #field = '';
+
+    /**
+     * Description of the problem suitable for displaying to a user.
+     * @private
+     * @type {string}
+     */
+    #message = '';
+
+    /**
+     * Initializes a problem found within a drift forecast request.
+     * @param {string} field - Path of the request value this problem refers to.
+     * @param {string} message - Description of the problem suitable for displaying to a user.
+     */
+    constructor(field, message) {
+        this.#field = field;
+        this.#message = message;
+    }
+
+    /**
+     * Path of the request value this problem refers to (e.g. "rocket.apogee").
+     * @type {string}
+     */
+    get field() { return this.#field; }
+
+    /**
+     * Description of the problem suitable for displaying to a user.
+     * @type {string}
+     */
+    get message() { return this.#message; }
+}
+
+/* Results of simulating every hour within a launch window. */
+class DriftForecastResult {
+    /**
+     * Nominal simulations for each hour, each followed by its failure scenarios.
+     * @private
+     * @type {Array.<LaunchSimulationData>}
+     */
+    #simulations = [];
+
+    /**
+     * Landing dispersion for each hour when requested.
+     * @private
+     * @type {Array.<DispersionResult>}
+     */
+    #dispersionResults = [];
+
+    /**
+     * Launch site the simulations were performed for.
+     * @private
+     * @type {LaunchLocationData}
+     */
+    #launchLocation = null;
+
+    /**
+     * Rocket built from the request.
+     * @private
+     * @type {RocketBase}
+     */
+    #rocket = null;
+
+    /**
+     * Problems which prevented the forecast from running.
+     * @private
+     * @type {Array.<ForecastValidationError>}
+     */
+    #errors = [];
+
+    /**
+     * Problems which were worked around, such as falling back to single deployment.
+     * @private
+     * @type {Array.<ForecastValidationError>}
+     */
+    #warnings = [];
+
+    /**
+     * Probability of landing throughout the landing area for each launch time when every member of an ensemble forecast was simulated.
+     * @private
+     * @type {Array.<LandingProbabilityGrid>}
+     */
+    #landingProbabilities = [];
+
+    /**
+     * Initializes the results of a drift forecast.
+     * @param {Array.<LaunchSimulationData>} simulations - Simulations for each hour of the launch window.
+     * @param {Array.<DispersionResult>} dispersionResults - Landing dispersion for each hour.
+     * @param {LaunchLocationData} launchLocation - Launch site the simulations were performed for.
+     * @param {RocketBase} rocket - Rocket built from the request.
+     * @param {Array.<ForecastValidationError>} errors - Problems which prevented the forecast from running.
+     * @param {Array.<ForecastValidationError>} warnings - Problems which were worked around.
+     * @param {Array.<LandingProbabilityGrid>} landingProbabilities - Probability of landing for each launch time from an ensemble forecast.
+     */
+    constructor(simulations, dispersionResults, launchLocation, rocket, errors, warnings, landingProbabilities = []) {
+        this.#simulations = simulations;
+        this.#dispersionResults = dispersionResults;
+        this.#launchLocation = launchLocation;
+        this.#rocket = rocket;
+        this.#errors = errors;
+        this.#warnings = warnings;
+        this.#landingProbabilities = landingProbabilities;
+    }
+
+    /**
+     * Nominal simulations for each hour, each followed by its failure scenarios.
+     * @type {Array.<LaunchSimulationData>}
+     */
+    get simulations() { return this.#simulations; }
+
+    /**
+     * Landing dispersion for each hour when requested.
+     * @type {Array.<DispersionResult>}
+     */
+    get dispersionResults() { return this.#dispersionResults; }
+
+    /**
+     * Launch site the simulations were performed for, or null if the request was invalid.
+     * @type {LaunchLocationData}
+     */
+    get launchLocation() { return this.#launchLocation; }
+
+    /**
+     * Rocket built from the request, or null if the request was invalid.
+     * @type {RocketBase}
+     */
+    get rocket() { return this.#rocket; }
+
+    /**
+     * Problems which prevented the forecast from running.
+     * @type {Array.<ForecastValidationError>}
+     */
+    get errors() { return this.#errors; }
+
+    /**
+     * Problems which were worked around, such as falling back to single deployment.
+     * @type {Array.<ForecastValidationError>}
+     */
+    get warnings() { return this.#warnings; }
+
+    /**
+     * Probability of landing throughout the landing area for each launch time, or empty unless every member of an ensemble forecast was simulated.
+     * @type {Array.<LandingProbabilityGrid>}
+     */
+    get landingProbabilities() { return this.#landingProbabilities; }
+
+    /**
+     * Indicates if the request was valid and the forecast was run.
+     * @returns {boolean} True when no errors were found.
+     */
+    isValid() {
+        return 0 == this.#errors.length;
+    }
+}
+
+/**
+ * Checks that a value is a number within the provided limits.
+ * @param   {number} value - Value to be checked.
+ * @param   {number} minimum - Smallest value allowed.
+ * @param   {number} maximum - Largest value allowed.
+ * @returns {boolean} True if the value is a number within the limits.
+ */
+function isWithinRange(value, minimum, maximum) {
+    return ('number' == typeof value) && !isNaN(value) && value >= minimum && value <= maximum;
+}
+
+/**
+ * Builds the launch site's coordinates from a request.
+ * @param   {Object} site - Launch site values from the request.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {GeoLocation} Coordinates of the launch site, or null if invalid.
+ */
+function loadSiteLocation(site, errors) {
+    if (null == site) {
+        errors.push(new ForecastValidationError('site', 'A launch site is required.'));
+        return null;
+    }
+
+    if (!isWithinRange(site.latitude, -90, 90)) {
+        errors.push(new ForecastValidationError('site.latitude', `The launch site latitude is not valid: ${site.latitude}`));
+        return null;
+    }
+    if (!isWithinRange(site.longitude, -180, 180)) {
+        errors.push(new ForecastValidationError('site.longitude', `The launch site longitude is not valid: ${site.longitude}`));
+        return null;
+    }
+    return new GeoLocation(site.latitude, site.longitude);
+}
+
+/**
+ * Builds the airspace covered by the launch site's waiver from a request. Polygon outlines take the place of a
+ * circle when provided, and a circle without a center is centered on the launch site.
+ * @param   {Object} waiver - Latitude, longitude, and radius (nautical miles) of a circle, or outlines listing the
+ * latitude and longitude of each polygon's corners, with an optional ceiling (ft MSL).
+ * @param   {GeoLocation} launchLocation - Coordinates of the launch site.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {WaiverArea} Area covered by the waiver, or null if none or invalid.
+ */
+function loadWaiverArea(waiver, launchLocation, errors) {
+    if (null == waiver || null == launchLocation) {
+        return null;
+    }
+
+    // A missing or zero ceiling leaves the waiver without an altitude limit
+    const waiverCeiling = waiver.ceiling ?? 0;
+    if (!isWithinRange(waiverCeiling, 0, Infinity)) {
+        errors.push(new ForecastValidationError('site.waiver', `The waiver ceiling is not valid: ${waiverCeiling}`));
+        return null;
+    }
+
+    const waiverArea = new WaiverArea();
+    waiverArea.setCeiling(waiverCeiling);
+    if (Array.isArray(waiver.outlines) && waiver.outlines.length > 0) {
+        try {
+            waiverArea.setPolygons(waiver.outlines.map((outline) => outline.map((corner) => {
+                if (!isWithinRange(corner?.latitude, -90, 90) || !isWithinRange(corner?.longitude, -180, 180)) {
+                    throw new TypeError(`Invalid waiver corner: ${JSON.stringify(corner)}`);
+                }
+                return new GeoLocation(corner.latitude, corner.longitude);
+            })));
+        } catch (error) {
+            errors.push(new ForecastValidationError('site.waiver', error.message));
+            return null;
+        }
+        return waiverArea;
+    }
+
+    if (!isWithinRange(waiver.radius, Number.MIN_VALUE, Infinity)) {
+        return null;
+    }
+    let waiverCenter = launchLocation;
+    if (isWithinRange(waiver.latitude, -90, 90) && isWithinRange(waiver.longitude, -180, 180)) {
+        waiverCenter = new GeoLocation(waiver.latitude, waiver.longitude);
+    }
+    waiverArea.setCircle(waiverCenter, waiver.radius);
+    return waiverArea;
+}
+
+/**
+ * Builds the launch site's go/no-go rules from a request. Rules left out keep their defaults, so every
+ * launch is held to NFPA 1127's 20 MPH wind limit and the waiver unless the site says otherwise.
+ * @param   {Object} rules - Optional maxSurfaceWind (MPH), maxLandingDistance (ft, zero for no limit),
+ * requireInsideWaiver, requireBelowCeiling, and hazardBuffer (ft, default 300) kept between landings and any hazard
+ * without a buffer of its own.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {LaunchRuleSet} The launch site's rules, or null if invalid.
+ */
+function loadLaunchRules(rules, errors) {
+    const ruleSet = new LaunchRuleSet();
+    if (null == rules) {
+        return ruleSet;
+    }
+
+    if (null != rules.maxSurfaceWind) {
+        if (!isWithinRange(rules.maxSurfaceWind, 0, Infinity)) {
+            errors.push(new ForecastValidationError('site.rules.maxSurfaceWind', `Maximum surface wind is not valid: ${rules.maxSurfaceWind}`));
+            return null;
+        }
+        ruleSet.setMaxSurfaceWind(rules.maxSurfaceWind);
+    }
+
+    if (null != rules.maxLandingDistance) {
+        if (!isWithinRange(rules.maxLandingDistance, 0, Infinity)) {
+            errors.push(new ForecastValidationError('site.rules.maxLandingDistance', `Maximum landing distance is not valid: ${rules.maxLandingDistance}`));
+            return null;
+        }
+        ruleSet.setMaxLandingDistance(rules.maxLandingDistance);
+    }
+
+    if (null != rules.hazardBuffer) {
+        if (!isWithinRange(rules.hazardBuffer, 0, Infinity)) {
+            errors.push(new ForecastValidationError('site.rules.hazardBuffer', `Hazard buffer is not valid: ${rules.hazardBuffer}`));
+            return null;
+        }
+        ruleSet.setHazardBuffer(rules.hazardBuffer);
+    }
+
+    ruleSet.setRequireInsideWaiver(false != rules.requireInsideWaiver);
+    ruleSet.setRequireBelowCeiling(false != rules.requireBelowCeiling);
+    return ruleSet;
+}
+
+/**
+ * Builds the hazards near the launch site from a request.
+ * @param   {Array.<Object>} hazards - Name, type (point, line, or polygon), coordinates listing the latitude and
+ * longitude of each vertex, and optional buffer (ft) replacing the rules' hazardBuffer for every hazard.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {Array.<HazardFeature>} The hazards near the launch site, or null if invalid.
+ */
+function loadHazards(hazards, errors) {
+    const hazardList = [];
+    if (null == hazards) {
+        return hazardList;
+    } else if (!Array.isArray(hazards)) {
+        errors.push(new ForecastValidationError('site.hazards', `The hazards must be a list: ${JSON.stringify(hazards)}`));
+        return null;
+    }
+
+    for (let index = 0; index < hazards.length; ++index) {
+        const hazard = hazards[index];
+        if (null == hazard || 'object' != typeof hazard) {
+            errors.push(new ForecastValidationError(`site.hazards.${index}`, `Hazard ${index + 1} is not valid: ${JSON.stringify(hazard)}`));
+            return null;
+        }
+
+        const hazardName = `${hazard.name ?? ''}`.trim() || `Hazard ${index + 1}`;
+        if (null != hazard.buffer && !isWithinRange(hazard.buffer, 0, Infinity)) {
+            errors.push(new ForecastValidationError(`site.hazards.${index}.buffer`, `Buffer for the hazard ${hazardName} is not valid: ${hazard.buffer}`));
+            return null;
+        }
+
+        try {
+            const coordinates = (Array.isArray(hazard.coordinates) ? hazard.coordinates : []).map((vertex) => {
+                if (!isWithinRange(vertex?.latitude, -90, 90) || !isWithinRange(vertex?.longitude, -180, 180)) {
+                    throw new TypeError(`Invalid coordinates in the hazard ${hazardName}: ${JSON.stringify(vertex)}`);
+                }
+                return new GeoLocation(vertex.latitude, vertex.longitude);
+            });
+            const hazardFeature = new HazardFeature(hazardName, hazard.type ?? HazardType.POINT, coordinates);
+            hazardFeature.setBuffer(hazard.buffer);
+            hazardList.push(hazardFeature);
+        } catch (error) {
+            errors.push(new ForecastValidationError(`site.hazards.${index}`, error.message));
+            return null;
+        }
+    }
+    return hazardList;
+}
+
+/**
+ * Builds the launch window from a request.
+ * @param   {Object} launchWindow - Date (YYYY-MM-DD), start time (HH:MM), end time (HH:MM), and optional last day
+ * (YYYY-MM-DD) of the launch.
+ * @param   {string} timeZone - IANA timezone of the launch site, or empty to use this computer's timezone.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {LaunchTimeData} Launch times, or null if invalid.
+ */
+function loadLaunchTimes(launchWindow, timeZone, errors) {
+    if (null == launchWindow) {
+        errors.push(new ForecastValidationError('window', 'A launch window is required.'));
+        return null;
+    }
+
+    const siteTimeZone = timeZone || null;
+    if (null != siteTimeZone && !isValidTimeZone(siteTimeZone)) {
+        errors.push(new ForecastValidationError('site.timezone', `The launch site timezone is not known: ${siteTimeZone}`));
+        return null;
+    }
+
+    let launchTimes = null;
+    try {
+        launchTimes = new LaunchTimeData(launchWindow.date ?? '', launchWindow.startTime ?? '', launchWindow.endTime ?? '',
+                                         launchWindow.endDate ?? launchWindow.date ?? '', siteTimeZone);
+    } catch (error) {
+        errors.push(new ForecastValidationError('window', error.message));
+        return null;
+    }
+    return launchTimes;
+}
+
+/**
+ * Builds the weathercock table from a request, placing the rocket's normal apogee at zero wind.
+ * @param   {number} apogee - Altitude (ft AGL) the rocket reaches without wind.
+ * @param   {Object} weathercock - Table rows and extrapolation from the request.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {Array.<WeathercockWindData>} Weathercock table, or null if invalid.
+ */
+function loadWeathercockTable(apogee, weathercock, errors) {
+    const weathercockData = [new WeathercockWindData(0, 0, apogee)];
+
+    const rows = weathercock.data ?? [];
+    for (let index = 0; index < rows.length; ++index) {
+        const row = rows[index];
+        const field = `rocket.weathercock.data.${index}`;
+
+        if (!isWithinRange(row.windSpeed, Number.MIN_VALUE, Infinity)) {
+            errors.push(new ForecastValidationError(`${field}.windSpeed`, `Weathercock wind speed must be greater than zero: ${row.windSpeed}`));
+            return null;
+        }
+        if (!isWithinRange(row.upwindDistance, 0, Infinity)) {
+            errors.push(new ForecastValidationError(`${field}.upwindDistance`, `Weathercock distance at ${row.windSpeed} MPH is not valid: ${row.upwindDistance}`));
+            return null;
+        }
+        if (!isWithinRange(row.apogee, Number.MIN_VALUE, Infinity)) {
+            errors.push(new ForecastValidationError(`${field}.apogee`, `Weathercock apogee at ${row.windSpeed} MPH is not valid: ${row.apogee}`));
+            return null;
+        }
+
+        // Interpolation requires each row to be faster than the one before it
+        const previousData = weathercockData[weathercockData.length - 1];
+        if (row.windSpeed <= previousData.windSpeed) {
+            errors.push(new ForecastValidationError(`${field}.windSpeed`, `Weathercock wind speeds must be strictly increasing, but ${row.windSpeed} MPH follows ${previousData.windSpeed} MPH.`));
+            return null;
+        }
+        weathercockData.push(new WeathercockWindData(row.windSpeed, row.upwindDistance, row.apogee));
+    }
+    return weathercockData;
+}
+
+/**
+ * Builds the rocket described by a request along with its recovery system.
+ * @param   {Object} rocket - Rocket values from the request.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems preventing the forecast.
+ * @param   {Array.<ForecastValidationError>} warnings - Receives any problems that were worked around.
+ * @returns {RocketBase} The rocket to be simulated, or null if invalid.
+ */
+function loadRocket(rocket, errors, warnings) {
+    if (null == rocket) {
+        errors.push(new ForecastValidationError('rocket', 'A rocket is required.'));
+        return null;
+    }
+
+    // A motor's thrust curve determines the apogee instead of the user's estimate
+    const motor = rocket.motor ?? null;
+    if (null == motor && !isWithinRange(rocket.apogee, Number.MIN_VALUE, Infinity)) {
+        errors.push(new ForecastValidationError('rocket.apogee', `Apogee is not a valid height above ground: ${rocket.apogee}.`));
+        return null;
+    }
+
+    const mainDescentRate = rocket.mainDescentRate;
+    if (!isWithinRange(mainDescentRate, Number.MIN_VALUE, Infinity)) {
+        errors.push(new ForecastValidationError('rocket.mainDescentRate', `The main descent rate is not valid: ${mainDescentRate}`));
+        return null;
+    }
+
+    let rocketDetails = null;
+    if (null != motor) {
+        const ascent = rocket.ascent ?? {};
+        const ascentFields = ['mass', 'diameter', 'dragCoefficient', 'railLength', 'railAngle', 'railBearing'];
+        for (const ascentField of ascentFields) {
+            if (!isWithinRange(ascent[ascentField], 0, Infinity)) {
+                errors.push(new ForecastValidationError(`rocket.ascent.${ascentField}`, `Rocket properties must be positive numbers when using a motor: ${ascent[ascentField]}`));
+                return null;
+            }
+        }
+
+        try {
+            rocketDetails = new RocketThrustCurve(motor, ...ascentFields.map((ascentField) => ascent[ascentField]));
+        } catch (error) {
+            errors.push(new ForecastValidationError('rocket.motor', `Unable to simulate the ${motor.name} ascent. ${error.message}`));
+            return null;
+        }
+    } else if (null != rocket.weathercock) {
+        const weathercockData = loadWeathercockTable(rocket.apogee, rocket.weathercock, errors);
+        if (null == weathercockData) {
+            return null;
+        }
+
+        try {
+            rocketDetails = new RocketWeathercocking(rocket.apogee, weathercockData, rocket.weathercock.extrapolation ?? WeathercockExtrapolation.CLAMP);
+        } catch (error) {
+            errors.push(new ForecastValidationError('rocket.weathercock.extrapolation', error.message));
+            return null;
+        }
+    } else {
+        rocketDetails = new RocketApogee(rocket.apogee);
+    }
+
+    // Invalid dual deployment settings fall back on a single deployment at apogee
+    let usingDualDeployment = (null != rocket.mainDeployAltitude || null != rocket.drogueDescentRate);
+    if (usingDualDeployment) {
+        const mainDeployAltitude = rocket.mainDeployAltitude;
+        const drogueDescentRate = rocket.drogueDescentRate;
+
+        if (!isWithinRange(mainDeployAltitude, 0, Infinity)) {
+            warnings.push(new ForecastValidationError('rocket.mainDeployAltitude', `Defaulting to single deployment due to an invalid secondary deployment altitude: ${mainDeployAltitude}`));
+            usingDualDeployment = false;
+        } else if (!isWithinRange(drogueDescentRate, 0, Infinity)) {
+            warnings.push(new ForecastValidationError('rocket.drogueDescentRate', `Defaulting to single deployment due to an invalid drogue decent rate: ${drogueDescentRate}`));
+            usingDualDeployment = false;
+        } else if ((null == motor) && (mainDeployAltitude > rocket.apogee)) {
+            warnings.push(new ForecastValidationError('rocket.mainDeployAltitude', `Defaulting to single deployment since second deployment ${mainDeployAltitude} is higher than apogee ${rocket.apogee}`));
+            usingDualDeployment = false;
+        } else if (0 == mainDeployAltitude) {
+            warnings.push(new ForecastValidationError('rocket.mainDeployAltitude', 'Defaulting to single deployment since second deployment is set at ground level.'));
+            usingDualDeployment = false;
+        } else if (0 == drogueDescentRate) {
+            warnings.push(new ForecastValidationError('rocket.drogueDescentRate', 'Defaulting to single deployment since drogue decent rate is 0.'));
+            usingDualDeployment = false;
+        }
+
+        if (usingDualDeployment) {
+            rocketDetails.setDualDeployment(drogueDescentRate, mainDeployAltitude, mainDescentRate);
+        }
+    }
+
+    if (!usingDualDeployment) {
+        rocketDetails.setSingleDeployment(mainDescentRate);
+    }
+
+    // Descent rates may have been measured at a different air density than the rocket falls through
+    if (null != rocket.airDensityReferenceAltitude) {
+        if (!isWithinRange(rocket.airDensityReferenceAltitude, -Infinity, Infinity)) {
+            errors.push(new ForecastValidationError('rocket.airDensityReferenceAltitude', `Descent rate reference altitude is not a valid number: ${rocket.airDensityReferenceAltitude}`));
+            return null;
+        }
+        rocketDetails.setAirDensityCorrection(true, rocket.airDensityReferenceAltitude);
+    }
+
+    return rocketDetails;
+}
+
+/**
+ * Identifies which failure scenarios apply to the rocket, applying any ballistic properties provided.
+ * @param   {Object} failureScenarios - Failure scenario values from the request, or null to skip them.
+ * @param   {RocketBase} rocketDetails - Rocket which receives the ballistic mass and drag estimate.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {Array.<number>} LaunchScenario values to simulate after each nominal launch, or null if invalid.
+ */
+function loadFailureScenarios(failureScenarios, rocketDetails, errors) {
+    if (null == failureScenarios) {
+        return [];
+    }
+
+    // Parachute failures only differ from the nominal flight when two deployment events are expected
+    const scenarioList = [];
+    if (rocketDetails.usingDualDeployment()) {
+        scenarioList.push(LaunchScenario.DROGUE_ONLY);
+        scenarioList.push(LaunchScenario.EARLY_MAIN);
+    }
+
+    // A ballistic descent can only be estimated when the rocket's mass and size are known
+    const ballistic = failureScenarios.ballistic ?? null;
+    if (null == ballistic) {
+        if (rocketDetails.getBallisticDescentRate() > 0) {
+            scenarioList.push(LaunchScenario.BALLISTIC);
+        }
+        return scenarioList;
+    }
+
+    const ballisticFields = ['dryMass', 'diameter', 'dragCoefficient'];
+    for (const ballisticField of ballisticFields) {
+        if (!isWithinRange(ballistic[ballisticField], Number.MIN_VALUE, Infinity)) {
+            errors.push(new ForecastValidationError(`failureScenarios.ballistic.${ballisticField}`, `Ballistic mass, diameter, and drag coefficient must be positive numbers: ${ballistic[ballisticField]}`));
+            return null;
+        }
+    }
+
+    rocketDetails.setBallisticProperties(...ballisticFields.map((ballisticField) => ballistic[ballisticField]));
+    scenarioList.push(LaunchScenario.BALLISTIC);
+    return scenarioList;
+}
+
+/**
+ * Builds the dispersion tolerances from a request.
+ * @param   {Object} dispersion - Dispersion values from the request.
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {DispersionTolerances} Tolerances to apply, or null if invalid.
+ */
+function loadDispersionTolerances(dispersion, errors) {
+    if (!isWithinRange(dispersion.runCount, 1, Infinity)) {
+        errors.push(new ForecastValidationError('dispersion.runCount', `Dispersion runs per hour must be a positive number: ${dispersion.runCount}`));
+        return null;
+    }
+
+    const tolerances = dispersion.tolerances ?? {};
+    const toleranceFields = ['apogee', 'drogueRate', 'mainRate', 'deployAltitude', 'windSpeed', 'windDirection'];
+    for (const toleranceField of toleranceFields) {
+        if (!isWithinRange(tolerances[toleranceField], 0, Infinity)) {
+            errors.push(new ForecastValidationError(`dispersion.tolerances.${toleranceField}`, `Dispersion tolerances must be positive numbers: ${tolerances[toleranceField]}`));
+            return null;
+        }
+    }
+
+    return new DispersionTolerances(...toleranceFields.map((toleranceField) => tolerances[toleranceField]));
+}
+
+/**
+ * Builds the wind measured at the launch pad from a request by averaging its readings.
+ * @param   {Object} surfaceWind - Readings of speed (MPH) and direction, with an optional blendingHeight (ft AGL).
+ * @param   {Array.<ForecastValidationError>} errors - Receives any problems found.
+ * @returns {{wind: WindAtAltitude, blendingHeight: number}} Average measured wind (knots) and the altitude
+ * where the forecast is used unchanged, or null if invalid.
+ */
+function loadSurfaceWind(surfaceWind, errors) {
+    const readings = surfaceWind.readings ?? [];
+    if (0 == readings.length) {
+        errors.push(new ForecastValidationError('surfaceWind.readings', 'At least one surface wind reading is required.'));
+        return null;
+    }
+
+    const windReadings = [];
+    for (let index = 0; index < readings.length; ++index) {
+        const reading = readings[index];
+        const field = `surfaceWind.readings.${index}`;
+
+        if (!isWithinRange(reading.speed, 0, Infinity)) {
+            errors.push(new ForecastValidationError(`${field}.speed`, `Surface wind speed is not valid: ${reading.speed}`));
+            return null;
+        }
+        if (!isWithinRange(reading.direction, 0, 360)) {
+            errors.push(new ForecastValidationError(`${field}.direction`, `Surface wind direction is not valid: ${reading.direction}`));
+            return null;
+        }
+
+        // Forecasts use knots, while readings are entered in MPH like the weathercock table
+        windReadings.push(new WindAtAltitude(0, reading.speed / 1.15078, reading.direction));
+    }
+
+    const blendingHeight = surfaceWind.blendingHeight ?? 300;
+    if (!isWithinRange(blendingHeight, Number.MIN_VALUE, Infinity)) {
+        errors.push(new ForecastValidationError('surfaceWind.blendingHeight', `Surface wind blending height must be greater than zero: ${blendingHeight}`));
+        return null;
+    }
+
+    return { wind: getAverageWindReading(windReadings), blendingHeight: blendingHeight };
+}
+
+/**
+ * Simulates the rocket's flight at every time step of a launch window without relying upon a browser.
+ * Every value is validated before winds are requested, and any problems are returned with the
+ * path of the offending request value so callers can report them however suits them.
+ * @param {Object} request - Everything needed to forecast the rocket's drift.
+ * @param {Object} request.site - Launch site with name, latitude, longitude, optional elevation (ft MSL),
+ * optional waiver of latitude, longitude, and radius (nautical miles) or outlines of polygons listing the latitude
+ * and longitude of their corners with an optional ceiling (ft MSL), optional IANA timezone such as
+ * America/Denver, optional hazards listing the name, type (point, line, or polygon), coordinates, and optional buffer (ft)
+ * of features where landings are unacceptable, and optional go/no-go rules. Launch times are read from the site's clock,
+ * or this computer's clock without a timezone.
+ * @param {Object} request.rocket - Rocket with apogee (ft AGL), mainDescentRate (ft/s), optional
+ * mainDeployAltitude (ft AGL) and drogueDescentRate (ft/s) for dual deployment, optional weathercock
+ * table of data rows and extrapolation, optional motor with ascent properties, and optional
+ * airDensityReferenceAltitude (ft MSL).
+ * @param {Object} request.window - Launch date (YYYY-MM-DD), startTime (HH:MM), endTime (HH:MM), optional endDate
+ * (YYYY-MM-DD) repeating the same hours each day through the last day, and optional timeStep (minutes, default 60)
+ * between launches. Launches between hours interpolate the hourly forecasts.
+ * @param {WindProviderBase|string} [request.provider] - Supplies one wind forecast per hour from each of its
+ * models, or the id of a registered provider. Defaults to Open-Meteo.
+ * @param {Object} [request.descent] - Descent method and timeStep (seconds) used to integrate the descent.
+ * @param {Object} [request.failureScenarios] - Simulate parachute failures, with optional ballistic properties.
+ * @param {Object} [request.dispersion] - Landing dispersion runCount and tolerances.
+ * @param {Object} [request.surfaceWind] - Wind readings at the launch pad of speed (MPH) and direction, blended into
+ * each forecast below blendingHeight (ft AGL, default 300). Weathercocking then uses the measured wind.
+ * @returns {Promise<DriftForecastResult>} Simulations for every launch time along with landing probabilities for an
+ * ensemble forecast, or the problems preventing them. Each simulation is checked against the waiver when one is given,
+ * and every simulation is given a go/no-go decision from the site's rules.
+ */
+async function runDriftForecast({ site, rocket, window: launchWindow, provider = getWindProvider(), descent = {}, failureScenarios = null, dispersion = null, surfaceWind = null }) {
+    const errors = [];
+    const warnings = [];
+    const invalidResult = () => new DriftForecastResult([], [], null, null, errors, warnings);
+
+    const windProvider = ('string' == typeof provider) ? getWindProvider(provider) : provider;
+    if (!(windProvider instanceof WindProviderBase)) {
+        errors.push(new ForecastValidationError('provider', `Unknown wind provider: ${provider}`));
+        return invalidResult();
+    }
+
+    const launchTimes = loadLaunchTimes(launchWindow, site?.timezone, errors);
+    if (null != launchTimes) {
+        const availabilityError = windProvider.getAvailabilityError(launchTimes);
+        if (null != availabilityError) {
+            errors.push(new ForecastValidationError('window.date', availabilityError));
+        }
+    }
+
+    // Launch once per hour unless a shorter time step (minutes) is requested
+    const launchTimeStep = launchWindow?.timeStep ?? 60;
+    if (!isWithinRange(launchTimeStep, 1, 24 * 60)) {
+        errors.push(new ForecastValidationError('window.timeStep', `Launch time step must be a number of minutes from 1 to 1440: ${launchTimeStep}`));
+    }
+    const launchLocation = loadSiteLocation(site, errors);
+    const waiverArea = loadWaiverArea(site?.waiver, launchLocation, errors);
+    const ruleSet = loadLaunchRules(site?.rules, errors);
+    const hazardList = loadHazards(site?.hazards, errors);
+    const rocketDetails = loadRocket(rocket, errors, warnings);
+    if (0 != errors.length) {
+        return invalidResult();
+    }
+
+    const scenarioList = loadFailureScenarios(failureScenarios, rocketDetails, errors);
+    if (null == scenarioList) {
+        return invalidResult();
+    }
+
+    // Identify how the rocket's descent should be integrated
+    const descentMethod = descent.method ?? DescentMethod.WIND_BANDS;
+    const descentTimeStep = descent.timeStep ?? 0.5;
+    if (!Object.values(DescentMethod).includes(descentMethod)) {
+        errors.push(new ForecastValidationError('descent.method', `Unknown descent method: ${descentMethod}`));
+        return invalidResult();
+    }
+    if (DescentMethod.TIME_STEPS == descentMethod && !isWithinRange(descentTimeStep, Number.MIN_VALUE, Infinity)) {
+        errors.push(new ForecastValidationError('descent.timeStep', `Descent time step must be a positive number of seconds: ${descentTimeStep}`));
+        return invalidResult();
+    }
+
+    let dispersionTolerances = null;
+    if (null != dispersion) {
+        dispersionTolerances = loadDispersionTolerances(dispersion, errors);
+        if (null == dispersionTolerances) {
+            return invalidResult();
+        }
+    }
+
+    let measuredSurfaceWind = null;
+    if (null != surfaceWind) {
+        measuredSurfaceWind = loadSurfaceWind(surfaceWind, errors);
+        if (null == measuredSurfaceWind) {
+            return invalidResult();
+        }
+    }
+
+    // Each model supplies its own forecast for every hour
+    const modelForecastList = (await windProvider.getModelWindForecasts(launchLocation, launchTimes) ?? [])
+        .filter((windForecastList) => null != windForecastList && windForecastList.some((windForecast) => null != windForecast));
+    if (0 == modelForecastList.length) {
+        errors.push(new ForecastValidationError('provider', `Unable to obtain a ${windProvider.name} wind forecast for the launch window.`));
+        return invalidResult();
+    }
+
+    // Use the site's surveyed elevation when known, otherwise the forecast's ground elevation (meters)
+    let launchSiteElevation = site.elevation;
+    if (!isWithinRange(launchSiteElevation, 0, Infinity)) {
+        launchSiteElevation = Math.round(metersToFeet(modelForecastList[0].find((windForecast) => null != windForecast).groundElevation));
+    }
+
+    const launchLocationDetails = new LaunchLocationData(launchLocation, launchSiteElevation, site.name ?? '');
+    launchLocationDetails.setWaiverArea(waiverArea);
+    launchLocationDetails.setTimeZone(launchTimes.timeZone);
+    launchLocationDetails.setHazards(hazardList);
+
+    // Every completed simulation is judged against the waiver and then the launch site's rules
+    const checkLaunchSimulation = (launchSimulation) => {
+        launchSimulation.setWaiverContainment(checkWaiverContainment(launchSimulation, waiverArea));
+        launchSimulation.setLaunchDecision(evaluateLaunchRules(launchSimulation, ruleSet, hazardList));
+    };
+
+    // Winds beyond the weathercock table are reported once for the whole window rather than for every launch.
+    // The table always begins with the rocket's apogee at zero wind, which alone is no weathercocking at all.
+    const weathercockData = (rocketDetails instanceof RocketWeathercocking) ? rocketDetails.weathercockData : [];
+    let fastestGroundWindSpeed = 0;
+
+    const simulationList = [];
+    const dispersionResultList = [];
+    const launchTimeList = [];
+    for (const dailyWindow of launchTimes.dailyWindows) {
+        for (let launchTime = new Date(dailyWindow.startTime); launchTime <= dailyWindow.endTime; launchTime = new Date(launchTime.getTime() + (launchTimeStep * 60000))) {
+            launchTimeList.push(launchTime);
+        }
+    }
+
+    for (const launchTime of launchTimeList) {
+        // Forecasts are hourly, so launches between hours interpolate the surrounding forecasts
+        const forecastHours = launchTimes.getForecastHours(launchTime);
+        const hourIndex = Math.floor(forecastHours);
+        const hourFraction = forecastHours - hourIndex;
+
+        // Keep every model's simulations for the same time together so they may be compared
+        for (const windForecastList of modelForecastList) {
+            let windForecast = windForecastList[hourIndex] ?? null;
+            if (null != windForecast && hourFraction > 0) {
+                const laterForecast = windForecastList[hourIndex + 1] ?? null;
+                windForecast = (null == laterForecast) ? null : windForecast.getInterpolatedCopy(laterForecast, hourFraction);
+            }
+
+            if (null == windForecast) {
+                // Skip just this time so the remaining launches keep their launch times
+                const modelName = windForecastList.find((modelForecast) => null != modelForecast).model;
+                warnings.push(new ForecastValidationError('provider', `No ${modelName} wind forecast is available for ${getLaunchTimeText(launchTime, launchTimes.timeZone)}.`));
+            } else {
+                if (null != measuredSurfaceWind) {
+                    windForecast = windForecast.getBlendedCopy(measuredSurfaceWind.wind, measuredSurfaceWind.blendingHeight);
+                }
+                fastestGroundWindSpeed = Math.max(fastestGroundWindSpeed, 1.15078 * windForecast.groundWindSpeed);
+
+                let launchSimulation = null;
+                if (null != dispersionTolerances) {
+                    const dispersionResult = dispersionSimulation(launchLocationDetails,
+                        launchTime,
+                        rocketDetails,
+                        windForecast,
+                        dispersionTolerances,
+                        dispersion.runCount,
+                        descentMethod,
+                        descentTimeStep
+                    );
+
+                    if (null != dispersionResult) {
+                        dispersionResultList.push(dispersionResult);
+                        launchSimulation = dispersionResult.nominal;
+                    }
+                }
+
+                if (null == launchSimulation) {
+                    launchSimulation = driftSimulation(launchLocationDetails,
+                        launchTime,
+                        rocketDetails,
+                        windForecast,
+                        descentMethod,
+                        descentTimeStep
+                    );
+                }
+
+                // Winds which stop short of apogee cannot carry the rocket back down
+                if (null == launchSimulation) {
+                    warnings.push(new ForecastValidationError('provider', `The ${windForecast.model} winds do not reach apogee at ${getLaunchTimeText(launchTime, launchTimes.timeZone)}.`));
+                    continue;
+                }
+
+                // Add this completed simulation to the list
+                checkLaunchSimulation(launchSimulation);
+                simulationList.push(launchSimulation);
+
+                // Follow the nominal simulation with each failure scenario for the same time
+                for (const scenario of scenarioList) {
+                    const scenarioSimulation = driftSimulation(launchLocationDetails,
+                        launchTime,
+                        rocketDetails,
+                        windForecast,
+                        descentMethod,
+                        descentTimeStep,
+                        scenario
+                    );
+
+                    if (null != scenarioSimulation) {
+                        checkLaunchSimulation(scenarioSimulation);
+                        simulationList.push(scenarioSimulation);
+                    }
+                }
+            }
+        }
+    }
+
+    if (weathercockData.length > 1 && fastestGroundWindSpeed > weathercockData[weathercockData.length - 1].windSpeed) {
+        const fastestEntry = weathercockData[weathercockData.length - 1].windSpeed;
+        if (WeathercockExtrapolation.LINEAR == rocketDetails.extrapolation) {
+            warnings.push(new ForecastValidationError('rocket.weathercock.data', `Extrapolating weathercocking for winds up to ${fastestGroundWindSpeed.toFixed(1)} MPH beyond the fastest entry of ${fastestEntry} MPH.`));
+        } else {
+            warnings.push(new ForecastValidationError('rocket.weathercock.data', `Clamping weathercocking for winds up to ${fastestGroundWindSpeed.toFixed(1)} MPH to the fastest entry of ${fastestEntry} MPH.`));
+        }
+    }
+
+    // Every ensemble member is equally likely, so their landings estimate where the rocket may land
+    let landingProbabilities = [];
+    if (windProvider.isEnsemble) {
+        landingProbabilities = landingProbabilityAnalysis(simulationList);
+    }
+
+    return new DriftForecastResult(simulationList, dispersionResultList, launchLocationDetails, rocketDetails, errors, warnings, landingProbabilities);
+}
+
+export { ForecastValidationError, DriftForecastResult };
+export { runDriftForecast };
@@ -1,8 +1,14 @@
-import { DescentData, LaunchSimulationData, LaunchLocationData } from './launch.js';
-import { RocketBase } from './rocket.js';
+import { DescentData, LaunchPathPoint, LaunchSimulationData, LaunchLocationData, LaunchScenario } from './launch.js';
+import { RocketBase, RocketVariant } from './rocket.js';
 import { WindForecastData } from './wind.js';
 
-import { getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, driftWithWind } from "./wind.js";
+import { getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, getWindAtAltitude, driftWithWind } from "./wind.js";
+
+/* Identifies how the rocket's descent from apogee is integrated. */
+const DescentMethod = Object.freeze({
+    WIND_BANDS: 0,
+    TIME_STEPS: 1
+});
 
 /**
  * Simulate the rocket's descent path from apogee utilizing the provided winds at altitude.
@@ -10,9 +16,19 @@ import { getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, dr
  * @param   {Date} launchTime - Date including the hour when this launch occurs.
  * @param   {RocketBase} rocketDetails - Provides all data related to the rocket vehicle.
  * @param   {WindForecastData} windForecast - List of wind values at ascending altitudes.
+ * @param   {number} descentMethod - DescentMethod value selecting how the descent is integrated.
+ * @param   {number} timeStep - Duration (seconds) of each step when integrating with DescentMethod.TIME_STEPS.
+ * @param   {number} scenario - LaunchScenario value identifying which recovery outcome to simulate.
  * @returns {LaunchSimulationData} A launch simulation data object, or null if an error is encountered.
  */
-function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast) {
+function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast, descentMethod = DescentMethod.WIND_BANDS, timeStep = 0.5, scenario = LaunchScenario.NOMINAL) {
+    // Failure scenarios descend with an altered recovery system.
+    const descendingRocket = getScenarioRocket(rocketDetails, scenario);
+    if (null == descendingRocket) {
+        console.debug(`Rocket recovery system does not support simulating scenario ${scenario}.`);
+        return null;
+    }
+
      // Initialize this simulation list with the rocket's launch path.
     const launchPath = rocketDetails.getLaunchPath(launchTime, launchDetails, windForecast);
 
@@ -24,6 +40,92 @@ function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast)
     // The final launch path entry identifies the rocket's location at apogee.
     const apogeePathPoint = launchPath[launchPath.length - 1];
 
+    let descentPath = null;
+    if (DescentMethod.TIME_STEPS == descentMethod) {
+        descentPath = descendInTimeSteps(apogeePathPoint, launchDetails, descendingRocket, windForecast, timeStep);
+    } else {
+        descentPath = descendThroughWindBands(apogeePathPoint, launchDetails, descendingRocket, windForecast);
+    }
+
+    if (null == descentPath) {
+        return null;
+    }
+
+    // Convert wind speed to MPH for comparison with user supplied values
+    const groundWindSpeed = Math.round(windForecast.windData[0].windSpeed * 1.15078);
+
+    // Create an object to hold this simulation's results now that we have some data
+    const launchSimulation = new LaunchSimulationData(launchDetails.altitude,
+                                                launchTime.getHours(),
+                                                groundWindSpeed,
+                                                windForecast.windData[0].windDirection,
+                                                windForecast.model,
+                                                scenario,
+                                                launchTime.getMinutes(),
+                                                new Date(launchTime.getFullYear(), launchTime.getMonth(), launchTime.getDate()));
+
+    // Begin with all points generated during the rocket's launch simulation.
+    launchPath.forEach((launchPathPoint) => launchSimulation.addLaunchPathPoint(launchPathPoint.altitude, launchPathPoint.location));
+
+    // Now append the descent path points.
+    descentPath.forEach((descentPathPoint) => launchSimulation.addLaunchPathPoint(descentPathPoint.altitude, descentPathPoint.location));
+
+    return launchSimulation;
+}
+
+/**
+ * Provides a rocket whose recovery system behaves as described by a failure scenario.
+ * @param   {RocketBase} rocketDetails - Provides all data related to the rocket vehicle.
+ * @param   {number} scenario - LaunchScenario value identifying which recovery outcome to simulate.
+ * @returns {RocketBase} Rocket to use for the descent, or null if the scenario does not apply to this rocket.
+ */
+function getScenarioRocket(rocketDetails, scenario) {
+    if (LaunchScenario.NOMINAL == scenario) {
+        return rocketDetails;
+    }
+
+    const scenarioRocket = new RocketVariant(rocketDetails);
+    switch (scenario) {
+        case LaunchScenario.DROGUE_ONLY:
+            // Main parachute never deploys, so the drogue carries the rocket to the ground.
+            if (!rocketDetails.usingDualDeployment()) {
+                return null;
+            }
+            scenarioRocket.setSingleDeployment(rocketDetails.getDrogueDescentRate());
+            break;
+        case LaunchScenario.EARLY_MAIN:
+            // Main parachute deploys at apogee along with the drogue.
+            if (!rocketDetails.usingDualDeployment()) {
+                return null;
+            }
+            scenarioRocket.setSingleDeployment(rocketDetails.getMainDescentRate());
+            break;
+        case LaunchScenario.BALLISTIC: {
+            // Terminal velocity is always calculated at sea level, so it must be adjusted for air density.
+            const ballisticDescentRate = rocketDetails.getBallisticDescentRate();
+            if (ballisticDescentRate <= 0) {
+                return null;
+            }
+            scenarioRocket.setSingleDeployment(ballisticDescentRate);
+            scenarioRocket.setAirDensityCorrection(true, 0);
+            break;
+        }
+        default:
+            return null;
+    }
+
+    return scenarioRocket;
+}
+
+/**
+ * Moves the rocket from apogee to the ground in a single hop per wind band using each band's average wind.
+ * @param   {LaunchPathPoint} apogeePathPoint - The rocket's altitude and location at apogee.
+ * @param   {LaunchLocationData} launchDetails - Provides all data related to the launch site.
+ * @param   {RocketBase} rocketDetails - Provides all data related to the rocket vehicle.
+ * @param   {WindForecastData} windForecast - List of wind values at ascending altitudes.
+ * @returns {Array.<LaunchPathPoint>} Points along the descent following apogee, or null if an error is encountered.
+ */
+function descendThroughWindBands(apogeePathPoint, launchDetails, rocketDetails, windForecast) {
     // Default apogee location to the launch site assuming no weathercocking
     let rocketLocation = apogeePathPoint.location.getCopy();
     let rocketAltitude = apogeePathPoint.altitude;
@@ -59,7 +161,7 @@ function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast)
     let windSpeed = getAverageWindSpeed(windBandPercentage, windForecast.windData, windIndex);
     let windDirection = getAverageWindDirection(windBandPercentage, windForecast.windData, windIndex);
     descentList.push(new DescentData(rocketAltitude, currentDescentRate, windSpeed, windDirection));
-    
+
     // Now iterate backward through wind bands adding to our descent list for each
     for (; windIndex >= 0; --windIndex) {
         // Should never encounter inverted altitudes
@@ -103,21 +205,8 @@ function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast)
     // Reset our descent rate to the apogee's value
     currentDescentRate = descentList[0].descentRate;
 
-    
-    // Convert wind speed to MPH for comparison with user supplied values
-    const groundWindSpeed = Math.round(windForecast.windData[0].windSpeed * 1.15078);
-
-    // Create an object to hold this simulation's results now that we have some data
-    const launchSimulation = new LaunchSimulationData(launchDetails.altitude,
-                                                launchTime.getHours(),
-                                                groundWindSpeed,
-                                                windForecast.windData[0].windDirection,
-                                                windForecast.model);
-
-    // Begin with all points generated during the rocket's launch simulation.
-    launchPath.forEach((launchPathPoint) => launchSimulation.addLaunchPathPoint(launchPathPoint.altitude, launchPathPoint.location));
+    const descentPath = [];
 
-    // Now append the descent path points.
     for (let x = 1; x < descentList.length; ++x) {
         // Get the average wind conditions between this and the previous altitude
         windSpeed = (descentList[x].windSpeed + descentList[x - 1].windSpeed) / 2.0;
@@ -134,16 +223,78 @@ function driftSimulation(launchDetails, launchTime, rocketDetails, windForecast)
             }
         }
 
-        driftWithWind(rocketLocation, windSpeed, windDirection, currentDescentRate, descentDistance);
+        // Adjust the descent rate for the air density halfway through this band
+        const bandAltitude = launchDetails.altitude + ((descentList[x - 1].altitude + descentList[x].altitude) / 2.0);
+        const bandDescentRate = rocketDetails.getDescentRateAtAltitude(currentDescentRate, bandAltitude);
+
+        driftWithWind(rocketLocation, windSpeed, windDirection, bandDescentRate, descentDistance);
 
-        // Add this to our simulation data before continuing the decent
-        launchSimulation.addLaunchPathPoint(descentList[x].altitude, rocketLocation);
+        // Add this to our descent path before continuing the decent
+        descentPath.push(new LaunchPathPoint(descentList[x].altitude, rocketLocation));
 
         // Update the descent rate with this altitude's value
         currentDescentRate = descentList[x].descentRate;
     }
 
-    return launchSimulation;
+    return descentPath;
+}
+
+/**
+ * Moves the rocket from apogee to the ground in fixed time steps, interpolating the wind at each
+ * step's altitude. Produces a dense, curved path rather than one straight hop per wind band.
+ * @param   {LaunchPathPoint} apogeePathPoint - The rocket's altitude and location at apogee.
+ * @param   {LaunchLocationData} launchDetails - Provides all data related to the launch site.
+ * @param   {RocketBase} rocketDetails - Provides all data related to the rocket vehicle.
+ * @param   {WindForecastData} windForecast - List of wind values at ascending altitudes.
+ * @param   {number} timeStep - Duration (seconds) of each integration step.
+ * @returns {Array.<LaunchPathPoint>} Points along the descent following apogee, or null if an error is encountered.
+ */
+function descendInTimeSteps(apogeePathPoint, launchDetails, rocketDetails, windForecast, timeStep) {
+    if (isNaN(timeStep) || timeStep <= 0) {
+        console.debug(`Cannot integrate the descent with an invalid time step: ${timeStep}`);
+        return null;
+    }
+
+    const windData = windForecast.windData;
+    if (0 == windData.length || windData[windData.length - 1].altitude < apogeePathPoint.altitude) {
+        console.debug(`Failed to find wind data up to altitude ${apogeePathPoint.altitude} within the ${windData.length} forecast entries.`);
+        return null;
+    }
+
+    let rocketLocation = apogeePathPoint.location.getCopy();
+    let rocketAltitude = apogeePathPoint.altitude;
+    const descentPath = [];
+
+    while (rocketAltitude > 0) {
+        // The drogue is only used above the main deployment altitude in dual deployment mode
+        const underDrogue = rocketDetails.usingDualDeployment() && (rocketAltitude > rocketDetails.getMainDeploymentAltitude());
+        const nominalDescentRate = Math.abs(underDrogue ? rocketDetails.getDrogueDescentRate() : rocketDetails.getMainDescentRate());
+        const descentRate = rocketDetails.getDescentRateAtAltitude(nominalDescentRate, launchDetails.altitude + rocketAltitude);
+        if (isNaN(descentRate) || 0 == descentRate) {
+            console.debug(`Cannot integrate the descent with an invalid descent rate: ${descentRate}`);
+            return null;
+        }
+
+        // Shorten the step rather than passing the main deployment or the ground
+        const stepFloor = underDrogue ? rocketDetails.getMainDeploymentAltitude() : 0;
+        const reachesFloor = (rocketAltitude - stepFloor) <= (descentRate * timeStep);
+        const descentDistance = reachesFloor ? (rocketAltitude - stepFloor) : (descentRate * timeStep);
+
+        // Use the wind halfway through this step's descent
+        const stepWind = getWindAtAltitude(rocketAltitude - (descentDistance / 2.0), windData);
+        driftWithWind(rocketLocation, stepWind.windSpeed, stepWind.windDirection, descentRate, descentDistance);
+
+        rocketAltitude = reachesFloor ? stepFloor : (rocketAltitude - descentDistance);
+        descentPath.push(new LaunchPathPoint(rocketAltitude, rocketLocation));
+    }
+
+    if (0 == descentPath.length) {
+        console.debug(`Apogee altitude ${apogeePathPoint.altitude} produced no descent.`);
+        return null;
+    }
+
+    return descentPath;
 }
 
-export { driftSimulation };
\ No newline at end of file
+export { DescentMethod };
+export { driftSimulation };
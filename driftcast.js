@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { WindProviderBase, OpenMeteoWindProvider, OpenMeteoEnsembleWindProvider, SavedOpenMeteoWindProvider, MeasuredWindProvider, getWindProvider, getWindProviders } from './wind_providers.js';
+import { parseMotorFile } from './motor_parser.js';
+import { parseSoundingFile } from './sounding_parser.js';
+import { parseWaiverFile } from './waiver_parser.js';
+import { parseHazardFile } from './hazard_parser.js';
+import { runDriftForecast } from './drift_forecast.js';
+import { createLandingPlotBlob, createFlightPathBlob, createGroundPathBlob, createLandingProbabilityBlob } from './kml.js';
+import { createGeoJsonBlob, createDriftResultCsvBlob } from './drift_export.js';
+
+const usage = `Usage: driftcast predict --site <site.json> --rocket <rocket.json> --date <YYYY-MM-DD>
+                        --start <HH[:MM]> [--end <HH[:MM]>] --out <file> [options]
+
+Options:
+  --format <kml|kmz|geojson|csv>   Output format. Defaults to the extension of --out.
+  --kml <landing|flight|ground|probability>
+                                   Which KML plot to write. Defaults to landing, or probability for
+                                   KMZ. The probability plot is only written as KMZ, requires an
+                                   ensemble provider, and every other plot is only written as KML.
+  --probability-time <[YYYY-MM-DDT]HH[:MM]>
+                                   Launch time whose landing probabilities are written. Defaults to the
+                                   first launch, on --date unless a day is given.
+  --end-date <YYYY-MM-DD>          Last day of a launch spanning several days, repeating the same hours each day.
+  --time-step <minutes>            Minutes between launches, interpolating the hourly forecasts. Defaults to 60.
+  --provider <id>                  Wind forecast provider (${getWindProviders().map((provider) => provider.id).join(', ')}).
+                                   Defaults to ${getWindProvider().id}.
+  --wind-file <forecast.json>      Use a saved Open-Meteo forecast instead of fetching one.
+  --save-wind <forecast.json>      Save the fetched Open-Meteo forecast for later use with --wind-file.
+  --sounding <file>                Use measured winds for every hour instead of a forecast, read from a
+                                   University of Wyoming TEXT:LIST page (.txt, .html) or RAOB CSV (.csv).
+  --surface-wind <mph>@<deg>       Wind measured at the launch pad, blended into the lowest part of each
+                                   forecast. Repeat to average a series of readings.
+  --blending-height <ft>           Altitude (ft AGL) where the forecast is used unchanged. Defaults to 300.
+  --help                           Show this message.
+
+The site file holds name, latitude, longitude, elevation (ft), an optional waiver of
+latitude, longitude, radius (NM), and ceiling (ft MSL), and an optional timezone such as
+America/Chicago. Launch times are read from the site's clock, or this computer's clock without a
+timezone. A waiverFile (.kml, .geojson) relative to the site file replaces the waiver's circle with
+its polygons. Optional rules of maxSurfaceWind (MPH, default 20), maxLandingDistance (ft),
+requireInsideWaiver, and requireBelowCeiling decide which launches are NO-GO, each of which is
+printed with its reasons. Hazards (name, type, coordinates, optional buffer in ft) and a hazardFile
+(.kml, .geojson) relative to the site file add named points, lines, and polygons to every KML and
+GeoJSON export. Launches landing within a hazard's buffer, or the rules' hazardBuffer (ft, default
+300) without one, are NO-GO.
+The rocket file holds the same rocket values as the website along with optional descent, failureScenarios, and dispersion settings. A motorFile
+(RASP .eng or RockSim .rse) relative to the rocket file may be used, picking motorName if it
+lists more than one motor.`;
+
+const outputFormats = Object.freeze({
+    '.kml': 'kml',
+    '.kmz': 'kmz',
+    '.geojson': 'geojson',
+    '.json': 'geojson',
+    '.csv': 'csv'
+});
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath - Path to the JSON file.
+ * @param {string} description - What the file holds, used within error messages.
+ * @returns {Object} The parsed contents.
+ * @throws {Error} The file could not be read or is not valid JSON.
+ */
+async function readJsonFile(filePath, description) {
+    let fileText;
+    try {
+        fileText = await readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Unable to read the ${description} file ${filePath}. ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(fileText);
+    } catch (error) {
+        throw new Error(`The ${description} file ${filePath} is not valid JSON. ${error.message}`);
+    }
+}
+
+/**
+ * Loads the motor named within a rocket file so its thrust curve can be simulated.
+ * @param {Object} rocketFile - Contents of the rocket file.
+ * @param {string} rocketPath - Path of the rocket file, which motor files are relative to.
+ * @returns {MotorData} The selected motor, or undefined if the rocket does not use one.
+ * @throws {Error} The motor file could not be read or does not contain the named motor.
+ */
+async function loadRocketMotor(rocketFile, rocketPath) {
+    if (null == rocketFile.motorFile) {
+        return undefined;
+    }
+
+    const motorPath = resolve(dirname(rocketPath), rocketFile.motorFile);
+    let motorList;
+    try {
+        motorList = parseMotorFile(basename(motorPath), await readFile(motorPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to load motors from ${motorPath}. ${error.message}`);
+    }
+
+    if (null == rocketFile.motorName) {
+        if (1 != motorList.length) {
+            throw new Error(`The motor file ${motorPath} lists ${motorList.length} motors, so motorName must pick one.`);
+        }
+        return motorList[0];
+    }
+
+    const motor = motorList.find((motorData) => motorData.name == rocketFile.motorName);
+    if (undefined == motor) {
+        throw new Error(`The motor file ${motorPath} does not list a motor named ${rocketFile.motorName}.`);
+    }
+    return motor;
+}
+
+/**
+ * Reads the waiver polygons from a KML or GeoJSON waiverFile named by the site file.
+ * @param {Object} siteFile - Parsed contents of the site file.
+ * @param {string} sitePath - Path to the site file, which waiverFile is relative to.
+ * @returns {Object} The site's waiver with the outline of each polygon, or the site's own waiver without a waiverFile.
+ */
+async function loadSiteWaiver(siteFile, sitePath) {
+    if (null == siteFile.waiverFile) {
+        return siteFile.waiver;
+    }
+
+    const waiverPath = resolve(dirname(sitePath), siteFile.waiverFile);
+    let waiverArea;
+    try {
+        waiverArea = parseWaiverFile(basename(waiverPath), await readFile(waiverPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to load the waiver from ${waiverPath}. ${error.message}`);
+    }
+
+    const outlines = waiverArea.outlines.map((outline) => outline.map((location) => ({ latitude: location.latitude, longitude: location.longitude })));
+    return { ...siteFile.waiver, outlines: outlines };
+}
+
+/**
+ * Reads the hazard points, lines, and polygons from a KML or GeoJSON hazardFile named by the site file.
+ * @param {Object} siteFile - Parsed contents of the site file.
+ * @param {string} sitePath - Path to the site file, which hazardFile is relative to.
+ * @returns {Array.<Object>} The name, type, and coordinates of each hazard in the file, followed by the site's own hazards.
+ */
+async function loadSiteHazards(siteFile, sitePath) {
+    if (null == siteFile.hazardFile) {
+        return siteFile.hazards;
+    }
+
+    const hazardPath = resolve(dirname(sitePath), siteFile.hazardFile);
+    let hazardList;
+    try {
+        hazardList = parseHazardFile(basename(hazardPath), await readFile(hazardPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to load the hazards from ${hazardPath}. ${error.message}`);
+    }
+
+    const fileHazards = hazardList.map((hazard) => ({
+        name: hazard.name,
+        type: hazard.type,
+        coordinates: hazard.coordinates.map((location) => ({ latitude: location.latitude, longitude: location.longitude }))
+    }));
+    return [...fileHazards, ...(siteFile.hazards ?? [])];
+}
+
+/* Open-Meteo forecasts which are also saved for later use with --wind-file. */
+class SavingOpenMeteoWindProvider extends WindProviderBase {
+    /**
+     * Provider requesting forecasts from Open-Meteo.
+     * @private
+     * @type {OpenMeteoWindProvider|OpenMeteoEnsembleWindProvider}
+     */
+    #provider = null;
+
+    /**
+     * Path of the file receiving each forecast.
+     * @private
+     * @type {string}
+     */
+    #filePath = '';
+
+    /**
+     * Initializes the provider requesting forecasts and the file receiving them.
+     * @param {string} filePath - Path of the file receiving each forecast.
+     * @param {OpenMeteoWindProvider|OpenMeteoEnsembleWindProvider} provider - Provider requesting forecasts from Open-Meteo.
+     */
+    constructor(filePath, provider) {
+        super(provider.id, provider.name);
+        this.#provider = provider;
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Whether the requested forecasts are members of one ensemble.
+     * @type {boolean}
+     */
+    get isEnsemble() { return this.#provider.isEnsemble; }
+
+    /**
+     * Explains why forecasts are unavailable for a launch.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {string} Reason this launch cannot be forecast, or null if it can.
+     */
+    getAvailabilityError(launchTimes) {
+        return this.#provider.getAvailabilityError(launchTimes);
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from the first model.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        return (await this.getModelWindForecasts(launchLocation, launchTimes))[0] ?? [];
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from every model, saving Open-Meteo's response.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<Array.<WindForecastData>>} A forecast for each hour in order from each model.
+     */
+    async getModelWindForecasts(launchLocation, launchTimes) {
+        const windJSON = await this.#provider.requestWindJSON(launchLocation, launchTimes);
+        if (null == windJSON) {
+            return [];
+        }
+
+        await writeFile(this.#filePath, JSON.stringify(windJSON));
+        return await new SavedOpenMeteoWindProvider(windJSON).getModelWindForecasts(launchLocation, launchTimes);
+    }
+}
+
+/**
+ * Creates the provider our drift forecast uses to obtain winds for each hour of the launch.
+ * @param {Object} options - Parsed command line options.
+ * @returns {WindProviderBase|string} The selected wind provider, or the id of a registered provider.
+ */
+async function createWindProvider(options) {
+    if (null != options['wind-file']) {
+        return new SavedOpenMeteoWindProvider(await readJsonFile(options['wind-file'], 'wind forecast'));
+    }
+
+    if (null != options.sounding) {
+        try {
+            return new MeasuredWindProvider(parseSoundingFile(basename(options.sounding), await readFile(options.sounding, 'utf8')));
+        } catch (error) {
+            throw new Error(`Unable to load winds from ${options.sounding}. ${error.message}`);
+        }
+    }
+
+    const providerId = options.provider ?? getWindProvider().id;
+    if (null != options['save-wind']) {
+        const provider = getWindProvider(providerId);
+        if (!(provider instanceof OpenMeteoWindProvider) && !(provider instanceof OpenMeteoEnsembleWindProvider)) {
+            throw new Error('Only Open-Meteo forecasts may be saved with --save-wind.');
+        }
+        return new SavingOpenMeteoWindProvider(options['save-wind'], provider);
+    }
+    return providerId;
+}
+
+/**
+ * Pads a launch time from the command line, such as 9 or 9:30, into the HH:MM form of a launch window.
+ * @param {string} timeText - Hour, optionally followed by a colon and minutes.
+ * @returns {string} The padded launch time.
+ */
+function formatLaunchTime(timeText) {
+    const [hourText, minuteText = '00'] = timeText.split(':');
+    return `${hourText.padStart(2, '0')}:${minuteText.padStart(2, '0')}`;
+}
+
+/**
+ * Reads the wind readings taken at the launch pad from the command line.
+ * @param {Object} options - Parsed command line options.
+ * @returns {Object} Surface wind values for a drift forecast request, or null if none were given.
+ * @throws {Error} A reading is not formatted as speed@direction.
+ */
+function readSurfaceWindRequest(options) {
+    if (null == options['surface-wind']) {
+        return null;
+    }
+
+    const readings = options['surface-wind'].map((readingText) => {
+        const readingMatch = readingText.match(/^([\d.]+)@([\d.]+)$/);
+        if (null == readingMatch) {
+            throw new Error(`Surface wind readings must be formatted as speed@direction: ${readingText}`);
+        }
+        return { speed: Number(readingMatch[1]), direction: Number(readingMatch[2]) };
+    });
+
+    const surfaceWind = { readings: readings };
+    if (null != options['blending-height']) {
+        surfaceWind.blendingHeight = Number(options['blending-height']);
+    }
+    return surfaceWind;
+}
+
+/**
+ * Picks the launch time whose landing probabilities are written from the command line.
+ * @param {Array.<LandingProbabilityGrid>} probabilityGridList - Landing probabilities for each launch time.
+ * @param {Object} options - Parsed command line options.
+ * @returns {LandingProbabilityGrid} The requested launch time's landing probabilities, or the first launch's if none was requested.
+ * @throws {Error} The time is not formatted as [YYYY-MM-DDT]HH[:MM] or was not simulated.
+ */
+function selectLandingProbability(probabilityGridList, options) {
+    const timeText = options['probability-time'];
+    if (null == timeText) {
+        return probabilityGridList[0];
+    }
+
+    const timeMatch = timeText.match(/^(?:(\d{4}-\d{2}-\d{2})T)?(\d{1,2})(?::(\d{2}))?$/);
+    if (null == timeMatch) {
+        throw new Error(`Probability times must be formatted as [YYYY-MM-DDT]HH[:MM]: ${timeText}`);
+    }
+
+    const [year, month, day] = (timeMatch[1] ?? options.date).split('-').map(Number);
+    const launchTime = new Date(year, month - 1, day, Number(timeMatch[2]), Number(timeMatch[3] ?? 0));
+    const probabilityGrid = probabilityGridList.find((grid) => null != grid.launchTime && grid.launchTime.getTime() == launchTime.getTime());
+    if (undefined == probabilityGrid) {
+        throw new Error(`No landing probabilities were estimated for ${timeText}. Choose one of ${probabilityGridList.map((grid) => grid.launchName).join(', ')}.`);
+    }
+    return probabilityGrid;
+}
+
+/**
+ * Formats a drift forecast's results in the requested output format.
+ * @param {DriftForecastResult} forecastResult - Results of a valid drift forecast.
+ * @param {string} format - Output format (kml, kmz, geojson, or csv).
+ * @param {string} kmlPlot - Which KML plot to create (landing, flight, ground, or probability).
+ * @param {LandingProbabilityGrid} probabilityGrid - Landing probabilities written by the probability plot.
+ * @returns {Blob} The formatted results.
+ */
+async function createOutputBlob(forecastResult, format, kmlPlot, probabilityGrid = null) {
+    const launchDetails = forecastResult.launchLocation;
+    const simulations = forecastResult.simulations;
+
+    if ('geojson' == format) {
+        return createGeoJsonBlob(launchDetails, simulations, forecastResult.dispersionResults);
+    } else if ('csv' == format) {
+        return createDriftResultCsvBlob(simulations, forecastResult.dispersionResults);
+    }
+
+    const waiverArea = launchDetails.waiverArea;
+    const hazardList = launchDetails.hazards;
+    if ('flight' == kmlPlot) {
+        return createFlightPathBlob(launchDetails.location, waiverArea, simulations, hazardList);
+    } else if ('ground' == kmlPlot) {
+        return createGroundPathBlob(launchDetails.location, waiverArea, simulations, hazardList);
+    } else if ('probability' == kmlPlot) {
+        return createLandingProbabilityBlob(launchDetails.location, waiverArea, probabilityGrid, hazardList);
+    }
+    return await createLandingPlotBlob(launchDetails.location, waiverArea, simulations, forecastResult.dispersionResults, hazardList);
+}
+
+/**
+ * Runs a drift forecast described by the command line and writes its results to a file.
+ * @param {Object} options - Parsed command line options.
+ * @returns {number} Process exit code.
+ */
+async function predict(options) {
+    for (const required of ['site', 'rocket', 'date', 'start', 'out']) {
+        if (null == options[required]) {
+            console.error(`Missing required option --${required}.\n\n${usage}`);
+            return 2;
+        }
+    }
+
+    const format = options.format ?? outputFormats[extname(options.out).toLowerCase()];
+    if (!Object.values(outputFormats).includes(format)) {
+        console.error(`Unknown output format for ${options.out}. Use --format kml, kmz, geojson, or csv.`);
+        return 2;
+    }
+
+    const kmlPlot = options.kml ?? (('kmz' == format) ? 'probability' : 'landing');
+    if (!['landing', 'flight', 'ground', 'probability'].includes(kmlPlot)) {
+        console.error(`Unknown KML plot: ${kmlPlot}. Use landing, flight, ground, or probability.`);
+        return 2;
+    }
+
+    // The probability plot packages its heat map image into a KMZ archive, while every other plot is plain KML
+    if ('kmz' == format && 'probability' != kmlPlot) {
+        console.error(`The ${kmlPlot} plot is written as KML. Use an --out file ending in .kml or --format kml.`);
+        return 2;
+    } else if ('kml' == format && 'probability' == kmlPlot) {
+        console.error('The probability plot is written as KMZ. Use an --out file ending in .kmz or --format kmz.');
+        return 2;
+    }
+
+    const siteFile = await readJsonFile(options.site, 'site');
+    const { waiverFile, hazardFile, ...site } = siteFile;
+    site.waiver = await loadSiteWaiver(siteFile, options.site);
+    site.hazards = await loadSiteHazards(siteFile, options.site);
+    const rocketFile = await readJsonFile(options.rocket, 'rocket');
+    const { descent, failureScenarios, dispersion, motorFile, motorName, ...rocket } = rocketFile;
+
+    const motor = await loadRocketMotor(rocketFile, options.rocket);
+    if (undefined != motor) {
+        rocket.motor = motor;
+    }
+
+    const forecastResult = await runDriftForecast({
+        site: site,
+        rocket: rocket,
+        window: {
+            date: options.date,
+            endDate: options['end-date'] ?? options.date,
+            startTime: formatLaunchTime(options.start),
+            endTime: formatLaunchTime(options.end ?? options.start),
+            timeStep: (null == options['time-step']) ? undefined : Number(options['time-step'])
+        },
+        provider: await createWindProvider(options),
+        descent: descent,
+        failureScenarios: failureScenarios,
+        dispersion: dispersion,
+        surfaceWind: readSurfaceWindRequest(options)
+    });
+
+    for (const warning of forecastResult.warnings) {
+        console.warn(`Warning (${warning.field}): ${warning.message}`);
+    }
+
+    if (!forecastResult.isValid()) {
+        for (const error of forecastResult.errors) {
+            console.error(`Error (${error.field}): ${error.message}`);
+        }
+        return 1;
+    }
+
+    // Flag every launch the RSO would reject before it is flown
+    for (const launchSimulation of forecastResult.simulations) {
+        const launchDecision = launchSimulation.launchDecision;
+        if (null == launchDecision || launchDecision.isGo) {
+            continue;
+        }
+
+        const launchName = `${launchSimulation.getLaunchDay()} ${launchSimulation.getLaunchTime()} ${launchSimulation.getWindModelName()} ${launchSimulation.getScenarioName()}`.trim();
+        console.warn(`${launchDecision.getStatusText()} (site.rules): ${launchName}. ${launchDecision.reasons.join('. ')}.`);
+    }
+
+    let probabilityGrid = null;
+    if ('kmz' == format) {
+        if (0 == forecastResult.landingProbabilities.length) {
+            console.error('Landing probabilities require an ensemble forecast. Use --provider open-meteo-ensemble.');
+            return 1;
+        }
+        probabilityGrid = selectLandingProbability(forecastResult.landingProbabilities, options);
+    }
+
+    const outputBlob = await createOutputBlob(forecastResult, format, kmlPlot, probabilityGrid);
+    if (null == outputBlob) {
+        console.error('The forecast did not produce any results to write.');
+        return 1;
+    }
+
+    await writeFile(options.out, Buffer.from(await outputBlob.arrayBuffer()));
+    if (null != probabilityGrid) {
+        console.log(`Wrote landing probabilities for ${probabilityGrid.launchName} from ${probabilityGrid.landingCount} simulations to ${options.out}`);
+    } else {
+        console.log(`Wrote ${forecastResult.simulations.length} simulations to ${options.out}`);
+    }
+    return 0;
+}
+
+/**
+ * Entry point for the driftcast command line tool.
+ * @param {Array.<string>} args - Command line arguments following the script name.
+ * @returns {number} Process exit code.
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: args,
+            allowPositionals: true,
+            options: {
+                'site': { type: 'string' },
+                'rocket': { type: 'string' },
+                'date': { type: 'string' },
+                'end-date': { type: 'string' },
+                'start': { type: 'string' },
+                'end': { type: 'string' },
+                'time-step': { type: 'string' },
+                'out': { type: 'string' },
+                'format': { type: 'string' },
+                'kml': { type: 'string' },
+                'probability-time': { type: 'string' },
+                'provider': { type: 'string' },
+                'wind-file': { type: 'string' },
+                'save-wind': { type: 'string' },
+                'sounding': { type: 'string' },
+                'surface-wind': { type: 'string', multiple: true },
+                'blending-height': { type: 'string' },
+                'help': { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return 2;
+    }
+
+    if (parsed.values.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    if ('predict' != parsed.positionals[0]) {
+        console.error(usage);
+        return 2;
+    }
+
+    try {
+        return await predict(parsed.values);
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
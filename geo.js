@@ -172,7 +172,7 @@ function distanceBetweenLocations(locationA, locationB) {
  * @returns {number} - Bearing (degrees from North) from locationA toward locationB. NaN if both locations are identical.
  */
 function bearingBetweenLocations(locationA, locationB) {
-    if (locationA.latitude === locationB.latitude && locationB.longitude === locationB.longitude) {
+    if (locationA.latitude === locationB.latitude && locationA.longitude === locationB.longitude) {
         return NaN;
     }
     // Convert the coordinate components from degrees to radians
@@ -182,18 +182,91 @@ function bearingBetweenLocations(locationA, locationB) {
 
     const x = Math.cos(latitudeA) * Math.sin(latitudeB) - Math.sin(latitudeA) * Math.cos(latitudeB) * Math.cos(longitudeDelta);
     const y = Math.sin(longitudeDelta) * Math.cos(latitudeB);
-    const θ = Math.atan2(y, x);
-
     const bearing = radiansToDegrees(Math.atan2(y, x));
 
     // Ensure the resulting bearing is within the expected 0 -> 360 degree range.
     if (bearing < 0) {
         return bearing + 360;
     } else if (bearing > 360) {
-        return brearing - 360;
+        return bearing - 360;
     }
     return bearing;
 }
 
+/**
+ * Calculates the East and North offsets (meters) of a location relative to an origin. Uses an
+ * equirectangular projection which is only accurate over short distances.
+ * @param {GeoLocation} origin - Coordinates used as the origin.
+ * @param {GeoLocation} location - Coordinates to be measured.
+ * @returns {{east: number, north: number}} Offsets (meters) from the origin.
+ */
+function getLocalOffset(origin, location) {
+    const east = degreesToRadians(location.longitude - origin.longitude) * Math.cos(degreesToRadians(origin.latitude)) * 6371000;
+    const north = degreesToRadians(location.latitude - origin.latitude) * 6371000;
+    return { east: east, north: north };
+}
+
+/**
+ * Finds the location at East and North offsets (meters) from an origin. The reverse of getLocalOffset.
+ * @param {GeoLocation} origin - Coordinates used as the origin.
+ * @param {number} east - Offset (meters) toward the East.
+ * @param {number} north - Offset (meters) toward the North.
+ * @returns {GeoLocation} Coordinates at the offsets from the origin.
+ */
+function getOffsetLocation(origin, east, north) {
+    const latitude = origin.latitude + radiansToDegrees(north / 6371000);
+    const longitude = origin.longitude + radiansToDegrees(east / (6371000 * Math.cos(degreesToRadians(origin.latitude))));
+    return new GeoLocation(latitude, longitude);
+}
+
+/**
+ * Checks whether a location lies within a polygon by counting the edges crossed heading East. Latitude
+ * and longitude are treated as flat, which suits areas the size of a launch field.
+ * @param {GeoLocation} location - Coordinates to check.
+ * @param {Array.<GeoLocation>} outline - Closed outline whose first and last coordinates are identical.
+ * @returns {boolean} True if the location is inside the polygon.
+ */
+function isInsidePolygon(location, outline) {
+    let isInside = false;
+    for (let index = 1; index < outline.length; ++index) {
+        const start = outline[index - 1];
+        const end = outline[index];
+        if ((start.latitude > location.latitude) != (end.latitude > location.latitude)) {
+            const crossingLongitude = start.longitude + ((location.latitude - start.latitude) / (end.latitude - start.latitude)) * (end.longitude - start.longitude);
+            if (crossingLongitude > location.longitude) {
+                isInside = !isInside;
+            }
+        }
+    }
+    return isInside;
+}
+
+/**
+ * Measures the distance from a location to the nearest point along a path of connected segments. Each
+ * segment is measured using the offsets of getLocalOffset, so it is only accurate over short distances.
+ * @param {GeoLocation} location - Coordinates to be measured.
+ * @param {Array.<GeoLocation>} path - Coordinates at each end of the segments, such as a polygon's outline.
+ * @returns {number} Distance (meters) to the nearest point along the path.
+ */
+function distanceToPath(location, path) {
+    let nearestDistance = Infinity;
+    for (let index = 0; index < path.length; ++index) {
+        const start = getLocalOffset(location, path[index]);
+        const end = getLocalOffset(location, path[Math.min(index + 1, path.length - 1)]);
+        const segmentEast = end.east - start.east;
+        const segmentNorth = end.north - start.north;
+        const segmentLengthSquared = (segmentEast * segmentEast) + (segmentNorth * segmentNorth);
+
+        // Find the point along the segment closest to the location, which sits at the origin
+        let fraction = 0;
+        if (segmentLengthSquared > 0) {
+            fraction = Math.min(1, Math.max(0, -((start.east * segmentEast) + (start.north * segmentNorth)) / segmentLengthSquared));
+        }
+        nearestDistance = Math.min(nearestDistance, Math.hypot(start.east + (fraction * segmentEast), start.north + (fraction * segmentNorth)));
+    }
+    return nearestDistance;
+}
+
 export { GeoLocation };
-export { feetToMeters, metersToFeet, moveAlongBearing, moveAlongBearingKilometers, distanceBetweenLocations, bearingBetweenLocations };
\ No newline at end of file
+export { feetToMeters, metersToFeet, degreesToRadians, radiansToDegrees, moveAlongBearing, moveAlongBearingKilometers, distanceBetweenLocations, bearingBetweenLocations, getLocalOffset, getOffsetLocation };
+export { isInsidePolygon, distanceToPath };
\ No newline at end of file
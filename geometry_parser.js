@@ -0,0 +1,168 @@
+import { GeoLocation } from './geo.js';
+
+/* Identifies the shape of a geometry read from a KML or GeoJSON file. */
+const ShapeType = Object.freeze({
+    POINT: 'point',
+    LINE: 'line',
+    POLYGON: 'polygon'
+});
+
+/* Identifies the format of a file holding geometries. */
+const ShapeFileFormat = Object.freeze({
+    KML: 'KML',
+    GEOJSON: 'GeoJSON'
+});
+
+/**
+ * Converts a longitude and latitude pair into coordinates, rejecting values outside their valid ranges.
+ * @param   {number} longitude - Longitude (degrees) of the vertex.
+ * @param   {number} latitude - Latitude (degrees) of the vertex.
+ * @param   {string} sourceName - Description of the file and shape used when reporting errors.
+ * @returns {GeoLocation} Coordinates of the vertex.
+ * @throws  {TypeError} Invalid latitude or longitude.
+ */
+function createShapeVertex(longitude, latitude, sourceName) {
+    if ('number' != typeof latitude || isNaN(latitude) || Math.abs(latitude) > 90) {
+        throw new TypeError(`Invalid latitude in the ${sourceName}: ${latitude}`);
+    }
+    if ('number' != typeof longitude || isNaN(longitude) || Math.abs(longitude) > 180) {
+        throw new TypeError(`Invalid longitude in the ${sourceName}: ${longitude}`);
+    }
+    return new GeoLocation(latitude, longitude);
+}
+
+/**
+ * Describes a shape within a file when reporting errors, such as "KML hazards (Stock Pond)".
+ * @param   {string} fileName - Description of the file, such as "KML waiver".
+ * @param   {string} shapeName - Name of the shape, or an empty string if it has none.
+ * @returns {string} Description of the shape.
+ */
+function getShapeSourceName(fileName, shapeName) {
+    return (0 == shapeName.length) ? fileName : `${fileName} (${shapeName})`;
+}
+
+/**
+ * Replaces the XML entities which may appear within a KML name.
+ * @param   {string} text - Text read from the KML file.
+ * @returns {string} The text with its entities replaced.
+ */
+function decodeXmlText(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replaceAll('&lt;', '<')
+        .replaceAll('&gt;', '>')
+        .replaceAll('&quot;', '"')
+        .replaceAll('&apos;', "'")
+        .replaceAll('&amp;', '&')
+        .trim();
+}
+
+/**
+ * Reads every point, line, and polygon placemark within a KML file, such as those drawn with Google Earth.
+ * Each shape takes its placemark's name, and placemarks holding several shapes produce each of them.
+ * Only the outer boundary of a polygon is read, so any holes within it are ignored.
+ * @param   {string} fileText - Contents of the KML file.
+ * @param   {string} fileName - Description of the file used when reporting errors, such as "KML waiver".
+ * @returns {Array.<{name: string, type: string, coordinates: Array.<GeoLocation>}>} Name, ShapeType value,
+ * and coordinates of each shape in the order they appear. Unnamed shapes have an empty name.
+ * @throws  {TypeError} The file contains invalid coordinates.
+ */
+function readKmlShapes(fileText, fileName) {
+    const shapeTypes = { point: ShapeType.POINT, linestring: ShapeType.LINE, polygon: ShapeType.POLYGON };
+    const shapeList = [];
+    for (const placemarkMatch of fileText.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/gi)) {
+        const placemarkText = placemarkMatch[1];
+
+        // Skip over the geometry so only the placemark's own name is used
+        const nameMatch = placemarkText.replace(/<(Point|LineString|Polygon)\b[\s\S]*?<\/\1>/gi, '').match(/<name>([\s\S]*?)<\/name>/i);
+        const shapeName = (null == nameMatch) ? '' : decodeXmlText(nameMatch[1]);
+        const sourceName = getShapeSourceName(fileName, shapeName);
+
+        for (const shapeMatch of placemarkText.matchAll(/<(Point|LineString|Polygon)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+            const shapeType = shapeTypes[shapeMatch[1].toLowerCase()];
+            const coordinateMatch = (ShapeType.POLYGON == shapeType) ?
+                shapeMatch[2].match(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i) :
+                shapeMatch[2].match(/<coordinates>([\s\S]*?)<\/coordinates>/i);
+            if (null == coordinateMatch) {
+                continue;
+            }
+
+            // Each vertex is longitude, latitude, and an optional altitude separated by commas
+            const coordinates = coordinateMatch[1].trim().split(/\s+/).map((tuple) => {
+                const [longitude, latitude] = tuple.split(',').map((value) => parseFloat(value));
+                return createShapeVertex(longitude, latitude, sourceName);
+            });
+            shapeList.push({ name: shapeName, type: shapeType, coordinates: coordinates });
+        }
+    }
+    return shapeList;
+}
+
+/**
+ * Reads every point, line, and polygon within a GeoJSON file, whether it holds a FeatureCollection, a single
+ * Feature, or a bare geometry. Each shape takes the name property of its feature, and multi-part geometries
+ * produce a shape for each part. Only the outer ring of a polygon is read, so any holes within it are ignored.
+ * @param   {string} fileText - Contents of the GeoJSON file.
+ * @param   {string} fileName - Description of the file used when reporting errors, such as "GeoJSON waiver".
+ * @returns {Array.<{name: string, type: string, coordinates: Array.<GeoLocation>}>} Name, ShapeType value,
+ * and coordinates of each shape in the order they appear. Unnamed shapes have an empty name.
+ * @throws  {TypeError} The file is not valid JSON or contains invalid coordinates.
+ */
+function readGeoJsonShapes(fileText, fileName) {
+    let geoJson;
+    try {
+        geoJson = JSON.parse(fileText);
+    } catch (error) {
+        throw new TypeError(`Unable to read the ${fileName} as JSON. ${error.message}`);
+    }
+
+    const shapeList = [];
+    const addShape = (name, type, positions) => {
+        const shapeName = (null == name) ? '' : `${name}`.trim();
+        const sourceName = getShapeSourceName(fileName, shapeName);
+        const coordinates = (positions ?? []).map((position) => createShapeVertex(position[0], position[1], sourceName));
+        shapeList.push({ name: shapeName, type: type, coordinates: coordinates });
+    };
+    const readObject = (geoObject, name) => {
+        if (null == geoObject) {
+            return;
+        } else if ('FeatureCollection' == geoObject.type) {
+            (geoObject.features ?? []).forEach((feature) => readObject(feature, name));
+        } else if ('Feature' == geoObject.type) {
+            readObject(geoObject.geometry, geoObject.properties?.name ?? name);
+        } else if ('GeometryCollection' == geoObject.type) {
+            (geoObject.geometries ?? []).forEach((geometry) => readObject(geometry, name));
+        } else if ('Point' == geoObject.type) {
+            addShape(name, ShapeType.POINT, [geoObject.coordinates]);
+        } else if ('MultiPoint' == geoObject.type) {
+            (geoObject.coordinates ?? []).forEach((position) => addShape(name, ShapeType.POINT, [position]));
+        } else if ('LineString' == geoObject.type) {
+            addShape(name, ShapeType.LINE, geoObject.coordinates);
+        } else if ('MultiLineString' == geoObject.type) {
+            (geoObject.coordinates ?? []).forEach((line) => addShape(name, ShapeType.LINE, line));
+        } else if ('Polygon' == geoObject.type) {
+            addShape(name, ShapeType.POLYGON, geoObject.coordinates?.[0]);
+        } else if ('MultiPolygon' == geoObject.type) {
+            (geoObject.coordinates ?? []).forEach((polygon) => addShape(name, ShapeType.POLYGON, polygon[0]));
+        }
+    };
+    readObject(geoJson, null);
+    return shapeList;
+}
+
+/**
+ * Identifies the format of a file holding geometries from its extension.
+ * @param   {string} fileName - Name of the file, ending in .kml for KML or .geojson or .json for GeoJSON.
+ * @returns {string} ShapeFileFormat value of the file, or null if the extension is not supported.
+ */
+function getShapeFileFormat(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.kml')) {
+        return ShapeFileFormat.KML;
+    } else if (lowerName.endsWith('.geojson') || lowerName.endsWith('.json')) {
+        return ShapeFileFormat.GEOJSON;
+    }
+    return null;
+}
+
+export { ShapeType, ShapeFileFormat };
+export { readKmlShapes, readGeoJsonShapes, getShapeFileFormat };
@@ -0,0 +1,117 @@
+import { GeoLocation, distanceBetweenLocations, isInsidePolygon, distanceToPath } from './geo.js';
+
+/* Identifies the shape of a hazard near the launch site. */
+const HazardType = Object.freeze({
+    POINT: 'point',
+    LINE: 'line',
+    POLYGON: 'polygon'
+});
+
+/* Stores a named feature near the launch site where a landing is unacceptable, such as a highway, power line, farm house, or pond. */
+class HazardFeature {
+    /**
+     * Name shown when a landing falls near this hazard.
+     * @private
+     * @type {string}
+     */
+    #name;
+
+    /**
+     * HazardType value identifying the hazard's shape.
+     * @private
+     * @type {string}
+     */
+    #type;
+
+    /**
+     * Coordinates of a point, the vertices along a line, or the closed outline of a polygon.
+     * @private
+     * @type {Array.<GeoLocation>}
+     */
+    #coordinates;
+
+    /**
+     * Closest distance (feet) a rocket may land to this hazard, or null to use the launch site's hazard buffer.
+     * @private
+     * @type {number}
+     */
+    #buffer = null;
+
+    /**
+     * Initializes the hazard from its shape. Polygon outlines are closed if their last coordinates do not already match their first.
+     * @param {string} name - Name shown when a landing falls near this hazard.
+     * @param {string} type - HazardType value identifying the hazard's shape.
+     * @param {Array.<GeoLocation>} coordinates - Coordinates of a point, the vertices along a line, or the corners of a polygon.
+     * @throws {TypeError} Unknown type, or too few coordinates for the type.
+     */
+    constructor(name, type, coordinates) {
+        if (!Object.values(HazardType).includes(type)) throw new TypeError(`Unknown hazard type: ${type}`);
+        if (null == coordinates || 0 == coordinates.length) throw new TypeError(`The hazard ${name} requires coordinates.`);
+
+        const hazardCoordinates = coordinates.map((location) => location.getCopy());
+        if (HazardType.POLYGON == type) {
+            const first = hazardCoordinates[0];
+            const last = hazardCoordinates[hazardCoordinates.length - 1];
+            if (first.latitude != last.latitude || first.longitude != last.longitude) {
+                hazardCoordinates.push(first.getCopy());
+            }
+            if (hazardCoordinates.length < 4) throw new TypeError(`The hazard polygon ${name} requires at least three corners: ${coordinates.length}`);
+        } else if (HazardType.LINE == type && hazardCoordinates.length < 2) {
+            throw new TypeError(`The hazard line ${name} requires at least two vertices: ${coordinates.length}`);
+        }
+
+        this.#name = name;
+        this.#type = type;
+        this.#coordinates = (HazardType.POINT == type) ? hazardCoordinates.slice(0, 1) : hazardCoordinates;
+    }
+
+    /**
+     * Name shown when a landing falls near this hazard.
+     * @type {string}
+     */
+    get name() { return this.#name; }
+
+    /**
+     * HazardType value identifying the hazard's shape.
+     * @type {string}
+     */
+    get type() { return this.#type; }
+
+    /**
+     * Coordinates of a point, the vertices along a line, or the closed outline of a polygon.
+     * @type {Array.<GeoLocation>}
+     */
+    get coordinates() { return this.#coordinates; }
+
+    /**
+     * Closest distance (feet) a rocket may land to this hazard, or null to use the launch site's hazard buffer.
+     * @type {number}
+     */
+    get buffer() { return this.#buffer; }
+
+    /**
+     * Set the closest distance a rocket may land to this hazard.
+     * @param {number} distance - Distance (feet), or null to use the launch site's hazard buffer.
+     * @throws {TypeError} Invalid distance.
+     */
+    setBuffer(distance) {
+        if (null != distance && (isNaN(distance) || distance < 0)) throw new TypeError(`Invalid buffer for the hazard ${this.#name}: ${distance}`);
+        this.#buffer = distance ?? null;
+    }
+
+    /**
+     * Measures how far a location is from the hazard.
+     * @param {GeoLocation} location - Coordinates to measure.
+     * @returns {number} Distance (meters) to the nearest part of the hazard, which is zero inside a polygon.
+     */
+    getDistance(location) {
+        if (HazardType.POINT == this.#type) {
+            return distanceBetweenLocations(this.#coordinates[0], location);
+        } else if (HazardType.POLYGON == this.#type && isInsidePolygon(location, this.#coordinates)) {
+            return 0;
+        }
+        return distanceToPath(location, this.#coordinates);
+    }
+}
+
+export { HazardType, HazardFeature };
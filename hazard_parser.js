@@ -0,0 +1,63 @@
+import { GeoLocation } from './geo.js';
+import { HazardType, HazardFeature } from './hazard.js';
+import { ShapeType, ShapeFileFormat, readKmlShapes, readGeoJsonShapes, getShapeFileFormat } from './geometry_parser.js';
+
+/**
+ * Creates a hazard from each shape read from a file. Unnamed shapes are numbered in the order they appear.
+ * @param   {Array.<{name: string, type: string, coordinates: Array.<GeoLocation>}>} shapeList - Shapes read from the file.
+ * @param   {string} formatName - Name of the file format used when reporting errors.
+ * @returns {Array.<HazardFeature>} The hazards within the file.
+ * @throws  {TypeError} The file contains no hazards.
+ */
+function createHazardList(shapeList, formatName) {
+    if (0 == shapeList.length) {
+        throw new TypeError(`No points, lines, or polygons were found in the ${formatName} hazards.`);
+    }
+
+    const hazardTypes = { [ShapeType.POINT]: HazardType.POINT, [ShapeType.LINE]: HazardType.LINE, [ShapeType.POLYGON]: HazardType.POLYGON };
+    return shapeList.map((shape, index) => {
+        const hazardName = (0 == shape.name.length) ? `Hazard ${index + 1}` : shape.name;
+        return new HazardFeature(hazardName, hazardTypes[shape.type], shape.coordinates);
+    });
+}
+
+/**
+ * Reads every point, line, and polygon placemark within a KML file, such as those drawn with Google Earth.
+ * Each hazard takes its placemark's name, and placemarks holding several shapes produce a hazard for each.
+ * @param   {string} fileText - Contents of the KML file.
+ * @returns {Array.<HazardFeature>} The hazards within the file.
+ * @throws  {TypeError} The file contains no hazards or invalid coordinates.
+ */
+function parseHazardKml(fileText) {
+    return createHazardList(readKmlShapes(fileText, 'KML hazards'), ShapeFileFormat.KML);
+}
+
+/**
+ * Reads every point, line, and polygon within a GeoJSON file. Each hazard takes the name property of its
+ * feature, and multi-part geometries produce a hazard for each part.
+ * @param   {string} fileText - Contents of the GeoJSON file.
+ * @returns {Array.<HazardFeature>} The hazards within the file.
+ * @throws  {TypeError} The file is not valid JSON or contains no hazards.
+ */
+function parseHazardGeoJson(fileText) {
+    return createHazardList(readGeoJsonShapes(fileText, 'GeoJSON hazards'), ShapeFileFormat.GEOJSON);
+}
+
+/**
+ * Reads the hazards near a launch site, selecting the parser from the file's extension.
+ * @param   {string} fileName - Name of the file, ending in .kml for KML or .geojson or .json for GeoJSON.
+ * @param   {string} fileText - Contents of the file.
+ * @returns {Array.<HazardFeature>} The hazards within the file.
+ * @throws  {TypeError} The file type is not supported or its contents are malformed.
+ */
+function parseHazardFile(fileName, fileText) {
+    const fileFormat = getShapeFileFormat(fileName);
+    if (ShapeFileFormat.KML == fileFormat) {
+        return parseHazardKml(fileText);
+    } else if (ShapeFileFormat.GEOJSON == fileFormat) {
+        return parseHazardGeoJson(fileText);
+    }
+    throw new TypeError(`Unsupported hazard file type: ${fileName}`);
+}
+
+export { parseHazardKml, parseHazardGeoJson, parseHazardFile };
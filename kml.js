@@ -1,6 +1,125 @@
-import { GeoLocation, feetToMeters, moveAlongBearing } from "./geo.js";
-import { LaunchSimulationData } from "./launch.js";
+import { GeoLocation, feetToMeters, metersToFeet, degreesToRadians, radiansToDegrees, moveAlongBearing } from "./geo.js";
+import { LaunchSimulationData, LaunchScenario, groupByLaunchDay } from "./launch.js";
+import { DispersionResult, ConfidenceEllipse } from "./dispersion.js";
 import { getHourColor } from "./map_colors.js";
+import { LandingProbabilityGrid } from "./landing_probability.js";
+import { createPngImage, createKmzBlob } from "./kmz.js";
+import { WaiverArea } from "./waiver.js";
+import { HazardType, HazardFeature } from "./hazard.js";
+
+// Hazards are drawn in orange, with a translucent fill so landings inside them remain visible.
+const hazardColor = { web: 'ff8000', earth: 'ff0080ff', fill: '400080ff' };
+
+// Percentages of landings outlined by contours around the most likely landing area, along with
+// their Google Earth line colors.
+const landingPercentiles = [
+    { percentile: 50, color: 'ff0000ff' },
+    { percentile: 80, color: 'ff0080ff' },
+    { percentile: 95, color: 'ff00ffff' }
+];
+
+/**
+ * Orders simulations so every nominal launch comes before any failure scenario.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @returns {Array.<LaunchSimulationData>} The same simulations with failure scenarios moved to the end.
+ */
+function sortByScenario(launchSimulationList) {
+    const nominalList = launchSimulationList.filter((launchSimulation) => LaunchScenario.NOMINAL == launchSimulation.scenario);
+    const scenarioList = launchSimulationList.filter((launchSimulation) => LaunchScenario.NOMINAL != launchSimulation.scenario);
+    return nominalList.concat(scenarioList);
+}
+
+/**
+ * Provides the text identifying a simulation within Google Earth.
+ * @param {LaunchSimulationData} launchSimulation - The simulation to be labeled.
+ * @returns {string} Launch time, followed by the scenario name for any failure scenario.
+ */
+function getSimulationLabel(launchSimulation) {
+    if (LaunchScenario.NOMINAL == launchSimulation.scenario) {
+        return launchSimulation.getLaunchTime();
+    }
+    return `${launchSimulation.getLaunchTime()} ${launchSimulation.getScenarioName()}`;
+}
+
+/**
+ * Appends each simulation with a landing location, placing failure scenarios after the nominal
+ * simulations within their own folder. Simulations from more than one forecast model are separated
+ * into a folder for each model so their landings can be compared.
+ * @param {Array.<string>} stringArray - String array the simulations will be appended onto.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @param {Function} addSimulation - Appends one simulation, given the simulation and its landing coordinates.
+ */
+function addModelFolders(stringArray, launchSimulationList, addSimulation) {
+    // Group the simulations by model, keeping the order in which each model first appears
+    const modelSimulationMap = new Map();
+    for (const launchSimulation of launchSimulationList) {
+        const modelName = launchSimulation.getWindModelName();
+        if (!modelSimulationMap.has(modelName)) {
+            modelSimulationMap.set(modelName, []);
+        }
+        modelSimulationMap.get(modelName).push(launchSimulation);
+    }
+    const useModelFolders = modelSimulationMap.size > 1;
+
+    for (const [modelName, modelSimulationList] of modelSimulationMap) {
+        if (useModelFolders) {
+            stringArray.push(`    <Folder>\n`);
+            stringArray.push(`      <name>${modelName}</name>\n`);
+        }
+
+        const orderedSimulationList = sortByScenario(modelSimulationList);
+        let scenarioFolderOpen = false;
+
+        // Loop through each point and write Placemark
+        for (const launchSimulation of orderedSimulationList) {
+            // Only need the rocket's landing coordinates
+            const landingLocation = launchSimulation.getLandingLocation();
+            if (null == landingLocation) {
+                continue;
+            }
+
+            if (!scenarioFolderOpen && LaunchScenario.NOMINAL != launchSimulation.scenario) {
+                stringArray.push(`    <Folder>\n`);
+                stringArray.push(`      <name>Failure Scenarios</name>\n`);
+                scenarioFolderOpen = true;
+            }
+
+            addSimulation(launchSimulation, landingLocation);
+        }
+
+        if (scenarioFolderOpen) {
+            stringArray.push(`    </Folder>\n`);
+        }
+        if (useModelFolders) {
+            stringArray.push(`    </Folder>\n`);
+        }
+    }
+}
+
+/**
+ * Appends each simulation with a landing location, grouped by forecast model and failure scenario.
+ * Launches spanning several days are first separated into a folder for each day.
+ * @param {Array.<string>} stringArray - String array the simulations will be appended onto.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @param {Function} addSimulation - Appends one simulation, given the simulation and its landing coordinates.
+ */
+function addSimulationFolders(stringArray, launchSimulationList, addSimulation) {
+    const daySimulationMap = groupByLaunchDay(launchSimulationList);
+    const useDayFolders = daySimulationMap.size > 1;
+
+    for (const [dayName, daySimulationList] of daySimulationMap) {
+        if (useDayFolders) {
+            stringArray.push(`    <Folder>\n`);
+            stringArray.push(`      <name>${dayName}</name>\n`);
+        }
+
+        addModelFolders(stringArray, daySimulationList, addSimulation);
+
+        if (useDayFolders) {
+            stringArray.push(`    </Folder>\n`);
+        }
+    }
+}
 
 /**
  * Create a KML placemarker and append it to the provided string array.
@@ -52,17 +171,16 @@ function addPlacemark(stringArray, markerLabel, markerColor, markerLocation) {
 }
 
 /**
- * Create a circle and append it to the provided string array.
- * @param {Array.<string>} stringArray - String array the placemarker will be appended onto.
- * @param {string} circleLabel - Text to be displayed in association with the placemarker.
- * @param {string} lineColor - Hexadecimal color code for the circle's perimeter.
- * @param {string} fillColor - Hexadecimal color code for the circle's interior.
- * @param {GeoLocation} circleCenter - Coordinates of the circle's center.
- * @param {number} circleRadius - Radius (m) of the circle.
+ * Create a polygon clamped to the ground and append it to the provided string array.
+ * @param {Array.<string>} stringArray - String array the polygon will be appended onto.
+ * @param {string} polygonLabel - Text to be displayed in association with the polygon.
+ * @param {string} lineColor - Hexadecimal color code for the polygon's perimeter.
+ * @param {string} fillColor - Hexadecimal color code for the polygon's interior.
+ * @param {Array.<GeoLocation>} outline - Coordinates around the polygon's edge. The first and last must be identical.
  */
-function addCircle(stringArray, circleLabel, lineColor, fillColor, circleCenter, circleRadius) {
+function addPolygon(stringArray, polygonLabel, lineColor, fillColor, outline) {
     stringArray.push(`    <Placemark>\n`);
-    stringArray.push(`      <name>${circleLabel}</name>\n`);
+    stringArray.push(`      <name>${polygonLabel}</name>\n`);
     stringArray.push(`      <Style>\n`);
     stringArray.push(`        <LineStyle>\n`);
     stringArray.push(`          <color>${lineColor}</color>\n`);
@@ -79,19 +197,157 @@ function addCircle(stringArray, circleLabel, lineColor, fillColor, circleCenter,
     stringArray.push(`          <LinearRing>\n`);
     stringArray.push(`            <coordinates>\n`);
 
-    // The first and last coordinates must be identical
-    let northCoordinates = circleCenter.getCopy();
-    moveAlongBearing(northCoordinates, circleRadius, 0);
-    stringArray.push(`              ${northCoordinates.longitude},${northCoordinates.latitude},0\n`);
+    for (const ringCoordinates of outline) {
+        stringArray.push(`              ${ringCoordinates.longitude},${ringCoordinates.latitude},0\n`);
+    }
+
+    stringArray.push(`            </coordinates>\n`);
+    stringArray.push(`          </LinearRing>\n`);
+    stringArray.push(`        </outerBoundaryIs>\n`);
+    stringArray.push(`      </Polygon>\n`);
+    stringArray.push(`    </Placemark>\n`);
+}
 
-    // Add coordinates for points around the circle every 10 degrees
-    for (let bearing = 10; bearing < 360; bearing += 10) {
-        let ringCoordinates = circleCenter.getCopy();
-        moveAlongBearing(ringCoordinates, circleRadius, bearing);
+/**
+ * Draw the airspace covered by an FAA waiver and append it to the provided string array. Circular
+ * waivers also mark their center, unless it would cover up the launch site marker.
+ * @param {Array.<string>} stringArray - String array the waiver will be appended onto.
+ * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
+ */
+function addWaiverArea(stringArray, launchLocation, waiverArea) {
+    if (null == waiverArea) {
+        return;
+    }
+
+    // Outline the waiver in red with a transparent blue interior
+    const redMarkerColor = getHourColor(-1);
+    if (waiverArea.isCircle) {
+        const waiverLocation = waiverArea.center;
+        if ((launchLocation.latitude != waiverLocation.latitude) || (launchLocation.longitude != waiverLocation.longitude)) {
+            addPlacemark(stringArray, 'Waiver Center', redMarkerColor.webHexadecimal, waiverLocation);
+        }
+        addPolygon(stringArray, 'Waiver Radius', redMarkerColor.earthHexadecimal, '1aff0000', waiverArea.outlines[0]);
+        return;
+    }
+
+    // Number the polygons when the waiver covers several areas
+    waiverArea.outlines.forEach((outline, index) => {
+        const polygonLabel = (1 == waiverArea.outlines.length) ? 'Waiver Area' : `Waiver Area ${index + 1}`;
+        addPolygon(stringArray, polygonLabel, redMarkerColor.earthHexadecimal, '1aff0000', outline);
+    });
+}
+
+/**
+ * Replaces the characters which cannot appear within KML text, such as hazard names read from a file.
+ * @param {string} text - Text to be placed within a KML element.
+ * @returns {string} The text with XML entities in place of special characters.
+ */
+function escapeKmlText(text) {
+    return text.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+/**
+ * Create a line clamped to the ground and append it to the provided string array.
+ * @param {Array.<string>} stringArray - String array the line will be appended onto.
+ * @param {string} lineLabel - Text to be displayed in association with the line.
+ * @param {string} lineColor - Hexadecimal color code for the line.
+ * @param {Array.<GeoLocation>} path - Coordinates of each vertex along the line.
+ */
+function addLine(stringArray, lineLabel, lineColor, path) {
+    stringArray.push(`    <Placemark>\n`);
+    stringArray.push(`      <name>${lineLabel}</name>\n`);
+    stringArray.push(`      <Style>\n`);
+    stringArray.push(`        <LineStyle>\n`);
+    stringArray.push(`          <color>${lineColor}</color>\n`);
+    stringArray.push(`          <width>3</width>\n`);
+    stringArray.push(`        </LineStyle>\n`);
+    stringArray.push(`      </Style>\n`);
+    stringArray.push(`      <LineString>\n`);
+    stringArray.push(`        <altitudeMode>clampToGround</altitudeMode>\n`);
+    stringArray.push(`        <tessellate>1</tessellate>\n`);
+    stringArray.push(`        <coordinates>\n`);
+
+    for (const pathLocation of path) {
+        stringArray.push(`          ${pathLocation.longitude},${pathLocation.latitude},0\n`);
+    }
+
+    stringArray.push(`        </coordinates>\n`);
+    stringArray.push(`      </LineString>\n`);
+    stringArray.push(`    </Placemark>\n`);
+}
+
+/**
+ * Draw the hazards near the launch site within their own folder and append them to the provided string array.
+ * @param {Array.<string>} stringArray - String array the hazards will be appended onto.
+ * @param {Array.<HazardFeature>} hazardList - Features where a landing is unacceptable, such as highways and power lines.
+ */
+function addHazards(stringArray, hazardList) {
+    if (null == hazardList || 0 == hazardList.length) {
+        return;
+    }
+
+    stringArray.push(`    <Folder>\n`);
+    stringArray.push(`      <name>Hazards</name>\n`);
+    for (const hazard of hazardList) {
+        const hazardLabel = escapeKmlText(hazard.name);
+        if (HazardType.POINT == hazard.type) {
+            addPlacemark(stringArray, hazardLabel, hazardColor.web, hazard.coordinates[0]);
+        } else if (HazardType.LINE == hazard.type) {
+            addLine(stringArray, hazardLabel, hazardColor.earth, hazard.coordinates);
+        } else {
+            addPolygon(stringArray, hazardLabel, hazardColor.earth, hazardColor.fill, hazard.coordinates);
+        }
+    }
+    stringArray.push(`    </Folder>\n`);
+}
+
+/**
+ * Create an ellipse with a description balloon and append it to the provided string array.
+ * @param {Array.<string>} stringArray - String array the ellipse will be appended onto.
+ * @param {string} ellipseLabel - Text to be displayed in association with the ellipse.
+ * @param {string} ellipseDescription - Text displayed in the ellipse's balloon when clicked.
+ * @param {string} lineColor - Hexadecimal color code for the ellipse's perimeter.
+ * @param {string} fillColor - Hexadecimal color code for the ellipse's interior.
+ * @param {ConfidenceEllipse} ellipse - Center, axes, and orientation of the ellipse.
+ */
+function addEllipse(stringArray, ellipseLabel, ellipseDescription, lineColor, fillColor, ellipse) {
+    stringArray.push(`    <Placemark>\n`);
+    stringArray.push(`      <name>${ellipseLabel}</name>\n`);
+    stringArray.push(`      <description><![CDATA[${ellipseDescription}]]></description>\n`);
+    stringArray.push(`      <Style>\n`);
+    stringArray.push(`        <LineStyle>\n`);
+    stringArray.push(`          <color>${lineColor}</color>\n`);
+    stringArray.push(`          <width>2</width>\n`);
+    stringArray.push(`        </LineStyle>\n`);
+    stringArray.push(`        <PolyStyle>\n`);
+    stringArray.push(`          <color>${fillColor}</color>\n`);
+    stringArray.push(`        </PolyStyle>\n`);
+    stringArray.push(`      </Style>\n`);
+    stringArray.push(`      <Polygon>\n`);
+    stringArray.push(`        <extrude>0</extrude>\n`);
+    stringArray.push(`        <altitudeMode>clampToGround</altitudeMode>\n`);
+    stringArray.push(`        <outerBoundaryIs>\n`);
+    stringArray.push(`          <LinearRing>\n`);
+    stringArray.push(`            <coordinates>\n`);
+
+    const orientationRadians = degreesToRadians(ellipse.orientation);
+
+    // Add coordinates for points around the ellipse every 10 degrees. The first and last must be identical.
+    for (let angle = 0; angle <= 360; angle += 10) {
+        const angleRadians = degreesToRadians(angle % 360);
+        const majorOffset = ellipse.semiMajorAxis * Math.cos(angleRadians);
+        const minorOffset = ellipse.semiMinorAxis * Math.sin(angleRadians);
+
+        // Rotate the offsets so the major axis lies along the ellipse's orientation bearing
+        const eastOffset = (majorOffset * Math.sin(orientationRadians)) + (minorOffset * Math.cos(orientationRadians));
+        const northOffset = (majorOffset * Math.cos(orientationRadians)) - (minorOffset * Math.sin(orientationRadians));
+
+        let ringCoordinates = ellipse.center.getCopy();
+        moveAlongBearing(ringCoordinates, Math.hypot(eastOffset, northOffset), radiansToDegrees(Math.atan2(eastOffset, northOffset)));
         stringArray.push(`              ${ringCoordinates.longitude},${ringCoordinates.latitude},0\n`);
     }
 
-    stringArray.push(`              ${northCoordinates.longitude},${northCoordinates.latitude},0\n`);
     stringArray.push(`            </coordinates>\n`);
     stringArray.push(`          </LinearRing>\n`);
     stringArray.push(`        </outerBoundaryIs>\n`);
@@ -103,11 +359,12 @@ function addCircle(stringArray, circleLabel, lineColor, fillColor, circleCenter,
  * Formats the launch and landing plot data according to the KML standard for display
  * within Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
- * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
+ * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects.
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results used to draw confidence ellipses around landings.
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-async function createLandingPlotBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
+async function createLandingPlotBlob(launchLocation, waiverArea, launchSimulationList, dispersionList = [], hazardList = []) {
     if (null == launchLocation) {
         console.debug('Cannot create a landing plot blob without a launch location.');
         return;
@@ -126,68 +383,42 @@ async function createLandingPlotBlob(launchLocation, waiverLocation, waiverRadiu
     const redMarkerColor = getHourColor(-1);
     addPlacemark(stringArray, 'Launch Site', redMarkerColor.webHexadecimal, launchLocation);
 
-    // Loop through each point and write Placemark
-    for (let index = 0; index < launchSimulationList.length; ++index) {
-        // Only need the rocket's landing coordinates
-        const landingLocation = launchSimulationList[index].getLandingLocation();
-        if (null == landingLocation) {
-            continue;
+    // Each forecast model has its own folder, within which failure scenarios follow the nominal simulations
+    addSimulationFolders(stringArray, launchSimulationList, (launchSimulation, landingLocation) => {
+        const markerColor = getHourColor(launchSimulation.time);
+        addPlacemark(stringArray, getSimulationLabel(launchSimulation), markerColor.webHexadecimal, landingLocation);
+    });
+
+    // Surround each hour's landings with 1, 2, and 3 sigma confidence ellipses
+    const modelCount = new Set(dispersionList.map((dispersionResult) => dispersionResult.nominal.getWindModelName())).size;
+    const dayCount = new Set(dispersionList.map((dispersionResult) => dispersionResult.nominal.getLaunchDay())).size;
+    for (const dispersionResult of dispersionList) {
+        // Keep the hour's color for the outline, but make the interior mostly transparent
+        const ellipseColor = getHourColor(dispersionResult.nominal.time);
+        const fillColor = `26${ellipseColor.earthHexadecimal.substring(2)}`;
+
+        // Name the model when ellipses from several models share the same hour
+        let ellipseLabel = dispersionResult.nominal.getLaunchTime();
+        if (dayCount > 1) {
+            ellipseLabel = `${dispersionResult.nominal.getLaunchDay()} ${ellipseLabel}`;
         }
-
-        const markerColor = getHourColor(launchSimulationList[index].time);
-        addPlacemark(stringArray, launchSimulationList[index].getLaunchTime(), markerColor.webHexadecimal, landingLocation);
-    }
-
-    if ((null != waiverLocation) && (waiverRadius > 0)) {
-        // Do not cover up the launch site marker with one for the waiver if at the same location
-        if ((launchLocation.latitude != waiverLocation.latitude) || (launchLocation.longitude != waiverLocation)) {
-            // Create a placemark for the Waiver Center
-            addPlacemark(stringArray, 'Waiver Center', redMarkerColor.webHexadecimal, waiverLocation);
+        if (modelCount > 1) {
+            ellipseLabel += ` ${dispersionResult.nominal.getWindModelName()}`;
         }
 
-        // Plot a circle clamped to the ground representing the waiver area.
-        // Using aed color with some transparency.
-        stringArray.push(`    <Placemark>\n`);
-        stringArray.push(`      <name>Waiver Radius</name>\n`);
-        stringArray.push(`      <Style>\n`);
-        stringArray.push(`        <LineStyle>\n`);
-        stringArray.push(`          <color>ff0000ff</color>\n`);
-        stringArray.push(`          <width>2</width>\n`);
-        stringArray.push(`        </LineStyle>\n`);
-        stringArray.push(`        <PolyStyle>\n`);
-        stringArray.push(`          <color>1aff0000</color>\n`);
-        stringArray.push(`        </PolyStyle>\n`);
-        stringArray.push(`      </Style>\n`);
-        stringArray.push(`      <Polygon>\n`);
-        stringArray.push(`        <extrude>0</extrude>\n`);
-        stringArray.push(`        <altitudeMode>clampToGround</altitudeMode>\n`);
-        stringArray.push(`        <outerBoundaryIs>\n`);
-        stringArray.push(`          <LinearRing>\n`);
-        stringArray.push(`            <coordinates>\n`);
-
-        // Convert the radius from nautical miles to meters
-        const waiverRadiusMeters = waiverRadius * 1852.0;
-
-        // The first and last coordinates must be identical
-        let northCoordinates = waiverLocation.getCopy();
-        moveAlongBearing(northCoordinates, waiverRadiusMeters, 0);
-        stringArray.push(`              ${northCoordinates.longitude},${northCoordinates.latitude},0\n`);
-
-        // Add coordinates for points around the circle every 10 degrees
-        for (let bearing = 10; bearing < 360; bearing += 10) {
-            let ringCoordinates = waiverLocation.getCopy();
-            moveAlongBearing(ringCoordinates, waiverRadiusMeters, bearing);
-            stringArray.push(`              ${ringCoordinates.longitude},${ringCoordinates.latitude},0\n`);
+        for (let sigma = 1; sigma <= 3; ++sigma) {
+            const ellipse = dispersionResult.getConfidenceEllipse(sigma);
+            const ellipseDescription = `${ellipseLabel} landing dispersion (${sigma}σ) from ${dispersionResult.runCount} runs.<br>` +
+                                        `Major axis: ${Math.round(metersToFeet(2.0 * ellipse.semiMajorAxis))} ft<br>` +
+                                        `Minor axis: ${Math.round(metersToFeet(2.0 * ellipse.semiMinorAxis))} ft<br>` +
+                                        `Orientation: ${Math.round(ellipse.orientation)}° from North`;
+            addEllipse(stringArray, `${ellipseLabel} ${sigma}σ`, ellipseDescription, ellipseColor.earthHexadecimal, fillColor, ellipse);
         }
-
-        stringArray.push(`              ${northCoordinates.longitude},${northCoordinates.latitude},0\n`);
-        stringArray.push(`            </coordinates>\n`);
-        stringArray.push(`          </LinearRing>\n`);
-        stringArray.push(`        </outerBoundaryIs>\n`);
-        stringArray.push(`      </Polygon>\n`);
-        stringArray.push(`    </Placemark>\n`);
     }
 
+    addWaiverArea(stringArray, launchLocation, waiverArea);
+    addHazards(stringArray, hazardList);
+
     // Write KML footer
     stringArray.push(`  </Document>\n`);
     stringArray.push(`</kml>\n`);
@@ -198,11 +429,11 @@ async function createLandingPlotBlob(launchLocation, waiverLocation, waiverRadiu
 /**
  * Formats the flight path data according to the KML standard for display within Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
  * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
+function createFlightPathBlob(launchLocation, waiverArea, launchSimulationList, hazardList = []) {
     if (null == launchLocation) {
         console.debug('Cannot create a flight path blob without a launch location.');
         return;
@@ -221,20 +452,14 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
     const redMarkerColor = getHourColor(-1);
     addPlacemark(stringArray, 'Launch Site', redMarkerColor.webHexadecimal, launchLocation);
 
-    // Loop through each point and write Placemark
-    for (let index = 0; index < launchSimulationList.length; ++index) {
-        // Only need the rocket's landing coordinates
-        const landingLocation = launchSimulationList[index].getLandingLocation();
-        if (null == landingLocation) {
-            continue;
-        }
-
+    // Each forecast model has its own folder, within which failure scenarios follow the nominal simulations
+    addSimulationFolders(stringArray, launchSimulationList, (launchSimulation) => {
         // Write the flight path coordinates with altitude, tag, and color
         stringArray.push(`    <Placemark>\n`);
-        stringArray.push(`      <name>Flight Path, ${launchSimulationList[index].getLaunchTime()}</name>\n`);
+        stringArray.push(`      <name>Flight Path, ${getSimulationLabel(launchSimulation)}</name>\n`);
         
         // flight path track style
-        const markerColor = getHourColor(launchSimulationList[index].time);
+        const markerColor = getHourColor(launchSimulation.time);
         stringArray.push(`      <Style>\n`);
         stringArray.push(`        <LineStyle>\n`);
         stringArray.push(`          <color>${markerColor.earthHexadecimal}</color>\n`);
@@ -247,8 +472,8 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         stringArray.push(`        <altitudeMode>relativeToGround</altitudeMode>\n`);
         stringArray.push(`        <tessellate>1</tessellate>\n`);
         stringArray.push(`        <coordinates>\n`);
-        for (let pathIndex = 0; pathIndex < launchSimulationList[index].launchPath.length; ++pathIndex) {
-            const pathPoint = launchSimulationList[index].launchPath[pathIndex];
+        for (let pathIndex = 0; pathIndex < launchSimulation.launchPath.length; ++pathIndex) {
+            const pathPoint = launchSimulation.launchPath[pathIndex];
             const altitude = feetToMeters(pathPoint.altitude);
             stringArray.push(`          ${pathPoint.location.longitude},${pathPoint.location.latitude},${altitude.toFixed(2)}\n`);
         }
@@ -259,7 +484,7 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         
         // Write the ground path coordinates with altitude, tag, and color
         stringArray.push(`    <Placemark>\n`);
-        stringArray.push(`      <name>Ground Track, ${launchSimulationList[index].getLaunchTime()}</name>\n`);
+        stringArray.push(`      <name>Ground Track, ${getSimulationLabel(launchSimulation)}</name>\n`);
         
         // Ground track style (same color as main track, line width 1)
         stringArray.push(`      <Style>\n`);
@@ -274,8 +499,8 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         stringArray.push(`        <altitudeMode>clampToGround</altitudeMode>\n`);
         stringArray.push(`        <tessellate>1</tessellate>\n`);
         stringArray.push(`        <coordinates>\n`);
-        for (let pathIndex = 0; pathIndex < launchSimulationList[index].launchPath.length; ++pathIndex) {
-            const pathPoint = launchSimulationList[index].launchPath[pathIndex];
+        for (let pathIndex = 0; pathIndex < launchSimulation.launchPath.length; ++pathIndex) {
+            const pathPoint = launchSimulation.launchPath[pathIndex];
             stringArray.push(`          ${pathPoint.location.longitude},${pathPoint.location.latitude},0\n`);
         }
         stringArray.push(`        </coordinates>\n`);
@@ -285,23 +510,14 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         stringArray.push(`    </Placemark>\n`);
         
         // Write the placemark for the last coordinate of the ground track
-        if (launchSimulationList[index].launchPath.length > 0) {
-            const lastLocation = launchSimulationList[index].launchPath[launchSimulationList[index].launchPath.length - 1].location;
-            addPlacemark(stringArray, launchSimulationList[index].getLaunchTime(), markerColor.webHexadecimal, lastLocation);
+        if (launchSimulation.launchPath.length > 0) {
+            const lastLocation = launchSimulation.launchPath[launchSimulation.launchPath.length - 1].location;
+            addPlacemark(stringArray, getSimulationLabel(launchSimulation), markerColor.webHexadecimal, lastLocation);
         }
-    }
+    });
 
-    if ((null != waiverLocation) && (waiverRadius > 0)) {
-        // Do not cover up the launch site marker with one for the waiver if at the same location
-        if ((launchLocation.latitude != waiverLocation.latitude) || (launchLocation.longitude != waiverLocation)) {
-            // Create a placemark for the Waiver Center
-            addPlacemark(stringArray, 'Waiver Center', redMarkerColor.webHexadecimal, waiverLocation);
-        }
-
-        // Plot a transparent blue circle with red outline clamped to the ground representing
-        // the waiver area. Convert the radius from nautical miles to meters.
-        addCircle(stringArray, 'Wavier Radius', redMarkerColor.earthHexadecimal, '1aff0000', waiverLocation, waiverRadius * 1852.0);
-    }
+    addWaiverArea(stringArray, launchLocation, waiverArea);
+    addHazards(stringArray, hazardList);
 
     // Write KML footer
     stringArray.push(`  </Document>\n`);
@@ -313,11 +529,11 @@ function createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, laun
 /**
  * Formats the flight path data according to the KML standard for display within Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
  * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-function createGroundPathBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
+function createGroundPathBlob(launchLocation, waiverArea, launchSimulationList, hazardList = []) {
     if (null == launchLocation) {
         console.debug('Cannot create a flight path blob without a launch location.');
         return;
@@ -337,19 +553,14 @@ function createGroundPathBlob(launchLocation, waiverLocation, waiverRadius, laun
     // Create a placemark for the launch site (red color)
     addPlacemark(stringArray, 'Launch Site', redMarkerColor.webHexadecimal, launchLocation);
 
-    // Loop through each point and write Placemark
-    for (let index = 0; index < launchSimulationList.length; ++index) {
-        // Only need the rocket's landing coordinates
-        const landingLocation = launchSimulationList[index].getLandingLocation();
-        if (null == landingLocation) {
-            continue;
-        }
+    // Each forecast model has its own folder, within which failure scenarios follow the nominal simulations
+    addSimulationFolders(stringArray, launchSimulationList, (launchSimulation) => {
         
-        const markerColor = getHourColor(launchSimulationList[index].time);
+        const markerColor = getHourColor(launchSimulation.time);
         
         // Write the ground path coordinates with altitude, tag, and color
         stringArray.push(`    <Placemark>\n`);
-        stringArray.push(`      <name>Ground Track, ${launchSimulationList[index].getLaunchTime()}</name>\n`);
+        stringArray.push(`      <name>Ground Track, ${getSimulationLabel(launchSimulation)}</name>\n`);
         
         // Ground track style (same color as main track, line width 1)
         stringArray.push(`      <Style>\n`);
@@ -364,8 +575,8 @@ function createGroundPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         stringArray.push(`        <altitudeMode>clampToGround</altitudeMode>\n`);
         stringArray.push(`        <tessellate>1</tessellate>\n`);
         stringArray.push(`        <coordinates>\n`);
-        for (let pathIndex = 0; pathIndex < launchSimulationList[index].launchPath.length; ++pathIndex) {
-            const pathPoint = launchSimulationList[index].launchPath[pathIndex];
+        for (let pathIndex = 0; pathIndex < launchSimulation.launchPath.length; ++pathIndex) {
+            const pathPoint = launchSimulation.launchPath[pathIndex];
             stringArray.push(`          ${pathPoint.location.longitude},${pathPoint.location.latitude},0\n`);
         }
         stringArray.push(`        </coordinates>\n`);
@@ -375,34 +586,147 @@ function createGroundPathBlob(launchLocation, waiverLocation, waiverRadius, laun
         stringArray.push(`    </Placemark>\n`);
         
         // Write the placemark for the last coordinate of the ground track
-        if (launchSimulationList[index].launchPath.length > 0) {
-            const lastLocation = launchSimulationList[index].launchPath[launchSimulationList[index].launchPath.length - 1].location;
-            addPlacemark(stringArray, launchSimulationList[index].getLaunchTime(), markerColor.webHexadecimal, lastLocation);
+        if (launchSimulation.launchPath.length > 0) {
+            const lastLocation = launchSimulation.launchPath[launchSimulation.launchPath.length - 1].location;
+            addPlacemark(stringArray, getSimulationLabel(launchSimulation), markerColor.webHexadecimal, lastLocation);
+        }
+    });
+
+    addWaiverArea(stringArray, launchLocation, waiverArea);
+    addHazards(stringArray, hazardList);
+
+    // Write KML footer
+    stringArray.push(`  </Document>\n`);
+    stringArray.push(`</kml>\n`);
+
+    return new Blob(stringArray);
+}
+
+/**
+ * Chooses the heat map color of a landing probability, blending from blue through green to red
+ * as landings become more likely.
+ * @param {number} fraction - Probability (0 - 1) relative to the most likely landing location.
+ * @returns {Array.<number>} Red, green, blue, and alpha values (0 - 255). Unlikely locations are transparent.
+ */
+function getProbabilityPixel(fraction) {
+    if (fraction < 0.02) {
+        return [0, 0, 0, 0];
+    }
+
+    const red = Math.round(255 * Math.min(1.0, Math.max(0.0, (2.0 * fraction) - 0.5)));
+    const green = Math.round(255 * Math.min(1.0, 2.0 - (2.0 * Math.abs((2.0 * fraction) - 1.0))));
+    const blue = Math.round(255 * Math.min(1.0, Math.max(0.0, 1.5 - (2.0 * fraction))));
+    const alpha = Math.round(80 + (140 * fraction));
+    return [red, green, blue, alpha];
+}
+
+/**
+ * Formats landing probabilities according to the KML standard for display within Google Earth. The
+ * probabilities are drawn as a heat map ground overlay, surrounded by contours holding set percentages
+ * of landings. The overlay's image is packaged with the KML document into a KMZ archive.
+ * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
+ * @param {LandingProbabilityGrid} probabilityGrid - Probability of landing throughout the landing area.
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
+ * @returns {Blob} The KMZ archive, or undefined if there is nothing to write.
+ */
+function createLandingProbabilityBlob(launchLocation, waiverArea, probabilityGrid, hazardList = []) {
+    if (null == launchLocation) {
+        console.debug('Cannot create a landing probability blob without a launch location.');
+        return;
+    }
+    if (null == probabilityGrid) {
+        console.debug('Cannot create a landing probability blob without landing probabilities.');
+        return;
+    }
+
+    // Image rows are listed from the top, while grid rows count from the South
+    const maximumProbability = probabilityGrid.getMaximumProbability();
+    const pixels = new Uint8Array(probabilityGrid.columnCount * probabilityGrid.rowCount * 4);
+    for (let row = 0; row < probabilityGrid.rowCount; ++row) {
+        const imageRow = probabilityGrid.rowCount - 1 - row;
+        for (let column = 0; column < probabilityGrid.columnCount; ++column) {
+            const pixel = getProbabilityPixel(probabilityGrid.getProbability(row, column) / maximumProbability);
+            pixels.set(pixel, ((imageRow * probabilityGrid.columnCount) + column) * 4);
         }
     }
+    const imageName = 'landing_probability.png';
+    const image = createPngImage(probabilityGrid.columnCount, probabilityGrid.rowCount, pixels);
 
-    if ((null != waiverLocation) && (waiverRadius > 0)) {
-        // Do not cover up the launch site marker with one for the waiver if at the same location
-        if ((launchLocation.latitude != waiverLocation.latitude) || (launchLocation.longitude != waiverLocation)) {
-            // Create a placemark for the Waiver Center
-            addPlacemark(stringArray, 'Waiver Center', redMarkerColor.webHexadecimal, waiverLocation);
+    // Write KML header
+    let stringArray = [`<?xml version="1.0" encoding="UTF-8"?>\n`];
+    stringArray.push(`<kml xmlns="http://www.opengis.net/kml/2.2">\n`);
+    stringArray.push(`  <Document>\n`);
+
+    // Create a placemark for the launch site (red color)
+    const redMarkerColor = getHourColor(-1);
+    addPlacemark(stringArray, 'Launch Site', redMarkerColor.webHexadecimal, launchLocation);
+
+    // Stretch the heat map image over the landing area, naming the launch time the landings came from
+    const bounds = probabilityGrid.getBounds();
+    const overlayName = `Landing Probability ${probabilityGrid.launchName}`.trim();
+    stringArray.push(`    <GroundOverlay>\n`);
+    stringArray.push(`      <name>${overlayName}</name>\n`);
+    stringArray.push(`      <description>Estimated from ${probabilityGrid.landingCount} simulated landings.</description>\n`);
+    stringArray.push(`      <Icon>\n`);
+    stringArray.push(`        <href>${imageName}</href>\n`);
+    stringArray.push(`      </Icon>\n`);
+    stringArray.push(`      <LatLonBox>\n`);
+    stringArray.push(`        <north>${bounds.north}</north>\n`);
+    stringArray.push(`        <south>${bounds.south}</south>\n`);
+    stringArray.push(`        <east>${bounds.east}</east>\n`);
+    stringArray.push(`        <west>${bounds.west}</west>\n`);
+    stringArray.push(`      </LatLonBox>\n`);
+    stringArray.push(`    </GroundOverlay>\n`);
+
+    // Outline the most likely areas holding each percentage of landings
+    stringArray.push(`    <Folder>\n`);
+    stringArray.push(`      <name>Percentile Contours</name>\n`);
+    for (const landingPercentile of landingPercentiles) {
+        const contourList = probabilityGrid.getPercentileContours(landingPercentile.percentile);
+        if (0 == contourList.length) {
+            continue;
         }
 
-        // Plot a transparent blue circle with red outline clamped to the ground representing
-        // the waiver area. Convert the radius from nautical miles to meters.
-        addCircle(stringArray, 'Wavier Radius', redMarkerColor.earthHexadecimal, '1aff0000', waiverLocation, waiverRadius * 1852.0);
+        stringArray.push(`    <Placemark>\n`);
+        stringArray.push(`      <name>${landingPercentile.percentile}% of Landings</name>\n`);
+        stringArray.push(`      <description>Most likely area holding ${landingPercentile.percentile}% of ${probabilityGrid.landingCount} simulated landings.</description>\n`);
+        stringArray.push(`      <Style>\n`);
+        stringArray.push(`        <LineStyle>\n`);
+        stringArray.push(`          <color>${landingPercentile.color}</color>\n`);
+        stringArray.push(`          <width>2</width>\n`);
+        stringArray.push(`        </LineStyle>\n`);
+        stringArray.push(`      </Style>\n`);
+        stringArray.push(`      <MultiGeometry>\n`);
+        for (const contour of contourList) {
+            stringArray.push(`        <LineString>\n`);
+            stringArray.push(`          <altitudeMode>clampToGround</altitudeMode>\n`);
+            stringArray.push(`          <tessellate>1</tessellate>\n`);
+            stringArray.push(`          <coordinates>\n`);
+            for (const contourLocation of contour) {
+                stringArray.push(`            ${contourLocation.longitude},${contourLocation.latitude},0\n`);
+            }
+            stringArray.push(`          </coordinates>\n`);
+            stringArray.push(`        </LineString>\n`);
+        }
+        stringArray.push(`      </MultiGeometry>\n`);
+        stringArray.push(`    </Placemark>\n`);
     }
+    stringArray.push(`    </Folder>\n`);
+
+    addWaiverArea(stringArray, launchLocation, waiverArea);
+    addHazards(stringArray, hazardList);
 
     // Write KML footer
     stringArray.push(`  </Document>\n`);
     stringArray.push(`</kml>\n`);
 
-    return new Blob(stringArray);
+    return createKmzBlob(stringArray.join(''), [{ name: imageName, data: image }]);
 }
 
 /**
  * Attempts to write a Blob's contents into a file designated by the user.
- * @param {Blob} kmlBlob - Text formated in the KML standard to be saved.
+ * @param {Blob} kmlBlob - Text formated in the KML standard, or a KMZ archive, to be saved.
  * @param {string} defaultName - Name to be suggested when the user selects a destination file.
  */
 async function saveKmlFile(kmlBlob, defaultName) {
@@ -421,7 +745,10 @@ async function saveKmlFile(kmlBlob, defaultName) {
         try {
             const filePickerOptions = {
                 types: [
-                    {
+                    defaultName.endsWith('.kmz') ? {
+                        description: "Google Earth archive",
+                        accept: { "application/vnd.google-earth.kmz": [".kmz"] },
+                    } : {
                         description: "Google Earth file",
                         accept: { "application/vnd.google-earth.kml+xml": [".kml"] },
                     },
@@ -476,12 +803,13 @@ async function saveKmlFile(kmlBlob, defaultName) {
  * Formats the launch and landing plot data according to the KML standard and saves it
  * to a file for later importation into Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
  * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {Array.<DispersionResult>} dispersionList - Dispersion results used to draw confidence ellipses around landings.
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-async function saveLandingScatter(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
-    const kmlBlob = await createLandingPlotBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList);
+async function saveLandingScatter(launchLocation, waiverArea, launchSimulationList, dispersionList = [], hazardList = []) {
+    const kmlBlob = await createLandingPlotBlob(launchLocation, waiverArea, launchSimulationList, dispersionList, hazardList);
     await saveKmlFile(kmlBlob, 'LandingScatter.kml');
 }
 
@@ -490,12 +818,12 @@ async function saveLandingScatter(launchLocation, waiverLocation, waiverRadius,
  * Formats the flight path data according to the KML standard and saves it to a file for
  * later importation into Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
  * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-async function saveFlightScatter(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
-    const kmlBlob = await createFlightPathBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList);
+async function saveFlightScatter(launchLocation, waiverArea, launchSimulationList, hazardList = []) {
+    const kmlBlob = await createFlightPathBlob(launchLocation, waiverArea, launchSimulationList, hazardList);
     await saveKmlFile(kmlBlob, 'FlightScatter.kml');
 }
 
@@ -503,13 +831,27 @@ async function saveFlightScatter(launchLocation, waiverLocation, waiverRadius, l
  * Formats the flight path data projected onto the ground according to the KML standard
  * and saves it to a file for later importation into Google Earth.
  * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
- * @param {GeoLocation} waiverLocation - Coordinates upon which the FAA waiver is centered.
- * @param {number} waiverRadius - Radius (in nautical miles) the FAA waiver covers.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
  * @param {Array.<LaunchSimulationData>} - A list of launch simulation data objects. 
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
  */
-async function saveGroundPaths(launchLocation, waiverLocation, waiverRadius, launchSimulationList) {
-    const kmlBlob = await createGroundPathBlob(launchLocation, waiverLocation, waiverRadius, launchSimulationList);
+async function saveGroundPaths(launchLocation, waiverArea, launchSimulationList, hazardList = []) {
+    const kmlBlob = await createGroundPathBlob(launchLocation, waiverArea, launchSimulationList, hazardList);
     await saveKmlFile(kmlBlob, 'GroundPaths.kml');
 }
 
-export { saveLandingScatter, saveFlightScatter, saveGroundPaths };
\ No newline at end of file
+/**
+ * Formats landing probabilities as a heat map and percentile contours according to the KML
+ * standard and saves them to a KMZ file for later importation into Google Earth.
+ * @param {GeoLocation} launchLocation - Coordinates from which rockets are launched.
+ * @param {WaiverArea} waiverArea - Airspace covered by the FAA waiver, or null if not available.
+ * @param {LandingProbabilityGrid} probabilityGrid - Probability of landing throughout the landing area.
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site where a landing is unacceptable.
+ */
+async function saveLandingProbability(launchLocation, waiverArea, probabilityGrid, hazardList = []) {
+    const kmzBlob = createLandingProbabilityBlob(launchLocation, waiverArea, probabilityGrid, hazardList);
+    await saveKmlFile(kmzBlob, 'LandingProbability.kmz');
+}
+
+export { createLandingPlotBlob, createFlightPathBlob, createGroundPathBlob, createLandingProbabilityBlob };
+export { saveLandingScatter, saveFlightScatter, saveGroundPaths, saveLandingProbability };
\ No newline at end of file
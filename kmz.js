@@ -0,0 +1,198 @@
+/**
+ * Remainders used to calculate the CRC-32 checksums required by PNG images and ZIP archives.
+ * @type {Uint32Array}
+ */
+const crcTable = new Uint32Array(256);
+for (let index = 0; index < 256; ++index) {
+    let remainder = index;
+    for (let bit = 0; bit < 8; ++bit) {
+        remainder = (remainder & 1) ? (0xedb88320 ^ (remainder >>> 1)) : (remainder >>> 1);
+    }
+    crcTable[index] = remainder;
+}
+
+/**
+ * Calculates the CRC-32 checksum of the provided bytes.
+ * @param {Uint8Array} bytes - Data to be checked.
+ * @returns {number} Unsigned 32 bit checksum.
+ */
+function getCrc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Calculates the Adler-32 checksum which ends every zlib stream.
+ * @param {Uint8Array} bytes - Data to be checked.
+ * @returns {number} Unsigned 32 bit checksum.
+ */
+function getAdler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (const byte of bytes) {
+        a = (a + byte) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wraps data within a zlib stream without compressing it. Images covering a landing zone are small,
+ * so storing them avoids needing a compression library.
+ * @param {Uint8Array} bytes - Data to be wrapped.
+ * @returns {Uint8Array} The zlib stream.
+ */
+function createStoredZlibStream(bytes) {
+    const blockSize = 65535;
+    const blockCount = Math.max(1, Math.ceil(bytes.length / blockSize));
+    const stream = new Uint8Array(2 + (blockCount * 5) + bytes.length + 4);
+    const view = new DataView(stream.buffer);
+
+    // Deflate with a 32K window and no preset dictionary
+    stream[0] = 0x78;
+    stream[1] = 0x01;
+
+    let streamIndex = 2;
+    for (let block = 0; block < blockCount; ++block) {
+        const blockBytes = bytes.subarray(block * blockSize, (block + 1) * blockSize);
+        stream[streamIndex] = (block == blockCount - 1) ? 1 : 0;
+        view.setUint16(streamIndex + 1, blockBytes.length, true);
+        view.setUint16(streamIndex + 3, ~blockBytes.length & 0xffff, true);
+        stream.set(blockBytes, streamIndex + 5);
+        streamIndex += 5 + blockBytes.length;
+    }
+
+    view.setUint32(streamIndex, getAdler32(bytes));
+    return stream;
+}
+
+/**
+ * Formats a PNG chunk including its length and checksum.
+ * @param {string} chunkType - Four letter name of the chunk.
+ * @param {Uint8Array} chunkData - Contents of the chunk.
+ * @returns {Uint8Array} The complete chunk.
+ */
+function createPngChunk(chunkType, chunkData) {
+    const chunk = new Uint8Array(12 + chunkData.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, chunkData.length);
+    chunk.set(new TextEncoder().encode(chunkType), 4);
+    chunk.set(chunkData, 8);
+    view.setUint32(8 + chunkData.length, getCrc32(chunk.subarray(4, 8 + chunkData.length)));
+    return chunk;
+}
+
+/**
+ * Encodes pixels as a PNG image with transparency.
+ * @param {number} width - Number of pixels across each row.
+ * @param {number} height - Number of rows.
+ * @param {Uint8Array} pixels - Red, green, blue, and alpha values of every pixel, listing the top row first.
+ * @returns {Uint8Array} The PNG image file.
+ * @throws {TypeError} The number of pixels does not match the width and height.
+ */
+function createPngImage(width, height, pixels) {
+    if (pixels.length != width * height * 4) throw new TypeError(`Invalid pixel count for a ${width} by ${height} image: ${pixels.length / 4}`);
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8;  // Bits per channel
+    header[9] = 6;  // Red, green, blue, and alpha
+
+    // Each row begins with a filter type, where zero leaves the row unchanged
+    const rowLength = width * 4;
+    const imageData = new Uint8Array(height * (rowLength + 1));
+    for (let row = 0; row < height; ++row) {
+        imageData.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (row * (rowLength + 1)) + 1);
+    }
+
+    const chunkList = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        createPngChunk('IHDR', header),
+        createPngChunk('IDAT', createStoredZlibStream(imageData)),
+        createPngChunk('IEND', new Uint8Array(0))
+    ];
+
+    const image = new Uint8Array(chunkList.reduce((length, chunk) => length + chunk.length, 0));
+    let imageIndex = 0;
+    for (const chunk of chunkList) {
+        image.set(chunk, imageIndex);
+        imageIndex += chunk.length;
+    }
+    return image;
+}
+
+/**
+ * Packages a KML document with the files it references, such as ground overlay images, into a KMZ archive.
+ * Google Earth expects the KML document to be the archive's first file.
+ * @param {string} kmlText - The KML document, saved within the archive as doc.kml.
+ * @param {Array.<{name: string, data: Uint8Array}>} fileList - Files referenced by the document using their name.
+ * @returns {Blob} The KMZ archive.
+ */
+function createKmzBlob(kmlText, fileList = []) {
+    const textEncoder = new TextEncoder();
+    const entryList = [{ name: 'doc.kml', data: textEncoder.encode(kmlText) }].concat(fileList);
+
+    const localParts = [];
+    const centralParts = [];
+    let localOffset = 0;
+    let centralLength = 0;
+
+    for (const entry of entryList) {
+        const nameBytes = textEncoder.encode(entry.name);
+        const crc = getCrc32(entry.data);
+
+        // Files are stored without compression and dated 1980-01-01, keeping archives identical between runs
+        const localHeader = new Uint8Array(30 + nameBytes.length);
+        const localView = new DataView(localHeader.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        localView.setUint16(4, 20, true);
+        localView.setUint16(6, 0x0800, true);
+        localView.setUint16(8, 0, true);
+        localView.setUint16(10, 0, true);
+        localView.setUint16(12, 0x0021, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, entry.data.length, true);
+        localView.setUint32(22, entry.data.length, true);
+        localView.setUint16(26, nameBytes.length, true);
+        localView.setUint16(28, 0, true);
+        localHeader.set(nameBytes, 30);
+
+        const centralHeader = new Uint8Array(46 + nameBytes.length);
+        const centralView = new DataView(centralHeader.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(4, 20, true);
+        centralView.setUint16(6, 20, true);
+        centralView.setUint16(8, 0x0800, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, 0, true);
+        centralView.setUint16(14, 0x0021, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, entry.data.length, true);
+        centralView.setUint32(24, entry.data.length, true);
+        centralView.setUint16(28, nameBytes.length, true);
+        centralView.setUint32(42, localOffset, true);
+        centralHeader.set(nameBytes, 46);
+
+        localParts.push(localHeader, entry.data);
+        centralParts.push(centralHeader);
+        localOffset += localHeader.length + entry.data.length;
+        centralLength += centralHeader.length;
+    }
+
+    const endRecord = new Uint8Array(22);
+    const endView = new DataView(endRecord.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, entryList.length, true);
+    endView.setUint16(10, entryList.length, true);
+    endView.setUint32(12, centralLength, true);
+    endView.setUint32(16, localOffset, true);
+
+    return new Blob(localParts.concat(centralParts, [endRecord]), { type: 'application/vnd.google-earth.kmz' });
+}
+
+export { createPngImage, createKmzBlob };
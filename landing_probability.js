@@ -0,0 +1,414 @@
+import { GeoLocation, getLocalOffset, getOffsetLocation } from './geo.js';
+import { LaunchSimulationData, LaunchScenario } from './launch.js';
+
+/* Estimates the probability of landing within each cell of a grid surrounding a set of landing locations. */
+class LandingProbabilityGrid {
+    /**
+     * Average coordinates of all landing locations, used as the origin of the grid's East and North offsets.
+     * @private
+     * @type {GeoLocation}
+     */
+    #origin = null;
+
+    /**
+     * Landing coordinates the probabilities were estimated from.
+     * @private
+     * @type {Array.<GeoLocation>}
+     */
+    #landingLocations = [];
+
+    /**
+     * Spread (meters) of the normal distribution placed around each landing location.
+     * @private
+     * @type {number}
+     */
+    #bandwidth = 0;
+
+    /**
+     * Width and height (meters) of each square cell.
+     * @private
+     * @type {number}
+     */
+    #cellSize = 0;
+
+    /**
+     * Offset (meters) of the grid's western edge East of the origin.
+     * @private
+     * @type {number}
+     */
+    #westEdge = 0;
+
+    /**
+     * Offset (meters) of the grid's southern edge North of the origin.
+     * @private
+     * @type {number}
+     */
+    #southEdge = 0;
+
+    /**
+     * Number of cells from West to East.
+     * @private
+     * @type {number}
+     */
+    #columnCount = 0;
+
+    /**
+     * Number of cells from South to North.
+     * @private
+     * @type {number}
+     */
+    #rowCount = 0;
+
+    /**
+     * Probability of landing within each cell, listing each row from South to North.
+     * @private
+     * @type {Array.<number>}
+     */
+    #probabilities = [];
+
+    /**
+     * Day, hour, and minute the landings were launched at, or null if they span several launches.
+     * @private
+     * @type {Date}
+     */
+    #launchTime = null;
+
+    /**
+     * Text identifying the launch the landings came from, such as "9:30AM".
+     * @private
+     * @type {string}
+     */
+    #launchName = '';
+
+    /**
+     * Estimates landing probabilities by placing a normal distribution around each landing location, whose
+     * spread is chosen from the landings using Silverman's rule. The grid extends three spreads beyond the
+     * outermost landings so almost every possible landing is included.
+     * @param {Array.<GeoLocation>} landingLocations - Landing coordinates of every simulation.
+     * @param {number} cellCount - Number of cells across the longest side of the grid.
+     * @throws {TypeError} Missing landing locations or invalid cell count.
+     */
+    constructor(landingLocations, cellCount = 64) {
+        if (null == landingLocations || 0 == landingLocations.length) throw new TypeError('Landing probabilities require at least one landing location.');
+        if (!Number.isInteger(cellCount) || cellCount < 1) throw new TypeError(`Invalid landing probability cell count: ${cellCount}`);
+
+        this.#landingLocations = landingLocations;
+
+        // Average the coordinates. Landings span a few miles at most, so this is accurate enough.
+        let latitudeSum = 0;
+        let longitudeSum = 0;
+        for (const landing of landingLocations) {
+            latitudeSum += landing.latitude;
+            longitudeSum += landing.longitude;
+        }
+        this.#origin = new GeoLocation(latitudeSum / landingLocations.length, longitudeSum / landingLocations.length);
+
+        const offsetList = landingLocations.map((landing) => getLocalOffset(this.#origin, landing));
+
+        // Silverman's rule of thumb using the spread averaged across both axes, keeping a minimum of
+        // 10 meters so identical landings still cover an area.
+        let varianceSum = 0;
+        for (const offset of offsetList) {
+            varianceSum += (offset.east * offset.east) + (offset.north * offset.north);
+        }
+        const standardDeviation = Math.sqrt(varianceSum / (2.0 * offsetList.length));
+        this.#bandwidth = Math.max(10.0, 1.06 * standardDeviation * Math.pow(offsetList.length, -0.2));
+
+        const margin = 3.0 * this.#bandwidth;
+        this.#westEdge = Math.min(...offsetList.map((offset) => offset.east)) - margin;
+        this.#southEdge = Math.min(...offsetList.map((offset) => offset.north)) - margin;
+        const eastSpan = Math.max(...offsetList.map((offset) => offset.east)) + margin - this.#westEdge;
+        const northSpan = Math.max(...offsetList.map((offset) => offset.north)) + margin - this.#southEdge;
+
+        this.#cellSize = Math.max(eastSpan, northSpan) / cellCount;
+        this.#columnCount = Math.max(1, Math.ceil(eastSpan / this.#cellSize));
+        this.#rowCount = Math.max(1, Math.ceil(northSpan / this.#cellSize));
+
+        // Sum every landing's distribution at the center of each cell
+        const exponentScale = -1.0 / (2.0 * this.#bandwidth * this.#bandwidth);
+        let densitySum = 0;
+        for (let row = 0; row < this.#rowCount; ++row) {
+            const cellNorth = this.#southEdge + ((row + 0.5) * this.#cellSize);
+            for (let column = 0; column < this.#columnCount; ++column) {
+                const cellEast = this.#westEdge + ((column + 0.5) * this.#cellSize);
+
+                let density = 0;
+                for (const offset of offsetList) {
+                    const eastDistance = cellEast - offset.east;
+                    const northDistance = cellNorth - offset.north;
+                    density += Math.exp(exponentScale * ((eastDistance * eastDistance) + (northDistance * northDistance)));
+                }
+                this.#probabilities.push(density);
+                densitySum += density;
+            }
+        }
+
+        // Scale the densities so every cell's probability adds up to one
+        if (densitySum > 0) {
+            this.#probabilities = this.#probabilities.map((density) => density / densitySum);
+        }
+    }
+
+    /**
+     * Average coordinates of all landing locations, used as the origin of the grid's East and North offsets.
+     * @type {GeoLocation}
+     */
+    get origin() { return this.#origin; }
+
+    /**
+     * Landing coordinates the probabilities were estimated from.
+     * @type {Array.<GeoLocation>}
+     */
+    get landingLocations() { return this.#landingLocations; }
+
+    /**
+     * Number of landings the probabilities were estimated from.
+     * @type {number}
+     */
+    get landingCount() { return this.#landingLocations.length; }
+
+    /**
+     * Spread (meters) of the normal distribution placed around each landing location.
+     * @type {number}
+     */
+    get bandwidth() { return this.#bandwidth; }
+
+    /**
+     * Width and height (meters) of each square cell.
+     * @type {number}
+     */
+    get cellSize() { return this.#cellSize; }
+
+    /**
+     * Number of cells from West to East.
+     * @type {number}
+     */
+    get columnCount() { return this.#columnCount; }
+
+    /**
+     * Number of cells from South to North.
+     * @type {number}
+     */
+    get rowCount() { return this.#rowCount; }
+
+    /**
+     * Day, hour, and minute the landings were launched at, or null if they span several launches.
+     * @type {Date}
+     */
+    get launchTime() { return this.#launchTime; }
+
+    /**
+     * Text identifying the launch the landings came from, such as "9:30AM".
+     * @type {string}
+     */
+    get launchName() { return this.#launchName; }
+
+    /**
+     * Records which launch the landings came from.
+     * @param {Date} launchTime - Day, hour, and minute the landings were launched at.
+     * @param {string} launchName - Text identifying the launch, such as "9:30AM".
+     */
+    setLaunchTime(launchTime, launchName) {
+        this.#launchTime = launchTime;
+        this.#launchName = launchName;
+    }
+
+    /**
+     * Provides the probability of landing within a cell.
+     * @param {number} row - Index of the cell's row, counting from the South.
+     * @param {number} column - Index of the cell's column, counting from the West.
+     * @returns {number} Probability (0 - 1) of landing within the cell. Zero outside of the grid.
+     */
+    getProbability(row, column) {
+        if (row < 0 || row >= this.#rowCount || column < 0 || column >= this.#columnCount) {
+            return 0;
+        }
+        return this.#probabilities[(row * this.#columnCount) + column];
+    }
+
+    /**
+     * Provides the highest probability of landing within any single cell.
+     * @returns {number} Probability (0 - 1) of the most likely cell.
+     */
+    getMaximumProbability() {
+        return Math.max(...this.#probabilities);
+    }
+
+    /**
+     * Calculates the coordinates of the grid's outer edges.
+     * @returns {{north: number, south: number, east: number, west: number}} Latitude of the northern and southern
+     * edges along with longitude of the eastern and western edges (degrees).
+     */
+    getBounds() {
+        const southWest = getOffsetLocation(this.#origin, this.#westEdge, this.#southEdge);
+        const northEast = getOffsetLocation(this.#origin,
+                                            this.#westEdge + (this.#columnCount * this.#cellSize),
+                                            this.#southEdge + (this.#rowCount * this.#cellSize));
+        return { north: northEast.latitude, south: southWest.latitude, east: northEast.longitude, west: southWest.longitude };
+    }
+
+    /**
+     * Finds the smallest cell probability within the most likely area holding the given percentage of landings.
+     * @param {number} percentile - Percentage (0 - 100) of landings the area must hold.
+     * @returns {number} Probability (0 - 1) of the least likely cell within the area.
+     */
+    getPercentileThreshold(percentile) {
+        const sortedProbabilities = [...this.#probabilities].sort((a, b) => b - a);
+        const target = Math.min(Math.max(percentile, 0), 100) / 100.0;
+
+        let probabilitySum = 0;
+        for (const probability of sortedProbabilities) {
+            probabilitySum += probability;
+            if (probabilitySum >= target) {
+                return probability;
+            }
+        }
+        return sortedProbabilities[sortedProbabilities.length - 1];
+    }
+
+    /**
+     * Traces the outline of the most likely area holding the given percentage of landings using marching
+     * squares between cell centers. Cells beyond the grid are treated as unlikely, so every outline is closed.
+     * @param {number} percentile - Percentage (0 - 100) of landings the area must hold.
+     * @returns {Array.<Array.<GeoLocation>>} Closed outlines whose first and last coordinates are identical.
+     */
+    getPercentileContours(percentile) {
+        const threshold = this.getPercentileThreshold(percentile);
+        const isInside = (row, column) => this.getProbability(row, column) >= threshold;
+
+        // Position (column, row) where the threshold is crossed between two neighboring cell centers.
+        // Always interpolate from the lower index so neighboring squares produce identical points.
+        const crossColumns = (row, column) => {
+            const first = this.getProbability(row, column);
+            return { x: column + ((threshold - first) / (this.getProbability(row, column + 1) - first)), y: row };
+        };
+        const crossRows = (row, column) => {
+            const first = this.getProbability(row, column);
+            return { x: column, y: row + ((threshold - first) / (this.getProbability(row + 1, column) - first)) };
+        };
+
+        let segmentList = [];
+        for (let row = -1; row < this.#rowCount; ++row) {
+            for (let column = -1; column < this.#columnCount; ++column) {
+                const bottomLeft = isInside(row, column);
+                const bottomRight = isInside(row, column + 1);
+                const topRight = isInside(row + 1, column + 1);
+                const topLeft = isInside(row + 1, column);
+
+                const bottom = (bottomLeft != bottomRight) ? crossColumns(row, column) : null;
+                const top = (topLeft != topRight) ? crossColumns(row + 1, column) : null;
+                const left = (bottomLeft != topLeft) ? crossRows(row, column) : null;
+                const right = (bottomRight != topRight) ? crossRows(row, column + 1) : null;
+
+                const crossingList = [bottom, right, top, left].filter((crossing) => null != crossing);
+                if (2 == crossingList.length) {
+                    segmentList.push(crossingList);
+                } else if (4 == crossingList.length) {
+                    // Opposite corners are inside, so use the square's center to decide whether they connect
+                    const centerInside = ((this.getProbability(row, column) + this.getProbability(row, column + 1) +
+                                           this.getProbability(row + 1, column + 1) + this.getProbability(row + 1, column)) / 4.0) >= threshold;
+                    if (centerInside == bottomLeft) {
+                        segmentList.push([bottom, right], [top, left]);
+                    } else {
+                        segmentList.push([bottom, left], [top, right]);
+                    }
+                }
+            }
+        }
+
+        // The threshold is one cell's probability, so crossings can land exactly on that cell's center.
+        // Drop the segments this collapses to a single point.
+        const pointKey = (point) => `${point.x},${point.y}`;
+        segmentList = segmentList.filter((segment) => pointKey(segment[0]) != pointKey(segment[1]));
+
+        // Join the segments sharing an end point into closed outlines
+        const segmentMap = new Map();
+        segmentList.forEach((segment, index) => {
+            for (const point of segment) {
+                const key = pointKey(point);
+                if (!segmentMap.has(key)) {
+                    segmentMap.set(key, []);
+                }
+                segmentMap.get(key).push(index);
+            }
+        });
+
+        const usedSegments = new Set();
+        const contourList = [];
+        segmentList.forEach((segment, index) => {
+            if (usedSegments.has(index)) {
+                return;
+            }
+            usedSegments.add(index);
+
+            const outline = [segment[0], segment[1]];
+            let nextIndex = segmentMap.get(pointKey(segment[1])).find((otherIndex) => !usedSegments.has(otherIndex));
+            while (undefined != nextIndex) {
+                usedSegments.add(nextIndex);
+                const lastKey = pointKey(outline[outline.length - 1]);
+                const nextSegment = segmentList[nextIndex];
+                const nextPoint = (pointKey(nextSegment[0]) == lastKey) ? nextSegment[1] : nextSegment[0];
+                outline.push(nextPoint);
+                nextIndex = segmentMap.get(pointKey(nextPoint)).find((otherIndex) => !usedSegments.has(otherIndex));
+            }
+
+            // Convert from cell positions into coordinates
+            contourList.push(outline.map((point) => getOffsetLocation(this.#origin,
+                                                                      this.#westEdge + ((point.x + 0.5) * this.#cellSize),
+                                                                      this.#southEdge + ((point.y + 0.5) * this.#cellSize))));
+        });
+        return contourList;
+    }
+}
+
+/**
+ * Estimates the probability of landing throughout the area surrounding the nominal simulations, such
+ * as those from every member of an ensemble forecast. Winds change through the day, so each launch
+ * time has its own estimate rather than pooling landings from different hours.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @returns {Array.<LandingProbabilityGrid>} Landing probabilities for each launch time in the order they
+ * were simulated, skipping any time where fewer than two simulations landed.
+ */
+function landingProbabilityAnalysis(launchSimulationList) {
+    const nominalList = launchSimulationList.filter((launchSimulation) => LaunchScenario.NOMINAL == launchSimulation.scenario);
+    const dayCount = new Set(nominalList.map((launchSimulation) => launchSimulation.getLaunchDay())).size;
+
+    // Group the landings by launch time, keeping the order in which each time first appears
+    const launchMap = new Map();
+    for (const launchSimulation of nominalList) {
+        const launchKey = `${launchSimulation.getLaunchDay()} ${launchSimulation.getLaunchTime()}`;
+        if (!launchMap.has(launchKey)) {
+            launchMap.set(launchKey, { launchSimulation: launchSimulation, landingLocations: [] });
+        }
+
+        const landingLocation = launchSimulation.getLandingLocation();
+        if (null != landingLocation) {
+            launchMap.get(launchKey).landingLocations.push(landingLocation.getCopy());
+        }
+    }
+
+    const probabilityGridList = [];
+    for (const { launchSimulation, landingLocations } of launchMap.values()) {
+        // Only name the day when the launches span several days
+        let launchName = launchSimulation.getLaunchTime();
+        if (dayCount > 1) {
+            launchName = `${launchSimulation.getLaunchDay()} ${launchName}`;
+        }
+
+        if (landingLocations.length < 2) {
+            console.debug(`Landing probabilities require at least two landings, but only ${landingLocations.length} were simulated at ${launchName}.`);
+            continue;
+        }
+
+        const launchDay = launchSimulation.day;
+        const launchTime = (null == launchDay) ? null : new Date(launchDay.getFullYear(), launchDay.getMonth(), launchDay.getDate(), launchSimulation.time, launchSimulation.minute);
+
+        const probabilityGrid = new LandingProbabilityGrid(landingLocations);
+        probabilityGrid.setLaunchTime(launchTime, launchName);
+        probabilityGridList.push(probabilityGrid);
+    }
+    return probabilityGridList;
+}
+
+export { LandingProbabilityGrid };
+export { landingProbabilityAnalysis };
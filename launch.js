@@ -1,4 +1,114 @@
 import { GeoLocation } from "./geo.js";
+import { WaiverArea } from "./waiver.js";
+
+/* Identifies which recovery outcome a launch simulation represents. */
+const LaunchScenario = Object.freeze({
+    NOMINAL: 0,
+    DROGUE_ONLY: 1,
+    EARLY_MAIN: 2,
+    BALLISTIC: 3
+});
+
+/**
+ * Checks whether a timezone name, such as America/Denver, is known to this browser.
+ * @param {string} timeZone - IANA timezone name.
+ * @returns {boolean} True if dates can be shown in the timezone.
+ */
+function isValidTimeZone(timeZone) {
+    if ('string' != typeof timeZone || 0 == timeZone.length) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    } catch (error) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Finds how far a timezone's clocks are ahead of UTC at a moment in time, including any daylight saving time.
+ * @param {string} timeZone - IANA timezone name.
+ * @param {Date} moment - When the offset applies.
+ * @returns {number} Minutes the timezone's clocks are ahead of UTC.
+ */
+function getTimeZoneOffset(timeZone, moment) {
+    const clockFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+
+    const clock = {};
+    for (const part of clockFormat.formatToParts(moment)) {
+        clock[part.type] = parseInt(part.value);
+    }
+
+    const clockTime = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute);
+    return Math.round((clockTime - (Math.floor(moment.getTime() / 60000) * 60000)) / 60000);
+}
+
+/**
+ * Finds the moment a launch site's clock shows a date and time.
+ * @param {Date} siteTime - Date whose local fields hold the date and time shown by the launch site's clock.
+ * @param {string} timeZone - IANA timezone of the launch site, or null if it matches this computer's timezone.
+ * @returns {Date} The moment the launch site's clock shows the date and time.
+ */
+function getLaunchSiteMoment(siteTime, timeZone) {
+    if (null == timeZone) {
+        return siteTime;
+    }
+
+    const clockTime = Date.UTC(siteTime.getFullYear(), siteTime.getMonth(), siteTime.getDate(), siteTime.getHours(), siteTime.getMinutes());
+
+    // Check the offset again at the first guess in case daylight saving time begins or ends in between
+    let moment = clockTime - (getTimeZoneOffset(timeZone, new Date(clockTime)) * 60000);
+    moment = clockTime - (getTimeZoneOffset(timeZone, new Date(moment)) * 60000);
+    return new Date(moment);
+}
+
+/**
+ * Provides the abbreviated name of a timezone on a given day, such as MDT.
+ * @param {string} timeZone - IANA timezone name, or null for this computer's timezone.
+ * @param {Date} moment - When the name applies, since daylight saving time changes it.
+ * @returns {string} Short name of the timezone, which may be an offset such as GMT-7 when no abbreviation is known.
+ */
+function getTimeZoneAbbreviation(timeZone, moment) {
+    const nameFormat = new Intl.DateTimeFormat('en-US', { timeZone: timeZone ?? undefined, timeZoneName: 'short' });
+    const namePart = nameFormat.formatToParts(moment).find((part) => 'timeZoneName' == part.type);
+    return (null == namePart) ? '' : namePart.value;
+}
+
+/**
+ * Provides a time of day including AM or PM, showing minutes only when launching between hours.
+ * @param {number} hour - Hour (0 - 23) of the day.
+ * @param {number} minute - Minute (0 - 59) past the hour.
+ * @returns {string} The time, such as 9AM or 9:30AM.
+ */
+function getClockTimeText(hour, minute) {
+    const minuteText = (0 == minute) ? '' : `:${minute.toString().padStart(2, '0')}`;
+
+    if (0 == hour) {
+        return `12${minuteText}AM`;
+    } else if (12 == hour) {
+        return `12${minuteText}PM`;
+    } else if (hour > 12) {
+        return `${hour - 12}${minuteText}PM`;
+    }
+    return `${hour}${minuteText}AM`;
+}
+
+/**
+ * Provides a launch time as read from the launch site's clock, matching the day and time shown for each simulation.
+ * @param {Date} launchTime - Date whose local fields hold the date and time shown by the launch site's clock.
+ * @param {string} timeZone - IANA timezone of the launch site, or null if it matches this computer's timezone.
+ * @returns {string} The launch time, such as "Sat May 18 2024 9:30AM CDT" with the site's timezone, or without one.
+ */
+function getLaunchTimeText(launchTime, timeZone) {
+    const launchText = `${launchTime.toDateString()} ${getClockTimeText(launchTime.getHours(), launchTime.getMinutes())}`;
+    if (null == timeZone) {
+        return launchText;
+    }
+    return `${launchText} ${getTimeZoneAbbreviation(timeZone, getLaunchSiteMoment(launchTime, timeZone))}`;
+}
 
 /* Stores all date and time values that a launch is active. */
 class LaunchTimeData {
@@ -10,12 +120,41 @@ class LaunchTimeData {
     #launchDate = null;
 
     /**
-     * The date on which this launch concludes. Includes final hour.
+     * The date on which this launch concludes. Includes final hour, rounded up to include the forecast following any minutes.
      * @private
      * @type {Date}
      */
     #endDateWithHour = null;
 
+    /**
+     * The exact date and time, including minutes, of the first launch.
+     * @private
+     * @type {Date}
+     */
+    #startTime = null;
+
+    /**
+     * The exact date and time, including minutes, of the last launch.
+     * @private
+     * @type {Date}
+     */
+    #endTime = null;
+
+    /**
+     * The first and last launch times of each day, which repeat the same hours when a launch spans several days.
+     * @private
+     * @type {Array.<{startTime: Date, endTime: Date}>}
+     */
+    #dailyWindows = [];
+
+    /**
+     * IANA timezone of the launch site, whose clock every launch time is read from. Null when the launch site
+     * shares this computer's timezone.
+     * @private
+     * @type {string}
+     */
+    #timeZone = null;
+
     /**
      * The hour (0 - 23) when this launch ends.
      * @private
@@ -40,21 +179,28 @@ class LaunchTimeData {
     /**
      * Initializes launch Date and times based on provided strings. Also determines hour offsets from the current time.
      * @param {string} launchDateValue - String representing the date when this launch occurs (YYYY-MM-DD).
-     * @param {string} startTimeValue - String representing the hour this launch begins (HH:MM).
-     * @param {string} endTimeValue - String representing the hour this launch ends (HH:MM).
-     * @throws {TypeError} Invalidly formated date or time string.
-     */
-    constructor(launchDateValue, startTimeValue, endTimeValue) {
+     * @param {string} startTimeValue - String representing the time this launch begins (HH:MM).
+     * @param {string} endTimeValue - String representing the time this launch ends (HH:MM).
+     * @param {string} endDateValue - String representing the last day of a launch spanning several days (YYYY-MM-DD).
+     * @param {string} timeZone - IANA timezone of the launch site, or null if it matches this computer's timezone.
+     * @throws {TypeError} Invalidly formated date or time string, or an unknown timezone.
+     */
+    constructor(launchDateValue, startTimeValue, endTimeValue, endDateValue = launchDateValue, timeZone = null) {
+        if (null != timeZone && !isValidTimeZone(timeZone)) {
+            throw new TypeError(`Unknown launch site timezone: ${timeZone}`);
+        }
+        this.#timeZone = timeZone;
+
         if (launchDateValue.length < 10) {
-            window.alert(`Invalid launch date: ${launchDateValue}`);
             throw new TypeError(`Invalid launch date string: ${launchDateValue}`);
         }
+        if (endDateValue.length < 10) {
+            throw new TypeError(`Invalid launch end date string: ${endDateValue}`);
+        }
         if (startTimeValue.length < 2) {
-            window.alert(`Invalid launch start time: ${startTimeValue}`);
             throw new TypeError(`Invalid launch start time string: ${startTimeValue}`);
         }
         if (endTimeValue.length < 2) {
-            window.alert(`Invalid launch end time: ${endTimeValue}`);
             throw new TypeError(`Invalid launch end time string: ${endTimeValue}`);
         }
 
@@ -64,44 +210,67 @@ class LaunchTimeData {
 
         // Verify the date components are valid
         if (isNaN(numYear) || isNaN(numMonth) || isNaN(numDay)) {
-            window.alert(`Invalid launch date string: ${launchDateValue}`);
             throw new TypeError(`Invalid launch date string: ${launchDateValue}`);
         }
+
+        let numEndYear = parseInt(endDateValue.substring(0, 4));
+        let numEndMonth = parseInt(endDateValue.substring(5, 7));
+        let numEndDay = parseInt(endDateValue.substring(8, 10));
+        if (isNaN(numEndYear) || isNaN(numEndMonth) || isNaN(numEndDay)) {
+            throw new TypeError(`Invalid launch end date string: ${endDateValue}`);
+        }
+
+        // Rounding tolerates days lengthened or shortened by daylight saving time
+        const dayCount = Math.round((new Date(numEndYear, numEndMonth - 1, numEndDay) - new Date(numYear, numMonth - 1, numDay)) / 86400000) + 1;
+        if (dayCount < 1) {
+            throw new TypeError(`Launch ends on a day before it starts`);
+        }
     
         // Convert into just a date ignoring hours, minutes, and seconds
         let today = new Date();
         let currentHour = today.getHours();
         today = new Date(today.getFullYear(), today.getMonth(), today.getDate());
     
-        // Ignoring minute and second components
+        // Ignoring second components
         let startHour = parseInt(startTimeValue.substring(0, 2));
-        if (isNaN(startHour)) {
-            window.alert(`Invalid launch start time: ${startTimeValue}`);
+        let startMinute = (startTimeValue.length > 3) ? parseInt(startTimeValue.substring(3, 5)) : 0;
+        if (isNaN(startHour) || isNaN(startMinute) || startMinute < 0 || startMinute > 59) {
             throw new TypeError(`Invalid launch start time: ${startTimeValue}`);
         }
 
         this.#endHour = parseInt(endTimeValue.substring(0, 2));
-        if (isNaN(this.#endHour)) {
-            window.alert(`Invalid launch end time: ${endTimeValue}`);
+        let endMinute = (endTimeValue.length > 3) ? parseInt(endTimeValue.substring(3, 5)) : 0;
+        if (isNaN(this.#endHour) || isNaN(endMinute) || endMinute < 0 || endMinute > 59) {
             throw new TypeError(`Invalid launch end time: ${endTimeValue}`);
         }
-        if (this.#endHour < startHour) {
-            window.alert(`Launch ends before it starts`);
+        if ((this.#endHour * 60) + endMinute < (startHour * 60) + startMinute) {
             throw new TypeError(`Launch ends before it starts`);
         }
 
+        // Each day launches between the same start and end times.
+        for (let dayIndex = 0; dayIndex < dayCount; ++dayIndex) {
+            this.#dailyWindows.push({
+                startTime: new Date(numYear, numMonth - 1, numDay + dayIndex, startHour, startMinute),
+                endTime: new Date(numYear, numMonth - 1, numDay + dayIndex, this.#endHour, endMinute)
+            });
+        }
+
+        // Store the exact times of the first and last launches.
+        this.#startTime = this.#dailyWindows[0].startTime;
+        this.#endTime = this.#dailyWindows[dayCount - 1].endTime;
+
         // Store the launch's date and starting hour.
         this.#launchDate = new Date(numYear, numMonth - 1, numDay, startHour);
 
-        // Store the launch's date and ending hour.
-        this.#endDateWithHour = new Date(numYear, numMonth - 1, numDay, this.#endHour);
+        // Store the last day's date and ending hour, including the following hour's forecast when ending past the hour.
+        this.#endDateWithHour = new Date(numYear, numMonth - 1, numDay + dayCount - 1, this.#endHour + ((endMinute > 0) ? 1 : 0));
 
         // Calculate the offset of this launch's start time from now in hours.
         let rightNow = new Date();
 
-        // Now we can store offsets from now to the start and end hours.
-        this.#startHourOffset = Math.ceil((this.#launchDate - rightNow) / 3600000);
-        this.#endHourOffset = Math.ceil((this.#endDateWithHour - rightNow) / 3600000);
+        // Now we can store offsets from now to the start and end hours, as read from the launch site's clock.
+        this.#startHourOffset = Math.ceil((getLaunchSiteMoment(this.#launchDate, timeZone) - rightNow) / 3600000);
+        this.#endHourOffset = Math.ceil((getLaunchSiteMoment(this.#endDateWithHour, timeZone) - rightNow) / 3600000);
     }
 
     /**
@@ -120,6 +289,59 @@ class LaunchTimeData {
         return this.#endHour;
     }
 
+    /**
+     * Get the exact date and time, including minutes, of the first launch.
+     * @type {Date}
+     */
+    get startTime() {
+        return this.#startTime;
+    }
+
+    /**
+     * Get the exact date and time, including minutes, of the last launch.
+     * @type {Date}
+     */
+    get endTime() {
+        return this.#endTime;
+    }
+
+    /**
+     * Get the IANA timezone of the launch site, or null if it matches this computer's timezone.
+     * @type {string}
+     */
+    get timeZone() {
+        return this.#timeZone;
+    }
+
+    /**
+     * Get the first and last launch times of each day, in order.
+     * @type {Array.<{startTime: Date, endTime: Date}>}
+     */
+    get dailyWindows() {
+        return this.#dailyWindows;
+    }
+
+    /**
+     * Determines whether a forecast hour is needed by any day's launches, so the hours overnight between
+     * the days of a long launch may be skipped.
+     * @param {number} hourIndex - Hours following the launch's first forecast hour.
+     * @returns {boolean} True if a launch occurs within the hour or at the end of it.
+     */
+    isForecastHourNeeded(hourIndex) {
+        return this.#dailyWindows.some((dailyWindow) => (hourIndex + 1 > this.getForecastHours(dailyWindow.startTime))
+                                                        && (hourIndex - 1 < this.getForecastHours(dailyWindow.endTime)));
+    }
+
+    /**
+     * Counts the hours from the launch's first forecast hour to a launch time. Both are placed on the launch site's
+     * clock first, so a daylight saving time change on this computer during a long launch cannot shift the count.
+     * @param {Date} launchTime - Date whose local fields hold the date and time shown by the launch site's clock.
+     * @returns {number} Hours, including any fraction of an hour, following the launch's first forecast hour.
+     */
+    getForecastHours(launchTime) {
+        return (getLaunchSiteMoment(launchTime, this.#timeZone) - getLaunchSiteMoment(this.#launchDate, this.#timeZone)) / 3600000;
+    }
+
     /**
      * Get the difference in hours of the launch's start time from now.
      * @type {number}
@@ -159,8 +381,9 @@ class LaunchTimeData {
      * @returns {string} Date formatted according to ISO 8601 standard.
      */
     getUTCStartTimeAsISOString() {
-        const startUTCMonth = this.#launchDate.getUTCMonth() + 1;
-        return `${this.#launchDate.getUTCFullYear()}-${startUTCMonth.toString().padStart(2, '0')}-${this.#launchDate.getUTCDate().toString().padStart(2, '0')}T${this.#launchDate.getUTCHours().toString().padStart(2, '0')}:00`;
+        const startMoment = getLaunchSiteMoment(this.#launchDate, this.#timeZone);
+        const startUTCMonth = startMoment.getUTCMonth() + 1;
+        return `${startMoment.getUTCFullYear()}-${startUTCMonth.toString().padStart(2, '0')}-${startMoment.getUTCDate().toString().padStart(2, '0')}T${startMoment.getUTCHours().toString().padStart(2, '0')}:00`;
     }
 
     /**
@@ -168,8 +391,9 @@ class LaunchTimeData {
      * @returns {string} Date formatted according to ISO 8601 standard.
      */
     getUTCEndTimeAsISOString() {
-        const endUTCMonth = this.#endDateWithHour.getUTCMonth() + 1;
-        return `${this.#endDateWithHour.getUTCFullYear()}-${endUTCMonth.toString().padStart(2, '0')}-${this.#endDateWithHour.getUTCDate().toString().padStart(2, '0')}T${this.#endDateWithHour.getUTCHours().toString().padStart(2, '0')}:00`;
+        const endMoment = getLaunchSiteMoment(this.#endDateWithHour, this.#timeZone);
+        const endUTCMonth = endMoment.getUTCMonth() + 1;
+        return `${endMoment.getUTCFullYear()}-${endUTCMonth.toString().padStart(2, '0')}-${endMoment.getUTCDate().toString().padStart(2, '0')}T${endMoment.getUTCHours().toString().padStart(2, '0')}:00`;
     }
 }
 
@@ -229,6 +453,20 @@ class LaunchSimulationData {
      */
     #time;
 
+    /**
+     * The minute (0 - 59) past the hour when this simulation occurs.
+     * @private
+     * @type {number}
+     */
+    #minute = 0;
+
+    /**
+     * The day when this simulation occurs, or null if unknown.
+     * @private
+     * @type {Date}
+     */
+    #day = null;
+
     /**
      * A list of points along this simulation's launch path.
      * @private
@@ -264,6 +502,27 @@ class LaunchSimulationData {
      */
     #modelName;
 
+    /**
+     * Identifies which recovery outcome this simulation represents.
+     * @private
+     * @type {number}
+     */
+    #scenario = LaunchScenario.NOMINAL;
+
+    /**
+     * How well this simulation's flight stays within the waiver, or null if it was not checked.
+     * @private
+     * @type {WaiverContainment}
+     */
+    #waiverContainment = null;
+
+    /**
+     * Whether this simulation's launch is a go under the launch site's rules, or null if it was not checked.
+     * @private
+     * @type {LaunchDecision}
+     */
+    #launchDecision = null;
+
     /**
      * Initializes a location using the provided latitude and longitude coordinates.
      * @param {number} ele - The elevation (feet) of the launch site.
@@ -271,17 +530,24 @@ class LaunchSimulationData {
      * @param {number} gndWindSpeed - The average wind speed (MPH) at ground level.
      * @param {number} gndWindDir - The average wind direction (0 degrees from North) at ground level.
      * @param {string} windModelName - Name of the forecast model used to generate wind data.
+     * @param {number} scenario - LaunchScenario value identifying the recovery outcome simulated.
+     * @param {number} minute - The minute (0 - 59) past the hour this launch occurs.
+     * @param {Date} day - The day this launch occurs.
      * @throws {TypeError} Invalid time.
      */
-    constructor(ele, hour, gndWindSpeed, gndWindDir, windModelName) {
+    constructor(ele, hour, gndWindSpeed, gndWindDir, windModelName, scenario = LaunchScenario.NOMINAL, minute = 0, day = null) {
         if (isNaN(ele)) throw new TypeError(`Invalid elevation: ${ele}`);
         if (isNaN(hour)) throw new TypeError(`Invalid hour: ${hour}`);
+        if (isNaN(minute)) throw new TypeError(`Invalid minute: ${minute}`);
         if (isNaN(gndWindSpeed)) throw new TypeError(`Invalid ground wind speed: ${gndWindSpeed}`);
         if (isNaN(gndWindDir)) throw new TypeError(`Invalid ground wind direction: ${gndWindDir}`);
         this.#time = hour;
+        this.#minute = minute;
+        this.#day = day;
         this.#groundWindSpeed = gndWindSpeed;
         this.#groundWindDirection = gndWindDir;
         this.#modelName = windModelName;
+        this.#scenario = scenario;
 
         if (ele >= 0) {
             this.#elevation = ele;
@@ -296,6 +562,18 @@ class LaunchSimulationData {
      */
     get time() { return this.#time; }
 
+    /**
+     * Minute past the hour this launch occurs.
+     * @type {number}
+     */
+    get minute() { return this.#minute; }
+
+    /**
+     * Day this launch occurs, or null if unknown.
+     * @type {Date}
+     */
+    get day() { return this.#day; }
+
     /**
      * Location of this launch.
      * @type {Array.<LaunchPathPoint>}
@@ -320,6 +598,24 @@ class LaunchSimulationData {
      */
     get groundWindDirection() { return this.#groundWindDirection; }
 
+    /**
+     * LaunchScenario value identifying the recovery outcome simulated.
+     * @type {number}
+     */
+    get scenario() { return this.#scenario; }
+
+    /**
+     * How well this simulation's flight stays within the waiver, or null if it was not checked.
+     * @type {WaiverContainment}
+     */
+    get waiverContainment() { return this.#waiverContainment; }
+
+    /**
+     * Whether this simulation's launch is a go under the launch site's rules, or null if it was not checked.
+     * @type {LaunchDecision}
+     */
+    get launchDecision() { return this.#launchDecision; }
+
     /**
      * Append a new launch path point to this simulation's list.
      * @param {number} alt - The altitude (feet) of a point along the rocket's path.
@@ -331,6 +627,22 @@ class LaunchSimulationData {
         }
     }
 
+    /**
+     * Set how well this simulation's flight stays within the waiver.
+     * @param {WaiverContainment} waiverContainment - Results of checking the flight against the waiver.
+     */
+    setWaiverContainment(waiverContainment) {
+        this.#waiverContainment = waiverContainment;
+    }
+
+    /**
+     * Set whether this simulation's launch is a go under the launch site's rules.
+     * @param {LaunchDecision} launchDecision - Results of checking the launch against the rules.
+     */
+    setLaunchDecision(launchDecision) {
+        this.#launchDecision = launchDecision;
+    }
+
     /**
      * Get just the coordinates from where the rocket launched.
      * @returns {GeoLocation} Coordinates of the launch location if available. Otherwise null.
@@ -372,14 +684,15 @@ class LaunchSimulationData {
      * @returns {GeoLocation} Coordinates of the landing location if available. Otherwise null.
      */
     getLaunchTime() {
-        if (0 == this.#time) {
-            return '12AM';
-        } else if (12 == this.#time) {
-            return '12PM';
-        } else if (this.#time > 12) {
-            return `${this.time - 12}PM`;
-        }
-        return `${this.#time}AM`;
+        return getClockTimeText(this.#time, this.#minute);
+    }
+
+    /**
+     * Provides a text version of this launch's day, such as "Fri May 17 2024".
+     * @returns {string} The launch day, or an empty string if unknown.
+     */
+    getLaunchDay() {
+        return (null == this.#day) ? '' : this.#day.toDateString();
     }
 
     /**
@@ -404,6 +717,23 @@ class LaunchSimulationData {
     getWindModelName() {
         return this.#modelName;
     }
+
+    /**
+     * Provides a text description of the recovery outcome this simulation represents.
+     * @returns {string} Name of the simulated scenario.
+     */
+    getScenarioName() {
+        switch (this.#scenario) {
+            case LaunchScenario.DROGUE_ONLY:
+                return 'Drogue Only';
+            case LaunchScenario.EARLY_MAIN:
+                return 'Main at Apogee';
+            case LaunchScenario.BALLISTIC:
+                return 'Ballistic';
+            default:
+                return 'Nominal';
+        }
+    }
 }
 
 /* Contains data defining descent conditions at a particular altitude. */
@@ -520,18 +850,25 @@ class LaunchLocationData {
     #name = '';
 
     /**
-     * Coordinates of the launch waiver if available.
+     * Airspace covered by the launch waiver if available.
      * @private
-     * @type {GeoLocation}
+     * @type {WaiverArea}
      */
-    #waiverLocation;
+    #waiverArea = null;
 
     /**
-     * Radius (in nautical miles) of the launch waiver if available.
+     * IANA timezone of the launch location, or null if it matches this computer's timezone.
      * @private
-     * @type {number}
+     * @type {string}
+     */
+    #timeZone = null;
+
+    /**
+     * Named features near the launch location where a landing is unacceptable.
+     * @private
+     * @type {Array.<HazardFeature>}
      */
-    #waiverRadius = -1;
+    #hazards = [];
 
     /**
      * Initializes details about the overall launch required for our simulations.
@@ -545,13 +882,27 @@ class LaunchLocationData {
     }
 
     /**
-     * Set the data fields defining this launch's waiver.
-     * @param {GeoLocation} location - Coordinates of the launch waiver's center.
-     * @param {number} radius - Distance (in nautical miles) the launch waiver extends from the center.
+     * Set the airspace covered by this launch's waiver, such as polygons imported from a KML or GeoJSON file.
+     * @param {WaiverArea} waiverArea - Area covered by the launch waiver, or null if not available.
+     */
+    setWaiverArea(waiverArea) {
+        this.#waiverArea = waiverArea;
+    }
+
+    /**
+     * Set the timezone whose clock the launch times are read from.
+     * @param {string} timeZone - IANA timezone of the launch location, or null if it matches this computer's timezone.
      */
-    setWaiver(location, radius) {
-        this.#waiverLocation = location;
-        this.#waiverRadius = radius;
+    setTimeZone(timeZone) {
+        this.#timeZone = timeZone;
+    }
+
+    /**
+     * Set the named features near this launch where a landing is unacceptable.
+     * @param {Array.<HazardFeature>} hazardList - Hazards such as highways, power lines, and farm houses.
+     */
+    setHazards(hazardList) {
+        this.#hazards = hazardList ?? [];
     }
 
     /**
@@ -577,6 +928,49 @@ class LaunchLocationData {
     get name() {
         return this.#name;
     }
+
+    /**
+     * Get the airspace covered by the launch waiver. Null if not available.
+     * @type {WaiverArea}
+     */
+    get waiverArea() {
+        return this.#waiverArea;
+    }
+
+    /**
+     * Get the IANA timezone of the launch location, or null if it matches this computer's timezone.
+     * @type {string}
+     */
+    get timeZone() {
+        return this.#timeZone;
+    }
+
+    /**
+     * Get the named features near the launch location where a landing is unacceptable.
+     * @type {Array.<HazardFeature>}
+     */
+    get hazards() {
+        return this.#hazards;
+    }
+}
+
+/**
+ * Groups simulations by the day they launch, keeping the order in which each day first appears.
+ * @param {Array.<LaunchSimulationData>} launchSimulationList - A list of launch simulation data objects.
+ * @returns {Map.<string, Array.<LaunchSimulationData>>} The simulations launched on each day, keyed by the day's name.
+ */
+function groupByLaunchDay(launchSimulationList) {
+    const daySimulationMap = new Map();
+    for (const launchSimulation of launchSimulationList) {
+        const dayName = launchSimulation.getLaunchDay();
+        if (!daySimulationMap.has(dayName)) {
+            daySimulationMap.set(dayName, []);
+        }
+        daySimulationMap.get(dayName).push(launchSimulation);
+    }
+    return daySimulationMap;
 }
 
-export { LaunchTimeData, LaunchPathPoint, LaunchSimulationData, DescentData, LaunchLocationData };
\ No newline at end of file
+export { LaunchScenario };
+export { LaunchTimeData, LaunchPathPoint, LaunchSimulationData, DescentData, LaunchLocationData };
+export { groupByLaunchDay, isValidTimeZone, getTimeZoneAbbreviation, getLaunchTimeText };
\ No newline at end of file
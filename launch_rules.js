@@ -0,0 +1,213 @@
+import { metersToFeet, distanceBetweenLocations } from './geo.js';
+
+/* Stores the safety limits a launch site places upon every launch, deciding whether each is a go. */
+class LaunchRuleSet {
+    /**
+     * Fastest average surface wind (MPH) allowed. NFPA 1127 prohibits launches in winds above 20 MPH.
+     * @private
+     * @type {number}
+     */
+    #maxSurfaceWind = 20;
+
+    /**
+     * Farthest distance (feet) from the pad a rocket may land. Zero when landings have no distance limit.
+     * @private
+     * @type {number}
+     */
+    #maxLandingDistance = 0;
+
+    /**
+     * Whether every flight must stay inside the waiver's boundary.
+     * @private
+     * @type {boolean}
+     */
+    #requireInsideWaiver = true;
+
+    /**
+     * Whether every flight must stay below the waiver's ceiling.
+     * @private
+     * @type {boolean}
+     */
+    #requireBelowCeiling = true;
+
+    /**
+     * Closest distance (feet) a rocket may land to any hazard near the launch site without a buffer of its own.
+     * @private
+     * @type {number}
+     */
+    #hazardBuffer = 300;
+
+    /**
+     * Set the fastest average surface wind allowed.
+     * @param {number} windSpeed - Wind speed (MPH).
+     * @throws {TypeError} Invalid wind speed.
+     */
+    setMaxSurfaceWind(windSpeed) {
+        if (isNaN(windSpeed) || windSpeed < 0) throw new TypeError(`Invalid maximum surface wind: ${windSpeed}`);
+        this.#maxSurfaceWind = windSpeed;
+    }
+
+    /**
+     * Set the farthest distance from the pad a rocket may land.
+     * @param {number} distance - Distance (feet), or zero for no limit.
+     * @throws {TypeError} Invalid distance.
+     */
+    setMaxLandingDistance(distance) {
+        if (isNaN(distance) || distance < 0) throw new TypeError(`Invalid maximum landing distance: ${distance}`);
+        this.#maxLandingDistance = distance;
+    }
+
+    /**
+     * Set whether every flight must stay inside the waiver's boundary.
+     * @param {boolean} isRequired - True to reject flights leaving the waiver.
+     */
+    setRequireInsideWaiver(isRequired) {
+        this.#requireInsideWaiver = isRequired;
+    }
+
+    /**
+     * Set whether every flight must stay below the waiver's ceiling.
+     * @param {boolean} isRequired - True to reject flights climbing above the ceiling.
+     */
+    setRequireBelowCeiling(isRequired) {
+        this.#requireBelowCeiling = isRequired;
+    }
+
+    /**
+     * Set the closest distance a rocket may land to any hazard near the launch site without a buffer of its own.
+     * @param {number} distance - Distance (feet), or zero to only reject landings inside hazard polygons.
+     * @throws {TypeError} Invalid distance.
+     */
+    setHazardBuffer(distance) {
+        if (isNaN(distance) || distance < 0) throw new TypeError(`Invalid hazard buffer: ${distance}`);
+        this.#hazardBuffer = distance;
+    }
+
+    /**
+     * Fastest average surface wind (MPH) allowed.
+     * @type {number}
+     */
+    get maxSurfaceWind() { return this.#maxSurfaceWind; }
+
+    /**
+     * Farthest distance (feet) from the pad a rocket may land. Zero when landings have no distance limit.
+     * @type {number}
+     */
+    get maxLandingDistance() { return this.#maxLandingDistance; }
+
+    /**
+     * Whether every flight must stay inside the waiver's boundary.
+     * @type {boolean}
+     */
+    get requireInsideWaiver() { return this.#requireInsideWaiver; }
+
+    /**
+     * Whether every flight must stay below the waiver's ceiling.
+     * @type {boolean}
+     */
+    get requireBelowCeiling() { return this.#requireBelowCeiling; }
+
+    /**
+     * Closest distance (feet) a rocket may land to any hazard near the launch site without a buffer of its own.
+     * @type {number}
+     */
+    get hazardBuffer() { return this.#hazardBuffer; }
+}
+
+/* Stores whether a simulated launch is a go, along with every rule it breaks. */
+class LaunchDecision {
+    /**
+     * Description of each rule the launch breaks.
+     * @private
+     * @type {Array.<string>}
+     */
+    #reasons;
+
+    /**
+     * Initializes the decision from the rules the launch breaks.
+     * @param {Array.<string>} reasons - Description of each rule the launch breaks, empty for a go.
+     */
+    constructor(reasons = []) {
+        this.#reasons = reasons;
+    }
+
+    /**
+     * Description of each rule the launch breaks.
+     * @type {Array.<string>}
+     */
+    get reasons() { return this.#reasons; }
+
+    /**
+     * Whether the launch breaks none of the rules.
+     * @type {boolean}
+     */
+    get isGo() { return 0 == this.#reasons.length; }
+
+    /**
+     * Provides the decision as shown to the Range Safety Officer.
+     * @returns {string} GO or NO-GO.
+     */
+    getStatusText() {
+        return this.isGo ? 'GO' : 'NO-GO';
+    }
+}
+
+/**
+ * Checks a simulated launch against every rule of a launch site.
+ * @param {LaunchSimulationData} launchSimulation - Simulated flight, already checked against any waiver.
+ * @param {LaunchRuleSet} ruleSet - Safety limits of the launch site.
+ * @param {Array.<HazardFeature>} hazardList - Features near the launch site which landings must stay clear of.
+ * @returns {LaunchDecision} Whether the launch is a go, or null without a flight path.
+ */
+function evaluateLaunchRules(launchSimulation, ruleSet, hazardList = []) {
+    if (null == ruleSet || null == launchSimulation || 0 == launchSimulation.launchPath.length) {
+        return null;
+    }
+
+    const reasons = [];
+
+    // Compare the speed as displayed, which is rounded to the nearest MPH
+    const groundWindSpeed = Math.round(Math.abs(launchSimulation.groundWindSpeed));
+    if (groundWindSpeed > ruleSet.maxSurfaceWind) {
+        reasons.push(`Surface wind ${groundWindSpeed} MPH exceeds ${ruleSet.maxSurfaceWind} MPH`);
+    }
+
+    const landingLocation = launchSimulation.getLandingLocation();
+    if (ruleSet.maxLandingDistance > 0) {
+        const landingDistance = Math.round(metersToFeet(distanceBetweenLocations(launchSimulation.getLaunchLocation(), landingLocation)));
+        if (landingDistance > ruleSet.maxLandingDistance) {
+            reasons.push(`Lands ${landingDistance} ft from the pad, beyond ${ruleSet.maxLandingDistance} ft`);
+        }
+    }
+
+    // Flights are only checked against the waiver when the launch site has one
+    const waiverContainment = launchSimulation.waiverContainment;
+    if (null != waiverContainment) {
+        if (ruleSet.requireInsideWaiver && !waiverContainment.isInside) {
+            if (waiverContainment.landingDistance < 0) {
+                reasons.push(`Lands ${Math.round(metersToFeet(-waiverContainment.landingDistance))} ft outside the waiver`);
+            } else {
+                reasons.push(`Leaves the waiver by ${Math.round(metersToFeet(-waiverContainment.boundaryDistance))} ft`);
+            }
+        }
+        if (ruleSet.requireBelowCeiling && !waiverContainment.isBelowCeiling) {
+            reasons.push(`Reaches ${Math.round(waiverContainment.highestAltitude)} ft MSL, above the ${waiverContainment.ceiling} ft MSL ceiling`);
+        }
+    }
+
+    // Landings are flagged within the buffer around each hazard, as well as inside hazard polygons
+    for (const hazard of hazardList) {
+        const hazardDistance = metersToFeet(hazard.getDistance(landingLocation));
+        const hazardBuffer = hazard.buffer ?? ruleSet.hazardBuffer;
+        if (0 == hazardDistance) {
+            reasons.push(`Lands within ${hazard.name}`);
+        } else if (hazardDistance <= hazardBuffer) {
+            reasons.push(`Lands ${Math.round(hazardDistance)} ft from ${hazard.name}, within the ${hazardBuffer} ft buffer`);
+        }
+    }
+
+    return new LaunchDecision(reasons);
+}
+
+export { LaunchRuleSet, LaunchDecision };
+export { evaluateLaunchRules };
@@ -1,40 +1,93 @@
-import { GeoLocation, feetToMeters, metersToFeet, moveAlongBearing, distanceBetweenLocations, bearingBetweenLocations } from "./geo.js";
-import { saveLandingScatter, saveFlightScatter, saveGroundPaths } from "./kml.js";
-import { LaunchTimeData, LaunchSimulationData, DescentData, LaunchLocationData } from "./launch.js";
-import { WeathercockWindData } from "./wind.js";
-import { getWindPredictionData, getOpenMeteoWindPredictionData, getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, driftWithWind } from "./wind.js";
+import { GeoLocation, metersToFeet, distanceBetweenLocations, bearingBetweenLocations } from "./geo.js";
+import { saveLandingScatter, saveFlightScatter, saveGroundPaths, saveLandingProbability } from "./kml.js";
+import { LaunchSimulationData, LaunchLocationData, LaunchScenario, groupByLaunchDay, isValidTimeZone, getTimeZoneAbbreviation } from "./launch.js";
 import { getHourColor } from "./map_colors.js";
 
-import { driftSimulation } from './drift_simulation.js';
-import { RocketBase, RocketApogee, RocketWeathercocking } from './rocket.js';
+import { DescentMethod } from './drift_simulation.js';
+import { RocketBase } from './rocket.js';
+import { MotorData } from './motor.js';
+import { parseMotorFile } from './motor_parser.js';
+import { parseSoundingFile } from './sounding_parser.js';
+import { parseWaiverFile } from './waiver_parser.js';
+import { HazardType } from './hazard.js';
+import { parseHazardFile } from './hazard_parser.js';
+import { OpenRocketData, parseOpenRocketFile } from './openrocket.js';
+import { DispersionResult } from './dispersion.js';
+import { WindAtAltitude, WindForecastData } from './wind.js';
+import { MeasuredWindProvider, defaultWindProviderId, getWindProviders } from './wind_providers.js';
+import { runDriftForecast } from './drift_forecast.js';
 
 const googleMapApiKey = 'YOUR_API_KEY';
 
+// Static map markers hold a single character, so launches between hours are lettered in order instead
+const staticMarkerLetters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
 // Declare some ID strings so they do not have to be in-line everywhere
 const waiverLatitudeId = 'waiver_latitude';
 const waiverLongitudeId = 'waiver_longitude';
 const waiverRadiusId = 'waiver_radius';
 const waiverAltitudeId = 'waiver_altitude';
 
+// Wind selector entry using the measured wind table instead of a forecast
+const measuredWindProviderId = 'measured';
+
 // Launch site input elements
 const launchSiteNameElement = document.getElementById('launch_site_name');
 const launchSiteLatitudeElement = document.getElementById('launch_site_latitude');
 const launchSiteLongitudeElement = document.getElementById('launch_site_longitude');
 const launchSiteElevationElement = document.getElementById('launch_site_elevation');
+const launchSiteTimeZoneElement = document.getElementById('launch_site_timezone');
+const timeZoneListElement = document.getElementById('time_zone_list');
 const waiverLatitudeElement = document.getElementById(waiverLatitudeId);
 const waiverLongitudeElement = document.getElementById(waiverLongitudeId);
 const waiverRadiusElement = document.getElementById(waiverRadiusId);
 const waiverAltitudeElement = document.getElementById(waiverAltitudeId);
+const waiverBoundaryFileElement = document.getElementById('waiver_boundary_file');
+const waiverBoundaryDisplayElement = document.getElementById('waiver_boundary_display');
+const waiverBoundarySummaryElement = document.getElementById('waiver_boundary_summary');
+const waiverBoundaryClearButton = document.getElementById('btn_waiver_boundary_clear');
+const rulesMaxWindElement = document.getElementById('rules_max_wind');
+const rulesMaxLandingElement = document.getElementById('rules_max_landing');
+const rulesHazardBufferElement = document.getElementById('rules_hazard_buffer');
+const rulesRequireWaiverElement = document.getElementById('rules_require_waiver');
+const rulesRequireCeilingElement = document.getElementById('rules_require_ceiling');
+const hazardPointGridElement = document.getElementById('hazard_point_grid');
+const hazardPointAddButton = document.getElementById('btn_hazard_point_add');
+const hazardFileElement = document.getElementById('hazard_file');
+const hazardDisplayElement = document.getElementById('hazard_display');
+const hazardSummaryElement = document.getElementById('hazard_summary');
+const hazardClearButton = document.getElementById('btn_hazard_clear');
 
 // Launch time input elements
 const launchDateElement = document.getElementById('launch_date');
+const launchEndDateElement = document.getElementById('launch_end_date');
 const startTimeElement = document.getElementById('start_time');
 const endTimeElement = document.getElementById('end_time');
+const launchTimeStepElement = document.getElementById('launch_time_step');
+const windProviderElement = document.getElementById('wind_provider');
+const measuredWindDataElement = document.getElementById('measured_wind_data');
+const measuredWindGridElement = document.getElementById('measured_wind_grid');
+const measuredWindAddButton = document.getElementById('btn_measured_wind_add');
+const soundingFileElement = document.getElementById('sounding_file');
 const apogeeAltitudeElement = document.getElementById('launch_apogee');
+const singleDeployElement = document.getElementById('single_deploy');
 const dualDeployElement = document.getElementById('dual_deploy');
 const mainDescentRateElement = document.getElementById('decent_rate_main');
 const mainEventAltitudeElement = document.getElementById('main_event_altitude');
 const drogueDecentRateElement = document.getElementById('decent_rate_drogue');
+const openRocketFileElement = document.getElementById('openrocket_file');
+const motorFileElement = document.getElementById('motor_file');
+const motorSelectElement = document.getElementById('motor_select');
+const rocketMassElement = document.getElementById('rocket_mass');
+const rocketDiameterElement = document.getElementById('rocket_diameter');
+const ascentDragCoefficientElement = document.getElementById('ascent_drag_coefficient');
+const railLengthElement = document.getElementById('rail_length');
+const railAngleElement = document.getElementById('rail_angle');
+const railBearingElement = document.getElementById('rail_bearing');
+const descentMethodElement = document.getElementById('descent_method');
+const descentTimeStepElement = document.getElementById('descent_time_step');
+const airDensityCorrectionElement = document.getElementById('air_density_correction');
+const descentReferenceAltitudeElement = document.getElementById('descent_reference_altitude');
 
 // Launch site buttons
 const launchSiteSelector = document.getElementById('select_launch_site');
@@ -44,18 +97,58 @@ const launchSiteEditButton = document.getElementById('btn_site_edit');
 const launchSiteNewButton = document.getElementById('btn_site_new');
 const launchSiteDeleteButton = document.getElementById('btn_site_delete');
 
+// Rocket profile input elements and buttons
+const rocketProfileSelector = document.getElementById('select_rocket_profile');
+const rocketProfileNameElement = document.getElementById('rocket_profile_name');
+const rocketProfileCancelButton = document.getElementById('btn_rocket_cancel');
+const rocketProfileSaveButton = document.getElementById('btn_rocket_save');
+const rocketProfileEditButton = document.getElementById('btn_rocket_edit');
+const rocketProfileNewButton = document.getElementById('btn_rocket_new');
+const rocketProfileDeleteButton = document.getElementById('btn_rocket_delete');
+
 // Weathercock input elements
 const applyWeathercockingElement = document.getElementById('apply_weathercocking')
 const weathercockDataElement = document.getElementById('weathercock_data')
+const weathercockGridElement = document.getElementById('weathercock_grid');
+const weathercockAddButton = document.getElementById('btn_weathercock_add');
+const weathercockExtrapolationElement = document.getElementById('weathercock_extrapolation');
+
+// Dispersion input elements
+const applyDispersionElement = document.getElementById('apply_dispersion');
+const dispersionDataElement = document.getElementById('dispersion_data');
+const dispersionRunsElement = document.getElementById('dispersion_runs');
+const dispersionApogeeElement = document.getElementById('dispersion_apogee');
+const dispersionDrogueRateElement = document.getElementById('dispersion_drogue_rate');
+const dispersionMainRateElement = document.getElementById('dispersion_main_rate');
+const dispersionMainAltitudeElement = document.getElementById('dispersion_main_altitude');
+const dispersionWindSpeedElement = document.getElementById('dispersion_wind_speed');
+const dispersionWindDirectionElement = document.getElementById('dispersion_wind_direction');
+
+// Failure scenario input elements
+const applyScenariosElement = document.getElementById('apply_scenarios');
+const scenarioDataElement = document.getElementById('scenario_data');
+const scenarioDryMassElement = document.getElementById('scenario_dry_mass');
+const scenarioDiameterElement = document.getElementById('scenario_diameter');
+const scenarioDragCoefficientElement = document.getElementById('scenario_drag_coefficient');
+
+// Surface wind input elements
+const applySurfaceWindElement = document.getElementById('apply_surface_wind');
+const surfaceWindDataElement = document.getElementById('surface_wind_data');
+const surfaceWindGridElement = document.getElementById('surface_wind_grid');
+const surfaceWindAddButton = document.getElementById('btn_surface_wind_add');
+const surfaceWindBlendingHeightElement = document.getElementById('surface_wind_blending_height');
 
 // Button elements
 const calculateDriftButton = document.getElementById('btn_calculate_drift');
 const saveLandingPlotsButton = document.getElementById('btn_save_landing_plot');
 const saveFlightPlotsButton = document.getElementById('btn_save_flight_plot');
 const saveGroundPathsButton = document.getElementById('btn_save_ground_paths');
+const saveLandingProbabilityButton = document.getElementById('btn_save_landing_probability');
+const landingProbabilityTimeSelector = document.getElementById('select_landing_probability_time');
 
 // Drift result display elements
 const staticMapImage = document.getElementById('img_static_map');
+const staticMapLegendElement = document.getElementById('static_map_legend');
 const driftResultDiv = document.getElementById('drift_result_div');
 const driftResultTable = document.getElementById('drift_result_table');
 const statusDisplayElement = document.getElementById('status_display');
@@ -66,6 +159,24 @@ let dbLaunchSites = null;
 /** @type {Array.<LaunchSimulationData>} Stores the results of wind drift calculations for writing to a KML file later. */ 
 let launchSimulationList = [];
 
+/** @type {Array.<MotorData>} Stores every motor loaded from the user's motor files. */
+let motorList = [];
+
+/** @type {Array.<DispersionResult>} Stores the results of any dispersion analysis performed with the latest simulations. */
+let dispersionResultList = [];
+
+/** @type {Array.<LandingProbabilityGrid>} Stores the probability of landing at each launch time estimated from the latest ensemble simulations. */
+let landingProbabilityGridList = [];
+
+/** @type {{name: string, elevation: number}} Name and station elevation (meters) of the sounding filling the measured wind table. */
+let measuredWindSource = { name: 'Measured Winds', elevation: 0 };
+
+/** @type {Array.<Array.<{latitude: number, longitude: number}>>} Corners of each polygon imported as the launch site's waiver boundary. */
+let waiverOutlineList = [];
+
+/** @type {Array.<{name: string, type: string, coordinates: Array.<{latitude: number, longitude: number}>}>} Points, lines, and polygons imported as the launch site's hazards. */
+let hazardList = [];
+
 var launchSiteNames = [];
 
 
@@ -77,6 +188,17 @@ const LaunchSiteStatus = Object.freeze({
 });
 var currentLaunchSiteStatus = LaunchSiteStatus.NOSAVES;
 
+var rocketProfileNames = [];
+
+/* Rocket profiles move through the same states as launch sites. */
+const RocketProfileStatus = Object.freeze({
+    NOSAVES: 0,
+    CREATING: 1,
+    EDITING: 2,
+    INACTIVE: 3
+});
+var currentRocketProfileStatus = RocketProfileStatus.NOSAVES;
+
 // Values used to limit forecast requests
 const secondsInDay = 86400000;
 const maxDaysFutureOpenMeteo = 15;
@@ -182,7 +304,7 @@ function requestLaunchSiteElevation(latitude, longitude, launchSiteName) {
         })
         .then((data) => {
             if (data.results.length > 0) {
-                launchSiteElevationElement.value = data.results[0].elevation;
+                launchSiteElevationElement.value = metersToFeet(data.results[0].elevation);
 
                 if (null != dbLaunchSites) {
                     // Begin the save process now that we have all the launch site's data
@@ -281,6 +403,13 @@ function verifyLaunchSiteData() {
             return false;
         }
     }
+
+    const launchSiteTimeZone = launchSiteTimeZoneElement.value.trim();
+    if (0 != launchSiteTimeZone.length && !isValidTimeZone(launchSiteTimeZone)) {
+        launchSiteTimeZoneElement.focus();
+        window.alert('The launch site timezone is not a known timezone name, such as America/Chicago.');
+        return false;
+    }
     return true;
 }
 
@@ -322,9 +451,14 @@ function saveLaunchSiteToDb() {
         wavierRadius = 0.0;
     }
 
-    // Altitude and Elevation are hidden fields, so they should always have valid values
+    // A missing ceiling is saved as zero so the waiver has no altitude limit
+    let waiverAltitude = parseInt(waiverAltitudeElement.value.replaceAll(',', ''));
+    if (isNaN(waiverAltitude) || waiverAltitude < 0) {
+        waiverAltitude = 0;
+    }
+
+    // Elevation is a hidden field, so it should always have a valid value
     const launchSiteElevation = parseInt(launchSiteElevationElement.value);
-    const waiverAltitude = parseInt(waiverAltitudeElement.value.replaceAll(',', ''));
 
     // Begin the save process now that we have all the launch site's data
     const objectStore = dbLaunchSites.transaction('DriftCast_Sites', 'readwrite').objectStore('DriftCast_Sites');
@@ -336,7 +470,11 @@ function saveLaunchSiteToDb() {
         waiver_latitude: waiverLatitude,
         waiver_longitude: waiverLongitude,
         waiver_altitude: waiverAltitude,
-        waiver_radius: wavierRadius
+        waiver_radius: wavierRadius,
+        waiver_outlines: waiverOutlineList,
+        hazards: readHazardsRequest(),
+        timezone: launchSiteTimeZoneElement.value.trim(),
+        rules: readLaunchRulesRequest()
     });
 
     addRequest.onerror = (event) => {
@@ -412,9 +550,46 @@ function swapLaunchSiteInputDisabled(isDisabled) {
     launchSiteNameElement.disabled = isDisabled;
     launchSiteLatitudeElement.disabled = isDisabled;
     launchSiteLongitudeElement.disabled = isDisabled;
+    launchSiteTimeZoneElement.disabled = isDisabled;
     waiverLatitudeElement.disabled = isDisabled;
     waiverLongitudeElement.disabled = isDisabled;
     waiverRadiusElement.disabled = isDisabled;
+    waiverAltitudeElement.disabled = isDisabled;
+    waiverBoundaryFileElement.disabled = isDisabled;
+    waiverBoundaryClearButton.disabled = isDisabled;
+    rulesMaxWindElement.disabled = isDisabled;
+    rulesMaxLandingElement.disabled = isDisabled;
+    rulesHazardBufferElement.disabled = isDisabled;
+    hazardFileElement.disabled = isDisabled;
+    hazardClearButton.disabled = isDisabled;
+    rulesRequireWaiverElement.disabled = isDisabled;
+    rulesRequireCeilingElement.disabled = isDisabled;
+    hazardPointGridElement.querySelectorAll('input, button').forEach((pointElement) => {
+        pointElement.disabled = isDisabled;
+    });
+    hazardPointAddButton.disabled = isDisabled;
+}
+
+/**
+ * Shows how many polygons make up the waiver boundary, hiding the summary when the waiver is a circle.
+ */
+function updateWaiverBoundaryDisplay() {
+    const cornerCount = waiverOutlineList.reduce((count, outline) => count + outline.length - 1, 0);
+    if (1 == waiverOutlineList.length) {
+        waiverBoundarySummaryElement.textContent = `Polygon with ${cornerCount} corners`;
+    } else {
+        waiverBoundarySummaryElement.textContent = `${waiverOutlineList.length} polygons with ${cornerCount} corners`;
+    }
+    waiverBoundaryDisplayElement.hidden = (0 == waiverOutlineList.length);
+}
+
+/**
+ * Lists the names of the launch site's hazards, hiding the summary when there are none.
+ */
+function updateHazardDisplay() {
+    const hazardNames = hazardList.map((hazard) => hazard.name).join(', ');
+    hazardSummaryElement.textContent = (1 == hazardList.length) ? `1 hazard: ${hazardNames}` : `${hazardList.length} hazards: ${hazardNames}`;
+    hazardDisplayElement.hidden = (0 == hazardList.length);
 }
 
 /**
@@ -444,11 +619,18 @@ function updateLaunchSiteUI(newStatus) {
         launchSiteNameElement.value = '';
         launchSiteLatitudeElement.value = '';
         launchSiteLongitudeElement.value = '';
+        launchSiteTimeZoneElement.value = '';
         waiverLatitudeElement.value = '';
         waiverLongitudeElement.value = '';
         waiverRadiusElement.value = '';
         waiverAltitudeElement.value = '';
         launchSiteElevationElement.value = -1;
+        waiverOutlineList = [];
+        updateWaiverBoundaryDisplay();
+        hazardList = [];
+        updateHazardDisplay();
+        updateHazardPointRows([]);
+        updateLaunchRulesDisplay(null);
 
         // Allow the user to Save the new launch site or cancel out
         launchSiteCancelButton.hidden = false;
@@ -498,6 +680,9 @@ function updateLaunchSiteDisplay(dbCursor) {
     launchSiteLongitudeElement.value = dbCursor.longitude;
     launchSiteElevationElement.value = dbCursor.elevation;
 
+    // Sites saved before timezones were stored use this computer's timezone
+    launchSiteTimeZoneElement.value = dbCursor.timezone ?? '';
+
     // Switch to default display if waiver data has not been saved.
     if (isNaN(dbCursor.waiver_latitude)) {
         waiverLatitudeElement.value = '';
@@ -515,11 +700,31 @@ function updateLaunchSiteDisplay(dbCursor) {
         waiverLongitudeElement.value = dbCursor.waiver_longitude;
     }
 
-    if (isNaN(dbCursor.waiver_altitude || dbCursor.waiver_altitude <= 0.0)) {
+    if (isNaN(dbCursor.waiver_radius) || dbCursor.waiver_radius <= 0.0) {
+        waiverRadiusElement.value = '';
+    } else {
+        waiverRadiusElement.value = dbCursor.waiver_radius;
+    }
+
+    if (isNaN(dbCursor.waiver_altitude) || dbCursor.waiver_altitude <= 0.0) {
         waiverAltitudeElement.value = '';
     } else {
         waiverAltitudeElement.value = dbCursor.waiver_altitude;
     }
+
+    // Sites saved before boundaries were imported only have a circular waiver
+    waiverOutlineList = dbCursor.waiver_outlines ?? [];
+    updateWaiverBoundaryDisplay();
+
+    // Sites saved before hazards were imported have none. Imported hazards never have their own buffer, so
+    // those with one are the points entered by hand
+    const siteHazards = dbCursor.hazards ?? [];
+    hazardList = siteHazards.filter((hazard) => null == hazard.buffer);
+    updateHazardDisplay();
+    updateHazardPointRows(siteHazards.filter((hazard) => null != hazard.buffer));
+
+    // Sites saved before rules were stored use the default rules
+    updateLaunchRulesDisplay(dbCursor.rules ?? null);
 }
 
 /** Return all launch site related UI fields back to their default display values. */
@@ -528,19 +733,408 @@ function resetLaunchSiteDisplay() {
     launchSiteNameElement.value = '';
     launchSiteLatitudeElement.value = '';
     launchSiteLongitudeElement.value = '';
+    launchSiteTimeZoneElement.value = '';
     waiverLatitudeElement.value = '';
     waiverLongitudeElement.value = '';
     waiverRadiusElement.value = '';
+    waiverAltitudeElement.value = '';
+    waiverOutlineList = [];
+    updateWaiverBoundaryDisplay();
+    hazardList = [];
+    updateHazardDisplay();
+    updateHazardPointRows([]);
+    updateLaunchRulesDisplay(null);
+}
+
+/* Helper to reset all elements associated with the rocket profile selector. */
+function clearRocketProfileSelector() {
+    rocketProfileNames = [];
+
+    while (rocketProfileSelector.options.length > 0) {
+        rocketProfileSelector.remove(rocketProfileSelector.options.length - 1);
+    }
 }
 
 /**
- * Creates a table for display of drifting calucation results if one does not exist.
- * If one does exist, it clears all previous contents before adding the latest data.
- * @param {Array.<LaunchSimulationData>} launchList - A new table row will be added for each launch.
+ * Test the current values in all rocket profile input fields to see if they are valid.
+ * Notify the user about any issues so they can be corrected.
+ * @param {boolean} isNewProfile - True when the profile's name must not already be in use.
+ * @returns {boolean} True if rocket profile data is okay. False otherwise.
+ */
+function verifyRocketProfileData(isNewProfile) {
+    const rocketProfileName = rocketProfileNameElement.value.trim();
+    if (0 == rocketProfileName.length) {
+        rocketProfileNameElement.focus();
+        window.alert('A name is required to save a rocket.');
+        return false;
+    } else if (isNewProfile && -1 != rocketProfileNames.indexOf(rocketProfileName)) {
+        rocketProfileNameElement.focus();
+        window.alert('This name is already used for another rocket.');
+        return false;
+    }
+
+    if (!isNumeric(apogeeAltitudeElement.value.replaceAll(',', ''))) {
+        apogeeAltitudeElement.focus();
+        window.alert('The rocket\'s apogee is not a number.');
+        return false;
+    }
+
+    if (!isNumeric(mainDescentRateElement.value)) {
+        mainDescentRateElement.focus();
+        window.alert('The main descent rate is not a number.');
+        return false;
+    }
+
+    if (dualDeployElement.checked) {
+        if (!isNumeric(mainEventAltitudeElement.value.replaceAll(',', ''))) {
+            mainEventAltitudeElement.focus();
+            window.alert('The main event altitude is not a number.');
+            return false;
+        }
+
+        if (!isNumeric(drogueDecentRateElement.value)) {
+            drogueDecentRateElement.focus();
+            window.alert('The drogue descent rate is not a number.');
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ *  Store the rocket profile values currently in our UI into the database.
+ *  @param {boolean} isNewProfile - True to add a new profile, false to replace an existing one.
+ *  @returns {boolean} True if the rocket profile save was started.  False otherwise.
+ */
+function saveRocketProfileToDb(isNewProfile) {
+    if (null == dbLaunchSites) {
+        console.debug('Tried to save a rocket profile to the database before it was loaded.')
+        return false;
+    }
+
+    const rocketProfileName = rocketProfileNameElement.value.trim();
+    if (0 == rocketProfileName.length) {
+        console.debug(`Unable to save rocket profile with invalid name.`);
+        return false;
+    }
+
+    // Rows are saved as entered so the user's table is restored exactly
+    const weathercockTable = [];
+    for (const rowElement of weathercockGridElement.querySelectorAll('.weathercock_row')) {
+        weathercockTable.push({
+            speed: rowElement.querySelector('.weathercock_speed').value,
+            distance: rowElement.querySelector('.weathercock_distance').value,
+            apogee: rowElement.querySelector('.weathercock_apogee').value
+        });
+    }
+
+    const rocketProfile = {
+        name: rocketProfileName,
+        apogee: parseInt(apogeeAltitudeElement.value.replaceAll(',', '')),
+        deploy_mode: dualDeployElement.checked ? 'dual_deploy' : 'single_deploy',
+        main_descent_rate: parseFloat(mainDescentRateElement.value),
+        main_event_altitude: parseInt(mainEventAltitudeElement.value.replaceAll(',', '')),
+        drogue_descent_rate: parseFloat(drogueDecentRateElement.value),
+        apply_weathercocking: applyWeathercockingElement.checked,
+        weathercock_table: weathercockTable,
+        weathercock_extrapolation: parseInt(weathercockExtrapolationElement.value)
+    };
+
+    const objectStore = dbLaunchSites.transaction('DriftCast_Rockets', 'readwrite').objectStore('DriftCast_Rockets');
+    const saveRequest = isNewProfile ? objectStore.add(rocketProfile) : objectStore.put(rocketProfile);
+
+    saveRequest.onerror = (event) => {
+        console.error(`An error occurred while saving rocket profile ${rocketProfileName} - ${saveRequest.error}`);
+    }
+
+    saveRequest.onsuccess = (event) => {
+        console.log(`Rocket profile saved to the database: ${rocketProfileName}`);
+    }
+    return true;
+}
+
+/** Remove the currently selected rocket profile from our database. */
+async function deleteCurrentRocketProfile() {
+    if (null == dbLaunchSites) {
+        window.alert(`Unable to access the database. Please try again later.`);
+        return;
+    }
+
+    // Check the rocket profile selection input for the current rocket's name
+    const rocketProfileName = rocketProfileSelector.value;
+
+    // Verify the user really meant to delete the rocket before proceeding
+    if (!window.confirm(`Do you really want to delete your rocket ${rocketProfileName}?`)) {
+        return;
+    }
+
+    const deleteRequest = dbLaunchSites.transaction('DriftCast_Rockets', 'readwrite')
+        .objectStore('DriftCast_Rockets')
+        .delete(rocketProfileName);
+
+    deleteRequest.onsuccess = () => {
+        if (rocketProfileSelector.options.length > 1) {
+            // Remove the rocket's name from our array and selector
+            const index = rocketProfileNames.indexOf(rocketProfileName);
+            if (index !== -1) {
+                rocketProfileNames.splice(index, 1);
+            }
+            rocketProfileSelector.remove(rocketProfileSelector.selectedIndex);
+
+            // Switch to the first entry still available
+            rocketProfileSelector.selectedIndex = 0;
+
+            dbLaunchSites.transaction('DriftCast_Rockets')
+                .objectStore('DriftCast_Rockets')
+                .get(rocketProfileSelector.value)
+                .onsuccess = (dbEvent) => {
+                    updateRocketProfileDisplay(dbEvent.target.result);
+                };
+        } else {
+            clearRocketProfileSelector();
+            rocketProfileNameElement.value = '';
+            updateRocketProfileUI(RocketProfileStatus.NOSAVES);
+        }
+    };
+
+    deleteRequest.onerror = (dbEvent) => {
+        console.error(`Attempting to delete ${rocketProfileName} from the database failed: ${dbEvent.error}`);
+        window.alert(`Unable to access the database. Please try again later.`);
+    };
+}
+
+/**
+ * Enables or disable all rocket profile related UI fields. Fields which do not apply to the
+ * current motor or deployment mode remain disabled when the others are enabled.
+ * @param {boolean} isDisabled - Value to set all rocket profile UI elements' disabled flags.
+ */
+function swapRocketProfileInputDisabled(isDisabled) {
+    rocketProfileNameElement.disabled = isDisabled;
+    openRocketFileElement.disabled = isDisabled;
+    apogeeAltitudeElement.disabled = isDisabled || (parseInt(motorSelectElement.value) >= 0);
+    singleDeployElement.disabled = isDisabled;
+    dualDeployElement.disabled = isDisabled;
+    mainDescentRateElement.disabled = isDisabled;
+    mainEventAltitudeElement.disabled = isDisabled || !dualDeployElement.checked;
+    drogueDecentRateElement.disabled = isDisabled || !dualDeployElement.checked;
+    applyWeathercockingElement.disabled = isDisabled;
+    weathercockDataElement.querySelectorAll('input, button, select').forEach((weathercockElement) => {
+        weathercockElement.disabled = isDisabled;
+    });
+}
+
+/**
+ * Enables and/or disables specific rocket profile UI fields based on the new status.
+ * @param {object} newStatus - Identifies which rocket profile UI status is being switched to.
+ */
+function updateRocketProfileUI(newStatus) {
+    if (RocketProfileStatus.NOSAVES == newStatus) {
+        swapRocketProfileInputDisabled(false);
+
+        // Disable the rocket profile selector since it is empty
+        rocketProfileSelector.disabled = true;
+
+        // No need for any buttons other than Save to start
+        rocketProfileCancelButton.hidden = true;
+        rocketProfileSaveButton.hidden = false;
+        rocketProfileEditButton.hidden = true;
+        rocketProfileDeleteButton.hidden = true;
+        rocketProfileNewButton.hidden = true;
+    } else if (RocketProfileStatus.CREATING == newStatus) {
+        swapRocketProfileInputDisabled(false);
+
+        // Do not allow selecting a different rocket while creating one
+        rocketProfileSelector.disabled = true;
+
+        // The previous rocket's values are kept as a starting point, but a new name is required
+        rocketProfileNameElement.value = '';
+
+        // Allow the user to Save the new rocket or cancel out
+        rocketProfileCancelButton.hidden = false;
+        rocketProfileSaveButton.hidden = false;
+        rocketProfileEditButton.hidden = true;
+        rocketProfileDeleteButton.hidden = true;
+        rocketProfileNewButton.hidden = true;
+    } else if (RocketProfileStatus.EDITING == newStatus) {
+        swapRocketProfileInputDisabled(false);
+
+        // Override the name field as locked since the user is editing the selected rocket
+        rocketProfileNameElement.disabled = true;
+
+        // Do not allow selecting a different rocket while editing one
+        rocketProfileSelector.disabled = true;
+
+        // Allow the user to Save the rocket or cancel out
+        rocketProfileCancelButton.hidden = false;
+        rocketProfileSaveButton.hidden = false;
+        rocketProfileEditButton.hidden = true;
+        rocketProfileDeleteButton.hidden = true;
+        rocketProfileNewButton.hidden = true;
+    } else { // Defaulting to RocketProfileStatus.INACTIVE
+        swapRocketProfileInputDisabled(true);
+
+        // Allow the user to select a different rocket
+        rocketProfileSelector.disabled = false;
+
+        rocketProfileCancelButton.hidden = true;
+        rocketProfileSaveButton.hidden = true;
+        rocketProfileEditButton.hidden = false;
+        rocketProfileDeleteButton.hidden = false;
+        rocketProfileNewButton.hidden = false;
+    }
+
+    currentRocketProfileStatus = newStatus;
+}
+
+/**
+ * Copy rocket profile values retrieved from the database into the UI fields.
+ * @param {cursor} dbCursor - Cursor returned from the rocket profile database.
+ */
+function updateRocketProfileDisplay(dbCursor) {
+    rocketProfileNameElement.value = dbCursor.name;
+    apogeeAltitudeElement.value = isNaN(dbCursor.apogee) ? '' : dbCursor.apogee;
+    mainDescentRateElement.value = isNaN(dbCursor.main_descent_rate) ? '' : dbCursor.main_descent_rate;
+    mainEventAltitudeElement.value = isNaN(dbCursor.main_event_altitude) ? '' : dbCursor.main_event_altitude;
+    drogueDecentRateElement.value = isNaN(dbCursor.drogue_descent_rate) ? '' : dbCursor.drogue_descent_rate;
+
+    const usingDualDeployment = ('dual_deploy' == dbCursor.deploy_mode);
+    singleDeployElement.checked = !usingDualDeployment;
+    dualDeployElement.checked = usingDualDeployment;
+
+    applyWeathercockingElement.checked = dbCursor.apply_weathercocking;
+    weathercockDataElement.hidden = !dbCursor.apply_weathercocking;
+    weathercockExtrapolationElement.value = dbCursor.weathercock_extrapolation;
+
+    weathercockGridElement.querySelectorAll('.weathercock_row').forEach((rowElement) => rowElement.remove());
+    for (const weathercockRow of dbCursor.weathercock_table) {
+        addWeathercockRow(weathercockRow.speed, weathercockRow.distance, weathercockRow.apogee);
+    }
+
+    // Refresh which fields are enabled now the deployment mode and table rows have changed
+    swapRocketProfileInputDisabled(RocketProfileStatus.INACTIVE == currentRocketProfileStatus);
+}
+
+/** Add every rocket profile within our database to the rocket profile selector. */
+function loadRocketProfiles() {
+    const loadingObjectStore = dbLaunchSites.transaction('DriftCast_Rockets').objectStore('DriftCast_Rockets');
+
+    const countRequest = loadingObjectStore.count();
+    countRequest.onsuccess = () => {
+        console.log(`Loading ${countRequest.result} rocket profiles from our database.`);
+        if (countRequest.result > 0) {
+            let copyDataToUi = true;
+
+            // Ensure we do not add duplicate entries
+            clearRocketProfileSelector();
+
+            // Switch the UI elements into static displays
+            updateRocketProfileUI(RocketProfileStatus.INACTIVE);
+
+            loadingObjectStore.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    rocketProfileSelector.add(new Option(cursor.value.name, cursor.value.name));
+                    rocketProfileNames.push(cursor.value.name);
+
+                    // Copy the first rocket's data into our UI elements
+                    if (copyDataToUi) {
+                        updateRocketProfileDisplay(cursor.value);
+                        copyDataToUi = false;
+                    }
+                    cursor.continue();
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Displays the landings on a static map. Launches spanning several days are shown on a separate map for each day,
+ * since each hour's marker would otherwise appear once per day.
+ * @param {Array.<LaunchSimulationData>} launchList - A marker will be added for each launch.
  */
 function updateStaticLandingScatterImage(launchList) {
-    staticMapImage.hidden = false;
+    removeStaticDayMaps();
+
+    const daySimulationMap = groupByLaunchDay(launchList);
+    if (daySimulationMap.size <= 1) {
+        staticMapImage.hidden = false;
+        staticMapImage.src = getStaticLandingScatterUrl(launchList);
+        if (null != staticMapLegendElement) {
+            staticMapLegendElement.textContent = getStaticMapLegend(launchList);
+            staticMapLegendElement.hidden = (0 == staticMapLegendElement.textContent.length);
+        }
+        return;
+    }
+
+    staticMapImage.hidden = true;
+    if (null != staticMapLegendElement) {
+        staticMapLegendElement.hidden = true;
+    }
+    for (const [dayName, daySimulationList] of daySimulationMap) {
+        const dayMapFigure = document.createElement('figure');
+        dayMapFigure.className = 'static_map_day';
+
+        const dayMapCaption = document.createElement('figcaption');
+        dayMapCaption.appendChild(document.createTextNode(dayName));
+        dayMapFigure.appendChild(dayMapCaption);
+
+        const dayMapImage = document.createElement('img');
+        dayMapImage.src = getStaticLandingScatterUrl(daySimulationList);
+        dayMapFigure.appendChild(dayMapImage);
+
+        const dayMapLegend = getStaticMapLegend(daySimulationList);
+        if (dayMapLegend.length > 0) {
+            const dayMapLegendElement = document.createElement('p');
+            dayMapLegendElement.className = 'static_map_legend';
+            dayMapLegendElement.appendChild(document.createTextNode(dayMapLegend));
+            dayMapFigure.appendChild(dayMapLegendElement);
+        }
+
+        staticMapImage.parentElement.appendChild(dayMapFigure);
+    }
+}
+
+/**
+ * Determines whether a static map letters its markers rather than labeling them by hour.
+ * @param {Array.<LaunchSimulationData>} launchList - Launches marked on the map.
+ * @returns {boolean} True when any launch falls between hours, which would share its hour's label.
+ */
+function usesLetteredMarkers(launchList) {
+    return launchList.some((launchSimulation) => 0 != launchSimulation.minute);
+}
+
+/**
+ * Lists the exact launch time of each lettered marker on a static map.
+ * @param {Array.<LaunchSimulationData>} launchList - Launches marked on the map, in marker order.
+ * @returns {string} Legend text, or an empty string when markers are labeled by hour.
+ */
+function getStaticMapLegend(launchList) {
+    if (!usesLetteredMarkers(launchList)) {
+        return '';
+    }
+
+    // Name the model when several models share the same launch time
+    const modelCount = new Set(launchList.map((launchSimulation) => launchSimulation.getWindModelName())).size;
+    return launchList.slice(0, staticMarkerLetters.length).map((launchSimulation, index) => {
+        const markerName = `${staticMarkerLetters[index]}: ${launchSimulation.getLaunchTime()}`;
+        return (modelCount > 1) ? `${markerName} ${launchSimulation.getWindModelName()}` : markerName;
+    }).join(', ');
+}
+
+/**
+ * Removes the separate maps of each day shown for a previous launch spanning several days.
+ */
+function removeStaticDayMaps() {
+    staticMapImage.parentElement.querySelectorAll('.static_map_day').forEach((dayMapFigure) => dayMapFigure.remove());
+}
 
+/**
+ * Creates the Google Maps URL of a static map marking the launch site and each launch's landing.
+ * @param {Array.<LaunchSimulationData>} launchList - A marker will be added for each launch.
+ * @returns {string} URL of the static map image.
+ */
+function getStaticLandingScatterUrl(launchList) {
     // The beginning of the URL does not change.
     let staticMapUrl = 'https://maps.googleapis.com/maps/api/staticmap';
 
@@ -554,22 +1148,24 @@ function updateStaticLandingScatterImage(launchList) {
     }
 
     // Append a marker for each time slot.
+    const letterMarkers = usesLetteredMarkers(launchList);
     for (let i = 0; i < launchList.length; ++i) {
-        // Remove the AM and PM designators from our time strings.
-        const fullLaunchTime = launchList[i].getLaunchTime();
-
-        // Standard markers only allow single digits, so use custom icons for 10, 11, and 12.
-        if (3 == fullLaunchTime.length) {
-            let hourNumber = parseInt(fullLaunchTime.slice(0, 1));
-            if (null == hourNumber || isNaN(hourNumber)) {
-                hourNumber = 0;
-            }
+        // Markers are labeled by hour without the AM and PM designators.
+        const hourNumber = (0 == launchList[i].time % 12) ? 12 : launchList[i].time % 12;
 
+        if (letterMarkers) {
+            // Launches between hours are lettered to match the map's legend, keeping their hour's color.
+            if (i >= staticMarkerLetters.length) {
+                break;
+            }
+            const markerColor = getHourColor(hourNumber);
+            staticMapUrl += `&markers=color:${markerColor.name}%7Clabel:${staticMarkerLetters[i]}`;
+        } else if (hourNumber < 10) {
+            // Standard markers only allow single digits, so use custom icons for 10, 11, and 12.
             const markerColor = getHourColor(hourNumber);
-            staticMapUrl += `&markers=color:${markerColor.name}%7Clabel:${fullLaunchTime.slice(0,1)}`;
+            staticMapUrl += `&markers=color:${markerColor.name}%7Clabel:${hourNumber}`;
         } else {
             let customIcon = '';
-            const hourNumber = parseInt(fullLaunchTime.slice(0, 2));
             if (10 == hourNumber) {
                 customIcon = 'https://gpsdriftcast.com/images/ten.png';
             } else if (11 == hourNumber) {
@@ -592,7 +1188,7 @@ function updateStaticLandingScatterImage(launchList) {
     // Final pieces are map type and Google Maps API Key
     staticMapUrl += `&maptype=hybrid&key=${googleMapApiKey}`;
 
-    staticMapImage.src = staticMapUrl;
+    return staticMapUrl;
 }
 
 /**
@@ -614,6 +1210,23 @@ function updateDriftResultTable(launchList) {
     // Create a new tbody to hold our latest drift result data.
     const driftResultBody = document.createElement('tbody');
 
+    // Only include the scenario column when failure scenarios were simulated.
+    const showScenarios = launchList.some((launchSimulation) => LaunchScenario.NOMINAL != launchSimulation.scenario);
+
+    // Only include the waiver columns when the flights were checked against a waiver.
+    const showWaiver = launchList.some((launchSimulation) => null != launchSimulation.waiverContainment);
+
+    // Only name the days when launching on more than one.
+    const showDays = groupByLaunchDay(launchList).size > 1;
+
+    // Launch times are read from the launch site's clock, so name its timezone.
+    const timeHeaderElement = document.getElementById('result_time_header');
+    if (null != timeHeaderElement && launchList.length > 0) {
+        const timeZoneName = getTimeZoneAbbreviation(launchLocationDetails?.timeZone, launchList[0].day ?? new Date());
+        timeHeaderElement.textContent = (0 == timeZoneName.length) ? 'Time' : `Time (${timeZoneName})`;
+    }
+    let previousDay = null;
+
     // creating all cells
     for (let i = 0; i < launchList.length; ++i) {
         // Creates a new row for our table.
@@ -629,54 +1242,16 @@ function updateDriftResultTable(launchList) {
         windModelCell.appendChild(document.createTextNode(`${launchList[i].getWindModelName()}`));
         row.appendChild(windModelCell);
 
+        // Recovery outcome simulated.
+        const scenarioCell = document.createElement('td');
+        scenarioCell.className = 'scenario_column';
+        scenarioCell.hidden = !showScenarios;
+        scenarioCell.appendChild(document.createTextNode(launchList[i].getScenarioName()));
+        row.appendChild(scenarioCell);
+
         // Average wind speed at ground level.
         const groundWindSpeed = Math.round(Math.abs(launchList[i].groundWindSpeed));
         const windSpeedCell = document.createElement('td');
-
-        // Indicate level of safety by transitioning background color from green to yellow to red.
-        switch (groundWindSpeed) {
-            case 0:
-            case 1:
-            case 2:
-                windSpeedCell.style.background = '#32CD32';
-                break;
-            case 3:
-            case 4:
-                windSpeedCell.style.background = '#00FF00';
-                break;
-            case 5:
-            case 6:
-                windSpeedCell.style.background = '#40ff00';
-                break;
-            case 7:
-            case 8:
-                windSpeedCell.style.background = '#80ff00';
-                break;
-            case 9:
-            case 10:
-                windSpeedCell.style.background = '#bfff00';
-                break;
-            case 11:
-            case 12:
-                windSpeedCell.style.background = '#ffff00';
-                break;
-            case 13:
-            case 14:
-                windSpeedCell.style.background = '#ffbf00';
-                break;
-            case 15:
-            case 16:
-                windSpeedCell.style.background = '#ff8000';
-                break;
-            case 17:
-            case 18:
-            case 19:
-                windSpeedCell.style.background = '#ff4000';
-                break;
-            default:
-                windSpeedCell.style.background = '#ff0000';
-                break;
-        }
         windSpeedCell.appendChild(document.createTextNode(`${groundWindSpeed} MPH`));
         row.appendChild(windSpeedCell);
 
@@ -718,9 +1293,98 @@ function updateDriftResultTable(launchList) {
         driftBearingCell.appendChild(document.createTextNode(`${Math.round(driftBearing)}°`));
         row.appendChild(driftBearingCell);
 
+        // Spread of landing locations around their average when a dispersion analysis was performed.
+        const dispersionCell = document.createElement('td');
+        dispersionCell.className = 'dispersion_column';
+        dispersionCell.hidden = (0 == dispersionResultList.length);
+        const dispersionResult = dispersionResultList.find((result) => result.nominal === launchList[i]);
+        if (undefined != dispersionResult) {
+            const spreadDistance = Math.round(metersToFeet(2.0 * dispersionResult.getRadialDeviation()));
+            dispersionCell.appendChild(document.createTextNode(`±${spreadDistance} ft`));
+            dispersionCell.title = `${dispersionResult.runCount} runs, farthest landing ${Math.round(metersToFeet(dispersionResult.maxDistance))} ft from the pad`;
+        } else {
+            dispersionCell.appendChild(document.createTextNode('N/A'));
+        }
+        row.appendChild(dispersionCell);
+
+        // Whether the flight stays within the waiver, and the closest it comes to the waiver's edge.
+        const waiverCell = document.createElement('td');
+        waiverCell.className = 'waiver_column';
+        waiverCell.hidden = !showWaiver;
+        const marginCell = document.createElement('td');
+        marginCell.className = 'waiver_column';
+        marginCell.hidden = !showWaiver;
+        const waiverContainment = launchList[i].waiverContainment;
+        if (null != waiverContainment) {
+            let waiverStatus = 'Pass';
+            if (!waiverContainment.isInside) {
+                waiverStatus = 'Outside';
+            } else if (!waiverContainment.isBelowCeiling) {
+                waiverStatus = 'Above Ceiling';
+            }
+            waiverCell.appendChild(document.createTextNode(waiverStatus));
+            if (waiverContainment.ceiling > 0) {
+                waiverCell.title = `Highest altitude ${Math.round(waiverContainment.highestAltitude)} ft MSL, ceiling ${waiverContainment.ceiling} ft MSL`;
+            }
+            marginCell.appendChild(document.createTextNode(`${Math.round(metersToFeet(waiverContainment.boundaryDistance))} ft`));
+            marginCell.title = `Landing ${Math.round(metersToFeet(waiverContainment.landingDistance))} ft from the waiver's edge`;
+
+        } else {
+            waiverCell.appendChild(document.createTextNode('N/A'));
+            marginCell.appendChild(document.createTextNode('N/A'));
+        }
+        row.appendChild(waiverCell);
+        row.appendChild(marginCell);
+
+        // Overall decision under the launch site's rules, listing every rule the launch breaks.
+        const decisionCell = document.createElement('td');
+        const launchDecision = launchList[i].launchDecision;
+        if (null != launchDecision) {
+            decisionCell.className = launchDecision.isGo ? 'launch_go' : 'launch_no_go';
+            decisionCell.appendChild(document.createTextNode(launchDecision.getStatusText()));
+            for (const reason of launchDecision.reasons) {
+                decisionCell.appendChild(document.createElement('br'));
+                decisionCell.appendChild(document.createTextNode(reason));
+            }
+
+            // No-go launches are highlighted so the whole row stands out.
+            if (!launchDecision.isGo) {
+                row.className = 'no_go_row';
+            }
+        } else {
+            decisionCell.appendChild(document.createTextNode('N/A'));
+        }
+        row.appendChild(decisionCell);
+
+        // Launches spanning several days are grouped beneath a row naming each day.
+        if (showDays && launchList[i].getLaunchDay() != previousDay) {
+            previousDay = launchList[i].getLaunchDay();
+
+            const dayRow = document.createElement('tr');
+            dayRow.className = 'result_day_row';
+            const dayCell = document.createElement('td');
+            dayCell.colSpan = row.children.length;
+            dayCell.appendChild(document.createTextNode(previousDay));
+            dayRow.appendChild(dayCell);
+            driftResultBody.appendChild(dayRow);
+        }
+
         driftResultBody.appendChild(row);
     }
 
+    driftResultTable.querySelectorAll('th.scenario_column').forEach((headerCell) => {
+        headerCell.hidden = !showScenarios;
+    });
+
+    // Only show the dispersion column header when there is dispersion data to display.
+    driftResultTable.querySelectorAll('th.dispersion_column').forEach((headerCell) => {
+        headerCell.hidden = (0 == dispersionResultList.length);
+    });
+
+    driftResultTable.querySelectorAll('th.waiver_column').forEach((headerCell) => {
+        headerCell.hidden = !showWaiver;
+    });
+
     // Place our new body full of drift result data into the table.
     driftResultTable.appendChild(driftResultBody);
 
@@ -761,6 +1425,7 @@ window.onload = () => {
     maxDate.setTime(maxDate.getTime() + (maxDaysFutureOpenMeteo * secondsInDay));
 
     launchDateElement.max = `${maxDate.getFullYear()}-${(maxDate.getMonth() + 1).toString().padStart(2, '0')}-${maxDate.getDate().toString().padStart(2, '0')}`;
+    launchEndDateElement.max = launchDateElement.max;
 
     // Initialize the time elements to the current hour plus a max offset
     const currentHour = currentDate.getHours();
@@ -773,14 +1438,22 @@ window.onload = () => {
     // Initialize the end time for six hours after the start time
     setEndTimeValue(currentHour + 6);
 
-    // Open our database of launch sites
-    const dbSitesOpenRequest = window.indexedDB.open('DriftCast_Sites', 1);
+    // Offer each registered source of wind forecasts
+    updateWindProviderSelector();
+
+    // Offer each known timezone for the launch site
+    updateTimeZoneList();
+
+    // Open our database of launch sites and rocket profiles
+    const dbSitesOpenRequest = window.indexedDB.open('DriftCast_Sites', 2);
 
     // Event handlers to act on the database being opened successfully
     dbSitesOpenRequest.onsuccess = (event) => {
         // Store the result of opening the database in the db variable. This is used a lot below
         dbLaunchSites = dbSitesOpenRequest.result;
 
+        loadRocketProfiles();
+
         const loadingObjectStore = dbLaunchSites.transaction('DriftCast_Sites').objectStore('DriftCast_Sites');
 
         const countRequest = loadingObjectStore.count();
@@ -830,7 +1503,7 @@ window.onload = () => {
         console.error(event);
     };
 
-    // Create our database since it does not currently exist
+    // Create our database or add any object stores missing from an older version
     dbSitesOpenRequest.onupgradeneeded = (event) => {
         dbLaunchSites = event.target.result;
         console.log('Creating our database.');
@@ -839,17 +1512,23 @@ window.onload = () => {
             console.error('Error loading database.');
         };
 
-        // Create an objectStore for this database
-        const objectStore = dbLaunchSites.createObjectStore('DriftCast_Sites', { keyPath: 'name' });
-
-        // Define what data items the objectStore will contain
-        objectStore.createIndex('latitude', 'latitude', { unique: false });
-        objectStore.createIndex('longitude', 'longitude', { unique: false });
-        objectStore.createIndex('elevation', 'elevation', { unique: false });
-        objectStore.createIndex(waiverLatitudeId, waiverLatitudeId, { unique: false });
-        objectStore.createIndex(waiverLongitudeId, waiverLongitudeId, { unique: false });
-        objectStore.createIndex(waiverRadiusId, waiverRadiusId, { unique: false });
-        objectStore.createIndex(waiverAltitudeId, waiverAltitudeId, { unique: false });
+        if (!dbLaunchSites.objectStoreNames.contains('DriftCast_Sites')) {
+            // Create an objectStore for this database
+            const objectStore = dbLaunchSites.createObjectStore('DriftCast_Sites', { keyPath: 'name' });
+
+            // Define what data items the objectStore will contain
+            objectStore.createIndex('latitude', 'latitude', { unique: false });
+            objectStore.createIndex('longitude', 'longitude', { unique: false });
+            objectStore.createIndex('elevation', 'elevation', { unique: false });
+            objectStore.createIndex(waiverLatitudeId, waiverLatitudeId, { unique: false });
+            objectStore.createIndex(waiverLongitudeId, waiverLongitudeId, { unique: false });
+            objectStore.createIndex(waiverRadiusId, waiverRadiusId, { unique: false });
+            objectStore.createIndex(waiverAltitudeId, waiverAltitudeId, { unique: false });
+        }
+
+        if (!dbLaunchSites.objectStoreNames.contains('DriftCast_Rockets')) {
+            dbLaunchSites.createObjectStore('DriftCast_Rockets', { keyPath: 'name' });
+        }
     };
 
     // Register to handle clicking the Save launch site button
@@ -917,6 +1596,13 @@ window.onload = () => {
                 return;
             }
 
+            const launchSiteTimeZone = launchSiteTimeZoneElement.value.trim();
+            if (0 != launchSiteTimeZone.length && !isValidTimeZone(launchSiteTimeZone)) {
+                launchSiteTimeZoneElement.focus();
+                window.alert(`Launch site timezone is not a known timezone name: ${launchSiteTimeZone}`);
+                return;
+            }
+
             // Begin the save process
             const objectStore = dbLaunchSites.transaction('DriftCast_Sites', 'readwrite').objectStore('DriftCast_Sites');
             const launchSiteName = launchSiteNameElement.value;
@@ -939,6 +1625,11 @@ window.onload = () => {
                     console.debug(`Replacing wavier longitude for save due to an invalid value: ${waiverLongitude}`);
                     waiverLongitude = 360.0;
                 }
+                let waiverAltitude = parseInt(waiverAltitudeElement.value.replaceAll(',', ''));
+                if (isNaN(waiverAltitude) || (waiverAltitude < 0)) {
+                    console.debug(`Removing the waiver ceiling for save due to an invalid value: ${waiverAltitude}`);
+                    waiverAltitude = 0;
+                }
 
                 // Update the database cursor's members
                 launchSiteRequest.result.latitude = launchSiteLatitude;
@@ -946,6 +1637,11 @@ window.onload = () => {
                 launchSiteRequest.result.waiver_latitude = waiverLatitude;
                 launchSiteRequest.result.waiver_longitude = waiverLongitude;
                 launchSiteRequest.result.waiver_radius = waiverRadius;
+                launchSiteRequest.result.waiver_altitude = waiverAltitude;
+                launchSiteRequest.result.waiver_outlines = waiverOutlineList;
+                launchSiteRequest.result.hazards = readHazardsRequest();
+                launchSiteRequest.result.timezone = launchSiteTimeZone;
+                launchSiteRequest.result.rules = readLaunchRulesRequest();
 
                 // Finally we can attempt the actual database save
                 const updateRequest = objectStore.put(launchSiteRequest.result);
@@ -1025,34 +1721,108 @@ window.onload = () => {
         }
     });
 
-    // Ensure the launch date is within the range for which wind forecasts are available
-    launchDateElement.addEventListener('change', (event) => {
-        // Convert into just a date ignoring hours, minutes, and seconds
-        let launchDay = new Date();
-        let numYear = parseInt(event.target.value.substring(0, 4));
-        let numMonth = parseInt(event.target.value.substring(5, 7));
-        let numDay = parseInt(event.target.value.substring(8, 10));
-        launchDay = new Date(numYear, numMonth - 1, numDay);
+    // Register to handle clicking the Save rocket profile button
+    rocketProfileSaveButton.addEventListener('click', (event) => {
+        const isNewProfile = (RocketProfileStatus.CREATING == currentRocketProfileStatus || RocketProfileStatus.NOSAVES == currentRocketProfileStatus);
+        if (!verifyRocketProfileData(isNewProfile)) {
+            return;
+        }
 
-        let today = new Date();
-        today = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        // If the saved rocket is new, add its name to the selector
+        const rocketProfileName = rocketProfileNameElement.value.trim();
+        if (isNewProfile) {
+            if (0 == rocketProfileNames.length) {
+                clearRocketProfileSelector();
+            }
+            rocketProfileSelector.add(new Option(rocketProfileName, rocketProfileName));
+            rocketProfileNames.push(rocketProfileName);
+            rocketProfileSelector.selectedIndex = rocketProfileSelector.options.length - 1;
+        }
 
-        let deltaDays = (launchDay - today) / secondsInDay;
-        console.log(`Requesting ${deltaDays} in the past.`);
-        if (numYear < 2022) {
-            console.debug('Weather history before 2022 is not available.');
-        } else if (deltaDays > maxDaysFutureOpenMeteo) {
-            console.debug('Too far in the future.');
+        if (saveRocketProfileToDb(isNewProfile)) {
+            // Switch the UI to a static display now that the rocket was saved
+            updateRocketProfileUI(RocketProfileStatus.INACTIVE);
         }
     });
 
-    // Try to keep the end time within a valid range of the start time
-    startTimeElement.addEventListener('change', (event) => {
-        // Get the current start and end times
-        const startHour = parseInt(event.target.value.substring(0, 2));
-        var endHour = parseInt(endTimeElement.value.substring(0, 2));
+    // Register to handle clicking the New rocket profile button
+    rocketProfileNewButton.addEventListener('click', (event) => {
+        updateRocketProfileUI(RocketProfileStatus.CREATING);
+    });
 
-        if (endHour <= startHour) {
+    // Register to handle clicking the Cancel rocket profile button
+    rocketProfileCancelButton.addEventListener('click', (event) => {
+        updateRocketProfileUI(RocketProfileStatus.INACTIVE);
+
+        if (null != dbLaunchSites && rocketProfileNames.length > 0) {
+            // Restore the selected rocket's details from our database
+            dbLaunchSites.transaction('DriftCast_Rockets')
+                .objectStore('DriftCast_Rockets')
+                .get(rocketProfileSelector.value)
+                .onsuccess = (dbEvent) => {
+                    updateRocketProfileDisplay(dbEvent.target.result);
+                };
+        }
+    });
+
+    // Register to handle clicking the Edit rocket profile button
+    rocketProfileEditButton.addEventListener('click', (event) => {
+        updateRocketProfileUI(RocketProfileStatus.EDITING);
+    });
+
+    // Register to handle clicking the Delete rocket profile button
+    rocketProfileDeleteButton.addEventListener('click', async (event) => {
+        await deleteCurrentRocketProfile();
+    });
+
+    // Handle selection of a different rocket from our list
+    rocketProfileSelector.addEventListener('change', (changeEvent) => {
+        if (null != dbLaunchSites) {
+            dbLaunchSites.transaction('DriftCast_Rockets')
+                .objectStore('DriftCast_Rockets')
+                .get(changeEvent.target.value)
+                .onsuccess = (dbEvent) => {
+                    updateRocketProfileDisplay(dbEvent.target.result);
+                };
+        }
+    });
+
+    // Ensure the launch date is within the range for which wind forecasts are available
+    launchDateElement.addEventListener('change', (event) => {
+        // Convert into just a date ignoring hours, minutes, and seconds
+        let launchDay = new Date();
+        let numYear = parseInt(event.target.value.substring(0, 4));
+        let numMonth = parseInt(event.target.value.substring(5, 7));
+        let numDay = parseInt(event.target.value.substring(8, 10));
+        launchDay = new Date(numYear, numMonth - 1, numDay);
+
+        let today = new Date();
+        today = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+        let deltaDays = (launchDay - today) / secondsInDay;
+        console.log(`Requesting ${deltaDays} in the past.`);
+        if (numYear < 2022) {
+            console.debug('Weather history before 2022 is not available.');
+        } else if (deltaDays > maxDaysFutureOpenMeteo) {
+            console.debug('Too far in the future.');
+        }
+
+        // A launch spanning several days cannot end before it begins
+        launchEndDateElement.min = event.target.value;
+        if (launchEndDateElement.value.length > 0 && launchEndDateElement.value < event.target.value) {
+            launchEndDateElement.value = event.target.value;
+        }
+    });
+
+    // Try to keep the end time within a valid range of the start time
+    startTimeElement.addEventListener('change', (event) => {
+        // Get the current start and end times
+        const startHour = parseInt(event.target.value.substring(0, 2));
+        const startMinute = parseInt(event.target.value.substring(3, 5)) || 0;
+        var endHour = parseInt(endTimeElement.value.substring(0, 2));
+        const endMinute = parseInt(endTimeElement.value.substring(3, 5)) || 0;
+
+        if ((endHour * 60) + endMinute <= (startHour * 60) + startMinute) {
             // The end time cannot be earlier than our start time
             setEndTimeValue(startHour + 1);
         } else if ((endHour - startHour) > 11) {
@@ -1061,11 +1831,187 @@ window.onload = () => {
         }
     });
 
+    // Show/hide the measured wind table when it is selected in place of a forecast
+    windProviderElement.addEventListener('change', (event) => {
+        measuredWindDataElement.hidden = (measuredWindProviderId != event.target.value);
+    });
+
+    // Allow winds to be entered at any number of altitudes
+    measuredWindAddButton.addEventListener('click', () => {
+        addMeasuredWindRow();
+    });
+
+    measuredWindGridElement.addEventListener('click', (event) => {
+        if (event.target.classList.contains('measured_wind_remove')) {
+            event.target.closest('.measured_wind_row').remove();
+        }
+    });
+
+    // Replace the measured wind table with the winds from a sounding
+    soundingFileElement.addEventListener('change', async (event) => {
+        const soundingFile = event.target.files[0];
+        if (undefined == soundingFile) {
+            return;
+        }
+
+        try {
+            const windForecast = parseSoundingFile(soundingFile.name, await soundingFile.text());
+            measuredWindGridElement.querySelectorAll('.measured_wind_row').forEach((rowElement) => rowElement.remove());
+            for (const windAtAltitude of windForecast.windData) {
+                addMeasuredWindRow(Math.round(windAtAltitude.altitude), Math.round(windAtAltitude.windSpeed * 10) / 10, Math.round(windAtAltitude.windDirection));
+            }
+            measuredWindSource = { name: windForecast.model, elevation: windForecast.groundElevation };
+        } catch (error) {
+            window.alert(`Unable to load winds from ${soundingFile.name}. ${error.message}`);
+        }
+    });
+
+    // Replace the waiver's circle with the polygons drawn in a KML or GeoJSON file
+    waiverBoundaryFileElement.addEventListener('change', async (event) => {
+        const waiverFile = event.target.files[0];
+        if (undefined == waiverFile) {
+            return;
+        }
+
+        try {
+            const waiverArea = parseWaiverFile(waiverFile.name, await waiverFile.text());
+            waiverOutlineList = waiverArea.outlines.map((outline) => outline.map((location) => ({ latitude: location.latitude, longitude: location.longitude })));
+            updateWaiverBoundaryDisplay();
+        } catch (error) {
+            window.alert(`Unable to load the waiver boundary from ${waiverFile.name}. ${error.message}`);
+        }
+        waiverBoundaryFileElement.value = '';
+    });
+
+    // Return to a circular waiver
+    waiverBoundaryClearButton.addEventListener('click', () => {
+        waiverOutlineList = [];
+        updateWaiverBoundaryDisplay();
+    });
+
+    // Mark the points, lines, and polygons drawn in a KML or GeoJSON file as hazards
+    hazardFileElement.addEventListener('change', async (event) => {
+        const hazardFile = event.target.files[0];
+        if (undefined == hazardFile) {
+            return;
+        }
+
+        try {
+            hazardList = parseHazardFile(hazardFile.name, await hazardFile.text()).map((hazard) => ({
+                name: hazard.name,
+                type: hazard.type,
+                coordinates: hazard.coordinates.map((location) => ({ latitude: location.latitude, longitude: location.longitude }))
+            }));
+            updateHazardDisplay();
+        } catch (error) {
+            window.alert(`Unable to load the hazards from ${hazardFile.name}. ${error.message}`);
+        }
+        hazardFileElement.value = '';
+    });
+
+    hazardClearButton.addEventListener('click', () => {
+        hazardList = [];
+        updateHazardDisplay();
+    });
+
+    // Allow any number of points entered by hand, each with the buffer landings must keep from it
+    hazardPointAddButton.addEventListener('click', () => {
+        addHazardPointRow();
+    });
+
+    hazardPointGridElement.addEventListener('click', (event) => {
+        if (event.target.classList.contains('measured_wind_remove')) {
+            event.target.closest('.hazard_point_row').remove();
+        }
+    });
+
     // Show/hide the weathercock data entry fields when "Apply Weathercocking" is changed
     applyWeathercockingElement.addEventListener('click', (event) => {
         weathercockDataElement.hidden = !event.target.checked;
     });
 
+    // Allow weathercock results to be entered at any number of wind speeds
+    weathercockAddButton.addEventListener('click', () => {
+        addWeathercockRow();
+    });
+
+    weathercockGridElement.addEventListener('click', (event) => {
+        if (event.target.classList.contains('weathercock_remove')) {
+            event.target.closest('.weathercock_row').remove();
+        }
+    });
+
+    // Show/hide the failure scenario data entry fields when "Failure Scenarios" is changed
+    applyScenariosElement.addEventListener('click', (event) => {
+        scenarioDataElement.hidden = !event.target.checked;
+    });
+
+    // Show/hide the surface wind readings when "Measured Surface Wind" is changed
+    applySurfaceWindElement.addEventListener('click', (event) => {
+        surfaceWindDataElement.hidden = !event.target.checked;
+    });
+
+    // Allow a series of readings to be averaged
+    surfaceWindAddButton.addEventListener('click', () => {
+        addSurfaceWindRow();
+    });
+
+    surfaceWindGridElement.addEventListener('click', (event) => {
+        if (event.target.classList.contains('measured_wind_remove')) {
+            event.target.closest('.surface_wind_row').remove();
+        }
+    });
+
+    // Show/hide the dispersion data entry fields when "Landing Dispersion" is changed
+    applyDispersionElement.addEventListener('click', (event) => {
+        dispersionDataElement.hidden = !event.target.checked;
+    });
+
+    // Fill in the rocket's recovery and weathercock details from an OpenRocket design
+    openRocketFileElement.addEventListener('change', async (event) => {
+        const openRocketFile = event.target.files[0];
+        if (undefined == openRocketFile) {
+            return;
+        }
+
+        try {
+            applyOpenRocketData(await parseOpenRocketFile(await openRocketFile.arrayBuffer()));
+        } catch (error) {
+            window.alert(`Unable to load rocket from ${openRocketFile.name}. ${error.message}`);
+        }
+    });
+
+    // Load every motor defined within the user's motor files
+    motorFileElement.addEventListener('change', async (event) => {
+        for (const motorFile of event.target.files) {
+            try {
+                motorList = motorList.concat(parseMotorFile(motorFile.name, await motorFile.text()));
+            } catch (error) {
+                window.alert(`Unable to load motors from ${motorFile.name}. ${error.message}`);
+            }
+        }
+        updateMotorSelector();
+    });
+
+    // A thrust curve replaces the apogee estimate, but requires details about the rocket
+    motorSelectElement.addEventListener('change', (event) => {
+        const usingMotor = (parseInt(event.target.value) >= 0);
+        document.querySelectorAll('.ascent_input').forEach((ascentInput) => {
+            ascentInput.disabled = !usingMotor;
+        });
+        apogeeAltitudeElement.disabled = usingMotor || (RocketProfileStatus.INACTIVE == currentRocketProfileStatus);
+    });
+
+    // Only allow a reference altitude to be entered when descent rates are corrected for air density
+    airDensityCorrectionElement.addEventListener('click', (event) => {
+        descentReferenceAltitudeElement.disabled = !event.target.checked;
+    });
+
+    // Only allow a time step to be entered when the descent is integrated in time steps
+    descentMethodElement.addEventListener('change', (event) => {
+        descentTimeStepElement.disabled = (DescentMethod.TIME_STEPS != parseInt(event.target.value));
+    });
+
     // Update recovery related UI fields when the users switches between single and dual deployment
     document.querySelectorAll("input[name='deploy_mode']").forEach((input) => {
         input.addEventListener(
@@ -1105,8 +2051,22 @@ window.onload = () => {
             saveGroundPathsButton.hidden = true;
         }
 
+        if (null != saveLandingProbabilityButton) {
+            saveLandingProbabilityButton.disabled = true;
+            saveLandingProbabilityButton.hidden = true;
+        }
+
+        if (null != landingProbabilityTimeSelector) {
+            landingProbabilityTimeSelector.disabled = true;
+            landingProbabilityTimeSelector.hidden = true;
+        }
+
         // Hide any previous drift results.
         staticMapImage.hidden = true;
+        if (null != staticMapLegendElement) {
+            staticMapLegendElement.hidden = true;
+        }
+        removeStaticDayMaps();
         driftResultDiv.hidden = true;
 
         // Let the user know something is happening in the background.
@@ -1117,8 +2077,7 @@ window.onload = () => {
         }
 
         // Calculate new drift and landing results
-        // launchSimulationList = await calculateLandingPlots();
-        launchSimulationList = await requestOpenMeteoWind();
+        launchSimulationList = await requestDriftForecast();
         if (launchSimulationList.length > 0) {
             // No need to continue showing our text feedback now that results are ready.
             if (null != statusDisplayElement) {
@@ -1138,7 +2097,31 @@ window.onload = () => {
                 saveGroundPathsButton.disabled = false;
                 saveGroundPathsButton.hidden = false;
             }
-            updateStaticLandingScatterImage(launchSimulationList);
+            // Landing probabilities are only estimated from ensemble forecasts.
+            if (null != saveLandingProbabilityButton && landingProbabilityGridList.length > 0) {
+                saveLandingProbabilityButton.disabled = false;
+                saveLandingProbabilityButton.hidden = false;
+            }
+            // Each launch time has its own landing probabilities, so let the user pick which one to save.
+            if (null != landingProbabilityTimeSelector && landingProbabilityGridList.length > 0) {
+                while (landingProbabilityTimeSelector.options.length > 0) {
+                    landingProbabilityTimeSelector.remove(landingProbabilityTimeSelector.options.length - 1);
+                }
+                landingProbabilityGridList.forEach((probabilityGrid, index) => landingProbabilityTimeSelector.add(new Option(probabilityGrid.launchName, index)));
+                landingProbabilityTimeSelector.selectedIndex = 0;
+                landingProbabilityTimeSelector.disabled = false;
+                landingProbabilityTimeSelector.hidden = false;
+            }
+
+            // Failure scenarios would clutter the map, so only the nominal landings are shown.
+            let mapSimulationList = launchSimulationList.filter((launchSimulation) => LaunchScenario.NOMINAL == launchSimulation.scenario);
+
+            // Every ensemble member's landing would not fit within the map's URL, so only the first member's are shown.
+            if (landingProbabilityGridList.length > 0 && mapSimulationList.length > 0) {
+                const firstModelName = mapSimulationList[0].getWindModelName();
+                mapSimulationList = mapSimulationList.filter((launchSimulation) => firstModelName == launchSimulation.getWindModelName());
+            }
+            updateStaticLandingScatterImage(mapSimulationList);
             updateDriftResultTable(launchSimulationList);
 
             // Try to bring everything into view now the elements are visible.
@@ -1153,29 +2136,8 @@ window.onload = () => {
 
     // The user wants to save a KML file containing landing plots
     saveLandingPlotsButton.addEventListener('click', async (event) => {
-        if (null != launchSimulationList && launchSimulationList.length > 0) {
-            const launchSiteLocation = getLaunchSiteLocation();
-            let waiverLatitude = parseFloat(waiverLatitudeElement.value);
-            if (isNaN(waiverLatitude)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            } else if ((waiverLatitude > 90.0) || (waiverLatitude < -90.0)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            }
-        
-            let waiverLongitude = parseFloat(waiverLongitudeElement.value);
-            if (isNaN(waiverLongitude)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            } else if ((waiverLongitude > 180.0) || (waiverLongitude < -180.0)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            }
-            const waiverLocation = new GeoLocation(waiverLatitude, waiverLongitude);
-
-            let waiverRadius = parseFloat(waiverRadiusElement.value.replaceAll(',', ''));
-            if (isNaN(waiverRadius)) {
-                waiverRadius = 0;
-            }
-
-            await saveLandingScatter(launchSiteLocation, waiverLocation, waiverRadius, launchSimulationList);
+        if (null != launchSimulationList && launchSimulationList.length > 0 && null != launchLocationDetails) {
+            await saveLandingScatter(launchLocationDetails.location, launchLocationDetails.waiverArea, launchSimulationList, dispersionResultList, launchLocationDetails.hazards);
         } else {
             console.debug(`Skipping writing a landing plot KML file since no simulation data was returned.`);
         }
@@ -1183,29 +2145,8 @@ window.onload = () => {
 
     // The user wants to save a KML file containing flight paths
     saveFlightPlotsButton.addEventListener('click', async (event) => {
-        if (null != launchSimulationList && launchSimulationList.length > 0) {
-            const launchSiteLocation = getLaunchSiteLocation();
-            let waiverLatitude = parseFloat(waiverLatitudeElement.value);
-            if (isNaN(waiverLatitude)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            } else if ((waiverLatitude > 90.0) || (waiverLatitude < -90.0)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            }
-        
-            let waiverLongitude = parseFloat(waiverLongitudeElement.value);
-            if (isNaN(waiverLongitude)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            } else if ((waiverLongitude > 180.0) || (waiverLongitude < -180.0)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            }
-            const waiverLocation = new GeoLocation(waiverLatitude, waiverLongitude);
-
-            let waiverRadius = parseFloat(waiverRadiusElement.value.replaceAll(',', ''));
-            if (isNaN(waiverRadius)) {
-                waiverRadius = 0;
-            }
-
-            await saveFlightScatter(launchSiteLocation, waiverLocation, waiverRadius, launchSimulationList);
+        if (null != launchSimulationList && launchSimulationList.length > 0 && null != launchLocationDetails) {
+            await saveFlightScatter(launchLocationDetails.location, launchLocationDetails.waiverArea, launchSimulationList, launchLocationDetails.hazards);
         } else {
             console.debug(`Skipping writing a flight path KML file since no simulation data was returned.`);
         }
@@ -1213,613 +2154,671 @@ window.onload = () => {
 
     // The user wants to save a KML file containing flight paths projected as ground tracks.
     saveGroundPathsButton.addEventListener('click', async (event) => {
-        if (null != launchSimulationList && launchSimulationList.length > 0) {
-            const launchSiteLocation = getLaunchSiteLocation();
-            let waiverLatitude = parseFloat(waiverLatitudeElement.value);
-            if (isNaN(waiverLatitude)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            } else if ((waiverLatitude > 90.0) || (waiverLatitude < -90.0)) {
-                waiverLatitude = launchSiteLocation.latitude;
-            }
-        
-            let waiverLongitude = parseFloat(waiverLongitudeElement.value);
-            if (isNaN(waiverLongitude)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            } else if ((waiverLongitude > 180.0) || (waiverLongitude < -180.0)) {
-                waiverLongitude = launchSiteLocation.longitude;
-            }
-            const waiverLocation = new GeoLocation(waiverLatitude, waiverLongitude);
-
-            let waiverRadius = parseFloat(waiverRadiusElement.value.replaceAll(',', ''));
-            if (isNaN(waiverRadius)) {
-                waiverRadius = 0;
-            }
-
-            await saveGroundPaths(launchSiteLocation, waiverLocation, waiverRadius, launchSimulationList);
+        if (null != launchSimulationList && launchSimulationList.length > 0 && null != launchLocationDetails) {
+            await saveGroundPaths(launchLocationDetails.location, launchLocationDetails.waiverArea, launchSimulationList, launchLocationDetails.hazards);
         } else {
             console.debug(`Skipping writing a ground paths KML file since no simulation data was returned.`);
         }
     });
+
+    // The user wants to save a KMZ file containing the landing probability heat map and contours.
+    if (null != saveLandingProbabilityButton) {
+        saveLandingProbabilityButton.addEventListener('click', async (event) => {
+            const gridIndex = (null == landingProbabilityTimeSelector) ? 0 : Math.max(0, landingProbabilityTimeSelector.selectedIndex);
+            const probabilityGrid = landingProbabilityGridList[gridIndex] ?? null;
+            if (null != probabilityGrid && null != launchLocationDetails) {
+                await saveLandingProbability(launchLocationDetails.location, launchLocationDetails.waiverArea, probabilityGrid, launchLocationDetails.hazards);
+            } else {
+                console.debug(`Skipping writing a landing probability KMZ file since no ensemble forecast was simulated.`);
+            }
+        });
+    }
 }
 
 /**
- * Pull all the user supplied data from our UI ignoring any bad data.
- * @param {number} windSpeed - Speed (in MPH) of the wind at ground level.
- * @param {string} speedId - Written version of the speed used for looking up the relevant UI.
- * @returns {WeathercockWindData} A new object containing weathercock data if successful, or null if not.
+ * Appends a row to the end of the measured wind table.
+ * @param {string|number} altitude - Altitude (in feet AGL) where the wind was measured.
+ * @param {string|number} windSpeed - Wind speed (in knots) shown in the new row.
+ * @param {string|number} windDirection - Direction (degrees from North) the wind is blowing from.
  */
-function getWeathercockInputValues(windSpeed, speedId) {
-    const distanceInput = document.getElementById(`weathercock_distance_${speedId}`);
-    if (null == distanceInput) {
-        console.debug(`Weathercock distance not found for wind speed ${speedId}`);
-        return null;
-    }
+function addMeasuredWindRow(altitude = '', windSpeed = '', windDirection = '') {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'measured_wind_row';
+
+    for (const [className, value] of [['measured_wind_altitude', altitude], ['measured_wind_speed', windSpeed], ['measured_wind_direction', windDirection]]) {
+        const inputElement = document.createElement('input');
+        inputElement.type = 'text';
+        inputElement.inputMode = 'decimal';
+        inputElement.className = `measured_wind_input ${className}`;
+        inputElement.value = value;
+        rowElement.appendChild(inputElement);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'measured_wind_remove';
+    removeButton.textContent = 'Remove';
+    rowElement.appendChild(removeButton);
+
+    measuredWindGridElement.appendChild(rowElement);
+}
 
-    const apogeeInput = document.getElementById(`weathercock_apogee_${speedId}`);
-    if (null == apogeeInput) {
-        console.debug(`Weathercock apogee not found for wind speed ${speedId}`);
-        return null;
-    }
-            
-    const distanceValue = parseInt(distanceInput.value.replaceAll(',', ''));
-    if (isNaN(distanceValue)) {
-        console.debug(`Weathercock distance is not a valid integer: ${distanceValue}`);
-        return null;
-    }
+/**
+ * Appends a row to the end of the surface wind readings.
+ * @param {string|number} windSpeed - Wind speed (in MPH) shown in the new row.
+ * @param {string|number} windDirection - Direction (degrees from North) the wind is blowing from.
+ */
+function addSurfaceWindRow(windSpeed = '', windDirection = '') {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'surface_wind_row';
+
+    for (const [className, value] of [['surface_wind_speed', windSpeed], ['surface_wind_direction', windDirection]]) {
+        const inputElement = document.createElement('input');
+        inputElement.type = 'text';
+        inputElement.inputMode = 'decimal';
+        inputElement.className = `measured_wind_input ${className}`;
+        inputElement.value = value;
+        rowElement.appendChild(inputElement);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'measured_wind_remove';
+    removeButton.textContent = 'Remove';
+    rowElement.appendChild(removeButton);
+
+    surfaceWindGridElement.appendChild(rowElement);
+}
 
-    const apogeeValue = parseInt(apogeeInput.value.replaceAll(',', ''));
-    if (isNaN(distanceValue)) {
-        console.debug(`Weathercock apogee is not a valid integer: ${apogeeValue}`);
-        return null;
+/**
+ * Appends a row to the end of the hazard point table.
+ * @param {string} name - Name of the point where landings are unacceptable.
+ * @param {string|number} latitude - Latitude of the point.
+ * @param {string|number} longitude - Longitude of the point.
+ * @param {string|number} buffer - Closest distance (in feet) a rocket may land to the point.
+ */
+function addHazardPointRow(name = '', latitude = '', longitude = '', buffer = '') {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'hazard_point_row';
+
+    for (const [className, value] of [['hazard_point_name', name], ['hazard_point_latitude', latitude], ['hazard_point_longitude', longitude], ['hazard_point_buffer', buffer]]) {
+        const inputElement = document.createElement('input');
+        inputElement.type = 'text';
+        inputElement.inputMode = ('hazard_point_name' == className) ? 'text' : 'decimal';
+        inputElement.className = `measured_wind_input ${className}`;
+        inputElement.value = value;
+        inputElement.disabled = hazardPointAddButton.disabled;
+        rowElement.appendChild(inputElement);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'measured_wind_remove';
+    removeButton.textContent = 'Remove';
+    removeButton.disabled = hazardPointAddButton.disabled;
+    rowElement.appendChild(removeButton);
+
+    hazardPointGridElement.appendChild(rowElement);
+}
+
+/**
+ * Replaces the rows of the hazard point table.
+ * @param {Array.<Object>} hazardPoints - Name, coordinates, and buffer (ft) of each point saved with the launch site.
+ */
+function updateHazardPointRows(hazardPoints) {
+    hazardPointGridElement.querySelectorAll('.hazard_point_row').forEach((rowElement) => rowElement.remove());
+    for (const hazardPoint of hazardPoints) {
+        const readValue = (value) => Number.isFinite(value) ? value : '';
+        const location = hazardPoint.coordinates?.[0];
+        addHazardPointRow(hazardPoint.name ?? '', readValue(location?.latitude), readValue(location?.longitude), readValue(hazardPoint.buffer));
     }
+}
 
-    return new WeathercockWindData(windSpeed, distanceValue, apogeeValue);
+/**
+ * Copies a launch site's go/no-go rules into our UI elements.
+ * @param {Object} rules - Rules saved with the launch site, or null for the default rules.
+ */
+function updateLaunchRulesDisplay(rules) {
+    rulesMaxWindElement.value = Number.isFinite(rules?.maxSurfaceWind) ? rules.maxSurfaceWind : '';
+    rulesMaxLandingElement.value = Number.isFinite(rules?.maxLandingDistance) ? rules.maxLandingDistance : '';
+    rulesHazardBufferElement.value = Number.isFinite(rules?.hazardBuffer) ? rules.hazardBuffer : '';
+    rulesRequireWaiverElement.checked = (false != rules?.requireInsideWaiver);
+    rulesRequireCeilingElement.checked = (false != rules?.requireBelowCeiling);
 }
 
 /**
- * Reads user supplied weathercock data from our UI elements and places everything into
- * an array of objects. Return value indicates if there is valid data to use.
- * @param {Array.<WeathercockWindData>} resultsData - Array of objects containing weathercock data.
- * @returns {boolean} True if the user has supplied valid weathercock data.
+ * Reads the winds entered within the measured wind table. Problems are shown to the user, focusing
+ * the value needing correction.
+ * @returns {MeasuredWindProvider} Provider supplying the measured winds for every hour, or null if a value is invalid.
  */
-function loadWeathercockData(resultsData) {
-    let applyWeathercockAdjustment = applyWeathercockingElement.checked;
-    if (applyWeathercockAdjustment) {
-        // Zero wind uses the rocket's normal apogee with no drifting
-        const rocketApogee = parseInt(apogeeAltitudeElement.value.replaceAll(',', ''));
-        if (isNaN(rocketApogee)) {
-            window.alert(`The rocket's apogee is not valid: ${rocketApogee}.`);
-            apogeeAltitudeElement.focus();
-            return;
-        }
-        if (rocketApogee <= 0) {
-            window.alert(`The rocket's apogee cannot be a negative value: ${rocketApogee}.`);
-            apogeeAltitudeElement.focus();
-            return;
+function readMeasuredWindProvider() {
+    const windList = [];
+    for (const rowElement of measuredWindGridElement.querySelectorAll('.measured_wind_row')) {
+        const altitudeElement = rowElement.querySelector('.measured_wind_altitude');
+        const speedElement = rowElement.querySelector('.measured_wind_speed');
+        const directionElement = rowElement.querySelector('.measured_wind_direction');
+
+        const altitude = getInputNumber(altitudeElement);
+        if (isNaN(altitude) || altitude < 0) {
+            window.alert(`Measured wind altitude is not valid: ${altitudeElement.value}`);
+            altitudeElement.focus();
+            return null;
         }
-        resultsData.push(new WeathercockWindData(0, 0, rocketApogee));
-        
-        let windSpeedData = getWeathercockInputValues(5, 'five');
-        if (null != windSpeedData) {
-            resultsData.push(windSpeedData);
+        const windSpeed = getInputNumber(speedElement);
+        if (isNaN(windSpeed) || windSpeed < 0) {
+            window.alert(`Measured wind speed at ${altitude} ft is not valid: ${speedElement.value}`);
+            speedElement.focus();
+            return null;
         }
-        
-        windSpeedData = getWeathercockInputValues(10, 'ten');
-        if (null != windSpeedData) {
-            resultsData.push(windSpeedData);
-        }
-        
-        windSpeedData = getWeathercockInputValues(15, 'fifteen');
-        if (null != windSpeedData) {
-            resultsData.push(windSpeedData);
-        }
-        
-        windSpeedData = getWeathercockInputValues(20, 'twenty');
-        if (null != windSpeedData) {
-            resultsData.push(windSpeedData);
+        const windDirection = getInputNumber(directionElement);
+        if (isNaN(windDirection) || windDirection < 0 || windDirection > 360) {
+            window.alert(`Measured wind direction at ${altitude} ft is not valid: ${directionElement.value}`);
+            directionElement.focus();
+            return null;
         }
+        windList.push(new WindAtAltitude(altitude, windSpeed, windDirection));
+    }
 
-        if (0 == resultsData.length) {
-            console.debug('Disabling weathercocking since no data could be loaded.');
-            applyWeathercockAdjustment = false;
-        }
+    if (0 == windList.length) {
+        window.alert('Enter at least one measured wind or import a sounding.');
+        measuredWindAddButton.focus();
+        return null;
     }
-    return applyWeathercockAdjustment;
+
+    const windForecast = new WindForecastData();
+    windForecast.loadMeasuredData(measuredWindSource.elevation, windList, measuredWindSource.name);
+    return new MeasuredWindProvider(windForecast);
 }
 
 /**
- * Calculates a value within a range based on a ratio from the provided source data.
- * @param   {number} sourceValue - The position of this value within the source range is mapped to the target range.
- * @param   {number} sourceLower - Lower limit of the source range.
- * @param   {number} sourceUpper - Upper limit of the source range.
- * @param   {number} targetLower - Lower limit of the target range.
- * @param   {number} targetUpper - Upper limit of the target range.
- * @returns {number} Value from the target range equivalent to the source data's position.
+ * Finds the weathercock table rows which have been filled in. Rows whose distance and apogee are both
+ * blank are left out, so untouched rows never fail validation.
+ * @returns {Array.<HTMLElement>} Rows holding a distance or apogee, in table order.
  */
-function linearInterpolate(sourceValue, sourceLower, sourceUpper, targetLower, targetUpper) {
-    if (0 == (sourceUpper - sourceLower)) {
-        console.debug(`Invalid linear range ${sourceLower} to ${sourceUpper}. Defaulting to targetLower.`);
-        return targetLower;
-    }
+function getFilledWeathercockRows() {
+    return Array.from(weathercockGridElement.querySelectorAll('.weathercock_row')).filter((rowElement) =>
+        rowElement.querySelector('.weathercock_distance').value.trim().length > 0 || rowElement.querySelector('.weathercock_apogee').value.trim().length > 0);
+}
 
-    return targetLower + ((sourceValue - sourceLower) * (((targetUpper - targetLower) / (sourceUpper - sourceLower))));
+/**
+ * Appends a row to the end of the weathercock table.
+ * @param {string|number} windSpeed - Wind speed (in MPH) shown in the new row.
+ * @param {string|number} upwindDistance - Distance (in feet) the rocket travels up wind.
+ * @param {string|number} apogee - Altitude (in feet) the rocket is expected to reach.
+ */
+function addWeathercockRow(windSpeed = '', upwindDistance = '', apogee = '') {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'weathercock_row';
+
+    for (const [className, value] of [['weathercock_speed', windSpeed], ['weathercock_distance', upwindDistance], ['weathercock_apogee', apogee]]) {
+        const inputElement = document.createElement('input');
+        inputElement.type = 'text';
+        inputElement.inputMode = 'decimal';
+        inputElement.className = `weathercock_input ${className}`;
+        inputElement.value = value;
+        rowElement.appendChild(inputElement);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'weathercock_remove';
+    removeButton.textContent = 'Remove';
+    rowElement.appendChild(removeButton);
+
+    weathercockGridElement.appendChild(rowElement);
 }
 
 /**
- * Returns the provided angle in radians after conversion from degrees
- * @param   {GeoLocation} apogeeLocation - Initial launch location and to be moved upwind.
- * @param   {number} windDirection - Bearing (degrees from North) the wind is blowing.
- * @param   {number} windSpeed - Speed (MPH) the wind is blowing.
- * @param   {Array.<WeathercockWindData>} weathercockData - Array of weathercock results.
- * @returns {number} Expected lower apogee due to weathercocking or -1 if an error occurs.
+ * Reads a number from an input element, ignoring any thousands separators.
+ * @param {HTMLInputElement} inputElement - Element containing the user's value.
+ * @returns {number} The value entered, or NaN if it is not a number.
  */
-function weathercockAdjustment(apogeeLocation, windDirection, windSpeed, weathercockData) {
-    if (0 == weathercockData.length) {
-        console.debug('Unable to adjust for weathercocking without valid data.');
-        return -1;
-    }
-
-    // Check if the provided wind speed is outside the provided wind data.
-    if (windSpeed <= weathercockData[0].windSpeed) {
-        // This will likely never be true, but always nice to double check when possible.
-        if (weathercockData[0].upwindDistance > 0.0) {
-            moveAlongBearing(apogeeLocation, feetToMeters(weathercockData[0].upwindDistance), windDirection);
-        }
-        return weathercockData[0].apogee;
-    } else if (windSpeed > weathercockData[weathercockData.length - 1].windSpeed) {
-        moveAlongBearing(apogeeLocation, feetToMeters(weathercockData[weathercockData.length - 1].upwindDistance), windDirection);
-        return weathercockData[0].apogee;
-    }
-
-    let apogeeAltitude = -1;
-
-    // Expecting weathercock result data for wind speeds from 0 to 20MPH in 5MPH segments.
-    // Find the first entry with a speed equal or greater than the expected ground wind,
-    // and perform a linear interpolation from the previous entry.
-    for (let index = 1; index < weathercockData.length; ++index) {
-        if (windSpeed <= weathercockData[index].windSpeed) {            
-            // Wind bearing indicates where the wind is blowing from. Since we want to
-            // drift upwind anyway, just use the raw value provided.
-
-            // Determine the distance by interpolating from user provided data
-            let finalDistance = linearInterpolate(windSpeed,
-                                                    weathercockData[index].windSpeed,
-                                                    weathercockData[index - 1].windSpeed,
-                                                    weathercockData[index].upwindDistance,
-                                                    weathercockData[index - 1].upwindDistance);
-            moveAlongBearing(apogeeLocation, feetToMeters(finalDistance), windDirection);
-
-            // Determine the lower apogee by interpolating from user provided data
-            apogeeAltitude = linearInterpolate(windSpeed,
-                                                weathercockData[index].windSpeed,
-                                                weathercockData[index - 1].windSpeed,
-                                                weathercockData[index].apogee,
-                                                weathercockData[index - 1].apogee);
-            break;
-        }
-    }
-    return apogeeAltitude;
+function getInputNumber(inputElement) {
+    return parseFloat(inputElement.value.replaceAll(',', ''));
 }
 
-async function requestOpenMeteoWind() {
-    // Start with an empty array to be filled with simulation data objects later.
-    const simulationList = [];
+/**
+ * Reads user supplied dispersion tolerances from our UI elements.
+ * @returns {Object} Dispersion values for a drift forecast request, or null if not requested.
+ */
+function readDispersionRequest() {
+    if (!applyDispersionElement.checked) {
+        return null;
+    }
 
-    const launchTimes = new LaunchTimeData( launchDateElement.value,
-                                            startTimeElement.value,
-                                            endTimeElement.value);
+    return {
+        runCount: parseInt(dispersionRunsElement.value.replaceAll(',', '')),
+        tolerances: {
+            apogee: getInputNumber(dispersionApogeeElement),
+            drogueRate: getInputNumber(dispersionDrogueRateElement),
+            mainRate: getInputNumber(dispersionMainRateElement),
+            deployAltitude: getInputNumber(dispersionMainAltitudeElement),
+            windSpeed: getInputNumber(dispersionWindSpeedElement),
+            windDirection: getInputNumber(dispersionWindDirectionElement)
+        }
+    };
+}
 
-    // Verify the launch hour offsets are within our expectations
-    if ((launchTimes.endHour < launchTimes.startHour) && (launchTimes.endHour > 0)) {
-        window.alert('The launch cannot end before it starts.');
-        return simulationList;
-    }
-    if (launchTimes.launchDate.getFullYear() < 2022) {
-        window.alert('Weather records are not available before 2022.');
-        return simulationList;
-    }
-    if (launchTimes.endHourOffset > (24 * maxDaysFutureOpenMeteo)) {
-        window.alert(`Cannot forecast more than ${maxDaysFutureOpenMeteo} days into the future.`);
-        return simulationList;
+/**
+ * Copies the details imported from an OpenRocket design into our UI elements. Values the design
+ * could not provide are left unchanged, while simulated wind speeds replace the weathercock table.
+ * @param {OpenRocketData} rocketData - Details read from the OpenRocket file.
+ */
+function applyOpenRocketData(rocketData) {
+    if (rocketData.apogee > 0) {
+        apogeeAltitudeElement.value = rocketData.apogee;
     }
 
-    // Default to using the launch site's location for our apogee position
-    const launchLocation = getLaunchSiteLocation();
-    if (null == launchLocation) {
-        window.alert('Unable to get wind forecast without valid launch site coordinates.');
-        return simulationList;
+    // Clicking the deployment mode keeps the related fields enabled/disabled to match
+    if (rocketData.usingDualDeployment()) {
+        dualDeployElement.click();
+        mainEventAltitudeElement.value = rocketData.mainDeployAltitude;
+        if (rocketData.drogueDescentRate > 0) {
+            drogueDecentRateElement.value = rocketData.drogueDescentRate;
+        }
+    } else if (rocketData.mainDescentRate > 0) {
+        singleDeployElement.click();
     }
 
-    const windForecastList = await getOpenMeteoWindPredictionData(launchLocation, launchTimes);
-    if (null == windForecastList) {
-        console.debug('Open-Meteo wind forecast list is null.');
-        return simulationList;
+    if (rocketData.mainDescentRate > 0) {
+        mainDescentRateElement.value = rocketData.mainDescentRate;
     }
-    
-    // Instantiate a new object to store the current launch event's details.
-    launchLocationDetails = new LaunchLocationData(launchLocation, windForecastList[0].groundElevation, launchSiteNameElement.value);
 
-    // Obtain the current launch event's waiver details if available.
-    const waiverRadius = parseFloat(waiverRadiusElement.value.replaceAll(',', ''));
-    if (!isNaN(waiverRadius)) {
-        const waiverLatitude = parseFloat(waiverLatitudeElement.value);
-        const waiverLongitude = parseFloat(waiverLongitudeElement.value);
-        if (!isNaN(waiverLatitude) && !isNaN(waiverLongitude)) {
-            launchLocationDetails.setWaiver(new GeoLocation(waiverLatitude, waiverLongitude), waiverRadius);
-        }
+    if (0 == rocketData.weathercockData.length) {
+        return;
     }
 
-    // Verify expected rocket altitudes are valid numbers
-    const apogeeAltitude = parseInt(apogeeAltitudeElement.value.replaceAll(',', ''));
-    if (isNaN(apogeeAltitude)) {
-        window.alert(`Apogee is not a valid number: ${apogeeAltitude}.`);
-        return simulationList;
-    }
-    if (apogeeAltitude <= 0) {
-        window.alert(`Apogee is not a valid height above ground: ${apogeeAltitude}.`);
+    // Each simulated wind speed replaces the rows previously entered
+    weathercockGridElement.querySelectorAll('.weathercock_row').forEach((rowElement) => rowElement.remove());
+    for (const windSpeedData of rocketData.weathercockData) {
+        addWeathercockRow(windSpeedData.windSpeed, windSpeedData.upwindDistance, windSpeedData.apogee);
     }
 
-    let weathercockData = [];
-    const applyWeathercockAdjustment = loadWeathercockData(weathercockData);
+    applyWeathercockingElement.checked = true;
+    weathercockDataElement.hidden = false;
+}
 
-    // Get the rocket's decent rate under the main parachute
-    const mainDescentRate = parseFloat(mainDescentRateElement.value);
-    if (isNaN(mainDescentRate) || mainDescentRate <= 0.0) {
-        console.debug(`Unable to calculate drift distance with an invalid main decent rate: ${mainDescentRate}`);
-        return simulationList;
-    }
+/**
+ * Replaces the motor selector's options with every motor currently loaded.
+ */
+function updateMotorSelector() {
+    const previousIndex = motorSelectElement.value;
 
-    // Load the rocket's recovery data
-    let usingDualDeployoment = dualDeployElement.checked;
-    let mainDeployAltitude = -1;
-    let drogueDecentRate = mainDescentRate;
+    while (motorSelectElement.options.length > 1) {
+        motorSelectElement.remove(1);
+    }
 
-    if (usingDualDeployoment) {
-        // Ensure the values are positive
-        mainDeployAltitude = Math.abs(parseInt(mainEventAltitudeElement.value.replaceAll(',', '')));
-        drogueDecentRate = Math.abs(parseInt(drogueDecentRateElement.value));
+    motorList.forEach((motor, index) => {
+        motorSelectElement.add(new Option(`${motor.manufacturer} ${motor.name}`, index));
+    });
 
-        if (isNaN(mainDeployAltitude)) {
-            window.alert(`Secondary deployment altitude is invalid: ${mainDeployAltitude}`);
-            usingDualDeployoment = false;
-        } else if (isNaN(drogueDecentRate)) {
-            window.alert(`Defaulting to single deployment due to an invalid drogue decent rate: ${drogueDecentRate}`);
-            usingDualDeployoment = false;
-        }
+    motorSelectElement.value = previousIndex;
+}
 
-        if (mainDeployAltitude > apogeeAltitude) {
-            window.alert(`Defaulting to single deployment since second deployment ${mainDeployAltitude} is higher than apogee ${apogeeAltitude}`);
-            usingDualDeployoment = false;
-        } else if (0 == mainDeployAltitude) {
-            window.alert(`Defaulting to single deployment since second deployment is set at ground level.`);
-            usingDualDeployoment = false;
-        } else if (0 == drogueDecentRate) {
-            window.alert(`Defaulting to single deployment since drogue decent rate is 0.`);
-            usingDualDeployoment = false;
-        }
+/**
+ * Fills the wind provider selector with every registered source of wind forecasts.
+ */
+function updateWindProviderSelector() {
+    while (windProviderElement.options.length > 0) {
+        windProviderElement.remove(0);
+    }
 
-        if (!usingDualDeployoment) {
-            // Reset to default values ensuring only single deployment is utilized
-            mainDeployAltitude = -1;
-            drogueDecentRate = mainDescentRate;
-        }
+    for (const provider of getWindProviders()) {
+        windProviderElement.add(new Option(provider.name, provider.id));
     }
+    windProviderElement.add(new Option('Measured Winds', measuredWindProviderId));
 
-    // Identify what type of rocket will be launched.
-    if (applyWeathercockAdjustment) {
-        rocketDetails = new RocketWeathercocking(apogeeAltitude, weathercockData);
-    } else {
-        rocketDetails = new RocketApogee(apogeeAltitude);
+    windProviderElement.value = defaultWindProviderId;
+}
+
+/**
+ * Suggests the names of every timezone known to this browser while typing a launch site's timezone.
+ */
+function updateTimeZoneList() {
+    if (null == timeZoneListElement || 'function' != typeof Intl.supportedValuesOf) {
+        return;
     }
 
-    // Update the rocket's recovery system.
-    if (usingDualDeployoment) {
-        rocketDetails.setDualDeployment(drogueDecentRate, mainDeployAltitude, mainDescentRate);
-    } else {
-        rocketDetails.setSingleDeployment(mainDescentRate);
+    for (const timeZone of Intl.supportedValuesOf('timeZone')) {
+        const timeZoneOption = document.createElement('option');
+        timeZoneOption.value = timeZone;
+        timeZoneListElement.appendChild(timeZoneOption);
     }
+}
 
-    let forecastHour = new Date(launchTimes.launchDate);
+/**
+ * Reads the launch site and waiver from our UI elements.
+ * @returns {Object} Launch site values for a drift forecast request.
+ */
+function readLaunchSiteRequest() {
+    const siteRequest = {
+        name: launchSiteNameElement.value,
+        latitude: parseFloat(launchSiteLatitudeElement.value),
+        longitude: parseFloat(launchSiteLongitudeElement.value),
+        elevation: parseInt(launchSiteElevationElement.value),
+        timezone: launchSiteTimeZoneElement.value.trim()
+    };
 
-    windForecastList.forEach((windForecast) => {
-        if (null == windForecast || 0 == windForecast.length) {
-            console.debug('Failed to obtain a wind forecast.');
-            simulationList.push(null);
-        } else {
-            const launchSimulation = driftSimulation(launchLocationDetails,
-                forecastHour,
-                rocketDetails,
-                windForecast
-            );
+    const waiverRadius = getInputNumber(waiverRadiusElement);
+    if (!isNaN(waiverRadius)) {
+        siteRequest.waiver = {
+            latitude: parseFloat(waiverLatitudeElement.value),
+            longitude: parseFloat(waiverLongitudeElement.value),
+            radius: waiverRadius
+        };
+    }
 
-            // Add this completed simulation to the list
-            simulationList.push(launchSimulation);
+    // An imported boundary takes the place of the circle
+    if (waiverOutlineList.length > 0) {
+        siteRequest.waiver = { ...siteRequest.waiver, outlines: waiverOutlineList };
+    }
 
-            // Move the launch time forward one hour
-            forecastHour.setTime(forecastHour.getTime() + 3600000);
-        }
-    });
+    // An empty ceiling leaves the waiver without an altitude limit
+    const waiverCeiling = getInputNumber(waiverAltitudeElement);
+    if (null != siteRequest.waiver && !isNaN(waiverCeiling)) {
+        siteRequest.waiver.ceiling = waiverCeiling;
+    }
 
-    return simulationList;
+    siteRequest.hazards = readHazardsRequest();
+    siteRequest.rules = readLaunchRulesRequest();
+    return siteRequest;
 }
 
 /**
- * Pulls all launch and rocket data provided though our UI elements. Wind forecasts
- * are obtained for each hour of the launch's duration. Rocket landing locations are
- * calculated utilizing all of the previously described information.
- * @returns {Array.<LaunchSimulationData>} A list of launch simulation data objects.
+ * Reads the launch site's hazards, following those imported from a file with the points entered by hand.
+ * @returns {Array.<Object>} Hazard values for a drift forecast request, also saved with the launch site.
  */
-async function calculateLandingPlots() {
-    // Start with an empty array to be filled with simulation data objects later
-    const simulationList = [];
+function readHazardsRequest() {
+    const hazardPoints = [...hazardPointGridElement.querySelectorAll('.hazard_point_row')].map((rowElement) => ({
+        name: rowElement.querySelector('.hazard_point_name').value.trim(),
+        type: HazardType.POINT,
+        coordinates: [{
+            latitude: parseFloat(rowElement.querySelector('.hazard_point_latitude').value),
+            longitude: parseFloat(rowElement.querySelector('.hazard_point_longitude').value)
+        }],
+        buffer: getInputNumber(rowElement.querySelector('.hazard_point_buffer'))
+    }));
+    return [...hazardList, ...hazardPoints];
+}
 
-    const launchTimes = new LaunchTimeData( launchDateElement.value,
-                                            startTimeElement.value,
-                                            endTimeElement.value);
+/**
+ * Reads the launch site's go/no-go rules from our UI elements. Empty limits are left out so the
+ * default limits apply.
+ * @returns {Object} Rule values for a drift forecast request, also saved with the launch site.
+ */
+function readLaunchRulesRequest() {
+    const rulesRequest = {
+        requireInsideWaiver: rulesRequireWaiverElement.checked,
+        requireBelowCeiling: rulesRequireCeilingElement.checked
+    };
 
-    // Verify the launch hour offsets are within our expectations
-    if ((launchTimes.endHour < launchTimes.startHour) && (launchTimes.endHour > 0)) {
-        window.alert('The launch cannot end before it starts.');
-        return simulationList;
+    const maxSurfaceWind = getInputNumber(rulesMaxWindElement);
+    if (!isNaN(maxSurfaceWind)) {
+        rulesRequest.maxSurfaceWind = maxSurfaceWind;
     }
-    if (launchTimes.startHourOffset < -24) {
-        window.alert('Wind speeds older than 24 hours are not available.');
-        return simulationList;
+    const maxLandingDistance = getInputNumber(rulesMaxLandingElement);
+    if (!isNaN(maxLandingDistance)) {
+        rulesRequest.maxLandingDistance = maxLandingDistance;
     }
-    if (launchTimes.endHourOffset > 380) {
-        window.alert('Cannot forecast more than 380 hours into the future.');
-        return simulationList;
-    }
-
-    // Verify expected rocket altitudes are valid numbers
-    const rocketApogee = parseInt(apogeeAltitudeElement.value.replaceAll(',', ''));
-    if (isNaN(rocketApogee)) {
-        window.alert(`Apogee is not a valid number: ${rocketApogee}.`);
-        return simulationList;
-    }
-    if (rocketApogee <= 0) {
-        window.alert(`Apogee is not a valid height above ground: ${rocketApogee}.`);
+    const hazardBuffer = getInputNumber(rulesHazardBufferElement);
+    if (!isNaN(hazardBuffer)) {
+        rulesRequest.hazardBuffer = hazardBuffer;
     }
+    return rulesRequest;
+}
 
-    let weathercockData = [];
-    const applyWeathercockAdjustment = loadWeathercockData(weathercockData);
+/**
+ * Reads the rocket's flight and recovery details from our UI elements.
+ * @returns {Object} Rocket values for a drift forecast request.
+ */
+function readRocketRequest() {
+    const rocketRequest = {
+        apogee: getInputNumber(apogeeAltitudeElement),
+        mainDescentRate: parseFloat(mainDescentRateElement.value)
+    };
 
-    // Default to using the launch site's location for our apogee position
-    const launchLocation = getLaunchSiteLocation();
-    if (null == launchLocation) {
-        window.alert('Unable to get wind forecast without valid launch site coordinates.');
-        return simulationList;
+    if (dualDeployElement.checked) {
+        // Ensure the values are positive
+        rocketRequest.mainDeployAltitude = Math.abs(parseInt(mainEventAltitudeElement.value.replaceAll(',', '')));
+        rocketRequest.drogueDescentRate = Math.abs(parseInt(drogueDecentRateElement.value));
+    }
+
+    // A selected motor's thrust curve determines the apogee instead of the user's estimate
+    const motorIndex = parseInt(motorSelectElement.value);
+    if (motorIndex >= 0 && motorIndex < motorList.length) {
+        rocketRequest.motor = motorList[motorIndex];
+        rocketRequest.ascent = {
+            mass: getInputNumber(rocketMassElement),
+            diameter: getInputNumber(rocketDiameterElement),
+            dragCoefficient: getInputNumber(ascentDragCoefficientElement),
+            railLength: getInputNumber(railLengthElement),
+            railAngle: getInputNumber(railAngleElement),
+            railBearing: getInputNumber(railBearingElement)
+        };
+    } else if (applyWeathercockingElement.checked) {
+        rocketRequest.weathercock = {
+            data: getFilledWeathercockRows().map((rowElement) => ({
+                windSpeed: getInputNumber(rowElement.querySelector('.weathercock_speed')),
+                upwindDistance: getInputNumber(rowElement.querySelector('.weathercock_distance')),
+                apogee: getInputNumber(rowElement.querySelector('.weathercock_apogee'))
+            })),
+            extrapolation: parseInt(weathercockExtrapolationElement.value)
+        };
     }
 
-    // Get the rocket's decent rate under the main parachute
-    const mainDescentRate = parseFloat(mainDescentRateElement.value);
-    if (isNaN(mainDescentRate) || mainDescentRate <= 0.0) {
-        console.debug(`Unable to calculate drift distance with an invalid main decent rate: ${mainDescentRate}`);
-        return simulationList;
+    // Descent rates may have been measured at a different air density than the rocket falls through
+    if (airDensityCorrectionElement.checked) {
+        rocketRequest.airDensityReferenceAltitude = getInputNumber(descentReferenceAltitudeElement);
     }
+    return rocketRequest;
+}
 
-    // Load the rocket's recovery data
-    let usingDualDeployoment = dualDeployElement.checked;
-    let mainDeployAltitude = -1;
-    let drogueDecentRate = mainDescentRate;
-
-    if (usingDualDeployoment) {
-        // Ensure the values are positive
-        mainDeployAltitude = Math.abs(parseInt(mainEventAltitudeElement.value.replaceAll(',', '')));
-        drogueDecentRate = Math.abs(parseInt(drogueDecentRateElement.value));
-
-        if (isNaN(mainDeployAltitude)) {
-            window.alert(`Secondary deployment altitude is invalid: ${mainDeployAltitude}`);
-            usingDualDeployoment = false;
-        } else if (isNaN(drogueDecentRate)) {
-            window.alert(`Defaulting to single deployment due to an invalid drogue decent rate: ${drogueDecentRate}`);
-            usingDualDeployoment = false;
-        }
-
-        if (mainDeployAltitude > rocketApogee) {
-            window.alert(`Defaulting to single deployment since second deployment ${mainDeployAltitude} is higher than apogee ${rocketApogee}`);
-            usingDualDeployoment = false;
-        } else if (0 == mainDeployAltitude) {
-            window.alert(`Defaulting to single deployment since second deployment is set at ground level.`);
-            usingDualDeployoment = false;
-        } else if (0 == drogueDecentRate) {
-            window.alert(`Defaulting to single deployment since drogue decent rate is 0.`);
-            usingDualDeployoment = false;
-        }
-
-        if (!usingDualDeployoment) {
-            // Reset to default values ensuring only single deployment is utilized
-            mainDeployAltitude = -1;
-            drogueDecentRate = mainDescentRate;
-        }
+/**
+ * Reads the wind readings taken at the launch pad from our UI elements.
+ * @returns {Object} Surface wind values for a drift forecast request, or null if not requested.
+ */
+function readSurfaceWindRequest() {
+    if (!applySurfaceWindElement.checked) {
+        return null;
     }
 
-    for (let currentOffset = launchTimes.startHourOffset; currentOffset <= launchTimes.endHourOffset; ++currentOffset ) {
-        // // Obtain a wind prediction for the current time
-        let windForecast = await getWindPredictionData(launchLocation, currentOffset);
-        if (null == windForecast || 0 == windForecast.length) {
-            console.debug(`Failed to obtain a wind forecast for hour offset ${currentOffset} at ${launchLocation.latitude}, ${launchLocation.longitude}`);
-            continue;
-        }
-
-        // Default apogee location to the launch site assuming no weathercocking
-        let rocketLocation = launchLocation.getCopy();
-
-        // Grab the most accurate launch site elevation currently available
-        let launchSiteElevation = parseInt(launchSiteElevationElement.value);
-        if (isNaN(launchSiteElevation) || launchSiteElevation < 0) {
-            launchSiteElevation = windForecast.groundElevation;
-        }
+    const readings = [];
+    for (const rowElement of surfaceWindGridElement.querySelectorAll('.surface_wind_row')) {
+        readings.push({
+            speed: getInputNumber(rowElement.querySelector('.surface_wind_speed')),
+            direction: getInputNumber(rowElement.querySelector('.surface_wind_direction'))
+        });
+    }
 
-        ////////////////////////////////////////////////////////////////////////////////
-        // TO-DO: I'm really confused about the wind averaging logic used here.  Not
-        //        sure why it is set to a limited range of array entries rather than
-        //        iterating up to the anticipated apogee.
-        ////////////////////////////////////////////////////////////////////////////////
-        let groundWindDirection = 0.0;
-        let groundWindSpeed = 0.0;
+    return {
+        readings: readings,
+        blendingHeight: getInputNumber(surfaceWindBlendingHeightElement)
+    };
+}
 
-        // Defaulting to one for Open-Meteo model
-        let altitudeCount = 1;
-        if ('RAP' == windForecast.model) {
-            if (rocketApogee <= 1000) {
-                altitudeCount = 2;
-            } else {
-                altitudeCount = 4;
-            }
-        }
+/**
+ * Reads the user's failure scenario selections from our UI elements.
+ * @returns {Object} Failure scenario values for a drift forecast request, or null if not requested.
+ */
+function readFailureScenarioRequest() {
+    if (!applyScenariosElement.checked) {
+        return null;
+    }
 
-        if (altitudeCount >= windForecast.windData.length) {
-            console.debug(`Weathercocking expected ${altitudeCount} entries but only found ${windForecast.windData.length}.`);
-            altitudeCount = windForecast.windData.length;
-        }
+    // Without a mass and diameter the rocket's own ballistic properties are used, if known
+    if ('' == scenarioDryMassElement.value && '' == scenarioDiameterElement.value) {
+        return { ballistic: null };
+    }
 
-        for (let windIndex = 0; windIndex < altitudeCount; ++windIndex) {
-            groundWindDirection += windForecast.windData[windIndex].windDirection;
-            groundWindSpeed += windForecast.windData[windIndex].windSpeed;
+    return {
+        ballistic: {
+            dryMass: getInputNumber(scenarioDryMassElement),
+            diameter: getInputNumber(scenarioDiameterElement),
+            dragCoefficient: getInputNumber(scenarioDragCoefficientElement)
         }
+    };
+}
 
-        // Average the wind direction
-        groundWindDirection = groundWindDirection / altitudeCount;
-
-        // Average the wind speeds and convert to MPH to compare with user supplied values
-        groundWindSpeed = Math.round((groundWindSpeed / altitudeCount) * 1.15078);
-
-        ////////////////////////////////////////////////////////////////////////////////
-        // TO-DO: The original GPS DriftCast presents this value to the user. We do not
-        //        have anywhere to put it right now. Might be useful information.
-        ////////////////////////////////////////////////////////////////////////////////
-        //averageSurfaceWindDir = averageWeathercockDirection
-        
-        ////////////////////////////////////////////////////////////////////////////////
-        // TO-DO: Also need to add some sort of warning indicator when predicted wind
-        //        speed at ground level exceeds safetly limits.
-        ////////////////////////////////////////////////////////////////////////////////
-
-        let rocketAltitude = rocketApogee;
-        if (applyWeathercockAdjustment) {
-            // Adjust our apogee location according to the provided weathercocking data
-            rocketAltitude = weathercockAdjustment(rocketLocation, groundWindDirection, groundWindSpeed, weathercockData);
-            
-            // Default to the user supplied apogee if not obtained from weathercock data
-            if (rocketAltitude <= 0) {
-                rocketAltitude = rocketApogee;
-            }
+/**
+ * Finds the UI element holding the value a drift forecast problem refers to.
+ * @param {string} field - Path of the request value reported by the forecast.
+ * @returns {HTMLElement} Element the user should correct, or null if there is none.
+ */
+function getForecastFieldElement(field) {
+    // Weathercock rows are identified by their position among the rows filled in
+    const rowMatch = field.match(/^rocket\.weathercock\.data\.(\d+)\.(\w+)$/);
+    if (null != rowMatch) {
+        const rowElement = getFilledWeathercockRows()[parseInt(rowMatch[1])];
+        const rowClasses = { windSpeed: 'weathercock_speed', upwindDistance: 'weathercock_distance', apogee: 'weathercock_apogee' };
+        return (null == rowElement) ? null : rowElement.querySelector(`.${rowClasses[rowMatch[2]]}`);
+    }
+
+    // Imported hazards come from a file, so point to it for any of them. Points entered by hand follow them.
+    const hazardMatch = field.match(/^site\.hazards(?:\.(\d+)(?:\.(\w+))?)?$/);
+    if (null != hazardMatch) {
+        const hazardIndex = parseInt(hazardMatch[1]);
+        if (isNaN(hazardIndex) || hazardIndex < hazardList.length) {
+            return hazardFileElement;
         }
-
-        ////////////////////////////////////////////////////////////////////////////////
-        // Drifting calulations begin.
-        ////////////////////////////////////////////////////////////////////////////////
-
-        // Identify the altitude range the rocket's apogee fits within
-        let windIndex = 1;
-        for (; windIndex < windForecast.windData.length; ++windIndex) {
-            if (windForecast.windData[windIndex].altitude >= rocketAltitude) {
-                break;
-            }
+        const rowElement = hazardPointGridElement.querySelectorAll('.hazard_point_row')[hazardIndex - hazardList.length];
+        if (null == rowElement) {
+            return null;
+        } else if ('buffer' == hazardMatch[2]) {
+            return rowElement.querySelector('.hazard_point_buffer');
         }
+        const latitude = parseFloat(rowElement.querySelector('.hazard_point_latitude').value);
+        return (isNaN(latitude) || Math.abs(latitude) > 90) ? rowElement.querySelector('.hazard_point_latitude') : rowElement.querySelector('.hazard_point_longitude');
+    }
+
+    // Surface wind readings are also identified by their position
+    const readingMatch = field.match(/^surfaceWind\.readings\.(\d+)\.(\w+)$/);
+    if (null != readingMatch) {
+        const rowElement = surfaceWindGridElement.querySelectorAll('.surface_wind_row')[parseInt(readingMatch[1])];
+        return (null == rowElement) ? null : rowElement.querySelector(`.surface_wind_${readingMatch[2]}`);
+    }
+
+    const fieldElements = {
+        'window': launchDateElement,
+        'window.date': launchDateElement,
+        'window.timeStep': launchTimeStepElement,
+        'provider': windProviderElement,
+        'site.latitude': launchSiteLatitudeElement,
+        'site.longitude': launchSiteLongitudeElement,
+        'site.timezone': launchSiteTimeZoneElement,
+        'site.waiver': waiverBoundaryFileElement,
+        'site.rules.maxSurfaceWind': rulesMaxWindElement,
+        'site.rules.maxLandingDistance': rulesMaxLandingElement,
+        'site.rules.hazardBuffer': rulesHazardBufferElement,
+        'rocket.apogee': apogeeAltitudeElement,
+        'rocket.mainDescentRate': mainDescentRateElement,
+        'rocket.mainDeployAltitude': mainEventAltitudeElement,
+        'rocket.drogueDescentRate': drogueDecentRateElement,
+        'rocket.motor': motorSelectElement,
+        'rocket.ascent.mass': rocketMassElement,
+        'rocket.ascent.diameter': rocketDiameterElement,
+        'rocket.ascent.dragCoefficient': ascentDragCoefficientElement,
+        'rocket.ascent.railLength': railLengthElement,
+        'rocket.ascent.railAngle': railAngleElement,
+        'rocket.ascent.railBearing': railBearingElement,
+        'rocket.weathercock.extrapolation': weathercockExtrapolationElement,
+        'rocket.airDensityReferenceAltitude': descentReferenceAltitudeElement,
+        'failureScenarios.ballistic.dryMass': scenarioDryMassElement,
+        'failureScenarios.ballistic.diameter': scenarioDiameterElement,
+        'failureScenarios.ballistic.dragCoefficient': scenarioDragCoefficientElement,
+        'descent.method': descentMethodElement,
+        'descent.timeStep': descentTimeStepElement,
+        'dispersion.runCount': dispersionRunsElement,
+        'dispersion.tolerances.apogee': dispersionApogeeElement,
+        'dispersion.tolerances.drogueRate': dispersionDrogueRateElement,
+        'dispersion.tolerances.mainRate': dispersionMainRateElement,
+        'dispersion.tolerances.deployAltitude': dispersionMainAltitudeElement,
+        'dispersion.tolerances.windSpeed': dispersionWindSpeedElement,
+        'dispersion.tolerances.windDirection': dispersionWindDirectionElement,
+        'surfaceWind.readings': surfaceWindAddButton,
+        'surfaceWind.blendingHeight': surfaceWindBlendingHeightElement
+    };
+    return fieldElements[field] ?? null;
+}
 
-        if (windForecast.windData.length == windIndex) {
-            console.debug(`Failed to find a match for altitude ${rocketAltitude} within the ${windIndex} forecast entries.`);
-            continue;
+/**
+ * Combines warnings about the same request value, such as a forecast missing at every launch time of a
+ * window, so each is shown to the user once rather than once per launch.
+ * @param {Array.<ForecastValidationError>} warningList - Warnings from a drift forecast.
+ * @returns {Array.<string>} One message for each request value with warnings.
+ */
+function getWarningSummaries(warningList) {
+    const fieldWarningMap = new Map();
+    for (const warning of warningList) {
+        if (!fieldWarningMap.has(warning.field)) {
+            fieldWarningMap.set(warning.field, []);
         }
+        fieldWarningMap.get(warning.field).push(warning.message);
+    }
 
-        // All following logic assumes our index refers to the current wind band's floor
-        --windIndex;
-
-        // Initialize the descent rate depending on whether dual deployment mode is enabled
-        let currentDescentRate = usingDualDeployoment ? drogueDecentRate : mainDescentRate;
-
-        // Create a list describing each step of the rocket's descent.
-        const descentList = [];
-
-        // Start with apogee
-        let windBandPercentage = getWindBandPercentage(rocketAltitude, windForecast.windData, windIndex);
-        let windSpeed = getAverageWindSpeed(windBandPercentage, windForecast.windData, windIndex);
-        let windDirection = getAverageWindDirection(windBandPercentage, windForecast.windData, windIndex);
-        descentList.push(new DescentData(rocketAltitude, currentDescentRate, windSpeed, windDirection));
-        
-        // Now iterate backward through wind bands adding to our descent list for each
-        for (; windIndex >= 0; --windIndex) {
-            // Should never encounter inverted altitudes
-            let descentDistance = windForecast.windData[windIndex + 1].altitude - windForecast.windData[windIndex].altitude;
-            if (descentDistance <= 0) {
-                console.debug(`Altitude ${windForecast.windData[windIndex].altitude} is not less than ${windForecast.windData[windIndex + 1].altitude}.`);
-                rocketAltitude = windForecast.windData[windIndex].altitude;
-                continue;
-            }
-
-            // Check if a second deployment should occur
-            if (windForecast.windData[windIndex].altitude == mainDeployAltitude) {
-                // Replacing the wind band's definition with main parachute deployment
-                descentList.push(new DescentData(   mainDeployAltitude,
-                                                    mainDescentRate,
-                                                    windForecast.windData[windIndex].windSpeed,
-                                                    windForecast.windData[windIndex].windDirection));
-                currentDescentRate = mainDescentRate;
-                continue;
-            } else if (windForecast.windData[windIndex].altitude < mainDeployAltitude && windForecast.windData[windIndex + 1].altitude > mainDeployAltitude) {
-                // Linearly interpolate wind values from this band
-                windBandPercentage = getWindBandPercentage(mainDeployAltitude, windForecast.windData, windIndex);
-                windSpeed = getAverageWindSpeed(windBandPercentage, windForecast.windData, windIndex);
-                windDirection = getAverageWindDirection(windBandPercentage, windForecast.windData, windIndex);
-                descentList.push(new DescentData(mainDeployAltitude, mainDescentRate, windSpeed, windDirection));
-                currentDescentRate = mainDescentRate;
-            }
-
-            descentList.push(new DescentData(   windForecast.windData[windIndex].altitude,
-                                                currentDescentRate,
-                                                windForecast.windData[windIndex].windSpeed,
-                                                windForecast.windData[windIndex].windDirection));
+    const summaryList = [];
+    for (const messageList of fieldWarningMap.values()) {
+        const repeatCount = messageList.length - 1;
+        if (0 == repeatCount) {
+            summaryList.push(messageList[0]);
+        } else {
+            summaryList.push(`${messageList[0]}\n\nAlso found ${repeatCount} similar ${(1 == repeatCount) ? 'warning' : 'warnings'}.`);
         }
+    }
+    return summaryList;
+}
 
-        if (descentList.length < 2) {
-            // No need to continue if no descent data was generated
-            console.debug(`List of descent data is too short.  ${descentList.length}`);
-            continue;
+/**
+ * Runs a drift forecast using the values currently entered within our UI. Problems with those
+ * values are shown to the user, focusing the first field needing correction.
+ * @returns {Array.<LaunchSimulationData>} A list of launch simulation data objects.
+ */
+async function requestDriftForecast() {
+    let windProvider = windProviderElement.value;
+    if (measuredWindProviderId == windProvider) {
+        windProvider = readMeasuredWindProvider();
+        if (null == windProvider) {
+            return [];
         }
+    }
 
-        // Reset our descent rate to the apogee's value
-        currentDescentRate = descentList[0].descentRate;
-
-        // Create an object to hold this simulation's results now that we have some data
-        const launchSimulation = new LaunchSimulationData(launchSiteElevation,
-                                                    launchTimes.launchDate.getHours() + currentOffset - launchTimes.startHourOffset,
-                                                    groundWindSpeed,
-                                                    groundWindDirection,
-                                                    windForecast.model);
-
-        // Begin by adding the launch site and apogee
-        launchSimulation.addLaunchPathPoint(0, launchLocation);
-        launchSimulation.addLaunchPathPoint(rocketAltitude, rocketLocation);
-
-        for (let x = 1; x < descentList.length; ++x) {
-            // Get the average wind conditions between this and the previous altitude
-            windSpeed = (descentList[x].windSpeed + descentList[x - 1].windSpeed) / 2.0;
-            let descentDistance = descentList[x - 1].altitude - descentList[x].altitude;
+    const forecastResult = await runDriftForecast({
+        site: readLaunchSiteRequest(),
+        rocket: readRocketRequest(),
+        window: {
+            date: launchDateElement.value,
+            endDate: (launchEndDateElement.value.length > 0) ? launchEndDateElement.value : launchDateElement.value,
+            startTime: startTimeElement.value,
+            endTime: endTimeElement.value,
+            timeStep: parseInt(launchTimeStepElement.value)
+        },
+        provider: windProvider,
+        descent: {
+            method: parseInt(descentMethodElement.value),
+            timeStep: parseFloat(descentTimeStepElement.value)
+        },
+        failureScenarios: readFailureScenarioRequest(),
+        dispersion: readDispersionRequest(),
+        surfaceWind: readSurfaceWindRequest()
+    });
 
-            windDirection = descentList[x].windDirection + descentList[x - 1].windDirection;
-            if (Math.abs(descentList[x - 1].windDirection - descentList[x].windDirection) < 180.0) {
-                windDirection /= 2.0;;
-            } else {
-                // Ensure the average remains in a northerly direction
-                windDirection = (windDirection - 360.0) / 2.0;
-                if (windDirection < 0.0) {
-                    windDirection += 360.0;
-                }
-            }
-    
-            driftWithWind(rocketLocation, windSpeed, windDirection, currentDescentRate, descentDistance);
+    for (const warningSummary of getWarningSummaries(forecastResult.warnings)) {
+        window.alert(warningSummary);
+    }
 
-            // Add this to our simulation data before continuing the decent
-            launchSimulation.addLaunchPathPoint(descentList[x].altitude, rocketLocation);
+    if (!forecastResult.isValid()) {
+        const error = forecastResult.errors[0];
+        window.alert(error.message);
 
-            // Update the descent rate with this altitude's value
-            currentDescentRate = descentList[x].descentRate;
+        const errorElement = getForecastFieldElement(error.field);
+        if (null != errorElement) {
+            errorElement.focus();
         }
-
-        // Add this completed simulation to the list
-        simulationList.push(launchSimulation);
+        return [];
     }
-    return simulationList;
+
+    launchLocationDetails = forecastResult.launchLocation;
+    rocketDetails = forecastResult.rocket;
+    dispersionResultList = forecastResult.dispersionResults;
+    landingProbabilityGridList = forecastResult.landingProbabilities;
+    return forecastResult.simulations;
 }
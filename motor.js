@@ -0,0 +1,256 @@
+/* A single measurement along a motor's thrust curve. */
+class ThrustSample {
+    /**
+     * Time (seconds) since ignition.
+     * @private
+     * @type {number}
+     */
+    #time = 0;
+
+    /**
+     * Thrust (newtons) produced at this time.
+     * @private
+     * @type {number}
+     */
+    #thrust = 0;
+
+    /**
+     * Initializes a thrust curve sample.
+     * @param {number} time - Time (seconds) since ignition.
+     * @param {number} thrust - Thrust (newtons) produced at this time.
+     * @throws {TypeError} Invalid time or thrust.
+     */
+    constructor(time, thrust) {
+        if (isNaN(time) || time < 0) throw new TypeError(`Invalid thrust sample time: ${time}`);
+        if (isNaN(thrust) || thrust < 0) throw new TypeError(`Invalid thrust sample thrust: ${thrust}`);
+        this.#time = time;
+        this.#thrust = thrust;
+    }
+
+    /**
+     * Time (seconds) since ignition.
+     * @type {number}
+     */
+    get time() { return this.#time; }
+
+    /**
+     * Thrust (newtons) produced at this time.
+     * @type {number}
+     */
+    get thrust() { return this.#thrust; }
+}
+
+/* Describes a rocket motor's mass and the thrust it produces over time. */
+class MotorData {
+    /**
+     * Designation of this motor (e.g. J350W).
+     * @private
+     * @type {string}
+     */
+    #name = '';
+
+    /**
+     * Company producing this motor.
+     * @private
+     * @type {string}
+     */
+    #manufacturer = '';
+
+    /**
+     * Diameter (millimeters) of the motor casing.
+     * @private
+     * @type {number}
+     */
+    #diameter = 0;
+
+    /**
+     * Length (millimeters) of the motor casing.
+     * @private
+     * @type {number}
+     */
+    #length = 0;
+
+    /**
+     * Mass (kilograms) of propellant consumed during the burn.
+     * @private
+     * @type {number}
+     */
+    #propellantMass = 0;
+
+    /**
+     * Mass (kilograms) of the motor prior to ignition.
+     * @private
+     * @type {number}
+     */
+    #totalMass = 0;
+
+    /**
+     * Thrust measurements in ascending order of time.
+     * @private
+     * @type {Array.<ThrustSample>}
+     */
+    #thrustCurve = [];
+
+    /**
+     * Total impulse (newton seconds) accumulated at each thrust sample.
+     * @private
+     * @type {Array.<number>}
+     */
+    #cumulativeImpulse = [];
+
+    /**
+     * Initializes a motor from its physical properties and thrust curve.
+     * @param {string} name - Designation of this motor.
+     * @param {string} manufacturer - Company producing this motor.
+     * @param {number} diameter - Diameter (mm) of the motor casing.
+     * @param {number} length - Length (mm) of the motor casing.
+     * @param {number} propellantMass - Mass (kg) of propellant consumed during the burn.
+     * @param {number} totalMass - Mass (kg) of the motor prior to ignition.
+     * @param {Array.<ThrustSample>} thrustCurve - Thrust measurements in ascending order of time.
+     * @throws {TypeError} Invalid masses or thrust curve.
+     */
+    constructor(name, manufacturer, diameter, length, propellantMass, totalMass, thrustCurve) {
+        if (isNaN(propellantMass) || propellantMass < 0) throw new TypeError(`Invalid propellant mass: ${propellantMass}`);
+        if (isNaN(totalMass) || totalMass < propellantMass) throw new TypeError(`Invalid total motor mass: ${totalMass}`);
+        if (null == thrustCurve || 0 == thrustCurve.length) throw new TypeError(`Invalid thrust curve: ${thrustCurve}`);
+
+        this.#name = name;
+        this.#manufacturer = manufacturer;
+        this.#diameter = diameter;
+        this.#length = length;
+        this.#propellantMass = propellantMass;
+        this.#totalMass = totalMass;
+
+        // Every curve implicitly begins with zero thrust at ignition
+        if (thrustCurve[0].time > 0) {
+            this.#thrustCurve.push(new ThrustSample(0, 0));
+        }
+
+        for (const thrustSample of thrustCurve) {
+            if (this.#thrustCurve.length > 0 && thrustSample.time <= this.#thrustCurve[this.#thrustCurve.length - 1].time) {
+                throw new TypeError(`Thrust curve times must be ascending: ${thrustSample.time}`);
+            }
+            this.#thrustCurve.push(thrustSample);
+        }
+
+        // Integrate the curve with the trapezoidal rule so propellant can be consumed in proportion to impulse
+        this.#cumulativeImpulse.push(0);
+        for (let index = 1; index < this.#thrustCurve.length; ++index) {
+            const previous = this.#thrustCurve[index - 1];
+            const current = this.#thrustCurve[index];
+            const impulse = (current.time - previous.time) * (current.thrust + previous.thrust) / 2.0;
+            this.#cumulativeImpulse.push(this.#cumulativeImpulse[index - 1] + impulse);
+        }
+    }
+
+    /**
+     * Designation of this motor.
+     * @type {string}
+     */
+    get name() { return this.#name; }
+
+    /**
+     * Company producing this motor.
+     * @type {string}
+     */
+    get manufacturer() { return this.#manufacturer; }
+
+    /**
+     * Diameter (millimeters) of the motor casing.
+     * @type {number}
+     */
+    get diameter() { return this.#diameter; }
+
+    /**
+     * Length (millimeters) of the motor casing.
+     * @type {number}
+     */
+    get length() { return this.#length; }
+
+    /**
+     * Mass (kilograms) of propellant consumed during the burn.
+     * @type {number}
+     */
+    get propellantMass() { return this.#propellantMass; }
+
+    /**
+     * Mass (kilograms) of the motor prior to ignition.
+     * @type {number}
+     */
+    get totalMass() { return this.#totalMass; }
+
+    /**
+     * Thrust measurements in ascending order of time.
+     * @type {Array.<ThrustSample>}
+     */
+    get thrustCurve() { return this.#thrustCurve; }
+
+    /**
+     * Time (seconds) from ignition until the motor stops producing thrust.
+     * @type {number}
+     */
+    get burnTime() { return this.#thrustCurve[this.#thrustCurve.length - 1].time; }
+
+    /**
+     * Total impulse (newton seconds) produced by the motor.
+     * @type {number}
+     */
+    get totalImpulse() { return this.#cumulativeImpulse[this.#cumulativeImpulse.length - 1]; }
+
+    /**
+     * Provides the thrust produced at a time by linearly interpolating between samples.
+     * @param {number} time - Time (seconds) since ignition.
+     * @returns {number} Thrust (newtons) produced, or zero before ignition and after burnout.
+     */
+    getThrust(time) {
+        const index = this.#getSampleIndex(time);
+        if (index < 0) {
+            return 0;
+        }
+
+        const previous = this.#thrustCurve[index];
+        const next = this.#thrustCurve[index + 1];
+        return previous.thrust + ((time - previous.time) * (next.thrust - previous.thrust) / (next.time - previous.time));
+    }
+
+    /**
+     * Provides the motor's mass at a time assuming propellant is consumed in proportion to impulse.
+     * @param {number} time - Time (seconds) since ignition.
+     * @returns {number} Mass (kg) of the motor.
+     */
+    getMass(time) {
+        if (time <= 0 || 0 == this.totalImpulse) {
+            return this.#totalMass;
+        }
+        if (time >= this.burnTime) {
+            return this.#totalMass - this.#propellantMass;
+        }
+
+        // Impulse delivered so far including the partial segment up to this time
+        const index = this.#getSampleIndex(time);
+        const previous = this.#thrustCurve[index];
+        const impulse = this.#cumulativeImpulse[index] + ((time - previous.time) * (previous.thrust + this.getThrust(time)) / 2.0);
+
+        return this.#totalMass - (this.#propellantMass * (impulse / this.totalImpulse));
+    }
+
+    /**
+     * Finds the thrust sample beginning the segment which contains a time.
+     * @private
+     * @param {number} time - Time (seconds) since ignition.
+     * @returns {number} Index of the segment's first sample, or -1 if outside the burn.
+     */
+    #getSampleIndex(time) {
+        if (time < 0 || time >= this.burnTime) {
+            return -1;
+        }
+
+        let index = 0;
+        while (this.#thrustCurve[index + 1].time <= time) {
+            ++index;
+        }
+        return index;
+    }
+}
+
+export { ThrustSample, MotorData };
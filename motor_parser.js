@@ -0,0 +1,207 @@
+import { ThrustSample, MotorData } from './motor.js';
+import { parseTextNumber } from './text_parser.js';
+
+/**
+ * Appends a thrust sample from the text found within a motor file onto a thrust curve.
+ * @param   {Array.<ThrustSample>} thrustCurve - Samples already read for the current motor.
+ * @param   {string} timeText - Text containing the time (seconds) since ignition.
+ * @param   {string} thrustText - Text containing the thrust (newtons).
+ * @param   {number} lineNumber - Line within the file where the text was found.
+ * @throws  {TypeError} Text does not contain a valid time and thrust, or the time is out of order.
+ */
+function appendThrustSample(thrustCurve, timeText, thrustText, lineNumber) {
+    const time = parseTextNumber(timeText, 'time', lineNumber);
+    const thrust = parseTextNumber(thrustText, 'thrust', lineNumber);
+
+    if (thrustCurve.length > 0 && time <= thrustCurve[thrustCurve.length - 1].time) {
+        throw new TypeError(`Line ${lineNumber}: Thrust curve times must be ascending, but ${time} follows ${thrustCurve[thrustCurve.length - 1].time}.`);
+    }
+
+    try {
+        thrustCurve.push(new ThrustSample(time, thrust));
+    } catch (error) {
+        throw new TypeError(`Line ${lineNumber}: ${error.message}`);
+    }
+}
+
+/**
+ * Creates a motor from the values found within a motor file.
+ * @param   {string} name - Designation of the motor.
+ * @param   {string} manufacturer - Company producing the motor.
+ * @param   {number} diameter - Diameter (mm) of the motor casing.
+ * @param   {number} length - Length (mm) of the motor casing.
+ * @param   {number} propellantMass - Mass (kg) of propellant.
+ * @param   {number} totalMass - Mass (kg) of the motor prior to ignition.
+ * @param   {Array.<ThrustSample>} thrustCurve - Thrust measurements read from the file.
+ * @param   {number} lineNumber - Line within the file where the motor is defined.
+ * @returns {MotorData} The parsed motor.
+ * @throws  {TypeError} The motor's values are inconsistent.
+ */
+function createMotor(name, manufacturer, diameter, length, propellantMass, totalMass, thrustCurve, lineNumber) {
+    if (0 == thrustCurve.length) {
+        throw new TypeError(`Line ${lineNumber}: Motor ${name} has no thrust data.`);
+    }
+
+    try {
+        return new MotorData(name, manufacturer, diameter, length, propellantMass, totalMass, thrustCurve);
+    } catch (error) {
+        throw new TypeError(`Line ${lineNumber}: ${error.message}`);
+    }
+}
+
+/**
+ * Identifies which line of a file contains the character at the provided index.
+ * @param   {string} fileText - Full contents of the file.
+ * @param   {number} index - Position of a character within the file.
+ * @returns {number} Line number (starting at 1) containing the character.
+ */
+function getLineNumber(fileText, index) {
+    return fileText.substring(0, index).split('\n').length;
+}
+
+/**
+ * Parses a RASP (.eng) motor file.  Each motor begins with a header line followed by time and
+ * thrust pairs, and lines beginning with a semicolon are comments.
+ * @param   {string} fileText - Contents of the .eng file.
+ * @returns {Array.<MotorData>} Every motor defined within the file.
+ * @throws  {TypeError} The file is malformed or contains no motors.
+ */
+function parseEngFile(fileText) {
+    const motorList = [];
+    const lines = fileText.split(/\r?\n/);
+
+    let header = null;
+    let headerLine = 0;
+    let thrustCurve = [];
+
+    const finishMotor = () => {
+        if (null == header) {
+            return;
+        }
+
+        motorList.push(createMotor(header[0],
+                                    header.slice(6).join(' '),
+                                    parseTextNumber(header[1], 'diameter', headerLine),
+                                    parseTextNumber(header[2], 'length', headerLine),
+                                    parseTextNumber(header[4], 'propellant mass', headerLine),
+                                    parseTextNumber(header[5], 'total mass', headerLine),
+                                    thrustCurve,
+                                    headerLine));
+
+        header = null;
+        thrustCurve = [];
+    };
+
+    for (let index = 0; index < lines.length; ++index) {
+        const lineNumber = index + 1;
+        const line = lines[index].trim();
+
+        // Blank lines and comments are ignored
+        if (0 == line.length || line.startsWith(';')) {
+            continue;
+        }
+
+        const fields = line.split(/\s+/);
+
+        // Anything that does not begin with a number starts a new motor
+        if (null == header || isNaN(Number(fields[0]))) {
+            finishMotor();
+
+            if (fields.length < 7) {
+                throw new TypeError(`Line ${lineNumber}: Motor header requires 7 fields, but found ${fields.length}.`);
+            }
+            header = fields;
+            headerLine = lineNumber;
+            continue;
+        }
+
+        if (2 != fields.length) {
+            throw new TypeError(`Line ${lineNumber}: Thrust data requires a time and thrust, but found ${fields.length} values.`);
+        }
+
+        appendThrustSample(thrustCurve, fields[0], fields[1], lineNumber);
+    }
+    finishMotor();
+
+    if (0 == motorList.length) {
+        throw new TypeError('No motors were found in the RASP file.');
+    }
+
+    return motorList;
+}
+
+/**
+ * Reads every attribute of an XML element into an object.
+ * @param   {string} attributeText - Text following the element's name up to the closing bracket.
+ * @returns {Object.<string, string>} Attribute values keyed by attribute name.
+ */
+function parseXmlAttributes(attributeText) {
+    const attributes = {};
+    for (const match of attributeText.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = (undefined != match[2]) ? match[2] : match[3];
+    }
+    return attributes;
+}
+
+/**
+ * Parses a RockSim (.rse) motor file.  Masses within the file are given in grams.
+ * @param   {string} fileText - Contents of the .rse file.
+ * @returns {Array.<MotorData>} Every motor defined within the file.
+ * @throws  {TypeError} The file is malformed or contains no motors.
+ */
+function parseRseFile(fileText) {
+    const motorList = [];
+
+    // Require whitespace after the name so <engine-database> and <engine-list> are skipped
+    for (const engineMatch of fileText.matchAll(/<engine(\s[^>]*)?>([\s\S]*?)<\/engine>/g)) {
+        const lineNumber = getLineNumber(fileText, engineMatch.index);
+        const attributes = parseXmlAttributes(engineMatch[1] ?? '');
+
+        if (undefined == attributes['code']) {
+            throw new TypeError(`Line ${lineNumber}: Engine is missing its code attribute.`);
+        }
+
+        const thrustCurve = [];
+        const dataOffset = engineMatch.index + engineMatch[0].length - '</engine>'.length - engineMatch[2].length;
+        for (const dataMatch of engineMatch[2].matchAll(/<eng-data\b([^>]*?)\/?>/g)) {
+            const dataLine = getLineNumber(fileText, dataOffset + dataMatch.index);
+            const dataAttributes = parseXmlAttributes(dataMatch[1]);
+            appendThrustSample(thrustCurve, dataAttributes['t'], dataAttributes['f'], dataLine);
+        }
+
+        motorList.push(createMotor(attributes['code'],
+                                    attributes['mfg'] ?? '',
+                                    parseTextNumber(attributes['dia'], 'diameter', lineNumber),
+                                    parseTextNumber(attributes['len'], 'length', lineNumber),
+                                    parseTextNumber(attributes['propWt'], 'propellant mass', lineNumber) / 1000.0,
+                                    parseTextNumber(attributes['initWt'], 'total mass', lineNumber) / 1000.0,
+                                    thrustCurve,
+                                    lineNumber));
+    }
+
+    if (0 == motorList.length) {
+        throw new TypeError('No motors were found in the RockSim file.');
+    }
+
+    return motorList;
+}
+
+/**
+ * Parses a motor file using the format identified by its extension.
+ * @param   {string} fileName - Name of the file including its extension.
+ * @param   {string} fileText - Contents of the file.
+ * @returns {Array.<MotorData>} Every motor defined within the file.
+ * @throws  {TypeError} The file type is not supported or its contents are malformed.
+ */
+function parseMotorFile(fileName, fileText) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.eng')) {
+        return parseEngFile(fileText);
+    } else if (lowerName.endsWith('.rse')) {
+        return parseRseFile(fileText);
+    }
+
+    throw new TypeError(`Unsupported motor file type: ${fileName}`);
+}
+
+export { parseEngFile, parseRseFile, parseMotorFile };
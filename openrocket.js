@@ -0,0 +1,425 @@
+import { metersToFeet } from './geo.js';
+import { WeathercockWindData } from './wind.js';
+import { getTerminalVelocity } from './atmosphere.js';
+
+/**
+ * Drag coefficient OpenRocket assigns to parachutes left on "auto".
+ * @type {number}
+ */
+const defaultParachuteDragCoefficient = 0.8;
+
+/**
+ * Conversion factor from meters per second into miles per hour.
+ * @type {number}
+ */
+const metersPerSecondToMPH = 2.23694;
+
+/* Rocket and weathercocking details imported from an OpenRocket design file. */
+class OpenRocketData {
+    /**
+     * Name of the rocket's design.
+     * @private
+     * @type {string}
+     */
+    #name = '';
+
+    /**
+     * Altitude (ft AGL) the rocket reaches in the calmest simulation, or -1 if not simulated.
+     * @private
+     * @type {number}
+     */
+    #apogee = -1;
+
+    /**
+     * Flag indicating if a second parachute deploys at a set altitude.
+     * @private
+     * @type {boolean}
+     */
+    #dualDeployment = false;
+
+    /**
+     * Altitude (ft AGL) the main parachute deploys at, or -1 for single deployment.
+     * @private
+     * @type {number}
+     */
+    #mainDeployAltitude = -1;
+
+    /**
+     * Descent rate (ft/s) under the drogue parachute, or -1 if unknown.
+     * @private
+     * @type {number}
+     */
+    #drogueDescentRate = -1;
+
+    /**
+     * Descent rate (ft/s) under the main parachute, or -1 if unknown.
+     * @private
+     * @type {number}
+     */
+    #mainDescentRate = -1;
+
+    /**
+     * Simulated weathercocking results ordered by ascending wind speed.
+     * @private
+     * @type {Array.<WeathercockWindData>}
+     */
+    #weathercockData = [];
+
+    /**
+     * Initializes from the values found within an OpenRocket design.
+     * @param {string} name - Name of the rocket's design.
+     * @param {number} apogee - Altitude (ft AGL) reached in the calmest simulation, or -1 if not simulated.
+     * @param {number} mainDeployAltitude - Altitude (ft AGL) the main parachute deploys at, or -1 for single deployment.
+     * @param {number} drogueDescentRate - Descent rate (ft/s) under the drogue parachute, or -1 if unknown.
+     * @param {number} mainDescentRate - Descent rate (ft/s) under the main parachute, or -1 if unknown.
+     * @param {Array.<WeathercockWindData>} weathercockData - Simulated weathercocking results.
+     */
+    constructor(name, apogee, mainDeployAltitude, drogueDescentRate, mainDescentRate, weathercockData) {
+        this.#name = name;
+        this.#apogee = apogee;
+        this.#dualDeployment = (mainDeployAltitude >= 0);
+        this.#mainDeployAltitude = mainDeployAltitude;
+        this.#drogueDescentRate = drogueDescentRate;
+        this.#mainDescentRate = mainDescentRate;
+        this.#weathercockData = weathercockData.slice().sort((a, b) => a.windSpeed - b.windSpeed);
+    }
+
+    /**
+     * Name of the rocket's design.
+     * @type {string}
+     */
+    get name() { return this.#name; }
+
+    /**
+     * Altitude (ft AGL) the rocket reaches in the calmest simulation, or -1 if not simulated.
+     * @type {number}
+     */
+    get apogee() { return this.#apogee; }
+
+    /**
+     * Altitude (ft AGL) the main parachute deploys at, or -1 for single deployment.
+     * @type {number}
+     */
+    get mainDeployAltitude() { return this.#mainDeployAltitude; }
+
+    /**
+     * Descent rate (ft/s) under the drogue parachute, or -1 if unknown.
+     * @type {number}
+     */
+    get drogueDescentRate() { return this.#drogueDescentRate; }
+
+    /**
+     * Descent rate (ft/s) under the main parachute, or -1 if unknown.
+     * @type {number}
+     */
+    get mainDescentRate() { return this.#mainDescentRate; }
+
+    /**
+     * Simulated weathercocking results ordered by ascending wind speed.
+     * @type {Array.<WeathercockWindData>}
+     */
+    get weathercockData() { return this.#weathercockData; }
+
+    /**
+     * Indicates if a second parachute deploys at a set altitude.
+     * @returns {boolean} True when the design uses dual deployment.
+     */
+    usingDualDeployment() {
+        return this.#dualDeployment;
+    }
+}
+
+/**
+ * Decompresses a single entry found within a zip archive.
+ * @param   {Uint8Array} entryBytes - Stored or deflated bytes of the entry.
+ * @param   {number} compressionMethod - Zip compression method (0 stored, 8 deflated).
+ * @returns {Promise<string>} Text contained within the entry.
+ * @throws  {TypeError} The entry uses an unsupported compression method.
+ */
+async function readZipEntry(entryBytes, compressionMethod) {
+    if (0 == compressionMethod) {
+        return new TextDecoder().decode(entryBytes);
+    } else if (8 == compressionMethod) {
+        const entryStream = new Blob([entryBytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return await new Response(entryStream).text();
+    }
+
+    throw new TypeError(`Unsupported zip compression method: ${compressionMethod}`);
+}
+
+/**
+ * Extracts the rocket's XML from a zip archive. OpenRocket writes its sizes after each entry's
+ * data, so the central directory at the end of the archive is used to locate the entry.
+ * @param   {Uint8Array} fileBytes - Contents of the zip archive.
+ * @returns {Promise<string>} XML text of the first .ork (or only) entry.
+ * @throws  {TypeError} The archive is malformed or empty.
+ */
+async function readZipArchive(fileBytes) {
+    const view = new DataView(fileBytes.buffer, fileBytes.byteOffset, fileBytes.byteLength);
+
+    // The end of central directory record may be followed by a comment of up to 64KB
+    let endOffset = fileBytes.length - 22;
+    while (endOffset >= 0 && 0x06054b50 != view.getUint32(endOffset, true)) {
+        --endOffset;
+    }
+    if (endOffset < 0) {
+        throw new TypeError('The OpenRocket file is not a valid zip archive.');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let headerOffset = view.getUint32(endOffset + 16, true);
+    let selectedEntry = null;
+
+    for (let index = 0; index < entryCount; ++index) {
+        if (0x02014b50 != view.getUint32(headerOffset, true)) {
+            throw new TypeError('The OpenRocket file contains a corrupt zip directory.');
+        }
+
+        const nameLength = view.getUint16(headerOffset + 28, true);
+        const entry = {
+            compressionMethod: view.getUint16(headerOffset + 10, true),
+            compressedSize: view.getUint32(headerOffset + 20, true),
+            localOffset: view.getUint32(headerOffset + 42, true),
+            name: new TextDecoder().decode(fileBytes.subarray(headerOffset + 46, headerOffset + 46 + nameLength))
+        };
+
+        if (null == selectedEntry || (!selectedEntry.name.toLowerCase().endsWith('.ork') && entry.name.toLowerCase().endsWith('.ork'))) {
+            selectedEntry = entry;
+        }
+
+        headerOffset += 46 + nameLength + view.getUint16(headerOffset + 30, true) + view.getUint16(headerOffset + 32, true);
+    }
+
+    if (null == selectedEntry) {
+        throw new TypeError('The OpenRocket file does not contain a rocket.');
+    }
+
+    // Local headers repeat the name and may carry a different sized extra field
+    const localOffset = selectedEntry.localOffset;
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    return await readZipEntry(fileBytes.subarray(dataOffset, dataOffset + selectedEntry.compressedSize), selectedEntry.compressionMethod);
+}
+
+/**
+ * Reads the XML from an OpenRocket file, which may be a zip archive, gzip compressed or plain XML.
+ * @param   {ArrayBuffer} fileBuffer - Contents of the .ork file.
+ * @returns {Promise<string>} XML text describing the rocket.
+ * @throws  {TypeError} The file's contents cannot be read.
+ */
+async function readOpenRocketXml(fileBuffer) {
+    const fileBytes = new Uint8Array(fileBuffer);
+
+    if (fileBytes.length > 4 && 0x50 == fileBytes[0] && 0x4b == fileBytes[1]) {
+        return await readZipArchive(fileBytes);
+    } else if (fileBytes.length > 2 && 0x1f == fileBytes[0] && 0x8b == fileBytes[1]) {
+        const fileStream = new Blob([fileBytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return await new Response(fileStream).text();
+    }
+
+    return new TextDecoder().decode(fileBytes);
+}
+
+/**
+ * Finds the text of a direct child element.
+ * @param   {Element} element - Parent XML element.
+ * @param   {string} tagName - Name of the child element.
+ * @returns {string} Trimmed text of the child, or null if not present.
+ */
+function getChildText(element, tagName) {
+    for (const child of element.children) {
+        if (tagName == child.tagName) {
+            return child.textContent.trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the numeric value of a direct child element.
+ * @param   {Element} element - Parent XML element.
+ * @param   {string} tagName - Name of the child element.
+ * @returns {number} Value of the child, or NaN if missing or not numeric (e.g. "auto").
+ */
+function getChildNumber(element, tagName) {
+    const text = getChildText(element, tagName);
+    return (null == text || '' == text) ? NaN : Number(text);
+}
+
+/**
+ * Calculates the descent rate under a set of parachutes using the drag equation at sea level.
+ * @param   {number} mass - Mass (kg) of the rocket after burnout.
+ * @param   {number} dragArea - Sum of each parachute's drag coefficient times area (m^2).
+ * @returns {number} Descent rate (ft/s), or -1 if it cannot be determined.
+ */
+function getParachuteDescentRate(mass, dragArea) {
+    if (isNaN(mass) || mass <= 0 || dragArea <= 0) {
+        return -1;
+    }
+
+    // Express the combined drag area as one circular parachute with a drag coefficient of 1
+    const equivalentDiameter = Math.sqrt((4.0 * dragArea) / Math.PI);
+    return getTerminalVelocity(mass / 0.45359237, metersToFeet(equivalentDiameter) * 12.0, 1.0, 0);
+}
+
+/**
+ * Reads the simulated flight data needed for apogee, weathercocking and descent rates.
+ * @param   {Element} simulationElement - A <simulation> element from the design.
+ * @returns {Object} Wind speed (MPH), apogee (ft), upwind distance (ft), landing mass (kg) and
+ * ground hit velocity (ft/s) of the simulation, or null if it was never run.
+ */
+function readSimulation(simulationElement) {
+    const flightDataElement = simulationElement.querySelector('flightdata');
+    if (null == flightDataElement) {
+        return null;
+    }
+
+    // Older files list the average wind directly, newer files nest it within a wind model
+    const conditionsElement = simulationElement.querySelector('conditions');
+    let windSpeed = NaN;
+    if (null != conditionsElement) {
+        windSpeed = getChildNumber(conditionsElement, 'windaverage');
+        const windElement = conditionsElement.querySelector('wind');
+        if (isNaN(windSpeed) && null != windElement) {
+            windSpeed = getChildNumber(windElement, 'speed');
+        }
+    }
+
+    const simulation = {
+        windSpeed: Math.round(windSpeed * metersPerSecondToMPH * 10.0) / 10.0,
+        apogee: metersToFeet(Number(flightDataElement.getAttribute('maxaltitude'))),
+        upwindDistance: NaN,
+        landingMass: NaN,
+        groundHitVelocity: metersToFeet(Number(flightDataElement.getAttribute('groundhitvelocity')))
+    };
+
+    const dataBranchElement = flightDataElement.querySelector('databranch');
+    if (null == dataBranchElement) {
+        return simulation;
+    }
+
+    const types = (dataBranchElement.getAttribute('types') ?? '').split(',');
+    const altitudeIndex = types.indexOf('Altitude');
+    const distanceIndex = types.indexOf('Lateral distance');
+    const massIndex = types.indexOf('Mass');
+
+    const dataPoints = Array.from(dataBranchElement.querySelectorAll('datapoint'), (point) => point.textContent.split(',').map(Number));
+    if (0 == dataPoints.length) {
+        return simulation;
+    }
+
+    // The distance travelled while climbing to apogee is the weathercocking into the wind
+    if (altitudeIndex >= 0 && distanceIndex >= 0) {
+        let apogeePoint = dataPoints[0];
+        for (const dataPoint of dataPoints) {
+            if (dataPoint[altitudeIndex] > apogeePoint[altitudeIndex]) {
+                apogeePoint = dataPoint;
+            }
+        }
+        simulation.apogee = metersToFeet(apogeePoint[altitudeIndex]);
+        simulation.upwindDistance = metersToFeet(apogeePoint[distanceIndex]);
+    }
+
+    if (massIndex >= 0) {
+        simulation.landingMass = dataPoints[dataPoints.length - 1][massIndex];
+    }
+
+    return simulation;
+}
+
+/**
+ * Parses an OpenRocket (.ork) design file, reading the parachute deployment configuration and
+ * the results of any simulations saved within it. Descent rates are calculated from each
+ * parachute's diameter and drag coefficient using the rocket's simulated landing mass.
+ * @param   {ArrayBuffer} fileBuffer - Contents of the .ork file.
+ * @returns {Promise<OpenRocketData>} Details about the rocket found within the file.
+ * @throws  {TypeError} The file is not a valid OpenRocket design.
+ */
+async function parseOpenRocketFile(fileBuffer) {
+    const xmlText = await readOpenRocketXml(fileBuffer);
+    const xmlDocument = new DOMParser().parseFromString(xmlText, 'application/xml');
+
+    if (null != xmlDocument.querySelector('parsererror')) {
+        throw new TypeError('The OpenRocket file does not contain valid XML.');
+    }
+    if ('openrocket' != xmlDocument.documentElement.tagName) {
+        throw new TypeError('The file is not an OpenRocket design.');
+    }
+
+    const rocketElement = xmlDocument.querySelector('rocket');
+    if (null == rocketElement) {
+        throw new TypeError('The OpenRocket file does not contain a rocket.');
+    }
+
+    // Parachutes opening at apogee act as the drogue, while those opening at an altitude are the main
+    let drogueDragArea = 0;
+    let mainDragArea = 0;
+    let mainDeployAltitude = -1;
+    for (const parachuteElement of rocketElement.querySelectorAll('parachute')) {
+        const diameter = getChildNumber(parachuteElement, 'diameter');
+        let dragCoefficient = getChildNumber(parachuteElement, 'cd');
+        if (isNaN(diameter) || diameter <= 0) {
+            continue;
+        }
+        if (isNaN(dragCoefficient)) {
+            dragCoefficient = defaultParachuteDragCoefficient;
+        }
+
+        const dragArea = dragCoefficient * Math.PI * diameter * diameter / 4.0;
+        const deployEvent = getChildText(parachuteElement, 'deployevent');
+        if ('apogee' == deployEvent || 'ejection' == deployEvent) {
+            drogueDragArea += dragArea;
+        } else if ('altitude' == deployEvent) {
+            mainDragArea += dragArea;
+            mainDeployAltitude = Math.max(mainDeployAltitude, metersToFeet(getChildNumber(parachuteElement, 'deployaltitude')));
+        }
+    }
+
+    const simulationList = [];
+    for (const simulationElement of xmlDocument.querySelectorAll('simulations > simulation')) {
+        const simulation = readSimulation(simulationElement);
+        if (null != simulation && !isNaN(simulation.apogee)) {
+            simulationList.push(simulation);
+        }
+    }
+    simulationList.sort((a, b) => (isNaN(a.windSpeed) ? 0 : a.windSpeed) - (isNaN(b.windSpeed) ? 0 : b.windSpeed));
+
+    // The calmest simulation provides the apogee along with the mass used for descent rates
+    const calmestSimulation = (simulationList.length > 0) ? simulationList[0] : null;
+    const apogee = (null != calmestSimulation) ? Math.round(calmestSimulation.apogee) : -1;
+    const landingMass = (null != calmestSimulation) ? calmestSimulation.landingMass : NaN;
+
+    let drogueDescentRate = -1;
+    let mainDescentRate = -1;
+    if (mainDragArea > 0 && drogueDragArea > 0) {
+        // The drogue remains attached after the main deploys
+        drogueDescentRate = getParachuteDescentRate(landingMass, drogueDragArea);
+        mainDescentRate = getParachuteDescentRate(landingMass, drogueDragArea + mainDragArea);
+    } else {
+        mainDescentRate = getParachuteDescentRate(landingMass, drogueDragArea + mainDragArea);
+        if (0 == mainDragArea) {
+            mainDeployAltitude = -1;
+        }
+    }
+
+    // Fall back on the simulated landing speed when the mass was not recorded
+    if (mainDescentRate < 0 && null != calmestSimulation && calmestSimulation.groundHitVelocity > 0) {
+        mainDescentRate = calmestSimulation.groundHitVelocity;
+    }
+
+    const weathercockData = [];
+    for (const simulation of simulationList) {
+        if (simulation.windSpeed > 0 && !isNaN(simulation.upwindDistance) && !weathercockData.some((data) => data.windSpeed == simulation.windSpeed)) {
+            weathercockData.push(new WeathercockWindData(simulation.windSpeed, Math.round(simulation.upwindDistance), Math.round(simulation.apogee)));
+        }
+    }
+
+    return new OpenRocketData(getChildText(rocketElement, 'name') ?? '',
+                              apogee,
+                              (mainDeployAltitude >= 0) ? Math.round(mainDeployAltitude) : -1,
+                              (drogueDescentRate >= 0) ? Math.round(drogueDescentRate) : -1,
+                              (mainDescentRate >= 0) ? Math.round(mainDescentRate) : -1,
+                              weathercockData);
+}
+
+export { OpenRocketData };
+export { readOpenRocketXml, parseOpenRocketFile };
@@ -1,6 +1,14 @@
-import { GeoLocation, feetToMeters, moveAlongBearing } from './geo.js'
+import { GeoLocation, feetToMeters, metersToFeet, degreesToRadians, radiansToDegrees, moveAlongBearing } from './geo.js'
 import { LaunchPathPoint, LaunchLocationData } from './launch.js';
-import { WeathercockWindData } from './wind.js';
+import { WeathercockWindData, getWindAtAltitude } from './wind.js';
+import { getAirDensity, adjustDescentRateForAltitude, getTerminalVelocity } from './atmosphere.js';
+import { MotorData } from './motor.js';
+
+/* Identifies how weathercocking is estimated for wind speeds faster than the last table entry. */
+const WeathercockExtrapolation = Object.freeze({
+    CLAMP: 0,
+    LINEAR: 1
+});
 
 /**
  * Calculates a value within a range based on a ratio from the provided source data.
@@ -43,6 +51,41 @@ class RocketBase {
      */
     #descentRateDrogue = 75;
 
+    /**
+     * Indicates if descent rates are adjusted for the air density at each altitude.
+     * @private
+     * @type {boolean}
+     */
+    #airDensityCorrection = false;
+
+    /**
+     * Altitude above Mean Sea Level (in feet) at which the descent rates were measured.
+     * @private
+     * @type {number}
+     */
+    #descentRateReferenceAltitude = 0;
+
+    /**
+     * Mass (in pounds) of the rocket after its propellant has been consumed.
+     * @private
+     * @type {number}
+     */
+    #dryMass = 0;
+
+    /**
+     * Diameter (in inches) of the rocket's body tube.
+     * @private
+     * @type {number}
+     */
+    #diameter = 0;
+
+    /**
+     * Drag coefficient of the rocket falling without any parachutes deployed.
+     * @private
+     * @type {number}
+     */
+    #ballisticDragCoefficient = 0.75;
+
     /**
      * Set this single deployment rocket's descent rate.
      * @param {number} descentRate Expected velocity (ft/s) while descending with it's main parachute.
@@ -98,6 +141,95 @@ class RocketBase {
         return this.#descentRateMain;
     }
 
+    /**
+     * Enable or disable adjusting this rocket's descent rates for the air density at each altitude.
+     * @param {boolean} isEnabled True if descent rates should be adjusted for air density.
+     * @param {number} referenceAltitude Altitude (ft MSL) at which the descent rates were measured.
+     */
+    setAirDensityCorrection(isEnabled, referenceAltitude = 0) {
+        this.#airDensityCorrection = isEnabled;
+        this.#descentRateReferenceAltitude = referenceAltitude;
+    }
+
+    /**
+     * Indicates if this rocket's descent rates are adjusted for the air density at each altitude.
+     * @returns {boolean} True if descent rates are adjusted for air density.
+     */
+    usingAirDensityCorrection() {
+        return this.#airDensityCorrection;
+    }
+
+    /**
+     * Provides the altitude (feet Mean Sea Level) at which this rocket's descent rates were measured.
+     * @returns {number} Altitude (ft MSL) of the descent rates.
+     */
+    getDescentRateReferenceAltitude() {
+        return this.#descentRateReferenceAltitude;
+    }
+
+    /**
+     * Provides the descent rate expected at an altitude.  Thinner air causes the rocket to fall
+     * faster than the measured rate when air density correction is enabled.
+     * @param {number} descentRate Descent rate (ft/s) at the reference altitude.
+     * @param {number} altitude Altitude (ft MSL) where the rocket is descending.
+     * @returns {number} Speed (ft/s) of descent at the provided altitude.
+     */
+    getDescentRateAtAltitude(descentRate, altitude) {
+        if (!this.#airDensityCorrection) {
+            return descentRate;
+        }
+
+        return adjustDescentRateForAltitude(descentRate, this.#descentRateReferenceAltitude, altitude);
+    }
+
+    /**
+     * Set the physical properties used to estimate how fast this rocket falls without any parachutes.
+     * @param {number} dryMass Mass (lb) of the rocket after its propellant has been consumed.
+     * @param {number} diameter Diameter (in) of the rocket's body tube.
+     * @param {number} dragCoefficient Drag coefficient of the rocket falling without parachutes.
+     */
+    setBallisticProperties(dryMass, diameter, dragCoefficient = 0.75) {
+        this.#dryMass = dryMass;
+        this.#diameter = diameter;
+        this.#ballisticDragCoefficient = dragCoefficient;
+    }
+
+    /**
+     * Provides the mass (pounds) of the rocket after its propellant has been consumed.
+     * @returns {number} Dry mass (lb) of the rocket, or zero if unknown.
+     */
+    getDryMass() {
+        return this.#dryMass;
+    }
+
+    /**
+     * Provides the diameter (inches) of the rocket's body tube.
+     * @returns {number} Diameter (in) of the rocket, or zero if unknown.
+     */
+    getDiameter() {
+        return this.#diameter;
+    }
+
+    /**
+     * Provides the drag coefficient of the rocket falling without any parachutes.
+     * @returns {number} Drag coefficient of the rocket.
+     */
+    getBallisticDragCoefficient() {
+        return this.#ballisticDragCoefficient;
+    }
+
+    /**
+     * Provides the expected descent rate (feet per second) at sea level if no parachutes deploy.
+     * @returns {number} Speed (ft/s) of a ballistic descent, or -1 if the rocket's properties are unknown.
+     */
+    getBallisticDescentRate() {
+        if (this.#dryMass <= 0 || this.#diameter <= 0 || this.#ballisticDragCoefficient <= 0) {
+            return -1;
+        }
+
+        return getTerminalVelocity(this.#dryMass, this.#diameter, this.#ballisticDragCoefficient, 0);
+    }
+
     /**
      * Calculate a sequence of LaunchPathPoint objects defining the rocket's simulated launch path.
      * @param {Date} launchTime The date and time when the rocket launch occurs.
@@ -162,17 +294,47 @@ class RocketWeathercocking extends RocketBase {
      */
     #weathercockData = []
 
+    /**
+     * How weathercocking is estimated beyond the fastest wind speed within the data.
+     * @private
+     * @type {WeathercockExtrapolation}
+     */
+    #extrapolation = WeathercockExtrapolation.CLAMP;
+
     /**
      * Initializes this rocket with it's expected altitude at apogee.
      * @param {number} apogee - Expected altitude Above Ground Level (in feet) at apogee.
-     * @param {Array.<WeathercockWindData>} weathercockData - Array of objects containing weathercock data.
+     * @param {Array.<WeathercockWindData>} weathercockData - Array of objects containing weathercock data
+     * ordered by strictly increasing wind speed.
+     * @param {WeathercockExtrapolation} extrapolation - How to estimate wind speeds beyond the last entry.
+     * @throws {TypeError} Wind speeds are not strictly increasing or the extrapolation is unknown.
      */
-    constructor(apogee, weathercockData) {
+    constructor(apogee, weathercockData, extrapolation = WeathercockExtrapolation.CLAMP) {
         super();
+        for (let index = 1; index < weathercockData.length; ++index) {
+            if (weathercockData[index].windSpeed <= weathercockData[index - 1].windSpeed) {
+                throw new TypeError(`Weathercock wind speeds must be strictly increasing: ${weathercockData[index].windSpeed}`);
+            }
+        }
+        if (!Object.values(WeathercockExtrapolation).includes(extrapolation)) throw new TypeError(`Invalid weathercock extrapolation: ${extrapolation}`);
+
         this.#apogee = apogee;
         this.#weathercockData = weathercockData;
+        this.#extrapolation = extrapolation;
     }
 
+    /**
+     * How weathercocking is estimated beyond the fastest wind speed within the data.
+     * @type {WeathercockExtrapolation}
+     */
+    get extrapolation() { return this.#extrapolation; }
+
+    /**
+     * Effects of weathercocking across different ranges of wind speed, ordered by increasing wind speed.
+     * @type {Array.<WeathercockWindData>}
+     */
+    get weathercockData() { return this.#weathercockData; }
+
     /**
      * Calculate a sequence of LaunchPathPoint objects defining the rocket's simulated launch path.
      * @param {Date} launchTime The date and time when the rocket launch occurs.
@@ -204,7 +366,8 @@ class RocketWeathercocking extends RocketBase {
             return new LaunchPathPoint(this.#apogee, rocketLocation);
         }
         
-        // Convert wind speed to MPH for comparison with user supplied values
+        // Convert wind speed to MPH for comparison with user supplied values. Forecasts blended with
+        // a wind measured at the pad report the measured wind at ground level.
         const windSpeed = 1.15078 * windData.groundWindSpeed;
 
         //let apogeeLocation = new GeoLocation(rocketLocation.latitude, rocketLocation.longitude);
@@ -218,13 +381,11 @@ class RocketWeathercocking extends RocketBase {
             }
             return new LaunchPathPoint(this.#weathercockData[0].apogee, apogeeLocation);
         } else if (windSpeed > this.#weathercockData[this.#weathercockData.length - 1].windSpeed) {
-            moveAlongBearing(apogeeLocation, feetToMeters(this.#weathercockData[this.#weathercockData.length - 1].upwindDistance), windData.groundWindDirection);
-            return new LaunchPathPoint(this.#weathercockData[this.#weathercockData.length - 1].apogee, apogeeLocation);
+            return this.#extrapolateAdjustment(apogeeLocation, windSpeed, windData.groundWindDirection);
         }
 
         let apogeeAltitude = -1;
 
-        // Expecting weathercock result data for wind speeds from 0 to 20MPH in 5MPH segments.
         // Find the first entry with a speed equal or greater than the expected ground wind,
         // and perform a linear interpolation from the previous entry.
         for (let index = 1; index < this.#weathercockData.length; ++index) {
@@ -251,6 +412,302 @@ class RocketWeathercocking extends RocketBase {
         }
         return new LaunchPathPoint(apogeeAltitude, apogeeLocation);
     }
+
+    /**
+     * Estimate weathercocking for a wind speed faster than any provided within the data.
+     * @private
+     * @param   {GeoLocation} apogeeLocation - Launch location which is moved upwind.
+     * @param   {number} windSpeed - Ground wind speed (in MPH).
+     * @param   {number} windDirection - Direction (degrees from north) the ground wind is blowing from.
+     * @returns {LaunchPathPoint} Final geolocation and altitude after applying weathercocking.
+     */
+    #extrapolateAdjustment(apogeeLocation, windSpeed, windDirection) {
+        const last = this.#weathercockData[this.#weathercockData.length - 1];
+        let upwindDistance = last.upwindDistance;
+        let apogeeAltitude = last.apogee;
+
+        if (WeathercockExtrapolation.LINEAR == this.#extrapolation && this.#weathercockData.length > 1) {
+            // Continue the trend of the last two entries, never allowing the rocket to fall below ground
+            const previous = this.#weathercockData[this.#weathercockData.length - 2];
+            upwindDistance = Math.max(0, linearInterpolate(windSpeed, previous.windSpeed, last.windSpeed, previous.upwindDistance, last.upwindDistance));
+            apogeeAltitude = Math.max(0, linearInterpolate(windSpeed, previous.windSpeed, last.windSpeed, previous.apogee, last.apogee));
+        }
+
+        moveAlongBearing(apogeeLocation, feetToMeters(upwindDistance), windDirection);
+        return new LaunchPathPoint(apogeeAltitude, apogeeLocation);
+    }
+}
+
+class RocketVariant extends RocketBase {
+    /**
+     * The rocket whose launch path this variant is based upon.
+     * @private
+     * @type {RocketBase}
+     */
+    #baseRocket = null;
+
+    /**
+     * Multiplier applied to every altitude along the base rocket's launch path.
+     * @private
+     * @type {number}
+     */
+    #apogeeScale = 1.0;
+
+    /**
+     * Initializes a variant of an existing rocket. The recovery system defaults to a copy of
+     * the base rocket's, but may be altered without affecting the original.
+     * @param {RocketBase} baseRocket - The rocket providing this variant's launch path.
+     * @param {number} apogeeScale - Multiplier applied to the base rocket's launch path altitudes.
+     * @throws {TypeError} Invalid base rocket or apogee scale.
+     */
+    constructor(baseRocket, apogeeScale = 1.0) {
+        super();
+        if (null == baseRocket) throw new TypeError(`Invalid base rocket: ${baseRocket}`);
+        if (isNaN(apogeeScale) || apogeeScale <= 0) throw new TypeError(`Invalid apogee scale: ${apogeeScale}`);
+
+        this.#baseRocket = baseRocket;
+        this.#apogeeScale = apogeeScale;
+
+        if (baseRocket.usingDualDeployment()) {
+            this.setDualDeployment(baseRocket.getDrogueDescentRate(), baseRocket.getMainDeploymentAltitude(), baseRocket.getMainDescentRate());
+        } else {
+            this.setSingleDeployment(baseRocket.getMainDescentRate());
+        }
+        this.setAirDensityCorrection(baseRocket.usingAirDensityCorrection(), baseRocket.getDescentRateReferenceAltitude());
+        this.setBallisticProperties(baseRocket.getDryMass(), baseRocket.getDiameter(), baseRocket.getBallisticDragCoefficient());
+    }
+
+    /**
+     * Calculate a sequence of LaunchPathPoint objects defining the rocket's simulated launch path.
+     * @param {Date} launchTime The date and time when the rocket launch occurs.
+     * @param {LaunchLocationData} launchLocation Details about where the launch occurs.
+     * @param {WindForecastData} windData Provides data defining wind conditions at the time of this launch.
+     * @returns {Array.<LaunchPathPoint>} List of locations identifying the rocket's launch path to apogee.
+     */
+    getLaunchPath(launchTime, launchLocation, windData) {
+        const basePath = this.#baseRocket.getLaunchPath(launchTime, launchLocation, windData);
+        if (1.0 == this.#apogeeScale) {
+            return basePath;
+        }
+        return basePath.map((pathPoint) => new LaunchPathPoint(pathPoint.altitude * this.#apogeeScale, pathPoint.location));
+    }
+}
+
+class RocketThrustCurve extends RocketBase {
+    /**
+     * Motor propelling this rocket.
+     * @private
+     * @type {MotorData}
+     */
+    #motor = null;
+
+    /**
+     * Mass (in pounds) of the rocket without its motor.
+     * @private
+     * @type {number}
+     */
+    #rocketMass = 0;
+
+    /**
+     * Diameter (in inches) of the rocket's body tube.
+     * @private
+     * @type {number}
+     */
+    #rocketDiameter = 0;
+
+    /**
+     * Drag coefficient of the rocket during its ascent.
+     * @private
+     * @type {number}
+     */
+    #dragCoefficient = 0.5;
+
+    /**
+     * Length (in feet) of the launch rail guiding the rocket.
+     * @private
+     * @type {number}
+     */
+    #railLength = 0;
+
+    /**
+     * Angle (degrees from vertical) of the launch rail.
+     * @private
+     * @type {number}
+     */
+    #railAngle = 0;
+
+    /**
+     * Bearing (degrees from North) the launch rail is tilted toward.
+     * @private
+     * @type {number}
+     */
+    #railBearing = 0;
+
+    /**
+     * Duration (seconds) of each integration step during the ascent.
+     * @private
+     * @type {number}
+     */
+    #timeStep = 0.02;
+
+    /**
+     * Interval (seconds) between points recorded along the launch path.
+     * @private
+     * @type {number}
+     */
+    #pathInterval = 0.25;
+
+    /**
+     * Initializes this rocket with the properties needed to simulate its ascent.
+     * @param {MotorData} motor - Motor propelling this rocket.
+     * @param {number} rocketMass - Mass (lb) of the rocket without its motor.
+     * @param {number} diameter - Diameter (in) of the rocket's body tube.
+     * @param {number} dragCoefficient - Drag coefficient of the rocket during its ascent.
+     * @param {number} railLength - Length (ft) of the launch rail.
+     * @param {number} railAngle - Angle (degrees from vertical) of the launch rail.
+     * @param {number} railBearing - Bearing (degrees from North) the launch rail is tilted toward.
+     * @throws {TypeError} Invalid motor or rocket properties.
+     */
+    constructor(motor, rocketMass, diameter, dragCoefficient, railLength, railAngle = 0, railBearing = 0) {
+        super();
+        if (null == motor) throw new TypeError(`Invalid motor: ${motor}`);
+        if (isNaN(rocketMass) || rocketMass <= 0) throw new TypeError(`Invalid rocket mass: ${rocketMass}`);
+        if (isNaN(diameter) || diameter <= 0) throw new TypeError(`Invalid rocket diameter: ${diameter}`);
+        if (isNaN(dragCoefficient) || dragCoefficient <= 0) throw new TypeError(`Invalid drag coefficient: ${dragCoefficient}`);
+        if (isNaN(railLength) || railLength < 0) throw new TypeError(`Invalid launch rail length: ${railLength}`);
+        if (isNaN(railAngle) || railAngle < 0 || railAngle >= 90) throw new TypeError(`Invalid launch rail angle: ${railAngle}`);
+        if (isNaN(railBearing)) throw new TypeError(`Invalid launch rail bearing: ${railBearing}`);
+
+        this.#motor = motor;
+        this.#rocketMass = rocketMass;
+        this.#rocketDiameter = diameter;
+        this.#dragCoefficient = dragCoefficient;
+        this.#railLength = railLength;
+        this.#railAngle = railAngle;
+        this.#railBearing = railBearing;
+
+        // Falls ballistically with whatever remains of the motor after burnout
+        this.setBallisticProperties(rocketMass + ((motor.totalMass - motor.propellantMass) / 0.45359237), diameter);
+    }
+
+    /**
+     * Motor propelling this rocket.
+     * @type {MotorData}
+     */
+    get motor() { return this.#motor; }
+
+    /**
+     * Calculate a sequence of LaunchPathPoint objects defining the rocket's simulated launch path.
+     * The ascent is integrated in three degrees of freedom.  Once off the rail the thrust is assumed
+     * to point into the relative wind, so weathercocking results from the wind at each altitude.
+     * @param {Date} launchTime The date and time when the rocket launch occurs.
+     * @param {LaunchLocationData} launchLocation Details about where the launch occurs.
+     * @param {WindForecastData} windData Provides data defining wind conditions at the time of this launch.
+     * @returns {Array.<LaunchPathPoint>} List of locations identifying the rocket's launch path to apogee.
+     */
+    getLaunchPath(launchTime, launchLocation, windData) {
+        const launchPath = [];
+
+        // The initial flight path is the launch pad at ground level.
+        launchPath.push(new LaunchPathPoint(0, launchLocation.location));
+
+        // Integrate in SI units using east, north, and up components relative to the launch pad.
+        const gravity = 9.80665;
+        const rocketMassKilograms = this.#rocketMass * 0.45359237;
+        const radiusMeters = (this.#rocketDiameter * 0.0254) / 2.0;
+        const referenceArea = Math.PI * radiusMeters * radiusMeters;
+        const railLengthMeters = feetToMeters(this.#railLength);
+
+        const railAngleRadians = degreesToRadians(this.#railAngle);
+        const railBearingRadians = degreesToRadians(this.#railBearing);
+        const railDirection = [ Math.sin(railAngleRadians) * Math.sin(railBearingRadians),
+                                Math.sin(railAngleRadians) * Math.cos(railBearingRadians),
+                                Math.cos(railAngleRadians) ];
+
+        let position = [ 0, 0, 0 ];
+        let velocity = [ 0, 0, 0 ];
+        let railSpeed = 0;
+        let onRail = true;
+        let nextPathTime = this.#pathInterval;
+
+        // Limit the ascent in case the rocket never stops climbing due to bad input
+        for (let time = 0; time < 600; time += this.#timeStep) {
+            const mass = rocketMassKilograms + this.#motor.getMass(time);
+            const thrust = this.#motor.getThrust(time);
+            const altitude = metersToFeet(position[2]);
+            const airDensity = getAirDensity(launchLocation.altitude + altitude);
+
+            if (onRail) {
+                // The rail only allows movement along its length, and the rocket cannot slide back down it
+                const drag = 0.5 * airDensity * this.#dragCoefficient * referenceArea * railSpeed * railSpeed;
+                const acceleration = ((thrust - drag) / mass) - (gravity * railDirection[2]);
+                railSpeed = Math.max(0, railSpeed + (acceleration * this.#timeStep));
+
+                if (0 == railSpeed && time > this.#motor.burnTime) {
+                    console.debug(`Motor ${this.#motor.name} cannot lift a ${this.#rocketMass} lb rocket off the rail.`);
+                    return launchPath.slice(0, 1);
+                }
+
+                velocity = railDirection.map((component) => component * railSpeed);
+                position = position.map((component, index) => component + (velocity[index] * this.#timeStep));
+
+                if (Math.hypot(...position) >= railLengthMeters) {
+                    onRail = false;
+                }
+            } else {
+                // Wind direction identifies where the wind comes from, so it pushes the rocket the opposite way
+                const wind = getWindAtAltitude(altitude, (null == windData) ? null : windData.windData);
+                let windVelocity = [ 0, 0, 0 ];
+                if (null != wind) {
+                    const windSpeed = wind.windSpeed * 0.514444;
+                    const windDirectionRadians = degreesToRadians(wind.windDirection);
+                    windVelocity = [ -windSpeed * Math.sin(windDirectionRadians), -windSpeed * Math.cos(windDirectionRadians), 0 ];
+                }
+
+                const relativeVelocity = velocity.map((component, index) => component - windVelocity[index]);
+                const relativeSpeed = Math.hypot(...relativeVelocity);
+
+                // A stable rocket points into the relative wind, so thrust acts along it and drag opposes it
+                const heading = (relativeSpeed > 0) ? relativeVelocity.map((component) => component / relativeSpeed) : railDirection;
+                const drag = 0.5 * airDensity * this.#dragCoefficient * referenceArea * relativeSpeed * relativeSpeed;
+                const acceleration = heading.map((component) => ((thrust - drag) * component) / mass);
+                acceleration[2] -= gravity;
+
+                velocity = velocity.map((component, index) => component + (acceleration[index] * this.#timeStep));
+                position = position.map((component, index) => component + (velocity[index] * this.#timeStep));
+
+                // Apogee is reached once the rocket stops climbing
+                if (velocity[2] <= 0) {
+                    break;
+                }
+            }
+
+            if (time >= nextPathTime) {
+                launchPath.push(this.#getPathPoint(launchLocation.location, position));
+                nextPathTime += this.#pathInterval;
+            }
+        }
+
+        launchPath.push(this.#getPathPoint(launchLocation.location, position));
+        return launchPath;
+    }
+
+    /**
+     * Converts a position relative to the launch pad into a launch path point.
+     * @private
+     * @param {GeoLocation} padLocation Coordinates of the launch pad.
+     * @param {Array.<number>} position East, north, and up distances (m) from the launch pad.
+     * @returns {LaunchPathPoint} Point along the launch path with altitude (ft AGL).
+     */
+    #getPathPoint(padLocation, position) {
+        const pathLocation = padLocation.getCopy();
+        const horizontalDistance = Math.hypot(position[0], position[1]);
+        if (horizontalDistance > 0) {
+            moveAlongBearing(pathLocation, horizontalDistance, radiansToDegrees(Math.atan2(position[0], position[1])));
+        }
+        return new LaunchPathPoint(metersToFeet(position[2]), pathLocation);
+    }
 }
 
-export { RocketBase, RocketApogee, RocketWeathercocking };
+export { WeathercockExtrapolation };
+export { RocketBase, RocketApogee, RocketWeathercocking, RocketVariant, RocketThrustCurve };
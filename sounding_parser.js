@@ -0,0 +1,219 @@
+import { metersToFeet, feetToMeters } from './geo.js';
+import { WindAtAltitude, WindForecastData } from './wind.js';
+import { parseTextNumber } from './text_parser.js';
+
+/**
+ * Factors converting the wind speed units found within sounding files into knots.
+ * @type {Object.<string, number>}
+ */
+const knotsPerSpeedUnit = Object.freeze({
+    'KTS': 1.0,
+    'KT': 1.0,
+    'KNOT': 1.0,
+    'KNOTS': 1.0,
+    'M/S': 1.943844,
+    'MPS': 1.943844,
+    'KM/H': 0.539957,
+    'KPH': 0.539957,
+    'MPH': 0.868976
+});
+
+/**
+ * Creates a forecast from the winds measured at each height of a sounding.
+ * @param   {string} sourceName - Name identifying the sounding.
+ * @param   {number} stationElevation - Height (meters MSL) of the sounding's station.
+ * @param   {Array.<{height: number, speed: number, direction: number}>} levelList - Height (meters MSL),
+ * speed (knots), and direction (degrees from North) measured at each level.
+ * @param   {string} formatName - Name of the file format used when reporting errors.
+ * @returns {WindForecastData} The measured winds, at altitudes above the station.
+ * @throws  {TypeError} No winds were measured above the station.
+ */
+function createSoundingForecast(sourceName, stationElevation, levelList, formatName) {
+    // Levels below the station are extrapolated by the sounding rather than measured
+    const windList = levelList.filter((level) => level.height >= stationElevation)
+                              .map((level) => new WindAtAltitude(metersToFeet(level.height - stationElevation), level.speed, level.direction));
+    if (0 == windList.length) {
+        throw new TypeError(`No winds were found in the ${formatName} sounding.`);
+    }
+
+    const windForecast = new WindForecastData();
+    windForecast.loadMeasuredData(stationElevation, windList, sourceName);
+    return windForecast;
+}
+
+/**
+ * Reads winds from the University of Wyoming's TEXT:LIST sounding page, either saved as HTML or
+ * copied as text. Its fixed width columns are located using the column names, and levels
+ * missing a wind direction or speed are skipped.
+ * @param   {string} fileText - Contents of the sounding page.
+ * @returns {WindForecastData} The measured winds, at altitudes above the station.
+ * @throws  {TypeError} The page is malformed or contains no winds.
+ */
+function parseWyomingSounding(fileText) {
+    const lines = fileText.split(/\r?\n/);
+
+    const headerIndex = lines.findIndex((line) => /^\s*PRES\s+HGHT\s/.test(line));
+    if (headerIndex < 0) {
+        throw new TypeError('The University of Wyoming sounding is missing its PRES and HGHT column headers.');
+    }
+
+    // Each column's values are right aligned with the end of its name
+    const columns = {};
+    let columnStart = 0;
+    for (const match of lines[headerIndex].matchAll(/\S+/g)) {
+        const columnEnd = match.index + match[0].length;
+        columns[match[0]] = { start: columnStart, end: columnEnd };
+        columnStart = columnEnd;
+    }
+    for (const columnName of ['HGHT', 'DRCT', 'SKNT']) {
+        if (!(columnName in columns)) {
+            throw new TypeError(`Line ${headerIndex + 1}: The University of Wyoming sounding is missing its ${columnName} column.`);
+        }
+    }
+    const readColumn = (line, columnName) => line.substring(columns[columnName].start, columns[columnName].end).trim();
+
+    // Levels follow the units and a dashed line, ending with the first line not starting with a pressure
+    const levelList = [];
+    let lineIndex = headerIndex + 1;
+    while (lineIndex < lines.length && !/^\s*-+\s*$/.test(lines[lineIndex])) {
+        ++lineIndex;
+    }
+    for (++lineIndex; lineIndex < lines.length && /^\s*\d/.test(lines[lineIndex]); ++lineIndex) {
+        const line = lines[lineIndex];
+        const heightText = readColumn(line, 'HGHT');
+        const directionText = readColumn(line, 'DRCT');
+        const speedText = readColumn(line, 'SKNT');
+        if ('' == heightText || '' == directionText || '' == speedText) {
+            continue;
+        }
+
+        levelList.push({
+            height: parseTextNumber(heightText, 'height', lineIndex + 1),
+            speed: parseTextNumber(speedText, 'wind speed', lineIndex + 1),
+            direction: parseTextNumber(directionText, 'wind direction', lineIndex + 1)
+        });
+    }
+
+    // Levels below ground are listed without winds, so the first wind is at the surface
+    const elevationMatch = fileText.match(/Station elevation:\s*(-?[\d.]+)/);
+    let stationElevation = (null != elevationMatch) ? Number(elevationMatch[1]) : NaN;
+    if (isNaN(stationElevation)) {
+        stationElevation = (levelList.length > 0) ? levelList[0].height : 0;
+    }
+
+    const titleMatch = fileText.match(/<H2>(.*?)<\/H2>/i) ?? fileText.match(/^\s*(\d+ .* Observations at .*)$/m);
+    const sourceName = (null != titleMatch) ? titleMatch[1].trim() : 'University of Wyoming Sounding';
+
+    return createSoundingForecast(sourceName, stationElevation, levelList, 'University of Wyoming');
+}
+
+/**
+ * Reads winds from a RAOB CSV sounding. Settings such as ELEV, WIND units, GPM (MSL or AGL), and the
+ * MISSING value precede a RAOB/DATA line, which is followed by the column names and one level per line.
+ * @param   {string} fileText - Contents of the CSV file.
+ * @returns {WindForecastData} The measured winds, at altitudes above the station.
+ * @throws  {TypeError} The file is malformed or contains no winds.
+ */
+function parseRaobCsv(fileText) {
+    const lines = fileText.split(/\r?\n/);
+    const splitLine = (line) => line.split(',').map((field) => field.trim());
+
+    let sourceName = 'RAOB Sounding';
+    let stationElevation = NaN;
+    let speedFactor = 1.0;
+    let heightsAboveGround = false;
+    let missingValue = -999;
+
+    let lineIndex = 0;
+    for (; lineIndex < lines.length; ++lineIndex) {
+        const [key, value, unit] = splitLine(lines[lineIndex]);
+        const upperKey = key.toUpperCase();
+
+        if ('RAOB/DATA' == upperKey) {
+            break;
+        } else if ('RAOB/CSV' == upperKey && value) {
+            sourceName = value;
+        } else if ('ELEV' == upperKey) {
+            stationElevation = parseTextNumber(value, 'station elevation', lineIndex + 1);
+            if ('FT' == (unit ?? '').toUpperCase()) {
+                stationElevation = feetToMeters(stationElevation);
+            }
+        } else if ('WIND' == upperKey) {
+            speedFactor = knotsPerSpeedUnit[(value ?? '').toUpperCase()];
+            if (undefined == speedFactor) {
+                throw new TypeError(`Line ${lineIndex + 1}: Unsupported wind speed unit "${value}".`);
+            }
+        } else if ('GPM' == upperKey) {
+            heightsAboveGround = ('AGL' == (value ?? '').toUpperCase());
+        } else if ('MISSING' == upperKey) {
+            missingValue = parseTextNumber(value, 'missing value', lineIndex + 1);
+        }
+    }
+
+    if (lineIndex + 1 >= lines.length) {
+        throw new TypeError('The RAOB CSV sounding is missing its RAOB/DATA section.');
+    }
+
+    // The WIND column holds each level's direction, while SPEED holds its speed
+    const columnNames = splitLine(lines[++lineIndex]).map((columnName) => columnName.toUpperCase());
+    const heightColumn = columnNames.indexOf('GPM');
+    const directionColumn = columnNames.indexOf('WIND');
+    const speedColumn = columnNames.indexOf('SPEED');
+    if (heightColumn < 0 || directionColumn < 0 || speedColumn < 0) {
+        throw new TypeError(`Line ${lineIndex + 1}: The RAOB CSV sounding requires GPM, WIND, and SPEED columns.`);
+    }
+
+    const levelList = [];
+    for (++lineIndex; lineIndex < lines.length; ++lineIndex) {
+        const fields = splitLine(lines[lineIndex]);
+        if ('' == fields[0]) {
+            continue;
+        }
+
+        const heightText = fields[heightColumn];
+        const directionText = fields[directionColumn];
+        const speedText = fields[speedColumn];
+        if ([heightText, directionText, speedText].some((text) => null == text || '' == text || missingValue == Number(text))) {
+            continue;
+        }
+
+        levelList.push({
+            height: parseTextNumber(heightText, 'height', lineIndex + 1),
+            speed: parseTextNumber(speedText, 'wind speed', lineIndex + 1) * speedFactor,
+            direction: parseTextNumber(directionText, 'wind direction', lineIndex + 1)
+        });
+    }
+    levelList.sort((a, b) => a.height - b.height);
+
+    // Heights above ground are measured from the station, otherwise the lowest level is the surface
+    if (heightsAboveGround) {
+        const elevation = isNaN(stationElevation) ? 0 : stationElevation;
+        for (const level of levelList) {
+            level.height += elevation;
+        }
+        stationElevation = elevation;
+    } else if (isNaN(stationElevation)) {
+        stationElevation = (levelList.length > 0) ? levelList[0].height : 0;
+    }
+
+    return createSoundingForecast(sourceName, stationElevation, levelList, 'RAOB CSV');
+}
+
+/**
+ * Reads the winds measured by a sounding, selecting the parser from the file's extension.
+ * @param   {string} fileName - Name of the file, ending in .csv for RAOB or .txt, .htm, or .html for University of Wyoming.
+ * @param   {string} fileText - Contents of the file.
+ * @returns {WindForecastData} The measured winds, at altitudes above the station.
+ * @throws  {TypeError} The file type is not supported or its contents are malformed.
+ */
+function parseSoundingFile(fileName, fileText) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.csv')) {
+        return parseRaobCsv(fileText);
+    } else if (lowerName.endsWith('.txt') || lowerName.endsWith('.htm') || lowerName.endsWith('.html')) {
+        return parseWyomingSounding(fileText);
+    }
+    throw new TypeError(`Unsupported sounding file type: ${fileName}`);
+}
+
+export { parseWyomingSounding, parseRaobCsv, parseSoundingFile };
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { metersToFeet, distanceBetweenLocations, bearingBetweenLocations } from '../geo.js';
+import { LaunchScenario } from '../launch.js';
+import { RocketApogee } from '../rocket.js';
+import { DescentMethod, driftSimulation } from '../drift_simulation.js';
+import { getFixtureLaunchTimes, getFixtureLaunchLocation, runFixtureForecast, getFixtureWindForecasts, assertClose } from './helpers.js';
+
+/**
+ * Creates a dual deployment rocket reaching 5,000 ft.
+ * @returns {RocketApogee} The rocket to simulate.
+ */
+function getDualDeployRocket() {
+    const rocket = new RocketApogee(5000);
+    rocket.setDualDeployment(75, 700, 18);
+    return rocket;
+}
+
+/**
+ * Measures the distance between a simulation's launch and landing locations.
+ * @param {LaunchSimulationData} launchSimulation - Simulation to measure.
+ * @returns {number} Drift distance (feet).
+ */
+function getDriftDistance(launchSimulation) {
+    return metersToFeet(distanceBetweenLocations(launchSimulation.getLaunchLocation(), launchSimulation.getLandingLocation()));
+}
+
+describe('driftSimulation', () => {
+    const launchLocation = getFixtureLaunchLocation();
+    const launchTime = getFixtureLaunchTimes().launchDate;
+    const windForecast = getFixtureWindForecasts()[0];
+
+    it('follows the rocket from the pad to apogee and back to the ground', () => {
+        const launchSimulation = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast);
+
+        assert.equal(launchSimulation.time, 9);
+        assert.equal(launchSimulation.getWindModelName(), 'Open-Meteo');
+        assert.equal(launchSimulation.scenario, LaunchScenario.NOMINAL);
+        assert.equal(launchSimulation.getLaunchLocation().latitude, launchLocation.location.latitude);
+        assert.equal(launchSimulation.getLaunchLocation().longitude, launchLocation.location.longitude);
+        assert.equal(launchSimulation.getApogee(), 5000);
+        assert.equal(launchSimulation.launchPath[launchSimulation.launchPath.length - 1].altitude, 0);
+
+        // The path never climbs again once the rocket starts falling
+        const descentPath = launchSimulation.launchPath.slice(1);
+        for (let index = 1; index < descentPath.length; ++index) {
+            assert.ok(descentPath[index].altitude < descentPath[index - 1].altitude);
+        }
+    });
+
+    it('drifts downwind of the surface and low level winds', () => {
+        const launchSimulation = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast);
+        const driftBearing = bearingBetweenLocations(launchSimulation.getLaunchLocation(), launchSimulation.getLandingLocation());
+
+        // Compare against the downwind bearing within the -180 to 180 degree range
+        const bearingError = ((driftBearing - windForecast.groundWindDirection) % 360.0 + 360.0) % 360.0 - 180.0;
+
+        assert.ok(getDriftDistance(launchSimulation) > 1000);
+        assertClose(bearingError, 0, 30, 'Drift bearing');
+    });
+
+    it('lands close to the band based descent when using time steps', () => {
+        const bandSimulation = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast, DescentMethod.WIND_BANDS);
+        const stepSimulation = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast, DescentMethod.TIME_STEPS, 0.5);
+
+        assert.ok(stepSimulation.launchPath.length > bandSimulation.launchPath.length);
+        const separation = metersToFeet(distanceBetweenLocations(bandSimulation.getLandingLocation(), stepSimulation.getLandingLocation()));
+        assert.ok(separation < 0.05 * getDriftDistance(bandSimulation), `Landings are ${separation} ft apart`);
+    });
+
+    it('drifts farther when the main deploys at apogee', () => {
+        const nominal = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast);
+        const earlyMain = driftSimulation(launchLocation, launchTime, getDualDeployRocket(), windForecast, DescentMethod.WIND_BANDS, 0.5, LaunchScenario.EARLY_MAIN);
+
+        assert.equal(earlyMain.scenario, LaunchScenario.EARLY_MAIN);
+        assert.ok(getDriftDistance(earlyMain) > 2 * getDriftDistance(nominal));
+    });
+
+    it('skips scenarios the recovery system cannot produce', () => {
+        const singleDeploy = new RocketApogee(5000);
+        singleDeploy.setSingleDeployment(18);
+        assert.equal(driftSimulation(launchLocation, launchTime, singleDeploy, windForecast, DescentMethod.WIND_BANDS, 0.5, LaunchScenario.DROGUE_ONLY), null);
+    });
+});
+
+describe('runDriftForecast launch time steps', async () => {
+    const forecastRequest = (window) => runFixtureForecast({ window: window });
+    const hourlyResult = await forecastRequest({ date: '2024-05-18', startTime: '09:00', endTime: '11:00' });
+    const stepResult = await forecastRequest({ date: '2024-05-18', startTime: '09:30', endTime: '10:45', timeStep: 15 });
+
+    it('launches at every step between the start and end times', () => {
+        assert.deepEqual(stepResult.errors, []);
+        assert.deepEqual(stepResult.simulations.map((launchSimulation) => launchSimulation.getLaunchTime()), ['9:30AM', '9:45AM', '10AM', '10:15AM', '10:30AM', '10:45AM']);
+    });
+
+    it('uses the hourly forecast on the hour and interpolates between hours', () => {
+        assert.deepEqual(stepResult.simulations[2].getLandingLocation(), hourlyResult.simulations[1].getLandingLocation());
+
+        const halfHourLanding = stepResult.simulations[4].getLandingLocation();
+        const [tenLanding, elevenLanding] = [hourlyResult.simulations[1].getLandingLocation(), hourlyResult.simulations[2].getLandingLocation()];
+        assertClose(halfHourLanding.latitude, (tenLanding.latitude + elevenLanding.latitude) / 2, 1e-4);
+        assertClose(halfHourLanding.longitude, (tenLanding.longitude + elevenLanding.longitude) / 2, 1e-4);
+    });
+
+    it('rejects invalid time steps', async () => {
+        const invalidResult = await forecastRequest({ date: '2024-05-18', startTime: '09:00', endTime: '10:00', timeStep: 0 });
+        assert.equal(invalidResult.errors[0].field, 'window.timeStep');
+    });
+});
+
+describe('runDriftForecast launch site timezone', () => {
+    const forecastRequest = (timezone) => runFixtureForecast({ site: { timezone: timezone } });
+
+    it('keeps the launch site\'s timezone with its results', async () => {
+        const forecastResult = await forecastRequest('America/Chicago');
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.launchLocation.timeZone, 'America/Chicago');
+        assert.deepEqual(forecastResult.simulations.map((launchSimulation) => launchSimulation.getLaunchTime()), ['9AM', '10AM']);
+    });
+
+    it('names missing forecasts by the launch site\'s clock', async () => {
+        const forecastResult = await runFixtureForecast({
+            site: { timezone: 'America/Chicago' },
+            window: { date: '2024-05-18', startTime: '14:00', endTime: '15:00' }
+        });
+        assert.deepEqual(forecastResult.warnings.map((warning) => warning.message), ['No Open-Meteo wind forecast is available for Sat May 18 2024 3PM CDT.']);
+    });
+
+    it('rejects unknown timezones', async () => {
+        const invalidResult = await forecastRequest('Texas/Panhandle');
+        assert.equal(invalidResult.errors[0].field, 'site.timezone');
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoLocation, feetToMeters, metersToFeet, degreesToRadians, radiansToDegrees, moveAlongBearing, moveAlongBearingKilometers, distanceBetweenLocations, bearingBetweenLocations } from '../geo.js';
+import { assertClose } from './helpers.js';
+
+describe('GeoLocation', () => {
+    it('rejects coordinates that are not numbers', () => {
+        assert.throws(() => new GeoLocation('north', 0), TypeError);
+        assert.throws(() => new GeoLocation(0, NaN), TypeError);
+    });
+
+    it('copies without sharing state', () => {
+        const original = new GeoLocation(34.875, -100.625);
+        const copy = original.getCopy();
+        copy.latitude = 0;
+        assert.equal(original.latitude, 34.875);
+        assert.equal(copy.longitude, -100.625);
+    });
+});
+
+describe('unit conversions', () => {
+    it('converts between feet and meters', () => {
+        assert.equal(feetToMeters(1000), 304.8);
+        assertClose(metersToFeet(304.8), 1000, 1e-9);
+    });
+
+    it('converts between degrees and radians', () => {
+        assertClose(degreesToRadians(180), Math.PI, 1e-12);
+        assertClose(radiansToDegrees(Math.PI / 2), 90, 1e-12);
+    });
+});
+
+describe('distanceBetweenLocations', () => {
+    it('measures one degree of latitude', () => {
+        assertClose(distanceBetweenLocations(new GeoLocation(0, 0), new GeoLocation(1, 0)), 111194.9, 0.1);
+    });
+
+    it('is zero for identical locations', () => {
+        assert.equal(distanceBetweenLocations(new GeoLocation(34.875, -100.625), new GeoLocation(34.875, -100.625)), 0);
+    });
+});
+
+describe('bearingBetweenLocations', () => {
+    it('is NaN for identical locations', () => {
+        assert.ok(isNaN(bearingBetweenLocations(new GeoLocation(34.875, -100.625), new GeoLocation(34.875, -100.625))));
+    });
+
+    it('finds locations due east and west at the same latitude', () => {
+        assertClose(bearingBetweenLocations(new GeoLocation(0, 0), new GeoLocation(0, 1)), 90, 1e-9);
+        assertClose(bearingBetweenLocations(new GeoLocation(0, 0), new GeoLocation(0, -1)), 270, 1e-9);
+    });
+
+    it('finds locations due north and south at the same longitude', () => {
+        assertClose(bearingBetweenLocations(new GeoLocation(34, -100), new GeoLocation(35, -100)), 0, 1e-9);
+        assertClose(bearingBetweenLocations(new GeoLocation(35, -100), new GeoLocation(34, -100)), 180, 1e-9);
+    });
+});
+
+describe('moveAlongBearing', () => {
+    it('travels the requested distance and bearing', () => {
+        const start = new GeoLocation(34.875, -100.625);
+        for (const bearing of [0, 45, 135, 200, 315]) {
+            const destination = start.getCopy();
+            moveAlongBearing(destination, 1500, bearing);
+            assertClose(distanceBetweenLocations(start, destination), 1500, 0.01, `Bearing ${bearing}`);
+            assertClose(bearingBetweenLocations(start, destination), bearing, 0.01, `Bearing ${bearing}`);
+        }
+    });
+
+    it('agrees with the kilometer based version', () => {
+        const meters = new GeoLocation(34.875, -100.625);
+        const kilometers = meters.getCopy();
+        moveAlongBearing(meters, 2500, 72);
+        moveAlongBearingKilometers(kilometers, 2500, 72);
+        assertClose(meters.latitude, kilometers.latitude, 1e-9);
+        assertClose(meters.longitude, kilometers.longitude, 1e-9);
+    });
+});
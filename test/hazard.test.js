@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeoLocation } from '../geo.js';
+import { HazardType, HazardFeature } from '../hazard.js';
+import { parseHazardKml, parseHazardGeoJson, parseHazardFile } from '../hazard_parser.js';
+import { createLandingPlotBlob, createGroundPathBlob } from '../kml.js';
+import { createGeoJsonBlob } from '../drift_export.js';
+import { runFixtureForecast, assertClose } from './helpers.js';
+
+const hazardKml = readFileSync(new URL('./fixtures/hazards.kml', import.meta.url), 'utf8');
+
+/**
+ * Runs the fixture forecast for a single launch at a launch site holding the provided hazards and rules.
+ * @param {Array.<Object>} hazards - Hazards of the launch site, or undefined for none.
+ * @param {Object} rules - Go/no-go rules of the launch site, or undefined for the defaults.
+ * @returns {Promise<DriftForecastResult>} The forecast's simulations.
+ */
+function forecastWithHazards(hazards, rules) {
+    return runFixtureForecast({
+        site: { hazards: hazards, rules: rules },
+        window: { date: '2024-05-18', startTime: '09:00', endTime: '09:00' }
+    });
+}
+
+describe('HazardFeature', () => {
+    it('closes polygons and requires enough vertices for its shape', () => {
+        const corners = [new GeoLocation(34.88, -100.64), new GeoLocation(34.88, -100.635), new GeoLocation(34.885, -100.635)];
+        const pond = new HazardFeature('Stock Pond', HazardType.POLYGON, corners);
+        assert.equal(pond.coordinates.length, 4);
+        assert.deepEqual(pond.coordinates[3], pond.coordinates[0]);
+        assert.throws(() => new HazardFeature('Pond', HazardType.POLYGON, corners.slice(0, 2)), TypeError);
+        assert.throws(() => new HazardFeature('Road', HazardType.LINE, corners.slice(0, 1)), TypeError);
+        assert.throws(() => new HazardFeature('Tree', 'circle', corners), /Unknown hazard type/);
+    });
+
+    it('measures the distance to the nearest part of the hazard', () => {
+        const road = new HazardFeature('Road', HazardType.LINE, [new GeoLocation(34.87, -100.64), new GeoLocation(34.87, -100.61)]);
+        assertClose(road.getDistance(new GeoLocation(34.871, -100.625)), 111, 1);
+        assertClose(road.getDistance(new GeoLocation(34.87, -100.60)), 913, 2);
+
+        const [, , pond] = parseHazardKml(hazardKml);
+        assert.equal(pond.getDistance(new GeoLocation(34.8825, -100.6375)), 0);
+        assert.ok(pond.getDistance(new GeoLocation(34.8825, -100.63)) > 0);
+    });
+});
+
+describe('parseHazardKml', () => {
+    it('reads every point, line, and polygon placemark', () => {
+        const hazardList = parseHazardKml(hazardKml);
+        assert.deepEqual(hazardList.map((hazard) => hazard.name), ['Farm House & Barn', 'Highway 287', 'Stock Pond']);
+        assert.deepEqual(hazardList.map((hazard) => hazard.type), [HazardType.POINT, HazardType.LINE, HazardType.POLYGON]);
+        assert.deepEqual(hazardList[0].coordinates, [new GeoLocation(34.882, -100.615)]);
+        assert.equal(hazardList[1].coordinates.length, 3);
+        assert.equal(hazardList[2].coordinates.length, 5);
+        assert.throws(() => parseHazardKml('<kml><Document><name>Empty</name></Document></kml>'), /No points, lines, or polygons/);
+    });
+});
+
+describe('parseHazardGeoJson', () => {
+    it('names each part of multi-part geometries after its feature', () => {
+        const hazardList = parseHazardGeoJson(JSON.stringify({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'Power Lines' }, geometry: { type: 'MultiLineString', coordinates: [[[-100.63, 34.86], [-100.62, 34.86]], [[-100.63, 34.89], [-100.62, 34.89]]] } },
+                { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [-100.615, 34.882] } }
+            ]
+        }));
+        assert.deepEqual(hazardList.map((hazard) => hazard.name), ['Power Lines', 'Power Lines', 'Hazard 3']);
+        assert.deepEqual(hazardList.map((hazard) => hazard.type), [HazardType.LINE, HazardType.LINE, HazardType.POINT]);
+        assert.throws(() => parseHazardGeoJson('{"type": "Point", "coordinates": [-100, 95]}'), /Invalid latitude/);
+        assert.throws(() => parseHazardGeoJson('hazards'), TypeError);
+    });
+});
+
+describe('parseHazardFile', () => {
+    it('selects the parser from the file extension', () => {
+        assert.equal(parseHazardFile('Field Hazards.KML', hazardKml).length, 3);
+        assert.throws(() => parseHazardFile('hazards.shp', ''), /Unsupported hazard file type/);
+    });
+});
+
+describe('Hazards in drift forecasts', async () => {
+    const nominalResult = await forecastWithHazards(undefined, undefined);
+    const landingLocation = nominalResult.simulations[0].getLandingLocation();
+
+    it('flags landings inside a hazard or within its buffer', async () => {
+        const delta = 0.001;
+        const forecastResult = await forecastWithHazards([
+            {
+                name: 'Stock Pond',
+                type: 'polygon',
+                coordinates: [
+                    { latitude: landingLocation.latitude - delta, longitude: landingLocation.longitude - delta },
+                    { latitude: landingLocation.latitude - delta, longitude: landingLocation.longitude + delta },
+                    { latitude: landingLocation.latitude + delta, longitude: landingLocation.longitude + delta },
+                    { latitude: landingLocation.latitude + delta, longitude: landingLocation.longitude - delta }
+                ]
+            },
+            { name: 'Barn', coordinates: [{ latitude: landingLocation.latitude + 0.0005, longitude: landingLocation.longitude }] },
+            { name: 'Highway', type: 'line', coordinates: [{ latitude: 34.5, longitude: -100.7 }, { latitude: 34.5, longitude: -100.5 }] }
+        ], { maxSurfaceWind: 100 });
+
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.launchLocation.hazards.length, 3);
+        assert.deepEqual(forecastResult.simulations[0].launchDecision.reasons, ['Lands within Stock Pond', 'Lands 182 ft from Barn, within the 300 ft buffer']);
+    });
+
+    it('uses the buffer from the launch site rules', async () => {
+        const barn = [{ name: 'Barn', coordinates: [{ latitude: landingLocation.latitude + 0.0005, longitude: landingLocation.longitude }] }];
+        const narrowResult = await forecastWithHazards(barn, { maxSurfaceWind: 100, hazardBuffer: 100 });
+        assert.ok(narrowResult.simulations[0].launchDecision.isGo);
+
+        const invalidResult = await forecastWithHazards(barn, { hazardBuffer: -1 });
+        assert.equal(invalidResult.errors[0].field, 'site.rules.hazardBuffer');
+    });
+
+    it('prefers the buffer of each hazard over the launch site rules', async () => {
+        const barn = [{ name: 'Barn', coordinates: [{ latitude: landingLocation.latitude + 0.0005, longitude: landingLocation.longitude }], buffer: 200 }];
+        const forecastResult = await forecastWithHazards(barn, { maxSurfaceWind: 100, hazardBuffer: 100 });
+        assert.deepEqual(forecastResult.simulations[0].launchDecision.reasons, ['Lands 182 ft from Barn, within the 200 ft buffer']);
+        assert.equal(forecastResult.launchLocation.hazards[0].buffer, 200);
+        assert.throws(() => forecastResult.launchLocation.hazards[0].setBuffer(-1), /Invalid buffer for the hazard Barn/);
+    });
+
+    it('reports invalid hazards with their request paths', async () => {
+        const forecastResult = await forecastWithHazards([
+            { name: 'Barn', coordinates: [{ latitude: 34.88, longitude: -100.62 }] },
+            { name: 'Road', type: 'line', coordinates: [{ latitude: 34.88, longitude: -100.62 }] }
+        ], undefined);
+        assert.equal(forecastResult.errors[0].field, 'site.hazards.1');
+
+        const missingResult = await forecastWithHazards([null], undefined);
+        assert.equal(missingResult.errors[0].field, 'site.hazards.0');
+
+        for (const hazards of [{ name: 'Barn' }, 'Barn']) {
+            const listResult = await forecastWithHazards(hazards, undefined);
+            assert.equal(listResult.errors[0].field, 'site.hazards');
+        }
+    });
+});
+
+describe('Hazards in exports', async () => {
+    const hazards = parseHazardKml(hazardKml).map((hazard) => ({
+        name: hazard.name,
+        type: hazard.type,
+        coordinates: hazard.coordinates.map((location) => ({ latitude: location.latitude, longitude: location.longitude }))
+    }));
+    const forecastResult = await forecastWithHazards(hazards, undefined);
+    const launchDetails = forecastResult.launchLocation;
+
+    it('draws every hazard within a KML folder', async () => {
+        const kmlText = await (await createLandingPlotBlob(launchDetails.location, null, forecastResult.simulations, [], launchDetails.hazards)).text();
+        assert.ok(kmlText.includes('<name>Hazards</name>'));
+        assert.ok(kmlText.includes('<name>Farm House &amp; Barn</name>'));
+        assert.ok(kmlText.includes('<LineString>'));
+        assert.ok(kmlText.includes('<name>Stock Pond</name>'));
+
+        const groundText = await createGroundPathBlob(launchDetails.location, null, forecastResult.simulations).text();
+        assert.ok(!groundText.includes('<name>Hazards</name>'));
+    });
+
+    it('adds a GeoJSON feature for each hazard', async () => {
+        const geoJson = JSON.parse(await createGeoJsonBlob(launchDetails, forecastResult.simulations).text());
+        const hazardFeatures = geoJson.features.filter((feature) => 'hazard' == feature.properties.feature);
+        assert.deepEqual(hazardFeatures.map((feature) => feature.geometry.type), ['Point', 'LineString', 'Polygon']);
+        assert.deepEqual(hazardFeatures[0].properties, { feature: 'hazard', name: 'Farm House & Barn', type: 'point' });
+        assert.deepEqual(hazardFeatures[2].geometry.coordinates[0][1], [-100.635, 34.88]);
+    });
+});
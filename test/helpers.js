@@ -0,0 +1,75 @@
+import { readFileSync } from 'node:fs';
+import assert from 'node:assert/strict';
+import { GeoLocation } from '../geo.js';
+import { LaunchTimeData, LaunchLocationData } from '../launch.js';
+import { WaiverArea } from '../waiver.js';
+import { WindForecastData, parseOpenMeteoWindData } from '../wind.js';
+import { SavedOpenMeteoWindProvider } from '../wind_providers.js';
+import { runDriftForecast } from '../drift_forecast.js';
+
+/**
+ * Reads a recorded wind forecast or other JSON file from the fixtures directory.
+ * @param {string} fileName - Name of the file within test/fixtures.
+ * @returns {Object} The parsed contents.
+ */
+function readFixture(fileName) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${fileName}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Launch window covered by the recorded Open-Meteo forecast.
+ * @returns {LaunchTimeData} Launch times from 9AM through 2PM.
+ */
+function getFixtureLaunchTimes() {
+    return new LaunchTimeData('2024-05-18', '09:00', '14:00');
+}
+
+/**
+ * Launch site where the recorded forecasts were requested, with a waiver offset to the north.
+ * @returns {LaunchLocationData} Details about the launch site.
+ */
+function getFixtureLaunchLocation() {
+    const launchLocation = new LaunchLocationData(new GeoLocation(34.875, -100.625), 2431, 'Fixture Field');
+    const waiverArea = new WaiverArea();
+    waiverArea.setCircle(new GeoLocation(34.885, -100.625), 2);
+    launchLocation.setWaiverArea(waiverArea);
+    return launchLocation;
+}
+
+/**
+ * Runs a drift forecast at the fixture launch site with the recorded Open-Meteo forecast, launching at 9AM and 10AM.
+ * @param {Object} overrides - Request values replacing the defaults. Site and rocket values are added to the fixture's
+ * own, while any other value, such as the window or provider, replaces the default entirely.
+ * @returns {Promise<DriftForecastResult>} The forecast's simulations.
+ */
+function runFixtureForecast(overrides = {}) {
+    const { site, rocket, ...request } = overrides;
+    return runDriftForecast({
+        window: { date: '2024-05-18', startTime: '09:00', endTime: '10:00' },
+        provider: new SavedOpenMeteoWindProvider(readFixture('open_meteo_forecast.json')),
+        ...request,
+        site: { name: 'Fixture Field', latitude: 34.875, longitude: -100.625, elevation: 2431, ...site },
+        rocket: { apogee: 5000, mainDescentRate: 18, ...rocket }
+    });
+}
+
+/**
+ * Converts the recorded Open-Meteo forecast into wind data for each hour of the fixture launch window.
+ * @returns {Array.<WindForecastData>} Wind forecast data for each hour.
+ */
+function getFixtureWindForecasts() {
+    return parseOpenMeteoWindData(readFixture('open_meteo_forecast.json'), getFixtureLaunchTimes());
+}
+
+/**
+ * Asserts a number is within a tolerance of its expected value.
+ * @param {number} actual - Value produced by the code under test.
+ * @param {number} expected - Value the code should produce.
+ * @param {number} tolerance - Largest acceptable difference.
+ * @param {string} message - Description shown when the assertion fails.
+ */
+function assertClose(actual, expected, tolerance, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message} expected ${expected} ± ${tolerance} but found ${actual}`);
+}
+
+export { readFixture, getFixtureLaunchTimes, getFixtureLaunchLocation, runFixtureForecast, getFixtureWindForecasts, assertClose };
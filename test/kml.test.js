@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { SavedOpenMeteoWindProvider, MeasuredWindProvider } from '../wind_providers.js';
+import { parseWyomingSounding } from '../sounding_parser.js';
+import { createLandingPlotBlob, createFlightPathBlob, createGroundPathBlob, createLandingProbabilityBlob } from '../kml.js';
+import { readFixture, runFixtureForecast } from './helpers.js';
+
+// Run with UPDATE_GOLDEN=1 to accept intentional changes to the exported files
+const updateGolden = ('1' == process.env.UPDATE_GOLDEN);
+
+/**
+ * Compares generated KML with the accepted copy saved within the golden directory.
+ * @param {Blob} kmlBlob - Generated KML file.
+ * @param {string} fileName - Name of the accepted file within test/golden.
+ */
+async function assertMatchesGolden(kmlBlob, fileName) {
+    const goldenURL = new URL(`./golden/${fileName}`, import.meta.url);
+    const kmlText = await kmlBlob.text();
+    if (updateGolden) {
+        writeFileSync(goldenURL, kmlText);
+    }
+    assert.equal(kmlText, readFileSync(goldenURL, 'utf8'), `${fileName} differs from the golden copy`);
+}
+
+describe('KML exports', async () => {
+    const forecastResult = await runFixtureForecast({
+        site: { waiver: { latitude: 34.885, longitude: -100.625, radius: 2 } },
+        rocket: { mainDeployAltitude: 700, drogueDescentRate: 75 },
+        window: { date: '2024-05-18', startTime: '09:00', endTime: '14:00' },
+        failureScenarios: { ballistic: { dryMass: 12, diameter: 4, dragCoefficient: 0.75 } }
+    });
+    const launchDetails = forecastResult.launchLocation;
+
+    it('simulates every hour and scenario of the recorded forecast', () => {
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.simulations.length, 24);
+    });
+
+    it('matches the golden landing plot', async () => {
+        const kmlBlob = await createLandingPlotBlob(launchDetails.location, launchDetails.waiverArea, forecastResult.simulations);
+        await assertMatchesGolden(kmlBlob, 'landing_plot.kml');
+    });
+
+    it('matches the golden flight paths', async () => {
+        const kmlBlob = createFlightPathBlob(launchDetails.location, launchDetails.waiverArea, forecastResult.simulations);
+        await assertMatchesGolden(kmlBlob, 'flight_paths.kml');
+    });
+
+    it('matches the golden ground paths', async () => {
+        const kmlBlob = createGroundPathBlob(launchDetails.location, launchDetails.waiverArea, forecastResult.simulations);
+        await assertMatchesGolden(kmlBlob, 'ground_paths.kml');
+    });
+});
+
+describe('KML exports comparing forecast models', async () => {
+    const forecastResult = await runFixtureForecast({
+        window: { date: '2024-05-18', startTime: '09:00', endTime: '14:00' },
+        provider: new SavedOpenMeteoWindProvider(readFixture('open_meteo_models_forecast.json'))
+    });
+    const launchDetails = forecastResult.launchLocation;
+
+    it('simulates each model side by side for every hour', () => {
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.simulations.length, 12);
+        for (let index = 0; index < forecastResult.simulations.length; index += 2) {
+            assert.equal(forecastResult.simulations[index].getLaunchTime(), forecastResult.simulations[index + 1].getLaunchTime());
+            assert.equal(forecastResult.simulations[index].getWindModelName(), 'Open-Meteo GFS');
+            assert.equal(forecastResult.simulations[index + 1].getWindModelName(), 'Open-Meteo ECMWF IFS');
+        }
+    });
+
+    it('places each model within its own folder', async () => {
+        const kmlBlob = await createLandingPlotBlob(launchDetails.location, null, forecastResult.simulations);
+        const kmlText = await kmlBlob.text();
+        assert.equal(kmlText.split('<Folder>').length - 1, 2);
+        assert.ok(kmlText.indexOf('<name>Open-Meteo GFS</name>') < kmlText.indexOf('<name>Open-Meteo ECMWF IFS</name>'));
+    });
+});
+
+describe('KMZ export of ensemble landing probabilities', async () => {
+    const forecastResult = await runFixtureForecast({
+        provider: new SavedOpenMeteoWindProvider(readFixture('open_meteo_ensemble_forecast.json'))
+    });
+    const launchDetails = forecastResult.launchLocation;
+
+    it('simulates the control run and every member for each hour', () => {
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.simulations.length, 6);
+        assert.equal(forecastResult.simulations[0].getWindModelName(), 'Open-Meteo Ensemble control');
+        assert.equal(forecastResult.simulations[2].getWindModelName(), 'Open-Meteo Ensemble member 2');
+    });
+
+    it('estimates landing probabilities separately for each launch time', () => {
+        assert.deepEqual(forecastResult.landingProbabilities.map((probabilityGrid) => probabilityGrid.launchName), ['9AM', '10AM']);
+        assert.deepEqual(forecastResult.landingProbabilities.map((probabilityGrid) => probabilityGrid.landingCount), [3, 3]);
+        assert.equal(forecastResult.landingProbabilities[1].launchTime.getTime(), new Date(2024, 4, 18, 10).getTime());
+    });
+
+    it('packages the probability map and contours as a KMZ archive', async () => {
+        const kmzBlob = createLandingProbabilityBlob(launchDetails.location, null, forecastResult.landingProbabilities[1]);
+        const kmzBytes = Buffer.from(await kmzBlob.arrayBuffer());
+        assert.equal(kmzBlob.type, 'application/vnd.google-earth.kmz');
+        assert.equal(kmzBytes.toString('latin1', 0, 2), 'PK');
+        assert.equal(kmzBytes.toString('latin1', 30, 37), 'doc.kml');
+
+        // Files are stored uncompressed, so the document and image are readable within the archive
+        const archiveText = kmzBytes.toString('latin1');
+        assert.ok(archiveText.includes('<name>Landing Probability 10AM</name>'));
+        assert.ok(archiveText.includes('<href>landing_probability.png</href>'));
+        assert.ok(archiveText.includes('<name>95% of Landings</name>'));
+        assert.ok(archiveText.includes('\x89PNG'));
+    });
+});
+
+describe('KML exports of launches spanning several days', async () => {
+    const forecastResult = await runFixtureForecast({
+        window: { date: '2024-05-17', endDate: '2024-05-19', startTime: '09:00', endTime: '10:00' },
+        provider: new MeasuredWindProvider(parseWyomingSounding(readFileSync(new URL('./fixtures/wyoming_sounding.html', import.meta.url), 'utf8')))
+    });
+    const launchDetails = forecastResult.launchLocation;
+
+    it('simulates the same hours on every day', () => {
+        assert.deepEqual(forecastResult.errors, []);
+        assert.deepEqual(forecastResult.simulations.map((launchSimulation) => `${launchSimulation.getLaunchDay()} ${launchSimulation.getLaunchTime()}`), [
+            'Fri May 17 2024 9AM', 'Fri May 17 2024 10AM', 'Sat May 18 2024 9AM', 'Sat May 18 2024 10AM', 'Sun May 19 2024 9AM', 'Sun May 19 2024 10AM'
+        ]);
+    });
+
+    it('places each day within its own folder', async () => {
+        const kmlText = await (await createLandingPlotBlob(launchDetails.location, launchDetails.waiverArea, forecastResult.simulations)).text();
+        const folderNames = [...kmlText.matchAll(/<Folder>\s*<name>(.*?)<\/name>/g)].map((match) => match[1]);
+        assert.deepEqual(folderNames, ['Fri May 17 2024', 'Sat May 18 2024', 'Sun May 19 2024']);
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoLocation, getOffsetLocation } from '../geo.js';
+import { LandingProbabilityGrid } from '../landing_probability.js';
+import { assertClose } from './helpers.js';
+
+const launchLocation = new GeoLocation(34.875, -100.625);
+
+// Two clusters of landings, the larger one about half a mile northeast of the launch site
+const clusterCenter = getOffsetLocation(launchLocation, 600, 600);
+const landingLocations = [
+    ...[[-70, -70], [-100, 0], [-70, 70], [0, -100], [0, 100], [70, -70], [100, 0], [70, 70]].map(([east, north]) => getOffsetLocation(clusterCenter, east, north)),
+    ...[[-40, -30], [40, -30], [0, 50]].map(([east, north]) => getOffsetLocation(launchLocation, east - 600, north - 600))
+];
+
+/**
+ * Checks whether a location lies within an outline by counting the edges crossed heading East.
+ * @param {GeoLocation} location - Coordinates to check.
+ * @param {Array.<GeoLocation>} outline - Closed outline whose first and last coordinates are identical.
+ * @returns {boolean} True if the location is inside the outline.
+ */
+function isInsideOutline(location, outline) {
+    let isInside = false;
+    for (let index = 1; index < outline.length; ++index) {
+        const start = outline[index - 1];
+        const end = outline[index];
+        if ((start.latitude > location.latitude) != (end.latitude > location.latitude)) {
+            const crossingLongitude = start.longitude + ((location.latitude - start.latitude) / (end.latitude - start.latitude)) * (end.longitude - start.longitude);
+            if (crossingLongitude > location.longitude) {
+                isInside = !isInside;
+            }
+        }
+    }
+    return isInside;
+}
+
+describe('LandingProbabilityGrid', () => {
+    const probabilityGrid = new LandingProbabilityGrid(landingLocations, 48);
+
+    it('rejects missing landings and invalid cell counts', () => {
+        assert.throws(() => new LandingProbabilityGrid([]), TypeError);
+        assert.throws(() => new LandingProbabilityGrid(landingLocations, 0), TypeError);
+    });
+
+    it('assigns probabilities adding up to one', () => {
+        let probabilitySum = 0;
+        for (let row = 0; row < probabilityGrid.rowCount; ++row) {
+            for (let column = 0; column < probabilityGrid.columnCount; ++column) {
+                probabilitySum += probabilityGrid.getProbability(row, column);
+            }
+        }
+        assertClose(probabilitySum, 1, 1e-9);
+        assert.equal(probabilityGrid.getProbability(-1, 0), 0);
+        assert.equal(probabilityGrid.getProbability(0, probabilityGrid.columnCount), 0);
+    });
+
+    it('lowers the threshold as the percentile grows', () => {
+        const thresholds = [50, 80, 95].map((percentile) => probabilityGrid.getPercentileThreshold(percentile));
+        assert.ok(thresholds[0] > thresholds[1] && thresholds[1] > thresholds[2], `${thresholds}`);
+        assert.ok(thresholds[0] <= probabilityGrid.getMaximumProbability());
+    });
+
+    it('covers every landing within its bounds', () => {
+        const bounds = probabilityGrid.getBounds();
+        for (const landing of landingLocations) {
+            assert.ok(landing.latitude > bounds.south && landing.latitude < bounds.north);
+            assert.ok(landing.longitude > bounds.west && landing.longitude < bounds.east);
+        }
+    });
+
+    it('traces closed contours around the most likely landings', () => {
+        const contours = probabilityGrid.getPercentileContours(50);
+        assert.ok(contours.length > 0);
+        for (const contour of contours) {
+            assert.ok(contour.length > 3);
+            assert.deepEqual(contour[0], contour[contour.length - 1]);
+        }
+
+        // The most likely area surrounds the larger cluster but not the launch site between the clusters
+        assert.ok(contours.some((contour) => isInsideOutline(clusterCenter, contour)));
+        assert.ok(!contours.some((contour) => isInsideOutline(launchLocation, contour)));
+    });
+
+    it('grows the outlined area for higher percentiles', () => {
+        const countPoints = (percentile) => probabilityGrid.getPercentileContours(percentile).flat().length;
+        assert.ok(countPoints(95) > countPoints(50));
+    });
+});
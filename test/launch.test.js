@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LaunchTimeData, isValidTimeZone, getTimeZoneAbbreviation } from '../launch.js';
+
+describe('LaunchTimeData', () => {
+    it('rounds the forecast hours out to include launches between hours', () => {
+        const launchTimes = new LaunchTimeData('2024-05-18', '09:30', '11:15');
+        assert.deepEqual(launchTimes.startTime, new Date(2024, 4, 18, 9, 30));
+        assert.deepEqual(launchTimes.endTime, new Date(2024, 4, 18, 11, 15));
+        assert.equal(launchTimes.getStartTimeAsISOString(), '2024-05-18T09:00');
+        assert.equal(launchTimes.getEndTimeAsISOString(), '2024-05-18T12:00');
+        assert.throws(() => new LaunchTimeData('2024-05-18', '09:30', '09:15'), TypeError);
+        assert.throws(() => new LaunchTimeData('2024-05-18', '09:75', '10:00'), TypeError);
+    });
+
+    it('repeats the same hours on each day of a long launch', () => {
+        const launchTimes = new LaunchTimeData('2024-05-17', '09:00', '17:00', '2024-05-19');
+        assert.deepEqual(launchTimes.dailyWindows.map((dailyWindow) => dailyWindow.startTime), [new Date(2024, 4, 17, 9), new Date(2024, 4, 18, 9), new Date(2024, 4, 19, 9)]);
+        assert.deepEqual(launchTimes.endTime, new Date(2024, 4, 19, 17));
+        assert.equal(launchTimes.getEndTimeAsISOString(), '2024-05-19T17:00');
+        assert.equal(launchTimes.endHourOffset - launchTimes.startHourOffset, 56);
+        assert.throws(() => new LaunchTimeData('2024-05-17', '09:00', '17:00', '2024-05-16'), TypeError);
+    });
+
+    it('only needs the forecasts surrounding each day\'s launches', () => {
+        const launchTimes = new LaunchTimeData('2024-05-17', '09:30', '17:00', '2024-05-18');
+        assert.ok(launchTimes.isForecastHourNeeded(0));
+        assert.ok(launchTimes.isForecastHourNeeded(8));
+        assert.ok(!launchTimes.isForecastHourNeeded(9));
+        assert.ok(!launchTimes.isForecastHourNeeded(23));
+        assert.ok(launchTimes.isForecastHourNeeded(24));
+    });
+
+    it('reads launch times from the launch site\'s clock', () => {
+        const chicagoTimes = new LaunchTimeData('2024-05-18', '09:00', '14:00', '2024-05-18', 'America/Chicago');
+        assert.equal(chicagoTimes.timeZone, 'America/Chicago');
+        assert.equal(chicagoTimes.getStartTimeAsISOString(), '2024-05-18T09:00');
+        assert.equal(chicagoTimes.getUTCStartTimeAsISOString(), '2024-05-18T14:00');
+        assert.equal(chicagoTimes.getUTCEndTimeAsISOString(), '2024-05-18T19:00');
+
+        // Nine o'clock arrives three hours later in Los Angeles than in New York
+        const newYorkTimes = new LaunchTimeData('2024-05-18', '09:00', '10:00', '2024-05-18', 'America/New_York');
+        const losAngelesTimes = new LaunchTimeData('2024-05-18', '09:00', '10:00', '2024-05-18', 'America/Los_Angeles');
+        assert.equal(losAngelesTimes.startHourOffset - newYorkTimes.startHourOffset, 3);
+        assert.throws(() => new LaunchTimeData('2024-05-18', '09:00', '10:00', '2024-05-18', 'America/Hedley'), TypeError);
+    });
+
+    it('follows daylight saving time at the launch site', () => {
+        const launchTimes = new LaunchTimeData('2024-03-09', '09:00', '10:00', '2024-03-10', 'America/Denver');
+        assert.equal(launchTimes.getUTCStartTimeAsISOString(), '2024-03-09T16:00');
+        assert.equal(launchTimes.getUTCEndTimeAsISOString(), '2024-03-10T16:00');
+        assert.equal(getTimeZoneAbbreviation('America/Denver', new Date(Date.UTC(2024, 2, 9, 16))), 'MST');
+        assert.equal(getTimeZoneAbbreviation('America/Denver', new Date(Date.UTC(2024, 2, 10, 16))), 'MDT');
+    });
+
+    it('counts forecast hours on the launch site\'s clock when this computer changes to daylight saving time', () => {
+        const originalTimeZone = process.env.TZ;
+        process.env.TZ = 'America/New_York';
+        try {
+            const launchTimes = new LaunchTimeData('2024-03-09', '09:00', '10:00', '2024-03-11', 'Asia/Tokyo');
+            assert.deepEqual(launchTimes.dailyWindows.map((dailyWindow) => launchTimes.getForecastHours(dailyWindow.startTime)), [0, 24, 48]);
+            assert.ok(launchTimes.isForecastHourNeeded(49));
+            assert.ok(!launchTimes.isForecastHourNeeded(47));
+        } finally {
+            if (undefined == originalTimeZone) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = originalTimeZone;
+            }
+        }
+    });
+});
+
+describe('isValidTimeZone', () => {
+    it('accepts only timezone names', () => {
+        assert.ok(isValidTimeZone('America/Chicago'));
+        assert.ok(isValidTimeZone('UTC'));
+        assert.ok(!isValidTimeZone('America/Hedley'));
+        assert.ok(!isValidTimeZone(''));
+        assert.ok(!isValidTimeZone(null));
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LaunchRuleSet, LaunchDecision } from '../launch_rules.js';
+import { runFixtureForecast } from './helpers.js';
+
+/**
+ * Runs the fixture forecast at a launch site holding the provided waiver, rules, and hazards.
+ * @param {Object} waiver - Waiver of the launch site, or undefined for none.
+ * @param {Object} rules - Go/no-go rules of the launch site, or undefined for the defaults.
+ * @param {Array.<Object>} hazards - Hazards of the launch site, or undefined for none.
+ * @returns {Promise<DriftForecastResult>} The forecast's simulations.
+ */
+function forecastWithRules(waiver, rules, hazards) {
+    return runFixtureForecast({ site: { waiver: waiver, rules: rules, hazards: hazards } });
+}
+
+describe('LaunchRuleSet', () => {
+    it('holds launches to NFPA 1127 and the waiver by default', () => {
+        const ruleSet = new LaunchRuleSet();
+        assert.equal(ruleSet.maxSurfaceWind, 20);
+        assert.equal(ruleSet.maxLandingDistance, 0);
+        assert.ok(ruleSet.requireInsideWaiver);
+        assert.ok(ruleSet.requireBelowCeiling);
+        assert.throws(() => ruleSet.setMaxSurfaceWind(-1), TypeError);
+        assert.throws(() => ruleSet.setHazardBuffer(-1), TypeError);
+    });
+
+    it('is a go only without reasons', () => {
+        assert.equal(new LaunchDecision().getStatusText(), 'GO');
+        assert.equal(new LaunchDecision(['Surface wind 25 MPH exceeds 20 MPH']).getStatusText(), 'NO-GO');
+    });
+});
+
+describe('evaluateLaunchRules', () => {
+    it('decides every simulation with the default rules', async () => {
+        const forecastResult = await forecastWithRules(undefined, undefined);
+        assert.deepEqual(forecastResult.errors, []);
+        for (const launchSimulation of forecastResult.simulations) {
+            assert.equal(launchSimulation.launchDecision.isGo, Math.round(launchSimulation.groundWindSpeed) <= 20);
+        }
+    });
+
+    it('lists every rule a launch breaks', async () => {
+        const nominalResult = await forecastWithRules(undefined, undefined);
+        const landingLocation = nominalResult.simulations[0].getLandingLocation();
+        const forecastResult = await forecastWithRules({ radius: 3, ceiling: 7000 }, { maxSurfaceWind: 0, maxLandingDistance: 1 }, [
+            { name: 'Stock Pond', coordinates: [{ latitude: landingLocation.latitude + 0.0005, longitude: landingLocation.longitude }], buffer: 400 }
+        ]);
+
+        const reasons = forecastResult.simulations[0].launchDecision.reasons;
+        assert.equal(reasons.length, 4);
+        assert.match(reasons[0], /^Surface wind \d+ MPH exceeds 0 MPH$/);
+        assert.match(reasons[1], /^Lands \d+ ft from the pad, beyond 1 ft$/);
+        assert.match(reasons[2], /above the 7000 ft MSL ceiling$/);
+        assert.equal(reasons[3], 'Lands 182 ft from Stock Pond, within the 400 ft buffer');
+    });
+
+    it('ignores the waiver when its rules are turned off', async () => {
+        const forecastResult = await forecastWithRules({ radius: 0.1, ceiling: 3000 }, { maxSurfaceWind: 100, requireInsideWaiver: false, requireBelowCeiling: false });
+        assert.ok(forecastResult.simulations.every((launchSimulation) => !launchSimulation.waiverContainment.passed));
+        assert.ok(forecastResult.simulations.every((launchSimulation) => launchSimulation.launchDecision.isGo));
+    });
+
+    it('reports invalid rules with their request paths', async () => {
+        const windResult = await forecastWithRules(undefined, { maxSurfaceWind: -5 });
+        assert.equal(windResult.errors[0].field, 'site.rules.maxSurfaceWind');
+
+        const bufferResult = await forecastWithRules(undefined, undefined, [{ name: 'Pond', coordinates: [{ latitude: 34.87, longitude: -100.62 }], buffer: -1 }]);
+        assert.equal(bufferResult.errors[0].field, 'site.hazards.0.buffer');
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseEngFile, parseRseFile, parseMotorFile } from '../motor_parser.js';
+import { assertClose } from './helpers.js';
+
+/**
+ * Reads a motor file from the fixtures directory.
+ * @param {string} fileName - Name of the file within test/fixtures.
+ * @returns {string} Contents of the file.
+ */
+function readMotorFixture(fileName) {
+    return readFileSync(new URL(`./fixtures/${fileName}`, import.meta.url), 'utf8');
+}
+
+describe('parseEngFile', () => {
+    it('reads every motor and its thrust curve', () => {
+        const motorList = parseEngFile(readMotorFixture('rasp_motors.eng'));
+        assert.deepEqual(motorList.map((motor) => motor.name), ['H128W', 'I284W']);
+
+        const motor = motorList[0];
+        assert.equal(motor.manufacturer, 'AT');
+        assert.equal(motor.diameter, 29);
+        assert.equal(motor.length, 194);
+        assert.equal(motor.propellantMass, 0.0941);
+        assert.equal(motor.totalMass, 0.2058);
+        assert.equal(motor.burnTime, 1.5);
+        assertClose(motor.totalImpulse, 179.18, 1e-9);
+
+        // The curve begins with zero thrust at ignition
+        assert.equal(motor.thrustCurve.length, 6);
+        assert.equal(motor.thrustCurve[0].time, 0);
+        assert.equal(motor.thrustCurve[0].thrust, 0);
+        assert.equal(motor.thrustCurve[1].thrust, 148);
+    });
+
+    it('reads Windows line endings', () => {
+        const motorList = parseEngFile(readMotorFixture('rasp_motors.eng').replace(/\n/g, '\r\n'));
+        assert.equal(motorList.length, 2);
+        assert.equal(motorList[1].burnTime, 1.4);
+    });
+
+    it('reports the line of malformed motors', () => {
+        assert.throws(() => parseEngFile('; Only comments\n\n'), { message: 'No motors were found in the RASP file.' });
+        assert.throws(() => parseEngFile('H128W 29 194 14\n0.5 142.0\n'), { message: 'Line 1: Motor header requires 7 fields, but found 4.' });
+        assert.throws(() => parseEngFile('H128W 29 194 14 0.0941 0.2058 AT\n0.5 142.0 3\n'), { message: 'Line 2: Thrust data requires a time and thrust, but found 3 values.' });
+        assert.throws(() => parseEngFile('H128W 29 194 14 0.0941 0.2058 AT\n0.5 -\n'), { message: 'Line 2: Invalid thrust "-".' });
+        assert.throws(() => parseEngFile('H128W 29 194 14 0.0941 0.2058 AT\n0.5 142.0\n0.5 128.0\n'), { message: 'Line 3: Thrust curve times must be ascending, but 0.5 follows 0.5.' });
+        assert.throws(() => parseEngFile('H128W 29 194 14 0.0941 0.2058 AT\nI284W 38 250 P 0.1879 0.3587 AT\n1.0 290.0\n'), { message: 'Line 1: Motor H128W has no thrust data.' });
+        assert.throws(() => parseEngFile('H128W 29 194 14 0.2058 0.0941 AT\n0.5 142.0\n'), { message: 'Line 1: Invalid total motor mass: 0.0941' });
+    });
+});
+
+describe('parseRseFile', () => {
+    it('matches the motor read from the RASP file', () => {
+        const motorList = parseRseFile(readMotorFixture('rocksim_motors.rse'));
+        const raspMotor = parseEngFile(readMotorFixture('rasp_motors.eng'))[0];
+        assert.equal(motorList.length, 1);
+
+        // Masses are given in grams
+        const motor = motorList[0];
+        assert.equal(motor.name, 'H128W');
+        assert.equal(motor.manufacturer, 'Aerotech');
+        assert.equal(motor.diameter, 29);
+        assert.equal(motor.length, 194);
+        assertClose(motor.propellantMass, raspMotor.propellantMass, 1e-9);
+        assertClose(motor.totalMass, raspMotor.totalMass, 1e-9);
+        assert.deepEqual(motor.thrustCurve.map((thrustSample) => [thrustSample.time, thrustSample.thrust]),
+                         raspMotor.thrustCurve.map((thrustSample) => [thrustSample.time, thrustSample.thrust]));
+    });
+
+    it('reports the line of malformed engines', () => {
+        const fileText = readMotorFixture('rocksim_motors.rse');
+        assert.throws(() => parseRseFile('<engine-database><engine-list></engine-list></engine-database>'), { message: 'No motors were found in the RockSim file.' });
+        assert.throws(() => parseRseFile(fileText.replace('code="H128W" ', '')), { message: 'Line 3: Engine is missing its code attribute.' });
+        assert.throws(() => parseRseFile(fileText.replace('dia="29."', 'dia=""')), { message: 'Line 3: Invalid diameter "".' });
+        assert.throws(() => parseRseFile(fileText.replace('t="1.00"', 't="0.40"')), { message: 'Line 8: Thrust curve times must be ascending, but 0.4 follows 0.5.' });
+        assert.throws(() => parseRseFile(fileText.replace(/<eng-data [^>]*>/g, '')), { message: 'Line 3: Motor H128W has no thrust data.' });
+    });
+});
+
+describe('parseMotorFile', () => {
+    it('selects the parser from the file extension', () => {
+        assert.equal(parseMotorFile('Motors.ENG', readMotorFixture('rasp_motors.eng')).length, 2);
+        assert.equal(parseMotorFile('motors.rse', readMotorFixture('rocksim_motors.rse')).length, 1);
+        assert.throws(() => parseMotorFile('motors.txt', ''), { message: 'Unsupported motor file type: motors.txt' });
+    });
+});
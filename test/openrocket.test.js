@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { readOpenRocketXml, parseOpenRocketFile } from '../openrocket.js';
+
+/**
+ * Reads an OpenRocket design from the fixtures directory.
+ * @param {string} fileName - Name of the file within test/fixtures.
+ * @returns {Uint8Array} Contents of the file.
+ */
+function readDesignFixture(fileName) {
+    return new Uint8Array(readFileSync(new URL(`./fixtures/${fileName}`, import.meta.url)));
+}
+
+/**
+ * Finds the next zip central directory header within an archive.
+ * @param {Uint8Array} fileBytes - Contents of the zip archive.
+ * @param {number} startOffset - Offset to begin searching from.
+ * @returns {number} Offset of the header's signature.
+ */
+function getCentralHeaderOffset(fileBytes, startOffset = 0) {
+    return Buffer.from(fileBytes).indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), startOffset);
+}
+
+describe('readOpenRocketXml', async () => {
+    const xmlText = await readOpenRocketXml(readDesignFixture('openrocket_stored.ork'));
+
+    it('reads the rocket stored within a zip archive', () => {
+        assert.ok(xmlText.startsWith('<?xml'));
+        assert.match(xmlText, /<name>Fixture Rocket<\/name>/);
+        assert.match(xmlText, /<\/openrocket>\s*$/);
+    });
+
+    it('selects the deflated rocket over other entries', async () => {
+        assert.equal(await readOpenRocketXml(readDesignFixture('openrocket_deflated.ork')), xmlText);
+    });
+
+    it('reads gzip compressed and plain XML designs', async () => {
+        assert.equal(await readOpenRocketXml(gzipSync(xmlText)), xmlText);
+        assert.equal(await readOpenRocketXml(new TextEncoder().encode(xmlText)), xmlText);
+    });
+});
+
+describe('parseOpenRocketFile', () => {
+    it('rejects malformed zip archives', async () => {
+        const truncatedBytes = readDesignFixture('openrocket_stored.ork').subarray(0, 200);
+        await assert.rejects(parseOpenRocketFile(truncatedBytes), { message: 'The OpenRocket file is not a valid zip archive.' });
+
+        const emptyBytes = new Uint8Array(22);
+        emptyBytes.set([0x50, 0x4b, 0x05, 0x06]);
+        await assert.rejects(parseOpenRocketFile(emptyBytes), { message: 'The OpenRocket file does not contain a rocket.' });
+
+        const corruptBytes = readDesignFixture('openrocket_stored.ork');
+        corruptBytes[getCentralHeaderOffset(corruptBytes)] = 0;
+        await assert.rejects(parseOpenRocketFile(corruptBytes), { message: 'The OpenRocket file contains a corrupt zip directory.' });
+    });
+
+    it('rejects entries that are neither stored nor deflated', async () => {
+        const fileBytes = readDesignFixture('openrocket_deflated.ork');
+        const headerOffset = getCentralHeaderOffset(fileBytes);
+
+        // Mark the first entry as bzip2 compressed, which is never selected over the rocket
+        fileBytes[headerOffset + 10] = 12;
+        assert.equal(await readOpenRocketXml(fileBytes), await readOpenRocketXml(readDesignFixture('openrocket_stored.ork')));
+
+        const rocketOffset = getCentralHeaderOffset(fileBytes, headerOffset + 4);
+        fileBytes[rocketOffset + 10] = 12;
+        await assert.rejects(parseOpenRocketFile(fileBytes), { message: 'Unsupported zip compression method: 12' });
+    });
+});
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeoLocation, metersToFeet, distanceBetweenLocations, bearingBetweenLocations } from '../geo.js';
+import { WindAtAltitude, WindForecastData, WeathercockWindData } from '../wind.js';
+import { WeathercockExtrapolation, RocketWeathercocking } from '../rocket.js';
+import { parseEngFile } from '../motor_parser.js';
+import { runFixtureForecast, assertClose } from './helpers.js';
+
+const launchLocation = new GeoLocation(34.875, -100.625);
+
+const weathercockData = [
+    new WeathercockWindData(5, 100, 4900),
+    new WeathercockWindData(10, 300, 4700),
+    new WeathercockWindData(20, 900, 4100)
+];
+
+/**
+ * Creates a forecast whose ground wind blows at the requested speed.
+ * @param {number} speedMPH - Ground wind speed (MPH).
+ * @param {number} direction - Direction (degrees from North) the wind blows from.
+ * @returns {WindForecastData} Forecast with a single ground level wind.
+ */
+function getGroundWind(speedMPH, direction) {
+    const speedKnots = speedMPH / 1.15078;
+    const windForecast = new WindForecastData();
+    windForecast.loadOpenMeteoData(741, speedKnots, direction, [new WindAtAltitude(0, speedKnots, direction)]);
+    return windForecast;
+}
+
+/**
+ * Measures how far upwind a weathercocked apogee landed from the launch location.
+ * @param {LaunchPathPoint} apogeePoint - Rocket's location and altitude at apogee.
+ * @returns {number} Distance (feet) from the launch location.
+ */
+function getUpwindDistance(apogeePoint) {
+    return metersToFeet(distanceBetweenLocations(launchLocation, apogeePoint.location));
+}
+
+describe('RocketWeathercocking.weathercockAdjustment', () => {
+    it('interpolates between the surrounding wind speeds', () => {
+        const rocket = new RocketWeathercocking(5000, weathercockData);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(15, 200));
+
+        assertClose(apogeePoint.altitude, 4400, 1e-6);
+        assertClose(getUpwindDistance(apogeePoint), 600, 0.01);
+
+        // Weathercocking moves the rocket into the wind
+        assertClose(bearingBetweenLocations(launchLocation, apogeePoint.location), 200, 0.01);
+    });
+
+    it('uses the first entry for slower winds', () => {
+        const rocket = new RocketWeathercocking(5000, weathercockData);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(2, 90));
+
+        assert.equal(apogeePoint.altitude, 4900);
+        assertClose(getUpwindDistance(apogeePoint), 100, 0.01);
+    });
+
+    it('holds the last entry for faster winds by default', () => {
+        const rocket = new RocketWeathercocking(5000, weathercockData);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(30, 270));
+
+        assert.equal(rocket.extrapolation, WeathercockExtrapolation.CLAMP);
+        assert.equal(apogeePoint.altitude, 4100);
+        assertClose(getUpwindDistance(apogeePoint), 900, 0.01);
+    });
+
+    it('uses a wind measured at the pad once blended into the forecast', () => {
+        const rocket = new RocketWeathercocking(5000, weathercockData);
+        const measuredWind = new WindAtAltitude(0, 15 / 1.15078, 200);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(2, 90).getBlendedCopy(measuredWind, 300));
+
+        assertClose(apogeePoint.altitude, 4400, 1e-6);
+        assertClose(bearingBetweenLocations(launchLocation, apogeePoint.location), 200, 0.01);
+    });
+
+    it('extends the last trend for faster winds when requested', () => {
+        const rocket = new RocketWeathercocking(5000, weathercockData, WeathercockExtrapolation.LINEAR);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(30, 270));
+
+        assertClose(apogeePoint.altitude, 3500, 1e-6);
+        assertClose(getUpwindDistance(apogeePoint), 1500, 0.01);
+    });
+
+    it('stays at the launch location without any data', () => {
+        const rocket = new RocketWeathercocking(5000, []);
+        const apogeePoint = rocket.weathercockAdjustment(launchLocation, getGroundWind(15, 200));
+
+        assert.equal(apogeePoint.altitude, 5000);
+        assert.equal(apogeePoint.location.latitude, launchLocation.latitude);
+        assert.equal(apogeePoint.location.longitude, launchLocation.longitude);
+    });
+
+    it('rejects wind speeds that do not increase', () => {
+        assert.throws(() => new RocketWeathercocking(5000, [weathercockData[1], weathercockData[0]]), TypeError);
+        assert.throws(() => new RocketWeathercocking(5000, weathercockData, 7), TypeError);
+    });
+
+    it('warns once when the forecast winds are beyond the table', async () => {
+        const forecastResult = await runFixtureForecast({
+            rocket: { weathercock: { data: [{ windSpeed: 1, upwindDistance: 50, apogee: 4950 }] } },
+            window: { date: '2024-05-18', startTime: '09:00', endTime: '14:00' }
+        });
+
+        assert.equal(forecastResult.simulations.length, 6);
+        assert.equal(forecastResult.warnings.length, 1);
+        assert.equal(forecastResult.warnings[0].field, 'rocket.weathercock.data');
+        assert.match(forecastResult.warnings[0].message, /^Clamping weathercocking for winds up to [\d.]+ MPH to the fastest entry of 1 MPH\.$/);
+    });
+});
+
+describe('RocketThrustCurve', () => {
+    const motor = parseEngFile(readFileSync(new URL('./fixtures/rasp_motors.eng', import.meta.url), 'utf8'))[1];
+    const ascent = { mass: 3, diameter: 2.6, dragCoefficient: 0.5, railLength: 8, railAngle: 0, railBearing: 0 };
+    const getApogeeIndexes = (forecastResult) => forecastResult.simulations.map((launchSimulation) => {
+        const altitudes = launchSimulation.launchPath.map((pathPoint) => pathPoint.altitude);
+        return altitudes.indexOf(Math.max(...altitudes));
+    });
+
+    it('feeds the integrated ascent into the drift forecast', async () => {
+        const forecastResult = await runFixtureForecast({ rocket: { motor: motor, ascent: ascent } });
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.simulations.length, 2);
+
+        const apogeeIndexes = getApogeeIndexes(forecastResult);
+        forecastResult.simulations.forEach((launchSimulation, index) => {
+            const ascentPath = launchSimulation.launchPath.slice(0, apogeeIndexes[index] + 1);
+            assert.ok(ascentPath.length > 2);
+            assert.ok(ascentPath.every((pathPoint, pointIndex) => 0 == pointIndex || pathPoint.altitude > ascentPath[pointIndex - 1].altitude));
+
+            // The motor's thrust determines the apogee instead of the rocket's estimate
+            assert.notEqual(ascentPath[ascentPath.length - 1].altitude, 5000);
+            assert.equal(launchSimulation.launchPath[launchSimulation.launchPath.length - 1].altitude, 0);
+        });
+
+        const heavierResult = await runFixtureForecast({ rocket: { motor: motor, ascent: { ...ascent, mass: 6 } } });
+        const heavierIndexes = getApogeeIndexes(heavierResult);
+        heavierResult.simulations.forEach((launchSimulation, index) => {
+            const apogee = forecastResult.simulations[index].launchPath[apogeeIndexes[index]].altitude;
+            assert.ok(launchSimulation.launchPath[heavierIndexes[index]].altitude < apogee);
+        });
+    });
+
+    it('reports invalid rocket properties', async () => {
+        const forecastResult = await runFixtureForecast({ rocket: { motor: motor, ascent: { ...ascent, railLength: -8 } } });
+        assert.equal(forecastResult.simulations.length, 0);
+        assert.equal(forecastResult.errors[0].field, 'rocket.ascent.railLength');
+    });
+});
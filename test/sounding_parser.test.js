@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { metersToFeet } from '../geo.js';
+import { parseWyomingSounding, parseRaobCsv, parseSoundingFile } from '../sounding_parser.js';
+import { WindAtAltitude, WindForecastData } from '../wind.js';
+import { MeasuredWindProvider } from '../wind_providers.js';
+import { runFixtureForecast, assertClose } from './helpers.js';
+
+/**
+ * Reads a recorded sounding from the fixtures directory.
+ * @param {string} fileName - Name of the file within test/fixtures.
+ * @returns {string} Contents of the file.
+ */
+function readSoundingFixture(fileName) {
+    return readFileSync(new URL(`./fixtures/${fileName}`, import.meta.url), 'utf8');
+}
+
+describe('parseWyomingSounding', () => {
+    const pageText = readSoundingFixture('wyoming_sounding.html');
+
+    it('reads winds above the station from the saved page', () => {
+        const windForecast = parseWyomingSounding(pageText);
+        assert.equal(windForecast.model, '72363 AMA Amarillo Observations at 12Z 18 May 2024');
+        assert.equal(windForecast.groundElevation, 1095);
+        assert.equal(windForecast.windData.length, 12);
+        assert.equal(windForecast.groundWindSpeed, 14);
+        assert.equal(windForecast.groundWindDirection, 170);
+        assertClose(windForecast.windData[2].altitude, metersToFeet(1481 - 1095), 1e-9);
+        assert.equal(windForecast.windData[10].windSpeed, 62);
+
+        // The highest reading is repeated above apogee
+        assert.equal(windForecast.windData[11].altitude, 100000);
+        assert.equal(windForecast.windData[11].windSpeed, 62);
+    });
+
+    it('reads winds copied from the page without the station details', () => {
+        const copiedText = pageText.substring(pageText.indexOf('<PRE>') + 5, pageText.indexOf('</PRE>'));
+        const windForecast = parseWyomingSounding(copiedText);
+        assert.equal(windForecast.model, 'University of Wyoming Sounding');
+        assert.equal(windForecast.groundElevation, 1095);
+        assert.equal(windForecast.windData.length, 12);
+    });
+
+    it('reports the line of an invalid value', () => {
+        const badText = pageText.replace('   170     14', '   170     ??');
+        assert.throws(() => parseWyomingSounding(badText), /^TypeError: Line 12: Invalid wind speed "\?\?"/);
+        assert.throws(() => parseWyomingSounding('No sounding here'), TypeError);
+    });
+});
+
+describe('parseRaobCsv', () => {
+    it('converts speeds into knots and heights above ground', () => {
+        const windForecast = parseRaobCsv(readSoundingFixture('raob_sounding.csv'));
+        const wyomingForecast = parseWyomingSounding(readSoundingFixture('wyoming_sounding.html'));
+
+        assert.equal(windForecast.model, '72363 AMA Amarillo 12Z 18 May 2024');
+        assertClose(windForecast.groundElevation, 1095, 0.2);
+        assert.equal(windForecast.windData.length, wyomingForecast.windData.length);
+        for (let index = 0; index < windForecast.windData.length; ++index) {
+            assertClose(windForecast.windData[index].altitude, wyomingForecast.windData[index].altitude, 0.01, `Level ${index} altitude`);
+            assertClose(windForecast.windData[index].windSpeed, wyomingForecast.windData[index].windSpeed, 0.1, `Level ${index} speed`);
+            assert.equal(windForecast.windData[index].windDirection, wyomingForecast.windData[index].windDirection);
+        }
+    });
+
+    it('skips missing winds and requires the wind columns', () => {
+        const csvText = 'RAOB/CSV,Test\nELEV,1000,M\nRAOB/DATA\nPRES,WIND,SPEED,GPM\n900,-999,10,1000\n850,200,12,1500\n';
+        const windForecast = parseRaobCsv(csvText);
+        assert.deepEqual(windForecast.windData.map((wind) => wind.windDirection), [200, 200, 200]);
+        assert.throws(() => parseRaobCsv('RAOB/DATA\nPRES,TEMP\n900,10\n'), /requires GPM, WIND, and SPEED columns/);
+        assert.throws(() => parseRaobCsv('WIND,furlongs\nRAOB/DATA\n'), /Unsupported wind speed unit/);
+    });
+});
+
+describe('parseSoundingFile', () => {
+    it('selects the parser from the file extension', () => {
+        assert.equal(parseSoundingFile('AMA.CSV', readSoundingFixture('raob_sounding.csv')).windData.length, 12);
+        assert.equal(parseSoundingFile('ama.txt', readSoundingFixture('wyoming_sounding.html')).windData.length, 12);
+        assert.throws(() => parseSoundingFile('ama.json', '{}'), /Unsupported sounding file type/);
+    });
+});
+
+describe('MeasuredWindProvider', () => {
+    it('uses the measured winds for every hour of the launch', async () => {
+        const forecastResult = await runFixtureForecast({
+            window: { date: '2024-05-18', startTime: '09:00', endTime: '11:00' },
+            provider: new MeasuredWindProvider(parseWyomingSounding(readSoundingFixture('wyoming_sounding.html')))
+        });
+
+        assert.deepEqual(forecastResult.errors, []);
+        assert.equal(forecastResult.simulations.length, 3);
+        for (const launchSimulation of forecastResult.simulations) {
+            assert.equal(launchSimulation.getWindModelName(), '72363 AMA Amarillo Observations at 12Z 18 May 2024');
+            assert.deepEqual(launchSimulation.getLandingLocation(), forecastResult.simulations[0].getLandingLocation());
+        }
+    });
+
+    it('carries the highest pilot balloon reading up to apogee', async () => {
+        const windForecast = new WindForecastData();
+        windForecast.loadMeasuredData(741, [new WindAtAltitude(0, 8, 200), new WindAtAltitude(2000, 15, 240)], 'Pilot Balloon');
+        const forecastResult = await runFixtureForecast({
+            window: { date: '2024-05-18', startTime: '09:00', endTime: '09:00' },
+            provider: new MeasuredWindProvider(windForecast)
+        });
+
+        assert.deepEqual(forecastResult.warnings, []);
+        assert.equal(forecastResult.simulations.length, 1);
+        assert.notEqual(forecastResult.simulations[0].getLandingLocation(), null);
+    });
+
+    it('rejects forecasts without winds', () => {
+        assert.throws(() => new MeasuredWindProvider(null), TypeError);
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GeoLocation } from '../geo.js';
+import { LaunchSimulationData } from '../launch.js';
+import { WaiverArea, checkWaiverContainment } from '../waiver.js';
+import { parseWaiverKml, parseWaiverGeoJson, parseWaiverFile } from '../waiver_parser.js';
+import { createLandingPlotBlob } from '../kml.js';
+import { createGeoJsonBlob } from '../drift_export.js';
+import { runFixtureForecast, assertClose } from './helpers.js';
+
+const launchLocation = new GeoLocation(34.875, -100.625);
+
+// An L shaped boundary whose notch holds the launch site
+const boundaryCorners = [[-100.66, 34.85], [-100.60, 34.85], [-100.60, 34.87], [-100.63, 34.87], [-100.63, 34.90], [-100.66, 34.90]];
+const boundaryGeoJson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[...boundaryCorners, boundaryCorners[0]]] } }]
+});
+
+describe('WaiverArea', () => {
+    it('covers the circle around its center', () => {
+        const waiverArea = new WaiverArea();
+        waiverArea.setCircle(launchLocation, 1);
+        assert.ok(waiverArea.isCircle);
+        assert.equal(waiverArea.outlines[0].length, 37);
+        assert.ok(waiverArea.contains(new GeoLocation(34.89, -100.625)));
+        assert.ok(!waiverArea.contains(new GeoLocation(34.895, -100.625)));
+        assert.throws(() => waiverArea.setCircle(launchLocation, 0), TypeError);
+    });
+
+    it('closes each polygon and checks inside its notches', () => {
+        const waiverArea = new WaiverArea();
+        waiverArea.setPolygons([boundaryCorners.map(([longitude, latitude]) => new GeoLocation(latitude, longitude))]);
+        assert.ok(!waiverArea.isCircle);
+        assert.equal(waiverArea.radius, -1);
+        assert.deepEqual(waiverArea.outlines[0][6], waiverArea.outlines[0][0]);
+        assert.ok(waiverArea.contains(new GeoLocation(34.88, -100.65)));
+        assert.ok(waiverArea.contains(new GeoLocation(34.86, -100.61)));
+        assert.ok(!waiverArea.contains(launchLocation));
+        assert.throws(() => waiverArea.setPolygons([[launchLocation, new GeoLocation(34.9, -100.6)]]), TypeError);
+    });
+
+    it('measures the distance to the nearest edge', () => {
+        const circleArea = new WaiverArea();
+        circleArea.setCircle(launchLocation, 1);
+        assertClose(circleArea.getBoundaryDistance(launchLocation), 1852, 1e-6);
+        assert.ok(circleArea.getBoundaryDistance(new GeoLocation(34.895, -100.625)) < 0);
+
+        const polygonArea = new WaiverArea();
+        polygonArea.setPolygons([boundaryCorners.map(([longitude, latitude]) => new GeoLocation(latitude, longitude))]);
+        assertClose(polygonArea.getBoundaryDistance(new GeoLocation(34.88, -100.65)), 912, 2);
+        assertClose(polygonArea.getBoundaryDistance(launchLocation), -456, 2);
+        assert.throws(() => polygonArea.setCeiling(-1), TypeError);
+    });
+});
+
+describe('checkWaiverContainment', async () => {
+    const forecastRequest = (waiver) => runFixtureForecast({ site: { waiver: waiver } });
+
+    it('passes flights within the waiver and below its ceiling', async () => {
+        const forecastResult = await forecastRequest({ radius: 3, ceiling: 10000 });
+        assert.deepEqual(forecastResult.errors, []);
+        for (const launchSimulation of forecastResult.simulations) {
+            const waiverContainment = launchSimulation.waiverContainment;
+            assert.ok(waiverContainment.passed);
+            assert.equal(waiverContainment.highestAltitude, 2431 + Math.max(...launchSimulation.launchPath.map((pathPoint) => pathPoint.altitude)));
+            assert.ok(waiverContainment.boundaryDistance <= waiverContainment.landingDistance);
+        }
+    });
+
+    it('fails flights above the ceiling or outside the boundary', async () => {
+        const ceilingResult = await forecastRequest({ radius: 3, ceiling: 7000 });
+        assert.ok(ceilingResult.simulations.every((launchSimulation) => launchSimulation.waiverContainment.isInside));
+        assert.ok(ceilingResult.simulations.every((launchSimulation) => !launchSimulation.waiverContainment.isBelowCeiling));
+
+        const outlines = [boundaryCorners.map(([longitude, latitude]) => ({ latitude: latitude, longitude: longitude }))];
+        const boundaryResult = await forecastRequest({ outlines: outlines });
+        assert.ok(boundaryResult.simulations.every((launchSimulation) => !launchSimulation.waiverContainment.passed));
+        assert.ok(boundaryResult.simulations.every((launchSimulation) => launchSimulation.waiverContainment.isBelowCeiling));
+    });
+
+    it('fails flights that cut across a notch between path points', () => {
+        const waiverArea = new WaiverArea();
+        waiverArea.setPolygons([boundaryCorners.map(([longitude, latitude]) => new GeoLocation(latitude, longitude))]);
+        const launchSimulation = new LaunchSimulationData(2431, 9, 5, 180, 'Fixture');
+        launchSimulation.addLaunchPathPoint(5000, new GeoLocation(34.89, -100.64));
+        launchSimulation.addLaunchPathPoint(0, new GeoLocation(34.86, -100.605));
+        assert.ok(waiverArea.contains(new GeoLocation(34.89, -100.64)));
+        assert.ok(waiverArea.contains(new GeoLocation(34.86, -100.605)));
+
+        const waiverContainment = checkWaiverContainment(launchSimulation, waiverArea);
+        assert.ok(!waiverContainment.isInside);
+        assert.ok(waiverContainment.landingDistance > 0);
+        assert.equal(waiverArea.getSegmentBoundaryDistance(new GeoLocation(34.89, -100.64), new GeoLocation(34.86, -100.64)), Infinity);
+    });
+
+    it('skips flights without a waiver and rejects invalid ceilings', async () => {
+        const forecastResult = await forecastRequest(undefined);
+        assert.equal(forecastResult.simulations[0].waiverContainment, null);
+        assert.equal(checkWaiverContainment(forecastResult.simulations[0], null), null);
+
+        const invalidResult = await forecastRequest({ radius: 3, ceiling: -500 });
+        assert.equal(invalidResult.errors[0].field, 'site.waiver');
+    });
+});
+
+describe('parseWaiverKml', () => {
+    it('reads the outer boundary of each polygon', () => {
+        const waiverArea = parseWaiverKml(readFileSync(new URL('./fixtures/waiver_boundary.kml', import.meta.url), 'utf8'));
+        assert.equal(waiverArea.outlines.length, 1);
+        assert.equal(waiverArea.outlines[0].length, 7);
+        assert.deepEqual(waiverArea.outlines[0][4], new GeoLocation(34.90, -100.63));
+        assert.ok(waiverArea.contains(new GeoLocation(34.865, -100.645)));
+        assert.throws(() => parseWaiverKml('<kml><Point><coordinates>-100,34</coordinates></Point></kml>'), /No polygons/);
+    });
+});
+
+describe('parseWaiverGeoJson', () => {
+    it('matches the boundary read from KML', () => {
+        const kmlArea = parseWaiverKml(readFileSync(new URL('./fixtures/waiver_boundary.kml', import.meta.url), 'utf8'));
+        assert.deepEqual(parseWaiverGeoJson(boundaryGeoJson).outlines, kmlArea.outlines);
+    });
+
+    it('reads every polygon of a MultiPolygon', () => {
+        const square = (west) => [[[west, 34.8], [west + 0.01, 34.8], [west + 0.01, 34.81], [west, 34.81], [west, 34.8]]];
+        const waiverArea = parseWaiverGeoJson(JSON.stringify({ type: 'MultiPolygon', coordinates: [square(-100.7), square(-100.6)] }));
+        assert.equal(waiverArea.outlines.length, 2);
+        assert.ok(waiverArea.contains(new GeoLocation(34.805, -100.595)));
+        assert.throws(() => parseWaiverGeoJson('{"type": "Polygon", "coordinates": [[[-100, 95], [-100, 34], [-99, 34]]]}'), /Invalid latitude/);
+        assert.throws(() => parseWaiverGeoJson('waiver'), TypeError);
+    });
+});
+
+describe('parseWaiverFile', () => {
+    it('selects the parser from the file extension', () => {
+        assert.equal(parseWaiverFile('Field.GeoJSON', boundaryGeoJson).outlines.length, 1);
+        assert.throws(() => parseWaiverFile('field.shp', ''), /Unsupported waiver file type/);
+    });
+});
+
+describe('Polygon waivers in exports', async () => {
+    const forecastRequest = (waiver) => runFixtureForecast({ site: { waiver: waiver }, window: { date: '2024-05-18', startTime: '09:00', endTime: '09:00' } });
+    const outlines = [boundaryCorners.map(([longitude, latitude]) => ({ latitude: latitude, longitude: longitude }))];
+    const forecastResult = await forecastRequest({ outlines: outlines });
+    const launchDetails = forecastResult.launchLocation;
+
+    it('draws the polygon instead of a circle', async () => {
+        assert.deepEqual(forecastResult.errors, []);
+        const kmlText = await (await createLandingPlotBlob(launchDetails.location, launchDetails.waiverArea, forecastResult.simulations)).text();
+        assert.ok(kmlText.includes('<name>Waiver Area</name>'));
+        assert.ok(!kmlText.includes('Waiver Radius'));
+        assert.ok(!kmlText.includes('Waiver Center'));
+    });
+
+    it('winds the GeoJSON polygon counterclockwise', async () => {
+        const geoJson = JSON.parse(await createGeoJsonBlob(launchDetails, forecastResult.simulations).text());
+        const waiverFeature = geoJson.features.find((feature) => 'waiver' == feature.properties.feature);
+        assert.deepEqual(waiverFeature.geometry.coordinates[0].slice(0, 2), [[-100.66, 34.85], [-100.60, 34.85]]);
+    });
+
+    it('centers a waiver without coordinates on the launch site', async () => {
+        const circleResult = await forecastRequest({ radius: 2 });
+        assert.deepEqual(circleResult.launchLocation.waiverArea.center, launchLocation);
+    });
+
+    it('rejects polygons with invalid corners', async () => {
+        const invalidResult = await forecastRequest({ outlines: [[{ latitude: 34.85, longitude: -100.66 }, { latitude: 91, longitude: -100.6 }, { latitude: 34.9, longitude: -100.6 }]] });
+        assert.equal(invalidResult.errors[0].field, 'site.waiver');
+    });
+});
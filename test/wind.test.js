@@ -0,0 +1,293 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoLocation, feetToMeters, metersToFeet, distanceBetweenLocations, bearingBetweenLocations } from '../geo.js';
+import { LaunchTimeData } from '../launch.js';
+import { WindAtAltitude, WindForecastData, requestOpenMeteoWindJSON, parseOpenMeteoWindData, parseOpenMeteoModelWindData, getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, getWindAtAltitude, getAverageWindReading, driftWithWind } from '../wind.js';
+import { readFixture, getFixtureLaunchTimes, getFixtureWindForecasts, assertClose } from './helpers.js';
+
+const windBands = [
+    new WindAtAltitude(0, 10, 350),
+    new WindAtAltitude(1000, 20, 10),
+    new WindAtAltitude(3000, 30, 90)
+];
+
+describe('getWindBandPercentage', () => {
+    it('locates an altitude within its band', () => {
+        assert.equal(getWindBandPercentage(250, windBands, 0), 0.25);
+        assert.equal(getWindBandPercentage(2000, windBands, 1), 0.5);
+    });
+
+    it('rejects altitudes and indexes outside the band', () => {
+        assert.equal(getWindBandPercentage(1500, windBands, 0), -1);
+        assert.equal(getWindBandPercentage(500, windBands, 2), -1);
+    });
+});
+
+describe('getAverageWindSpeed', () => {
+    it('averages the floor with the interpolated speed', () => {
+        assert.equal(getAverageWindSpeed(1.0, windBands, 0), 15);
+        assert.equal(getAverageWindSpeed(0.5, windBands, 1), 22.5);
+    });
+
+    it('rejects percentages outside the band', () => {
+        assert.equal(getAverageWindSpeed(1.5, windBands, 0), -1);
+    });
+});
+
+describe('getAverageWindDirection', () => {
+    it('averages directions within a band', () => {
+        assert.equal(getAverageWindDirection(1.0, windBands, 1), 50);
+    });
+
+    it('stays northerly when the band crosses North', () => {
+        assert.equal(getAverageWindDirection(1.0, windBands, 0), 0);
+        assertClose(getAverageWindDirection(0.25, windBands, 0), 352.5, 1e-9);
+    });
+});
+
+describe('getWindAtAltitude', () => {
+    it('interpolates speed and direction', () => {
+        const wind = getWindAtAltitude(2000, windBands);
+        assert.equal(wind.altitude, 2000);
+        assert.equal(wind.windSpeed, 25);
+        assert.equal(wind.windDirection, 50);
+    });
+
+    it('interpolates direction along the shortest arc', () => {
+        assertClose(getWindAtAltitude(250, windBands).windDirection, 355, 1e-9);
+        assertClose(getWindAtAltitude(750, windBands).windDirection, 5, 1e-9);
+    });
+
+    it('holds the nearest values beyond the data', () => {
+        assert.equal(getWindAtAltitude(-50, windBands).windSpeed, 10);
+        assert.equal(getWindAtAltitude(9000, windBands).windDirection, 90);
+        assert.equal(getWindAtAltitude(100, []), null);
+    });
+});
+
+describe('driftWithWind', () => {
+    it('drifts downwind for the duration of the descent', () => {
+        const launchLocation = new GeoLocation(34.875, -100.625);
+        const rocketLocation = launchLocation.getCopy();
+
+        // 10 knots from the West while falling 1000 ft at 20 ft/s
+        const driftDistance = driftWithWind(rocketLocation, 10, 270, -20, 1000);
+        assertClose(driftDistance, 50 * 10 * 1.68781, 1e-9);
+        assertClose(metersToFeet(distanceBetweenLocations(launchLocation, rocketLocation)), driftDistance, 0.01);
+        assertClose(bearingBetweenLocations(launchLocation, rocketLocation), 90, 0.01);
+    });
+
+    it('ignores a descent rate of zero', () => {
+        const rocketLocation = new GeoLocation(34.875, -100.625);
+        assert.equal(driftWithWind(rocketLocation, 10, 270, 0, 1000), undefined);
+        assert.equal(rocketLocation.latitude, 34.875);
+    });
+});
+
+describe('parseOpenMeteoWindData', () => {
+    it('creates a forecast for each hour of the launch window', () => {
+        const windForecastList = getFixtureWindForecasts();
+        const windJSON = readFixture('open_meteo_forecast.json');
+
+        assert.equal(windForecastList.length, 6);
+        for (const [hourIndex, windForecast] of windForecastList.entries()) {
+            assert.equal(windForecast.model, 'Open-Meteo');
+            assert.equal(windForecast.groundElevation, 741);
+
+            // Ground winds come from the lowest height above ground
+            assert.equal(windForecast.groundWindSpeed, windJSON.hourly.wind_speed_10m[hourIndex]);
+            assert.equal(windForecast.groundWindDirection, windJSON.hourly.wind_direction_10m[hourIndex]);
+            assert.equal(windForecast.windData[0].altitude, 0);
+
+            // Pressure levels below the highest fixed height are skipped, leaving ascending altitudes
+            for (let index = 1; index < windForecast.windData.length; ++index) {
+                assert.ok(windForecast.windData[index].altitude > windForecast.windData[index - 1].altitude);
+            }
+        }
+    });
+
+    it('converts pressure level heights above ground level', () => {
+        const windJSON = readFixture('open_meteo_forecast.json');
+        const windForecast = getFixtureWindForecasts()[2];
+        const expectedAltitude = metersToFeet(windJSON.hourly.geopotential_height_500hPa[2] - windJSON.elevation);
+        const pressureWind = windForecast.windData.find((wind) => wind.windSpeed == windJSON.hourly.wind_speed_500hPa[2]);
+        assert.notEqual(pressureWind, undefined);
+        assertClose(pressureWind.altitude, expectedAltitude, 1e-9);
+        assertClose(windForecast.windData[1].altitude, metersToFeet(10), 1e-9);
+    });
+
+    it('starts from the matching hour of a longer forecast', () => {
+        const laterForecasts = parseOpenMeteoWindData(readFixture('open_meteo_forecast.json'), new LaunchTimeData('2024-05-18', '11:00', '12:00'));
+        const fullForecasts = getFixtureWindForecasts();
+        assert.equal(laterForecasts.length, 2);
+        assert.equal(laterForecasts[0].groundWindSpeed, fullForecasts[2].groundWindSpeed);
+        assert.equal(laterForecasts[1].groundWindDirection, fullForecasts[3].groundWindDirection);
+    });
+
+    it('returns nothing when the forecast does not cover the launch', () => {
+        assert.equal(parseOpenMeteoWindData(readFixture('open_meteo_forecast.json'), new LaunchTimeData('2024-05-19', '09:00', '10:00')).length, 0);
+        assert.equal(parseOpenMeteoWindData({ elevation: 741 }, getFixtureLaunchTimes()).length, 0);
+    });
+});
+
+describe('requestOpenMeteoWindJSON', () => {
+    /**
+     * Requests a forecast without reaching Open-Meteo, recording the URL which would have been fetched.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {URL} The requested URL.
+     */
+    const getRequestUrl = async (launchTimes) => {
+        const originalFetch = globalThis.fetch;
+        let requestUrl = null;
+        globalThis.fetch = async (url) => {
+            requestUrl = new URL(url);
+            return { ok: true, json: async () => readFixture('open_meteo_forecast.json') };
+        };
+        try {
+            await requestOpenMeteoWindJSON(new GeoLocation(34.875, -100.625), launchTimes);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+        return requestUrl;
+    };
+
+    it('requests forecasts on the launch site\'s clock', async () => {
+        const requestUrl = await getRequestUrl(new LaunchTimeData('2024-05-18', '09:00', '14:00', '2024-05-18', 'America/Chicago'));
+        assert.equal(requestUrl.searchParams.get('timezone'), 'America/Chicago');
+    });
+
+    it('requests forecasts on this computer\'s clock when the site\'s timezone is not known', async () => {
+        // Launch times are read from this computer's clock, which is far from the launch site's timezone
+        const originalTimeZone = process.env.TZ;
+        process.env.TZ = 'Asia/Tokyo';
+        try {
+            const requestUrl = await getRequestUrl(new LaunchTimeData('2024-05-18', '09:00', '14:00'));
+            assert.equal(requestUrl.searchParams.get('timezone'), 'Asia/Tokyo');
+            assert.equal(requestUrl.searchParams.get('start_hour'), '2024-05-18T09:00');
+        } finally {
+            if (undefined == originalTimeZone) {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = originalTimeZone;
+            }
+        }
+    });
+});
+
+describe('parseOpenMeteoModelWindData', () => {
+    it('separates the forecast of each requested model', () => {
+        const modelForecastList = parseOpenMeteoModelWindData(readFixture('open_meteo_models_forecast.json'), getFixtureLaunchTimes());
+        const singleForecastList = getFixtureWindForecasts();
+
+        // HRRR has no winds at the fixture location, so only GFS and ECMWF remain
+        assert.equal(modelForecastList.length, 2);
+        assert.deepEqual(modelForecastList.map((windForecastList) => windForecastList[0].model), ['Open-Meteo GFS', 'Open-Meteo ECMWF IFS']);
+
+        for (const [hourIndex, windForecast] of modelForecastList[0].entries()) {
+            assert.equal(windForecast.groundWindSpeed, singleForecastList[hourIndex].groundWindSpeed);
+            assert.equal(windForecast.windData.length, singleForecastList[hourIndex].windData.length);
+        }
+        assertClose(modelForecastList[1][0].groundWindSpeed, singleForecastList[0].groundWindSpeed * 1.2, 0.1);
+    });
+
+    it('treats a forecast without model suffixes as a single model', () => {
+        const modelForecastList = parseOpenMeteoModelWindData(readFixture('open_meteo_forecast.json'), getFixtureLaunchTimes());
+        assert.equal(modelForecastList.length, 1);
+        assert.equal(modelForecastList[0].length, 6);
+        assert.equal(modelForecastList[0][0].model, 'Open-Meteo');
+    });
+});
+
+describe('WindForecastData.loadWindsAloftData', () => {
+    it('loads the raw RAP winds in ascending order', () => {
+        const windJSON = readFixture('windsaloft_forecast.json');
+        const windForecast = new WindForecastData();
+        windForecast.loadWindsAloftData(windJSON);
+
+        assert.equal(windForecast.model, 'RAP');
+        assertClose(windForecast.groundElevation, feetToMeters(2431), 1e-9);
+        assert.equal(windForecast.groundWindSpeed, 9);
+        assert.equal(windForecast.groundWindDirection, 186);
+
+        // Duplicate altitudes within the raw data are only used once
+        assert.equal(windForecast.windData.length, new Set(windJSON.altFtRaw).size);
+        for (const wind of windForecast.windData) {
+            assert.equal(wind.windSpeed, parseInt(windJSON.speedRaw[wind.altitude]));
+            assert.equal(wind.windDirection, parseInt(windJSON.directionRaw[wind.altitude]));
+        }
+        for (let index = 1; index < windForecast.windData.length; ++index) {
+            assert.ok(windForecast.windData[index].altitude > windForecast.windData[index - 1].altitude);
+        }
+    });
+});
+
+describe('WindForecastData.loadMeasuredData', () => {
+    it('sorts the measurements and repeats the lowest at ground level and the highest above apogee', () => {
+        const windForecast = new WindForecastData();
+        windForecast.loadMeasuredData(740, [new WindAtAltitude(2000, 15, 240), new WindAtAltitude(500, 8, 200), new WindAtAltitude(2000, 99, 0)], 'Pilot Balloon');
+
+        assert.equal(windForecast.model, 'Pilot Balloon');
+        assert.equal(windForecast.groundElevation, 740);
+        assert.deepEqual(windForecast.windData.map((wind) => wind.altitude), [0, 500, 2000, 100000]);
+        assert.equal(windForecast.windData[2].windSpeed, 15);
+        assert.equal(windForecast.windData[3].windSpeed, 15);
+        assert.equal(windForecast.windData[3].windDirection, 240);
+        assert.equal(windForecast.groundWindSpeed, 8);
+        assert.equal(windForecast.groundWindDirection, 200);
+    });
+});
+
+describe('getAverageWindReading', () => {
+    it('averages directions either side of North', () => {
+        const averageWind = getAverageWindReading([new WindAtAltitude(0, 8, 350), new WindAtAltitude(0, 12, 10)]);
+        assert.equal(averageWind.windSpeed, 10);
+        assertClose(averageWind.windDirection, 2, 0.1);
+    });
+
+    it('requires at least one reading', () => {
+        assert.equal(getAverageWindReading([]), null);
+    });
+});
+
+describe('WindForecastData.getBlendedCopy', () => {
+    const windForecast = new WindForecastData();
+    windForecast.loadOpenMeteoData(741, 10, 180, [new WindAtAltitude(0, 10, 180), new WindAtAltitude(200, 14, 200), new WindAtAltitude(1000, 20, 270)]);
+    const blendedForecast = windForecast.getBlendedCopy(new WindAtAltitude(0, 4, 90), 400);
+
+    it('replaces the ground wind with the measured wind', () => {
+        assert.equal(blendedForecast.groundWindSpeed, 4);
+        assert.equal(blendedForecast.groundWindDirection, 90);
+        assert.equal(blendedForecast.model, windForecast.model);
+    });
+
+    it('fades the measured wind out by the blending height', () => {
+        assert.deepEqual(blendedForecast.windData.map((wind) => wind.altitude), [0, 200, 400, 1000]);
+        assertClose(blendedForecast.windData[1].windSpeed, 9, 1e-9);
+        assertClose(blendedForecast.windData[1].windDirection, 145, 1e-9);
+        assertClose(blendedForecast.windData[2].windSpeed, 15.5, 1e-9);
+        assertClose(blendedForecast.windData[2].windDirection, 217.5, 1e-9);
+        assert.equal(blendedForecast.windData[3], windForecast.windData[2]);
+    });
+});
+
+describe('WindForecastData.getInterpolatedCopy', () => {
+    const earlierForecast = new WindForecastData();
+    earlierForecast.loadOpenMeteoData(741, 10, 350, [new WindAtAltitude(0, 10, 350), new WindAtAltitude(1000, 20, 90)]);
+    const laterForecast = new WindForecastData();
+    laterForecast.loadOpenMeteoData(741, 20, 30, [new WindAtAltitude(0, 20, 30), new WindAtAltitude(500, 30, 90)]);
+
+    it('interpolates every altitude of both forecasts', () => {
+        const interpolatedForecast = earlierForecast.getInterpolatedCopy(laterForecast, 0.25);
+        assert.deepEqual(interpolatedForecast.windData.map((wind) => wind.altitude), [0, 500, 1000]);
+        assertClose(interpolatedForecast.groundWindSpeed, 12.5, 1e-9);
+        assertClose(interpolatedForecast.groundWindDirection, 0, 1e-9);
+        assertClose(interpolatedForecast.windData[1].windSpeed, 18.75, 1e-9);
+        assertClose(interpolatedForecast.windData[2].windSpeed, 22.5, 1e-9);
+        assertClose(interpolatedForecast.windData[2].windDirection, 90, 1e-9);
+    });
+
+    it('matches each forecast at the ends of the interval', () => {
+        assert.deepEqual(earlierForecast.getInterpolatedCopy(laterForecast, 0).windData.map((wind) => wind.windSpeed), [10, 15, 20]);
+        assert.deepEqual(earlierForecast.getInterpolatedCopy(laterForecast, 1).windData.map((wind) => wind.windSpeed), [20, 30, 30]);
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * Converts text read from a file into a number, rejecting anything which is not entirely numeric.
+ * @param   {string} text - Text containing a single number.
+ * @param   {string} description - Name of the value used when reporting errors.
+ * @param   {number} lineNumber - Line within the file where the text was found.
+ * @returns {number} The parsed number.
+ * @throws  {TypeError} Text does not contain a valid number.
+ */
+function parseTextNumber(text, description, lineNumber) {
+    const value = Number(text);
+    if (null == text || '' == text.trim() || isNaN(value)) {
+        throw new TypeError(`Line ${lineNumber}: Invalid ${description} "${text}".`);
+    }
+    return value;
+}
+
+export { parseTextNumber };
@@ -0,0 +1,357 @@
+import { GeoLocation, moveAlongBearing, distanceBetweenLocations, isInsidePolygon, distanceToPath } from './geo.js';
+
+/**
+ * Finds where a segment crosses an edge of a polygon. Latitude and longitude are treated as flat, as when
+ * checking whether a location lies within a polygon.
+ * @param {GeoLocation} start - Coordinates at the start of the segment.
+ * @param {GeoLocation} end - Coordinates at the end of the segment.
+ * @param {GeoLocation} edgeStart - Coordinates at the start of the polygon's edge.
+ * @param {GeoLocation} edgeEnd - Coordinates at the end of the polygon's edge.
+ * @returns {number} Fraction (0 - 1) of the way along the segment where it crosses the edge, or null if it does not.
+ */
+function getEdgeCrossingFraction(start, end, edgeStart, edgeEnd) {
+    const segmentLatitude = end.latitude - start.latitude;
+    const segmentLongitude = end.longitude - start.longitude;
+    const edgeLatitude = edgeEnd.latitude - edgeStart.latitude;
+    const edgeLongitude = edgeEnd.longitude - edgeStart.longitude;
+
+    // Parallel lines never cross
+    const denominator = (segmentLongitude * edgeLatitude) - (segmentLatitude * edgeLongitude);
+    if (0 == denominator) {
+        return null;
+    }
+
+    const startLatitude = edgeStart.latitude - start.latitude;
+    const startLongitude = edgeStart.longitude - start.longitude;
+    const segmentFraction = ((startLongitude * edgeLatitude) - (startLatitude * edgeLongitude)) / denominator;
+    const edgeFraction = ((startLongitude * segmentLatitude) - (startLatitude * segmentLongitude)) / denominator;
+    if (segmentFraction < 0 || segmentFraction > 1 || edgeFraction < 0 || edgeFraction > 1) {
+        return null;
+    }
+    return segmentFraction;
+}
+
+/* Stores the airspace an FAA waiver covers, either a circle around its center or the outlines of one or more polygons. */
+class WaiverArea {
+    /**
+     * Coordinates of the circular waiver's center. Null for polygons.
+     * @private
+     * @type {GeoLocation}
+     */
+    #center = null;
+
+    /**
+     * Radius (in nautical miles) of the circular waiver. Negative for polygons.
+     * @private
+     * @type {number}
+     */
+    #radius = -1;
+
+    /**
+     * Closed outline of every area covered by the waiver, whose first and last coordinates are identical.
+     * @private
+     * @type {Array.<Array.<GeoLocation>>}
+     */
+    #outlines = [];
+
+    /**
+     * Highest altitude (in feet MSL) the waiver allows. Zero when the waiver has no ceiling.
+     * @private
+     * @type {number}
+     */
+    #ceiling = 0;
+
+    /**
+     * Covers a circle around the waiver's center.
+     * @param {GeoLocation} center - Coordinates of the waiver's center.
+     * @param {number} radius - Distance (in nautical miles) the waiver extends from the center.
+     * @throws {TypeError} Missing center or invalid radius.
+     */
+    setCircle(center, radius) {
+        if (null == center) throw new TypeError('A circular waiver requires a center.');
+        if (isNaN(radius) || radius <= 0) throw new TypeError(`Invalid waiver radius: ${radius}`);
+
+        this.#center = center;
+        this.#radius = radius;
+
+        // Approximate the circle with points every 10 degrees
+        const radiusMeters = radius * 1852.0;
+        this.#outlines = [[]];
+        for (let bearing = 0; bearing <= 360; bearing += 10) {
+            const ringCoordinates = center.getCopy();
+            moveAlongBearing(ringCoordinates, radiusMeters, bearing % 360);
+            this.#outlines[0].push(ringCoordinates);
+        }
+    }
+
+    /**
+     * Covers the inside of one or more polygons, such as the areas listed by a waiver's certificate of authorization.
+     * Each outline is closed if its last coordinates do not already match its first.
+     * @param {Array.<Array.<GeoLocation>>} outlineList - Corners of each polygon in order around its edge.
+     * @throws {TypeError} No polygons, or a polygon with fewer than three corners.
+     */
+    setPolygons(outlineList) {
+        if (null == outlineList || 0 == outlineList.length) throw new TypeError('A waiver requires at least one polygon.');
+
+        const closedOutlines = [];
+        for (const outline of outlineList) {
+            const closedOutline = outline.map((location) => location.getCopy());
+            if (closedOutline.length > 0) {
+                const first = closedOutline[0];
+                const last = closedOutline[closedOutline.length - 1];
+                if (first.latitude != last.latitude || first.longitude != last.longitude) {
+                    closedOutline.push(first.getCopy());
+                }
+            }
+            if (closedOutline.length < 4) throw new TypeError(`A waiver polygon requires at least three corners: ${outline.length}`);
+            closedOutlines.push(closedOutline);
+        }
+
+        this.#center = null;
+        this.#radius = -1;
+        this.#outlines = closedOutlines;
+    }
+
+    /**
+     * Set the highest altitude the waiver allows.
+     * @param {number} ceiling - Altitude (in feet MSL) of the waiver's ceiling, or zero for no ceiling.
+     * @throws {TypeError} Invalid ceiling.
+     */
+    setCeiling(ceiling) {
+        if (isNaN(ceiling) || ceiling < 0) throw new TypeError(`Invalid waiver ceiling: ${ceiling}`);
+        this.#ceiling = ceiling;
+    }
+
+    /**
+     * Checks whether a location lies within the waiver.
+     * @param {GeoLocation} location - Coordinates to check.
+     * @returns {boolean} True if the location is inside the waiver.
+     */
+    contains(location) {
+        if (this.isCircle) {
+            return distanceBetweenLocations(this.#center, location) <= this.#radius * 1852.0;
+        }
+
+        return this.#outlines.some((outline) => isInsidePolygon(location, outline));
+    }
+
+    /**
+     * Measures how far a location is from the edge of the waiver.
+     * @param {GeoLocation} location - Coordinates to measure.
+     * @returns {number} Distance (meters) to the nearest edge, which is negative when the location is outside the waiver.
+     */
+    getBoundaryDistance(location) {
+        if (this.isCircle) {
+            return (this.#radius * 1852.0) - distanceBetweenLocations(this.#center, location);
+        }
+
+        // Overlapping polygons are only left at the farthest edge of those surrounding the location
+        let insideDistance = -Infinity;
+        let outsideDistance = Infinity;
+        for (const outline of this.#outlines) {
+            const edgeDistance = distanceToPath(location, outline);
+            if (isInsidePolygon(location, outline)) {
+                insideDistance = Math.max(insideDistance, edgeDistance);
+            } else {
+                outsideDistance = Math.min(outsideDistance, edgeDistance);
+            }
+        }
+        return (insideDistance >= 0) ? insideDistance : -outsideDistance;
+    }
+
+    /**
+     * Measures how far a straight segment of a flight strays from the waiver between its ends, such as a descent
+     * cutting across the notch of a polygon. Circles have no notches, so a segment is never farther outside one
+     * than at its ends.
+     * @param {GeoLocation} start - Coordinates at the start of the segment.
+     * @param {GeoLocation} end - Coordinates at the end of the segment.
+     * @returns {number} Smallest distance (meters) to the edge halfway between each place the segment crosses a
+     * polygon's edge, which is negative where it leaves the waiver, or Infinity if it crosses no edges.
+     */
+    getSegmentBoundaryDistance(start, end) {
+        if (this.isCircle) {
+            return Infinity;
+        }
+
+        const crossingFractions = [];
+        for (const outline of this.#outlines) {
+            for (let index = 1; index < outline.length; ++index) {
+                const crossingFraction = getEdgeCrossingFraction(start, end, outline[index - 1], outline[index]);
+                if (null != crossingFraction) {
+                    crossingFractions.push(crossingFraction);
+                }
+            }
+        }
+        if (0 == crossingFractions.length) {
+            return Infinity;
+        }
+
+        // The segment only changes sides of an edge where it crosses one, so check between each crossing and its ends
+        crossingFractions.push(0, 1);
+        crossingFractions.sort((first, second) => first - second);
+        let boundaryDistance = Infinity;
+        for (let index = 1; index < crossingFractions.length; ++index) {
+            const fraction = (crossingFractions[index - 1] + crossingFractions[index]) / 2;
+            const location = new GeoLocation(start.latitude + (fraction * (end.latitude - start.latitude)), start.longitude + (fraction * (end.longitude - start.longitude)));
+            boundaryDistance = Math.min(boundaryDistance, this.getBoundaryDistance(location));
+        }
+        return boundaryDistance;
+    }
+
+    /**
+     * Get whether the waiver is a circle around its center rather than polygons.
+     * @type {boolean}
+     */
+    get isCircle() {
+        return null != this.#center;
+    }
+
+    /**
+     * Get the coordinates of the circular waiver's center. Null for polygons.
+     * @type {GeoLocation}
+     */
+    get center() {
+        return this.#center;
+    }
+
+    /**
+     * Get the radius (in nautical miles) of the circular waiver. Negative for polygons.
+     * @type {number}
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Get the closed outline of every area the waiver covers. Circles are approximated with points every 10 degrees.
+     * @type {Array.<Array.<GeoLocation>>}
+     */
+    get outlines() {
+        return this.#outlines;
+    }
+
+    /**
+     * Get the highest altitude (in feet MSL) the waiver allows. Zero when the waiver has no ceiling.
+     * @type {number}
+     */
+    get ceiling() {
+        return this.#ceiling;
+    }
+}
+
+/* Stores how well a launch simulation's flight stays within the waiver, both across the ground and below its ceiling. */
+class WaiverContainment {
+    /**
+     * Smallest distance (meters) between the flight and the waiver's edge, negative where the flight leaves the waiver.
+     * @private
+     * @type {number}
+     */
+    #boundaryDistance;
+
+    /**
+     * Distance (meters) between the landing and the waiver's edge, negative when landing outside the waiver.
+     * @private
+     * @type {number}
+     */
+    #landingDistance;
+
+    /**
+     * Highest altitude (in feet MSL) reached during the flight.
+     * @private
+     * @type {number}
+     */
+    #highestAltitude;
+
+    /**
+     * Highest altitude (in feet MSL) the waiver allows. Zero when the waiver has no ceiling.
+     * @private
+     * @type {number}
+     */
+    #ceiling;
+
+    /**
+     * Initializes the results of checking a flight against the waiver.
+     * @param {number} boundaryDistance - Smallest distance (meters) between the flight and the waiver's edge, negative outside.
+     * @param {number} landingDistance - Distance (meters) between the landing and the waiver's edge, negative outside.
+     * @param {number} highestAltitude - Highest altitude (in feet MSL) reached during the flight.
+     * @param {number} ceiling - Highest altitude (in feet MSL) the waiver allows, or zero for no ceiling.
+     */
+    constructor(boundaryDistance, landingDistance, highestAltitude, ceiling) {
+        this.#boundaryDistance = boundaryDistance;
+        this.#landingDistance = landingDistance;
+        this.#highestAltitude = highestAltitude;
+        this.#ceiling = ceiling;
+    }
+
+    /**
+     * Smallest distance (meters) between the flight and the waiver's edge, negative where the flight leaves the waiver.
+     * @type {number}
+     */
+    get boundaryDistance() { return this.#boundaryDistance; }
+
+    /**
+     * Distance (meters) between the landing and the waiver's edge, negative when landing outside the waiver.
+     * @type {number}
+     */
+    get landingDistance() { return this.#landingDistance; }
+
+    /**
+     * Highest altitude (in feet MSL) reached during the flight.
+     * @type {number}
+     */
+    get highestAltitude() { return this.#highestAltitude; }
+
+    /**
+     * Highest altitude (in feet MSL) the waiver allows. Zero when the waiver has no ceiling.
+     * @type {number}
+     */
+    get ceiling() { return this.#ceiling; }
+
+    /**
+     * Whether every point of the flight, including the landing, stays within the waiver's edge.
+     * @type {boolean}
+     */
+    get isInside() { return this.#boundaryDistance >= 0; }
+
+    /**
+     * Whether the flight stays below the waiver's ceiling.
+     * @type {boolean}
+     */
+    get isBelowCeiling() { return this.#ceiling <= 0 || this.#highestAltitude <= this.#ceiling; }
+
+    /**
+     * Whether the flight stays within the waiver both across the ground and below its ceiling.
+     * @type {boolean}
+     */
+    get passed() { return this.isInside && this.isBelowCeiling; }
+}
+
+/**
+ * Checks every point along a simulated flight against the waiver's edge and ceiling.
+ * @param {LaunchSimulationData} launchSimulation - Simulated flight, whose path altitudes are above the launch site.
+ * @param {WaiverArea} waiverArea - Airspace covered by the waiver.
+ * @returns {WaiverContainment} How well the flight stays within the waiver, or null without a waiver or flight path.
+ */
+function checkWaiverContainment(launchSimulation, waiverArea) {
+    if (null == waiverArea || null == launchSimulation || 0 == launchSimulation.launchPath.length) {
+        return null;
+    }
+
+    let boundaryDistance = Infinity;
+    let highestAltitude = -Infinity;
+    const launchPath = launchSimulation.launchPath;
+    for (let index = 0; index < launchPath.length; ++index) {
+        boundaryDistance = Math.min(boundaryDistance, waiverArea.getBoundaryDistance(launchPath[index].location));
+        highestAltitude = Math.max(highestAltitude, launchPath[index].altitude);
+
+        // Long descents through a single wind band may leave the waiver between their ends
+        if (index > 0) {
+            boundaryDistance = Math.min(boundaryDistance, waiverArea.getSegmentBoundaryDistance(launchPath[index - 1].location, launchPath[index].location));
+        }
+    }
+
+    const landingDistance = waiverArea.getBoundaryDistance(launchSimulation.getLandingLocation());
+    return new WaiverContainment(boundaryDistance, landingDistance, launchSimulation.elevation + highestAltitude, waiverArea.ceiling);
+}
+
+export { WaiverArea, WaiverContainment, checkWaiverContainment };
@@ -0,0 +1,62 @@
+import { GeoLocation } from './geo.js';
+import { WaiverArea } from './waiver.js';
+import { ShapeType, ShapeFileFormat, readKmlShapes, readGeoJsonShapes, getShapeFileFormat } from './geometry_parser.js';
+
+/**
+ * Creates a waiver from the polygons read from a file. Points and lines do not cover any airspace, so they are ignored.
+ * @param   {Array.<{name: string, type: string, coordinates: Array.<GeoLocation>}>} shapeList - Shapes read from the file.
+ * @param   {string} formatName - Name of the file format used when reporting errors.
+ * @returns {WaiverArea} The area covered by the polygons.
+ * @throws  {TypeError} The file contains no polygons.
+ */
+function createWaiverArea(shapeList, formatName) {
+    const outlineList = shapeList.filter((shape) => ShapeType.POLYGON == shape.type).map((shape) => shape.coordinates);
+    if (0 == outlineList.length) {
+        throw new TypeError(`No polygons were found in the ${formatName} waiver.`);
+    }
+
+    const waiverArea = new WaiverArea();
+    waiverArea.setPolygons(outlineList);
+    return waiverArea;
+}
+
+/**
+ * Reads the outer boundary of every polygon within a KML file, such as one drawn with Google Earth's
+ * polygon tool. Holes within the polygons are not part of a waiver, so inner boundaries are ignored.
+ * @param   {string} fileText - Contents of the KML file.
+ * @returns {WaiverArea} The area covered by the polygons.
+ * @throws  {TypeError} The file contains no polygons or invalid coordinates.
+ */
+function parseWaiverKml(fileText) {
+    return createWaiverArea(readKmlShapes(fileText, 'KML waiver'), ShapeFileFormat.KML);
+}
+
+/**
+ * Reads the outer ring of every Polygon and MultiPolygon within a GeoJSON file, whether it holds a
+ * FeatureCollection, a single Feature, or a bare geometry.
+ * @param   {string} fileText - Contents of the GeoJSON file.
+ * @returns {WaiverArea} The area covered by the polygons.
+ * @throws  {TypeError} The file is not valid JSON or contains no polygons.
+ */
+function parseWaiverGeoJson(fileText) {
+    return createWaiverArea(readGeoJsonShapes(fileText, 'GeoJSON waiver'), ShapeFileFormat.GEOJSON);
+}
+
+/**
+ * Reads the polygons of a waiver, selecting the parser from the file's extension.
+ * @param   {string} fileName - Name of the file, ending in .kml for KML or .geojson or .json for GeoJSON.
+ * @param   {string} fileText - Contents of the file.
+ * @returns {WaiverArea} The area covered by the polygons.
+ * @throws  {TypeError} The file type is not supported or its contents are malformed.
+ */
+function parseWaiverFile(fileName, fileText) {
+    const fileFormat = getShapeFileFormat(fileName);
+    if (ShapeFileFormat.KML == fileFormat) {
+        return parseWaiverKml(fileText);
+    } else if (ShapeFileFormat.GEOJSON == fileFormat) {
+        return parseWaiverGeoJson(fileText);
+    }
+    throw new TypeError(`Unsupported waiver file type: ${fileName}`);
+}
+
+export { parseWaiverKml, parseWaiverGeoJson, parseWaiverFile };
@@ -1,10 +1,29 @@
-import { GeoLocation, moveAlongBearingKilometers, feetToMeters, metersToFeet } from "./geo.js";
+import { GeoLocation, moveAlongBearingKilometers, feetToMeters, metersToFeet, degreesToRadians, radiansToDegrees } from "./geo.js";
 import { LaunchTimeData } from "./launch.js";
 //import { wind0900 } from "./hedley.js";
 
 const openMeteoWindAltitudes = [10, 80, 120];
 const openMeteoPressureLevels = [1000, 975, 950, 925, 900, 850, 800, 750, 700, 650, 600, 550, 500, 450, 400, 350, 300, 250, 200, 150, 100, 70, 50, 30, 20, 15, 10];
 
+// Forecast models offered by Open-Meteo, keyed by the name used within requests
+const openMeteoModels = Object.freeze({
+    'gfs_seamless': 'GFS',
+    'ecmwf_ifs025': 'ECMWF IFS',
+    'icon_seamless': 'ICON',
+    'gfs_hrrr': 'HRRR',
+    'gem_seamless': 'GEM'
+});
+
+// Ensemble models offered by Open-Meteo, keyed by the name used within requests
+const openMeteoEnsembleModels = Object.freeze({
+    'gfs025': 'GFS Ensemble',
+    'ecmwf_ifs025': 'ECMWF IFS Ensemble',
+    'icon_seamless': 'ICON Ensemble'
+});
+
+// Altitude (feet AGL) measured winds are extended up to, well above the apogee of any rocket
+const measuredWindCeiling = 100000;
+
 /* Class storing wind speed and direction at a specific altitude. */
 class WindAtAltitude {
     /**
@@ -88,7 +107,7 @@ class WindForecastData {
     #windData = [];
 
     /**
-     * Elevation at the location where this forecast was requested.
+     * Elevation (meters) at the location where this forecast was requested.
      * @private
      * @type {number}
      */
@@ -166,14 +185,15 @@ class WindForecastData {
             }
         }
 
+        // WindsAloft reports elevation in feet
         if ('groundElev' in windJSON) {
-            this.#groundElevation = windJSON['groundElev'];
+            this.#groundElevation = feetToMeters(windJSON['groundElev']);
         }
         if ('groundSpd' in windJSON) {
             this.#groundWindSpeed = windJSON['groundSpd'];
         }
-        if ('groundSpd' in windJSON) {
-            this.#groundWindDirection = windJSON['groundSpd'];
+        if ('groundDir' in windJSON) {
+            this.#groundWindDirection = windJSON['groundDir'];
         }
     }
 
@@ -183,15 +203,133 @@ class WindForecastData {
      * @param {json} groundSpeed - Speed (knots) the wind is blowing at ground level. 
      * @param {json} groundDirection - Direction (degrees from 0 north) the wind is blowing at ground level.
      * @param {Array.<WindAtAltitude>} windArray - List of wind data at ascending altitudes.
+     * @param {string} modelName - Name of the Open-Meteo model which produced this forecast.
      */
-    loadOpenMeteoData(elevation, groundSpeed, groundDirection, windArray) {
-        this.#model = 'Open-Meteo';
+    loadOpenMeteoData(elevation, groundSpeed, groundDirection, windArray, modelName = 'Open-Meteo') {
+        this.#model = modelName;
         this.#groundElevation = elevation;
         this.#groundWindSpeed = groundSpeed;
         this.#groundWindDirection = groundDirection;
         this.#windData = windArray;
     }
 
+    /**
+     * Initializes to winds measured near the launch site, such as a pilot balloon reading or radiosonde sounding.
+     * Measurements are sorted by altitude, and the lowest is repeated at ground level if none was taken there.
+     * Likewise, the highest is repeated up to 100,000 ft so readings which stop short of apogee still carry the rocket.
+     * @param {number} elevation - Height (meters) above mean sea level where the measurements were taken.
+     * @param {Array.<WindAtAltitude>} windArray - List of measured winds at altitudes (feet AGL).
+     * @param {string} sourceName - Name identifying where the measurements came from.
+     */
+    loadMeasuredData(elevation, windArray, sourceName = 'Measured Winds') {
+        // Ignore duplicate altitude entries
+        const windList = [];
+        for (const windAtAltitude of [...windArray].sort((a, b) => a.altitude - b.altitude)) {
+            if (0 == windList.length || windAtAltitude.altitude != windList[windList.length - 1].altitude) {
+                windList.push(windAtAltitude);
+            }
+        }
+
+        if (windList.length > 0 && windList[0].altitude > 0) {
+            windList.unshift(new WindAtAltitude(0, windList[0].windSpeed, windList[0].windDirection));
+        }
+        if (windList.length > 0 && windList[windList.length - 1].altitude < measuredWindCeiling) {
+            const highestWind = windList[windList.length - 1];
+            windList.push(new WindAtAltitude(measuredWindCeiling, highestWind.windSpeed, highestWind.windDirection));
+        }
+
+        this.#model = sourceName;
+        this.#groundElevation = elevation;
+        this.#windData = windList;
+        this.#groundWindSpeed = (windList.length > 0) ? windList[0].windSpeed : 0;
+        this.#groundWindDirection = (windList.length > 0) ? windList[0].windDirection : 0;
+    }
+
+    /**
+     * Obtain a new forecast from the same model and location, but with different winds at altitude.
+     * Ground level wind values are taken from the lowest entry of the new list.
+     * @param {Array.<WindAtAltitude>} windArray - List of wind data at ascending altitudes.
+     * @returns {WindForecastData} The modified copy of this forecast.
+     */
+    getModifiedCopy(windArray) {
+        const forecastCopy = new WindForecastData();
+        forecastCopy.#model = this.#model;
+        forecastCopy.#groundElevation = this.#groundElevation;
+        forecastCopy.#windData = windArray;
+
+        if (windArray.length > 0) {
+            forecastCopy.#groundWindSpeed = windArray[0].windSpeed;
+            forecastCopy.#groundWindDirection = windArray[0].windDirection;
+        } else {
+            forecastCopy.#groundWindSpeed = this.#groundWindSpeed;
+            forecastCopy.#groundWindDirection = this.#groundWindDirection;
+        }
+        return forecastCopy;
+    }
+
+    /**
+     * Obtain a copy of this forecast with a wind measured at ground level blended into its lowest altitudes.
+     * The measured wind replaces the ground wind, and its influence fades linearly with altitude until the
+     * forecast is used unchanged at the blending height.
+     * @param {WindAtAltitude} surfaceWind - Wind (knots) measured at ground level.
+     * @param {number} blendingHeight - Altitude (feet AGL) where the forecast is used unchanged.
+     * @returns {WindForecastData} The blended copy of this forecast.
+     */
+    getBlendedCopy(surfaceWind, blendingHeight) {
+        const windList = [new WindAtAltitude(0, surfaceWind.windSpeed, surfaceWind.windDirection)];
+
+        // Blend at each forecast altitude below the blending height, ending exactly at the blending height
+        const blendingAltitudes = this.#windData.map((windAtAltitude) => windAtAltitude.altitude)
+                                                .filter((altitude) => altitude > 0 && altitude < blendingHeight);
+        if (blendingHeight > 0) {
+            blendingAltitudes.push(blendingHeight);
+        }
+
+        for (const altitude of blendingAltitudes) {
+            const forecastWind = getWindAtAltitude(altitude, this.#windData);
+
+            // Interpolating across a unit span uses the fraction of the blending height as the weight
+            const blendedWind = getWindAtAltitude(altitude / blendingHeight, [
+                new WindAtAltitude(0, surfaceWind.windSpeed, surfaceWind.windDirection),
+                new WindAtAltitude(1, forecastWind.windSpeed, forecastWind.windDirection)
+            ]);
+            windList.push(new WindAtAltitude(altitude, blendedWind.windSpeed, blendedWind.windDirection));
+        }
+
+        for (const windAtAltitude of this.#windData) {
+            if (windAtAltitude.altitude > blendingHeight) {
+                windList.push(windAtAltitude);
+            }
+        }
+        return this.getModifiedCopy(windList);
+    }
+
+    /**
+     * Obtain the winds between this forecast and a later one by linearly interpolating each altitude
+     * of both forecasts, such as when launching between two hourly forecasts.
+     * @param {WindForecastData} laterForecast - Forecast for the end of the interval.
+     * @param {number} fraction - Portion (0 - 1) of the interval elapsed, where 0 is this forecast's time.
+     * @returns {WindForecastData} The interpolated copy of this forecast.
+     */
+    getInterpolatedCopy(laterForecast, fraction) {
+        const altitudeList = [...new Set(this.#windData.concat(laterForecast.windData).map((windAtAltitude) => windAtAltitude.altitude))]
+                                .sort((a, b) => a - b);
+
+        const windList = [];
+        for (const altitude of altitudeList) {
+            const earlierWind = getWindAtAltitude(altitude, this.#windData);
+            const laterWind = getWindAtAltitude(altitude, laterForecast.windData);
+
+            // Interpolating across a unit span uses the elapsed fraction as the weight
+            const interpolatedWind = getWindAtAltitude(fraction, [
+                new WindAtAltitude(0, earlierWind.windSpeed, earlierWind.windDirection),
+                new WindAtAltitude(1, laterWind.windSpeed, laterWind.windDirection)
+            ]);
+            windList.push(new WindAtAltitude(altitude, interpolatedWind.windSpeed, interpolatedWind.windDirection));
+        }
+        return this.getModifiedCopy(windList);
+    }
+
     /**
      * Get the latitude component of this location's coordinates.
      * @type {string}
@@ -205,7 +343,7 @@ class WindForecastData {
     get windData() { return this.#windData; }
 
     /**
-     * The ground's elevation at location of this forecast.
+     * The ground's elevation (meters) at location of this forecast.
      * @type {number}
      */
     get groundElevation() { return this.#groundElevation; }
@@ -311,27 +449,36 @@ async function getWindPredictionData(launchLocation, hourOffset) {
  * Requests wind forecast data from Open-Meteo API to be provided as a JSON object.
  * @param {GeoLocation} launchLocation - Coordinates of the launch location.
  * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
- * @returns {Array.<WindForecastData>} Wind forecast data at the specified location and time. 'null' if an error occurred.
+ * @param {Array.<string>} models - Open-Meteo models to request. Open-Meteo picks the best model when empty.
+ * @param {boolean} ensemble - Request every member of an ensemble model rather than a single forecast.
+ * @returns {json} The forecast exactly as returned by Open-Meteo. 'null' if an error occurred.
  */
-async function getOpenMeteoWindPredictionData(launchLocation, launchTimes) {
-    let windForecastList = [];
-
+async function requestOpenMeteoWindJSON(launchLocation, launchTimes, models = [], ensemble = false) {
     // Begin forming a request for Open-Meteo's API with the launch location.
     let fetchRequest = 'https://';
 
-    // Check if the launch occured more than a week in the past (7 x 24 = 168 hours)
-    if (launchTimes.startHourOffset < -168) {
-        fetchRequest += 'historical-forecast-';
+    if (ensemble) {
+        // Each hourly value is suffixed with its member number, while the control run is not
+        fetchRequest += `ensemble-api.open-meteo.com/v1/ensemble?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+    } else {
+        // Check if the launch occured more than a week in the past (7 x 24 = 168 hours)
+        if (launchTimes.startHourOffset < -168) {
+            fetchRequest += 'historical-forecast-';
+        }
+
+        fetchRequest += `api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
     }
 
-    fetchRequest += `api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
-    //fetchRequest += `api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}&models=ecmwf_ifs025`;
+    // Each hourly value is suffixed with its model's name when more than one model is requested.
+    if (models.length > 0) {
+        fetchRequest += `&models=${models.join(',')}`;
+    }
 
     // Specify the launch's active hours.
     fetchRequest += `&start_hour=${launchTimes.getStartTimeAsISOString()}&end_hour=${launchTimes.getEndTimeAsISOString()}`;
 
-    // Use the launch site's timezone
-    fetchRequest += '&timezone=auto';
+    // Use the launch site's timezone, or this computer's when it is not known since launch times are then read from its clock
+    fetchRequest += `&timezone=${encodeURIComponent(launchTimes.timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone)}`;
 
     // Request wind speeds to be in knots.
     fetchRequest += '&wind_speed_unit=kn';
@@ -380,147 +527,264 @@ async function getOpenMeteoWindPredictionData(launchLocation, launchTimes) {
         const openMeteoPromise = await fetch(fetchRequest);
 
         if (openMeteoPromise.ok) {
-            const windJSON = await openMeteoPromise.json();
-
-            if ('hourly' in windJSON) {
-                const hourCount = launchTimes.endHourOffset - launchTimes.startHourOffset + 1;
-                if ('time' in windJSON.hourly) {
-                    if (hourCount != windJSON.hourly.time.length) {
-                        console.log(`Hour count ${hourCount} is different from wind times count ${windJSON.hourly.time.length}.`);
-                    }
+            return await openMeteoPromise.json();
+        }
+        console.error(`Open-Meteo response status: ${openMeteoPromise.status}`);
+    } catch (error) {
+        console.error(error.message);
+    }
+    return null;
+}
+
+/**
+ * Converts a forecast returned by Open-Meteo's API into wind data for each hour of a launch.
+ * Hours are matched using the forecast's own times when available, so a saved forecast
+ * covering a longer period can be reused.
+ * @param {json} windJSON - Forecast exactly as returned by Open-Meteo.
+ * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+ * @param {string} keySuffix - Suffix of every hourly value read, selecting one model or ensemble member (e.g. "_gfs_seamless").
+ * @param {string} modelName - Name of the model which produced the values read.
+ * @returns {Array.<WindForecastData>} Wind forecast data for each hour of the launch, using null for any hour
+ * without winds. Empty if the forecast is unusable.
+ */
+function parseOpenMeteoWindData(windJSON, launchTimes, keySuffix = '', modelName = 'Open-Meteo') {
+    let windForecastList = [];
+
+    if (null == windJSON || !('hourly' in windJSON)) {
+        console.debug('JSON object returned by Open-Meteo does not contain an [hourly] member.');
+        console.debug(windJSON);
+        return windForecastList;
+    }
+
+    const hourCount = launchTimes.endHourOffset - launchTimes.startHourOffset + 1;
+    let firstHourIndex = 0;
+    if ('time' in windJSON.hourly) {
+        firstHourIndex = windJSON.hourly.time.indexOf(launchTimes.getStartTimeAsISOString());
+        if (firstHourIndex < 0) {
+            console.debug(`Open-Meteo forecast does not include the launch start time ${launchTimes.getStartTimeAsISOString()}.`);
+            return windForecastList;
+        }
+        if (firstHourIndex + hourCount > windJSON.hourly.time.length) {
+            console.log(`Hour count ${hourCount} is different from wind times count ${windJSON.hourly.time.length - firstHourIndex}.`);
+        }
+    }
+
+    let groundElevation = 0;
+    if ('elevation' in windJSON) {
+        if (null != windJSON.elevation) {
+            groundElevation = windJSON.elevation;
+        }
+    }
+
+    for (let hourIndex = firstHourIndex; hourIndex < firstHourIndex + hourCount; ++hourIndex) {
+        // Create arrays to hold converted data.
+        let altitudeWinds = [];
+        let pressureWinds = [];
+
+        // Request wind directions at set heights above ground level.
+        for (const altitude of openMeteoWindAltitudes) {
+            const speedName = `wind_speed_${altitude}m${keySuffix}`;
+            const directionName = `wind_direction_${altitude}m${keySuffix}`;
+
+            if (speedName in windJSON.hourly && directionName in windJSON.hourly) {
+                if (hourIndex >= windJSON.hourly[speedName].length) {
+                    console.log(`Altitude wind speed list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                    continue;
+                }
+                if (hourIndex >= windJSON.hourly[directionName].length) {
+                    console.log(`Altitude wind direction list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                    continue;
                 }
-            
-                let groundElevation = 0;
-                if ('elevation' in windJSON) {
-                    if (null != windJSON.elevation) {
-                        groundElevation = windJSON.elevation;
-                    }
+
+                const windSpeed = windJSON.hourly[speedName][hourIndex];
+                const windDirection = windJSON.hourly[directionName][hourIndex];
+
+                if (null == windSpeed || null == windDirection) {
+                    console.log(`Wind at altitude ${altitude} at index ${hourIndex} is null.`);
+                    continue;
                 }
 
-                for (let hourIndex = 0; hourIndex < hourCount; ++hourIndex) {
-                    // Create arrays to hold converted data.
-                    let altitudeWinds = [];
-                    let pressureWinds = [];
-        
-                    // Request wind directions at set heights above ground level.
-                    for (const altitude of openMeteoWindAltitudes) {
-                        const speedName = `wind_speed_${altitude}m`;
-                        const directionName = `wind_direction_${altitude}m`;
-        
-                        if (speedName in windJSON.hourly && directionName in windJSON.hourly) {
-                            if (hourIndex >= windJSON.hourly[speedName].length) {
-                                console.log(`Altitude wind speed list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                                continue;
-                            }
-                            if (hourIndex >= windJSON.hourly[directionName].length) {
-                                console.log(`Altitude wind direction list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                                continue;
-                            }
-        
-                            const windSpeed = windJSON.hourly[speedName][hourIndex];
-                            const windDirection = windJSON.hourly[directionName][hourIndex];
-        
-                            if (null == windSpeed || null == windDirection) {
-                                console.log(`Wind at altitude ${altitude} at index ${hourIndex} is null.`);
-                                continue;
-                            }
-        
-                            if (undefined == windSpeed || undefined == windDirection) {
-                                console.log(`Wind at altitude ${altitude} at index ${hourIndex} is undefined.`);
-                                continue;
-                            }
-        
-                            altitudeWinds.push(new WindAtAltitude(metersToFeet(altitude), windSpeed, windDirection));
-                        }
-                    }
-        
-                    for (const pressure of openMeteoPressureLevels) {
-                        const speedName = `wind_speed_${pressure}hPa`;
-                        const directionName = `wind_direction_${pressure}hPa`;
-                        const heightName = `geopotential_height_${pressure}hPa`;
-        
-                        if (speedName in windJSON.hourly && directionName in windJSON.hourly && heightName in windJSON.hourly) {
-                            if (hourIndex >= windJSON.hourly[speedName].length) {
-                                console.log(`Altitude wind speed list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                                continue;
-                            }
-                            if (hourIndex >= windJSON.hourly[directionName].length) {
-                                console.log(`Altitude wind direction list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                                continue;
-                            }
-                            if (hourIndex >= windJSON.hourly[heightName].length) {
-                                console.log(`Altitude height list ${windJSON.hourly[heightName].length} is too small for hour index ${hourIndex}.`);
-                                continue;
-                            }
-        
-                            const windSpeed = windJSON.hourly[speedName][hourIndex];
-                            const windDirection = windJSON.hourly[directionName][hourIndex];
-                            const windHeight = windJSON.hourly[heightName][hourIndex];
-        
-                            if (null == windSpeed || null == windDirection || null == windHeight) {
-                                console.log(`Pressure ${pressure} wind at index ${hourIndex} is null.`);
-                                continue;
-                            }
-        
-                            if (undefined == windSpeed || undefined == windDirection || undefined == windHeight) {
-                                console.log(`Pressure ${pressure} wind at index ${hourIndex} is undefined.`);
-                                continue;
-                            }
-        
-                            pressureWinds.push(new WindAtAltitude(metersToFeet(windHeight - groundElevation), windSpeed, windDirection));
-                        }
-                    }
-        
-                    let groundWindSpeed = 0;
-                    let groundWindDirection = 0;
-                    let windList = [];
-                    let hourForecast = new WindForecastData();
-                    let highestWindAltitude = -1;
-
-                    // Use the altitude based data first.
-                    for (const altWind of altitudeWinds) {
-                        if (0 === windList.length) {
-                            // Set ground wind values based on the lowest entry.
-                            groundWindSpeed = altWind.windSpeed;
-                            groundWindDirection = altWind.windDirection;
-                            windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
-                        }
-                        windList.push(altWind);
-                        highestWindAltitude = altWind.altitude;
-                    }
-
-                    // Now add all the atmospheric pressure based wind.
-                    for (const presWind of pressureWinds) {
-                        // Ignore any entries at lower altitude than the existing data.
-                        if (presWind.altitude <= highestWindAltitude)
-                            continue;
-
-                        if (0 == windList.length) {
-                            // Set ground wind values if no altitude entry was used.
-                            groundWindSpeed = presWind.windSpeed;
-                            groundWindDirection = presWind.windDirection;
-                            windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
-                        }
-                        windList.push(presWind);
-                    }
-
-                    hourForecast.loadOpenMeteoData(groundElevation, groundWindSpeed, groundWindDirection, windList);
-                    windForecastList.push(hourForecast);
+                if (undefined == windSpeed || undefined == windDirection) {
+                    console.log(`Wind at altitude ${altitude} at index ${hourIndex} is undefined.`);
+                    continue;
                 }
-            } else {
-                console.debug('JSON object returned by Open-Meteo does not contain an [hourly] member.');
-                console.debug(windJSON);
+
+                altitudeWinds.push(new WindAtAltitude(metersToFeet(altitude), windSpeed, windDirection));
             }
-        } else {
-            console.error(`Open-Meteo response status: ${openMeteoPromise.status}`);
         }
-    } catch (error) {
-        console.error(error.message);
+
+        for (const pressure of openMeteoPressureLevels) {
+            const speedName = `wind_speed_${pressure}hPa${keySuffix}`;
+            const directionName = `wind_direction_${pressure}hPa${keySuffix}`;
+            const heightName = `geopotential_height_${pressure}hPa${keySuffix}`;
+
+            if (speedName in windJSON.hourly && directionName in windJSON.hourly && heightName in windJSON.hourly) {
+                if (hourIndex >= windJSON.hourly[speedName].length) {
+                    console.log(`Altitude wind speed list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                    continue;
+                }
+                if (hourIndex >= windJSON.hourly[directionName].length) {
+                    console.log(`Altitude wind direction list ${windJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                    continue;
+                }
+                if (hourIndex >= windJSON.hourly[heightName].length) {
+                    console.log(`Altitude height list ${windJSON.hourly[heightName].length} is too small for hour index ${hourIndex}.`);
+                    continue;
+                }
+
+                const windSpeed = windJSON.hourly[speedName][hourIndex];
+                const windDirection = windJSON.hourly[directionName][hourIndex];
+                const windHeight = windJSON.hourly[heightName][hourIndex];
+
+                if (null == windSpeed || null == windDirection || null == windHeight) {
+                    console.log(`Pressure ${pressure} wind at index ${hourIndex} is null.`);
+                    continue;
+                }
+
+                if (undefined == windSpeed || undefined == windDirection || undefined == windHeight) {
+                    console.log(`Pressure ${pressure} wind at index ${hourIndex} is undefined.`);
+                    continue;
+                }
+
+                pressureWinds.push(new WindAtAltitude(metersToFeet(windHeight - groundElevation), windSpeed, windDirection));
+            }
+        }
+
+        let groundWindSpeed = 0;
+        let groundWindDirection = 0;
+        let windList = [];
+        let hourForecast = new WindForecastData();
+        let highestWindAltitude = -1;
+
+        // Use the altitude based data first.
+        for (const altWind of altitudeWinds) {
+            if (0 === windList.length) {
+                // Set ground wind values based on the lowest entry.
+                groundWindSpeed = altWind.windSpeed;
+                groundWindDirection = altWind.windDirection;
+                windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
+            }
+            windList.push(altWind);
+            highestWindAltitude = altWind.altitude;
+        }
+
+        // Now add all the atmospheric pressure based wind.
+        for (const presWind of pressureWinds) {
+            // Ignore any entries at lower altitude than the existing data.
+            if (presWind.altitude <= highestWindAltitude)
+                continue;
+
+            if (0 == windList.length) {
+                // Set ground wind values if no altitude entry was used.
+                groundWindSpeed = presWind.windSpeed;
+                groundWindDirection = presWind.windDirection;
+                windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
+            }
+            windList.push(presWind);
+        }
+
+        // Models covering a limited region, such as HRRR, have no winds elsewhere
+        if (0 == windList.length) {
+            console.debug(`${modelName} has no winds at index ${hourIndex}.`);
+            windForecastList.push(null);
+            continue;
+        }
+
+        hourForecast.loadOpenMeteoData(groundElevation, groundWindSpeed, groundWindDirection, windList, modelName);
+        windForecastList.push(hourForecast);
     }
 
     return windForecastList;
 }
 
+/**
+ * Converts a forecast returned by Open-Meteo's API into wind data for each hour of a launch from
+ * every model it contains. A forecast of a single model provides one list.
+ * @param {json} windJSON - Forecast exactly as returned by Open-Meteo.
+ * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+ * @returns {Array.<Array.<WindForecastData>>} Wind forecast data for each hour of the launch from each model
+ * providing winds. Empty if the forecast is unusable.
+ */
+function parseOpenMeteoModelWindData(windJSON, launchTimes) {
+    if (null == windJSON || !('hourly' in windJSON)) {
+        console.debug('JSON object returned by Open-Meteo does not contain an [hourly] member.');
+        return [];
+    }
+
+    // Identify the models from the suffix of their lowest wind speeds
+    const speedName = `wind_speed_${openMeteoWindAltitudes[0]}m`;
+    const modelList = Object.keys(openMeteoModels).filter((model) => `${speedName}_${model}` in windJSON.hourly);
+    if (0 == modelList.length) {
+        modelList.push(null);
+    }
+
+    const modelForecastList = [];
+    for (const model of modelList) {
+        // Values for a model within a forecast of several models are suffixed with the model's name
+        const windForecastList = (null == model) ? parseOpenMeteoWindData(windJSON, launchTimes)
+                                                 : parseOpenMeteoWindData(windJSON, launchTimes, `_${model}`, `Open-Meteo ${openMeteoModels[model]}`);
+        if (windForecastList.some((windForecast) => null != windForecast)) {
+            modelForecastList.push(windForecastList);
+        }
+    }
+    return modelForecastList;
+}
+
+/**
+ * Counts the members of an ensemble forecast returned by Open-Meteo's API, not including the control run.
+ * @param {json} windJSON - Forecast exactly as returned by Open-Meteo.
+ * @returns {number} Number of ensemble members. Zero if this is not an ensemble forecast.
+ */
+function getOpenMeteoEnsembleMemberCount(windJSON) {
+    if (null == windJSON || !('hourly' in windJSON)) {
+        return 0;
+    }
+
+    const speedName = `wind_speed_${openMeteoWindAltitudes[0]}m`;
+    let memberCount = 0;
+    while (`${speedName}_member${String(memberCount + 1).padStart(2, '0')}` in windJSON.hourly) {
+        ++memberCount;
+    }
+    return memberCount;
+}
+
+/**
+ * Converts an ensemble forecast returned by Open-Meteo's API into wind data for each hour of a launch
+ * from the control run and every member.
+ * @param {json} windJSON - Forecast exactly as returned by Open-Meteo.
+ * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+ * @param {string} ensembleName - Name of the ensemble model which produced the forecast.
+ * @returns {Array.<Array.<WindForecastData>>} Wind forecast data for each hour of the launch from the control
+ * run followed by each member providing winds. Empty if the forecast is unusable.
+ */
+function parseOpenMeteoEnsembleWindData(windJSON, launchTimes, ensembleName = 'Open-Meteo Ensemble') {
+    const memberCount = getOpenMeteoEnsembleMemberCount(windJSON);
+    if (0 == memberCount) {
+        console.debug('JSON object returned by Open-Meteo does not contain any ensemble members.');
+        return [];
+    }
+
+    const memberForecastList = [parseOpenMeteoWindData(windJSON, launchTimes, '', `${ensembleName} control`)];
+    for (let member = 1; member <= memberCount; ++member) {
+        memberForecastList.push(parseOpenMeteoWindData(windJSON, launchTimes, `_member${String(member).padStart(2, '0')}`, `${ensembleName} member ${member}`));
+    }
+    return memberForecastList.filter((windForecastList) => windForecastList.some((windForecast) => null != windForecast));
+}
+
+/**
+ * Requests wind forecast data from Open-Meteo API and converts it for each hour of the launch.
+ * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+ * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+ * @returns {Array.<WindForecastData>} Wind forecast data at the specified location and time. Empty if an error occurred.
+ */
+async function getOpenMeteoWindPredictionData(launchLocation, launchTimes) {
+    const windJSON = await requestOpenMeteoWindJSON(launchLocation, launchTimes);
+    if (null == windJSON) {
+        return [];
+    }
+    return parseOpenMeteoWindData(windJSON, launchTimes);
+}
+
 /**
  * Calculates where a rocket's altitude is located within a wind band.
  * @param   {number} rocketAltitude - Current altitude (feet) of the rocket.
@@ -592,20 +856,107 @@ function getAverageWindDirection(bandPercentage, windData, floorIndex) {
         return -1;
     }
     const directionA = windData[floorIndex].windDirection;
-    const targetDirection = directionA + (bandPercentage * (windData[floorIndex + 1].windDirection - directionA));
-    let averageDirection = directionA + targetDirection;
-    if (Math.abs(directionA - targetDirection) < 180.0) {
-        averageDirection /= 2.0;
-    } else {
-        // Maintain a northerly direction as the bearing oscillates around zero degrees
-        averageDirection = (averageDirection - 360.0) / 2.0;
-        if (averageDirection < 0.0) {
-            averageDirection += 360.0;
-        }
+
+    // Wrap the direction change into the -180 to 180 degree range so bands crossing North
+    // do not swing through South
+    let directionChange = (windData[floorIndex + 1].windDirection - directionA) % 360.0;
+    if (directionChange > 180.0) {
+        directionChange -= 360.0;
+    } else if (directionChange < -180.0) {
+        directionChange += 360.0;
+    }
+
+    // Halfway between the floor and the direction at the rocket's altitude
+    let averageDirection = (directionA + (bandPercentage * directionChange / 2.0)) % 360.0;
+    if (averageDirection < 0.0) {
+        averageDirection += 360.0;
     }
     return averageDirection;
 }
 
+/**
+ * Obtain the wind at any altitude by linearly interpolating between the surrounding wind data entries.
+ * Direction is interpolated along the shortest arc so winds near North do not swing through South.
+ * @param   {number} altitude - Altitude (feet) where the wind is needed.
+ * @param   {Array.<WindAtAltitude>} windData - Array of data defining available wind bands at ascending altitudes.
+ * @returns {WindAtAltitude} Wind at the requested altitude. Values beyond either end of the data are held constant. Null if no data is available.
+ */
+function getWindAtAltitude(altitude, windData) {
+    if (null == windData || 0 == windData.length) {
+        console.debug('Unable to interpolate wind without any wind data.');
+        return null;
+    }
+
+    // Hold the nearest values constant outside the available data
+    if (altitude <= windData[0].altitude) {
+        return new WindAtAltitude(altitude, windData[0].windSpeed, windData[0].windDirection);
+    }
+    const highestWind = windData[windData.length - 1];
+    if (altitude >= highestWind.altitude) {
+        return new WindAtAltitude(altitude, highestWind.windSpeed, highestWind.windDirection);
+    }
+
+    // Find the wind band containing the requested altitude
+    let floorIndex = 0;
+    while (windData[floorIndex + 1].altitude < altitude) {
+        ++floorIndex;
+    }
+
+    const bandPercentage = getWindBandPercentage(altitude, windData, floorIndex);
+    if (bandPercentage < 0) {
+        return new WindAtAltitude(altitude, windData[floorIndex].windSpeed, windData[floorIndex].windDirection);
+    }
+
+    const windFloor = windData[floorIndex];
+    const windCeiling = windData[floorIndex + 1];
+    const windSpeed = windFloor.windSpeed + (bandPercentage * (windCeiling.windSpeed - windFloor.windSpeed));
+
+    // Wrap the direction change into the -180 to 180 degree range before interpolating
+    let directionChange = (windCeiling.windDirection - windFloor.windDirection) % 360.0;
+    if (directionChange > 180.0) {
+        directionChange -= 360.0;
+    } else if (directionChange < -180.0) {
+        directionChange += 360.0;
+    }
+
+    let windDirection = (windFloor.windDirection + (bandPercentage * directionChange)) % 360.0;
+    if (windDirection < 0.0) {
+        windDirection += 360.0;
+    }
+
+    return new WindAtAltitude(altitude, windSpeed, windDirection);
+}
+
+/**
+ * Averages a series of wind readings, such as those taken by an anemometer at the launch pad. Directions
+ * are averaged as vectors weighted by speed so readings either side of North average to North.
+ * @param   {Array.<WindAtAltitude>} windReadings - Wind speed and direction of each reading.
+ * @returns {WindAtAltitude} Average wind at the altitude of the first reading. Null if there are no readings.
+ */
+function getAverageWindReading(windReadings) {
+    if (null == windReadings || 0 == windReadings.length) {
+        console.debug('Unable to average wind without any readings.');
+        return null;
+    }
+
+    let speedSum = 0;
+    let northSum = 0;
+    let eastSum = 0;
+    for (const windReading of windReadings) {
+        // Calm readings still count toward the direction when every reading is calm
+        const weight = Math.max(windReading.windSpeed, Number.EPSILON);
+        speedSum += windReading.windSpeed;
+        northSum += weight * Math.cos(degreesToRadians(windReading.windDirection));
+        eastSum += weight * Math.sin(degreesToRadians(windReading.windDirection));
+    }
+
+    let averageDirection = windReadings[0].windDirection;
+    if (Math.abs(northSum) > 1e-9 || Math.abs(eastSum) > 1e-9) {
+        averageDirection = (radiansToDegrees(Math.atan2(eastSum, northSum)) + 360.0) % 360.0;
+    }
+    return new WindAtAltitude(windReadings[0].altitude, speedSum / windReadings.length, averageDirection);
+}
+
 /**
  * Calculates a drift distance and applies it to the rocket's location.
  * @param {GeoLocation} rocketLocation - Initial location and to be updated as the destination.
@@ -646,5 +997,8 @@ function driftWithWind(rocketLocation, windSpeed, windDirection, decentRate, des
 // Export our class definitions
 export { WindAtAltitude, WindForecastData, WeathercockWindData };
 
+// Export our constants
+export { openMeteoModels, openMeteoEnsembleModels };
+
 // Export our functions
-export { getWindPredictionData, getOpenMeteoWindPredictionData, getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, driftWithWind };
\ No newline at end of file
+export { getWindPredictionData, requestOpenMeteoWindJSON, parseOpenMeteoWindData, parseOpenMeteoModelWindData, getOpenMeteoEnsembleMemberCount, parseOpenMeteoEnsembleWindData, getOpenMeteoWindPredictionData, getWindBandPercentage, getAverageWindSpeed, getAverageWindDirection, getWindAtAltitude, getAverageWindReading, driftWithWind };
\ No newline at end of file
@@ -0,0 +1,427 @@
+import { GeoLocation } from './geo.js';
+import { LaunchTimeData } from './launch.js';
+import { WindForecastData, openMeteoModels, openMeteoEnsembleModels, getWindPredictionData, requestOpenMeteoWindJSON, parseOpenMeteoModelWindData,
+         getOpenMeteoEnsembleMemberCount, parseOpenMeteoEnsembleWindData } from './wind.js';
+
+/* Base class for every source of wind forecasts. Providers obtain a forecast for each hour of a launch. */
+class WindProviderBase {
+    /**
+     * Unique identification used to select this provider.
+     * @private
+     * @type {string}
+     */
+    #id = '';
+
+    /**
+     * Name of this provider shown to the user.
+     * @private
+     * @type {string}
+     */
+    #name = '';
+
+    /**
+     * Initializes the identification of this provider.
+     * @param {string} id - Unique identification used to select this provider.
+     * @param {string} name - Name of this provider shown to the user.
+     * @throws {TypeError} Invalid id.
+     */
+    constructor(id, name) {
+        if ('string' != typeof id || 0 == id.length) throw new TypeError(`Invalid wind provider id: ${id}`);
+
+        this.#id = id;
+        this.#name = name;
+    }
+
+    /**
+     * Unique identification used to select this provider.
+     * @type {string}
+     */
+    get id() { return this.#id; }
+
+    /**
+     * Name of this provider shown to the user.
+     * @type {string}
+     */
+    get name() { return this.#name; }
+
+    /**
+     * Whether each of this provider's models is a member of one ensemble, allowing landing probabilities to be estimated.
+     * @type {boolean}
+     */
+    get isEnsemble() { return false; }
+
+    /**
+     * Explains why forecasts are unavailable for a launch, such as dates too far in the future.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {string} Reason this launch cannot be forecast, or null if it can.
+     */
+    getAvailabilityError(launchTimes) {
+        return null;
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order, using null for any unavailable hour.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        console.debug(`Wind provider ${this.#id} does not supply forecasts.`);
+        return [];
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from every model this provider compares.
+     * Providers using a single model supply just the forecasts from getWindForecasts.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<Array.<WindForecastData>>} A forecast for each hour in order from each model.
+     */
+    async getModelWindForecasts(launchLocation, launchTimes) {
+        return [await this.getWindForecasts(launchLocation, launchTimes)];
+    }
+}
+
+/* Forecasts from Open-Meteo, including historical forecasts for past launches. */
+class OpenMeteoWindProvider extends WindProviderBase {
+    /**
+     * Open-Meteo models to request, or empty to let Open-Meteo pick the best model.
+     * @private
+     * @type {Array.<string>}
+     */
+    #models = [];
+
+    /**
+     * Initializes this provider's identification and the models it requests.
+     * @param {string} id - Unique identification used to select this provider.
+     * @param {string} name - Name of this provider shown to the user.
+     * @param {Array.<string>} models - Open-Meteo models to request, or empty to let Open-Meteo pick the best model.
+     * @throws {TypeError} Invalid model.
+     */
+    constructor(id = 'open-meteo', name = 'Open-Meteo', models = []) {
+        super(id, name);
+
+        for (const model of models) {
+            if (!(model in openMeteoModels)) throw new TypeError(`Invalid Open-Meteo model: ${model}`);
+        }
+        this.#models = models;
+    }
+
+    /**
+     * Open-Meteo models to request, or empty to let Open-Meteo pick the best model.
+     * @type {Array.<string>}
+     */
+    get models() { return this.#models; }
+
+    /**
+     * Explains why forecasts are unavailable for a launch.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {string} Reason this launch cannot be forecast, or null if it can.
+     */
+    getAvailabilityError(launchTimes) {
+        if (launchTimes.launchDate.getFullYear() < 2022) {
+            return 'Weather records are not available before 2022.';
+        }
+        if (launchTimes.endHourOffset > (24 * 15)) {
+            return 'Cannot forecast more than 15 days into the future.';
+        }
+        return null;
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order from the first model.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        return (await this.getModelWindForecasts(launchLocation, launchTimes))[0] ?? [];
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from every requested model. Models without
+     * winds at the launch location are left out.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<Array.<WindForecastData>>} A forecast for each hour in order from each model.
+     */
+    async getModelWindForecasts(launchLocation, launchTimes) {
+        const windJSON = await this.requestWindJSON(launchLocation, launchTimes);
+        if (null == windJSON) {
+            return [];
+        }
+        return parseOpenMeteoModelWindData(windJSON, launchTimes);
+    }
+
+    /**
+     * Requests the forecast of every model from Open-Meteo.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {json} The forecast exactly as returned by Open-Meteo. 'null' if an error occurred.
+     */
+    async requestWindJSON(launchLocation, launchTimes) {
+        return await requestOpenMeteoWindJSON(launchLocation, launchTimes, this.#models);
+    }
+}
+
+/* Every member of an ensemble forecast from Open-Meteo, each treated as a separate model. */
+class OpenMeteoEnsembleWindProvider extends WindProviderBase {
+    /**
+     * Open-Meteo ensemble model to request.
+     * @private
+     * @type {string}
+     */
+    #model = '';
+
+    /**
+     * Initializes this provider's identification and the ensemble model it requests.
+     * @param {string} model - Open-Meteo ensemble model to request.
+     * @throws {TypeError} Invalid model.
+     */
+    constructor(model = 'gfs025') {
+        if (!(model in openMeteoEnsembleModels)) throw new TypeError(`Invalid Open-Meteo ensemble model: ${model}`);
+
+        super('open-meteo-ensemble', `Open-Meteo ${openMeteoEnsembleModels[model]}`);
+        this.#model = model;
+    }
+
+    /**
+     * Open-Meteo ensemble model to request.
+     * @type {string}
+     */
+    get model() { return this.#model; }
+
+    /**
+     * Whether each of this provider's models is a member of one ensemble.
+     * @type {boolean}
+     */
+    get isEnsemble() { return true; }
+
+    /**
+     * Explains why forecasts are unavailable for a launch.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {string} Reason this launch cannot be forecast, or null if it can.
+     */
+    getAvailabilityError(launchTimes) {
+        if (launchTimes.startHourOffset < -(24 * 7)) {
+            return 'Ensemble forecasts are not available more than 7 days in the past.';
+        }
+        if (launchTimes.endHourOffset > (24 * 10)) {
+            return 'Cannot forecast ensembles more than 10 days into the future.';
+        }
+        return null;
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from the ensemble's control run.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        return (await this.getModelWindForecasts(launchLocation, launchTimes))[0] ?? [];
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from the control run and every ensemble member.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<Array.<WindForecastData>>} A forecast for each hour in order from each member.
+     */
+    async getModelWindForecasts(launchLocation, launchTimes) {
+        const windJSON = await this.requestWindJSON(launchLocation, launchTimes);
+        if (null == windJSON) {
+            return [];
+        }
+        return parseOpenMeteoEnsembleWindData(windJSON, launchTimes, this.name);
+    }
+
+    /**
+     * Requests the forecast of every ensemble member from Open-Meteo.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {json} The forecast exactly as returned by Open-Meteo. 'null' if an error occurred.
+     */
+    async requestWindJSON(launchLocation, launchTimes) {
+        return await requestOpenMeteoWindJSON(launchLocation, launchTimes, [this.#model], true);
+    }
+}
+
+/* Rapid Refresh (RAP) forecasts from WindsAloft, requested through our PHP proxy. */
+class WindsAloftWindProvider extends WindProviderBase {
+    /**
+     * Initializes this provider's identification.
+     */
+    constructor() {
+        super('windsaloft', 'WindsAloft (RAP)');
+    }
+
+    /**
+     * Explains why forecasts are unavailable for a launch.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {string} Reason this launch cannot be forecast, or null if it can.
+     */
+    getAvailabilityError(launchTimes) {
+        if (launchTimes.startHourOffset < -24) {
+            return 'Wind speeds older than 24 hours are not available.';
+        }
+        if (launchTimes.endHourOffset > 380) {
+            return 'Cannot forecast more than 380 hours into the future.';
+        }
+        return null;
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch, requesting one hour at a time.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order, using null for any unavailable hour.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        const windForecastList = [];
+        for (let currentOffset = launchTimes.startHourOffset; currentOffset <= launchTimes.endHourOffset; ++currentOffset) {
+            // Skip the overnight hours between the days of a long launch
+            if (!launchTimes.isForecastHourNeeded(currentOffset - launchTimes.startHourOffset)) {
+                windForecastList.push(null);
+                continue;
+            }
+            windForecastList.push(await getWindPredictionData(launchLocation, currentOffset));
+        }
+        return windForecastList;
+    }
+}
+
+/* Stand-in using a forecast previously saved from Open-Meteo, allowing predictions without a network. */
+class SavedOpenMeteoWindProvider extends WindProviderBase {
+    /**
+     * Forecast exactly as returned by Open-Meteo.
+     * @private
+     * @type {json}
+     */
+    #windJSON = null;
+
+    /**
+     * Initializes this provider with a saved forecast.
+     * @param {json} windJSON - Forecast exactly as returned by Open-Meteo.
+     */
+    constructor(windJSON) {
+        super('open-meteo-saved', 'Saved Open-Meteo Forecast');
+        this.#windJSON = windJSON;
+    }
+
+    /**
+     * Whether the saved forecast holds the members of an ensemble.
+     * @type {boolean}
+     */
+    get isEnsemble() { return getOpenMeteoEnsembleMemberCount(this.#windJSON) > 0; }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from the first model of the saved forecast.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location, which the saved forecast is assumed to match.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} A forecast for each hour in order. Empty if the saved forecast does not cover the launch.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        return (await this.getModelWindForecasts(launchLocation, launchTimes))[0] ?? [];
+    }
+
+    /**
+     * Obtain wind forecasts for each hour of a launch from every model within the saved forecast.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location, which the saved forecast is assumed to match.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<Array.<WindForecastData>>} A forecast for each hour in order from each model or ensemble member.
+     */
+    async getModelWindForecasts(launchLocation, launchTimes) {
+        if (this.isEnsemble) {
+            return parseOpenMeteoEnsembleWindData(this.#windJSON, launchTimes);
+        }
+        return parseOpenMeteoModelWindData(this.#windJSON, launchTimes);
+    }
+}
+
+/* Winds measured near the launch site, such as a pilot balloon reading or radiosonde sounding, used for every hour. */
+class MeasuredWindProvider extends WindProviderBase {
+    /**
+     * Winds measured at each altitude.
+     * @private
+     * @type {WindForecastData}
+     */
+    #windForecast = null;
+
+    /**
+     * Initializes this provider with measured winds.
+     * @param {WindForecastData} windForecast - Winds measured at each altitude, such as those loaded with loadMeasuredData.
+     * @throws {TypeError} Missing measurements.
+     */
+    constructor(windForecast) {
+        if (!(windForecast instanceof WindForecastData) || 0 == windForecast.windData.length) throw new TypeError(`Invalid measured winds: ${windForecast}`);
+
+        super('measured', windForecast.model);
+        this.#windForecast = windForecast;
+    }
+
+    /**
+     * Winds measured at each altitude.
+     * @type {WindForecastData}
+     */
+    get windForecast() { return this.#windForecast; }
+
+    /**
+     * Obtain the measured winds for each hour of a launch. Measurements are assumed to hold throughout the launch.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch location, which the measurements are assumed to match.
+     * @param {LaunchTimeData} launchTimes - Date, start time, and end time of the launch.
+     * @returns {Array.<WindForecastData>} The measured winds for each hour.
+     */
+    async getWindForecasts(launchLocation, launchTimes) {
+        const hourCount = launchTimes.endHourOffset - launchTimes.startHourOffset + 1;
+        return new Array(hourCount).fill(this.#windForecast);
+    }
+}
+
+/**
+ * Providers available for selection, in the order they are offered to the user.
+ * @type {Map.<string, WindProviderBase>}
+ */
+const windProviderRegistry = new Map();
+
+/**
+ * Identification of the provider used when none is selected.
+ * @type {string}
+ */
+const defaultWindProviderId = 'open-meteo';
+
+/**
+ * Adds a provider to those available for selection, replacing any using the same id.
+ * @param {WindProviderBase} provider - The provider to add.
+ * @throws {TypeError} The provider does not extend WindProviderBase.
+ */
+function registerWindProvider(provider) {
+    if (!(provider instanceof WindProviderBase)) throw new TypeError(`Invalid wind provider: ${provider}`);
+
+    windProviderRegistry.set(provider.id, provider);
+}
+
+/**
+ * Finds a registered provider.
+ * @param {string} id - Identification of the provider.
+ * @returns {WindProviderBase} The matching provider, or null if none is registered.
+ */
+function getWindProvider(id = defaultWindProviderId) {
+    return windProviderRegistry.get(id) ?? null;
+}
+
+/**
+ * Lists every registered provider.
+ * @returns {Array.<WindProviderBase>} Providers in the order they were registered.
+ */
+function getWindProviders() {
+    return Array.from(windProviderRegistry.values());
+}
+
+registerWindProvider(new OpenMeteoWindProvider());
+registerWindProvider(new OpenMeteoWindProvider('open-meteo-compare', 'Open-Meteo Model Comparison', Object.keys(openMeteoModels)));
+registerWindProvider(new OpenMeteoEnsembleWindProvider());
+registerWindProvider(new WindsAloftWindProvider());
+
+export { WindProviderBase, OpenMeteoWindProvider, OpenMeteoEnsembleWindProvider, WindsAloftWindProvider, SavedOpenMeteoWindProvider, MeasuredWindProvider };
+export { defaultWindProviderId, registerWindProvider, getWindProvider, getWindProviders };